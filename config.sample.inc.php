@@ -62,6 +62,7 @@
 // $cfg['Servers'][$i]['central_columns'] = 'pma__central_columns';
 // $cfg['Servers'][$i]['designer_settings'] = 'pma__designer_settings';
 // $cfg['Servers'][$i]['export_templates'] = 'pma__export_templates';
+// $cfg['Servers'][$i]['monitor_dashboards'] = 'pma__monitor_dashboards';
 
 /**
  * End of servers configuration
@@ -1,4 +1,5 @@
 import $ from 'jquery';
+import { ChartData } from './modules/chart-data.js';
 
 /**
  * Chart type enumerations
@@ -11,7 +12,10 @@ var ChartType = {
     COLUMN : 'column',
     PIE : 'pie',
     TIMELINE: 'timeline',
-    SCATTER: 'scatter'
+    SCATTER: 'scatter',
+    HISTOGRAM: 'histogram',
+    HEATMAP: 'heatmap',
+    BOXPLOT: 'boxplot'
 };
 window.ChartType = ChartType;
 
@@ -58,6 +62,12 @@ Chart.prototype = {
     },
     toImageString : function () {
         throw new Error('toImageString must be implemented by a subclass');
+    },
+    toSvgString : function () {
+        throw new Error('toSvgString must be implemented by a subclass');
+    },
+    toCsvString : function () {
+        throw new Error('toCsvString must be implemented by a subclass');
     }
 };
 
@@ -214,11 +224,13 @@ var JQPlotChart = function (elementId) {
     Chart.call(this, elementId);
     this.plot = null;
     this.validator = null;
+    this.dataTable = null;
 };
 JQPlotChart.prototype = new Chart();
 JQPlotChart.prototype.constructor = JQPlotChart;
 JQPlotChart.prototype.draw = function (data, options) {
     if (this.validator.validateColumns(data)) {
+        this.dataTable = data;
         this.plot = $.jqplot(this.elementId, this.prepareData(data), this
             .populateOptions(data, options));
     }
@@ -238,6 +250,20 @@ JQPlotChart.prototype.toImageString = function () {
         return $('#' + this.elementId).jqplotToImageStr({});
     }
 };
+JQPlotChart.prototype.toSvgString = function () {
+    if (this.plot !== null) {
+        var canvas = $('#' + this.elementId).jqplotToImageCanvas({});
+        return ChartData.toSvg(canvas.toDataURL('image/png'), canvas.width, canvas.height);
+    }
+};
+JQPlotChart.prototype.toCsvString = function () {
+    if (this.plot !== null) {
+        var names = this.dataTable.getColumns().map(function (column) {
+            return column.name;
+        });
+        return ChartData.toCsv(names, this.dataTable.getData());
+    }
+};
 JQPlotChart.prototype.populateOptions = function () {
     throw new Error('populateOptions must be implemented by a subclass');
 };
@@ -646,6 +672,219 @@ JQPlotPieChart.prototype.prepareData = function (dataTable) {
     return [retData];
 };
 
+/**
+ * JQPlot histogram chart, a column chart of the counts of the values in each bin
+ *
+ * @param elementId
+ *            id of the div element the chart is drawn in
+ */
+var JQPlotHistogramChart = function (elementId) {
+    JQPlotColumnChart.call(this, elementId);
+};
+JQPlotHistogramChart.prototype = new JQPlotColumnChart();
+JQPlotHistogramChart.prototype.constructor = JQPlotHistogramChart;
+
+JQPlotHistogramChart.prototype.populateOptions = function (dataTable, options) {
+    var optional = {};
+    var opt = JQPlotColumnChart.prototype.populateOptions.call(this, dataTable,
+        options);
+    var compulsory = {
+        seriesDefaults : {
+            rendererOptions : {
+                barPadding : 0,
+                barMargin : 2
+            }
+        },
+        stackSeries : false
+    };
+    $.extend(true, optional, opt, compulsory);
+    return optional;
+};
+
+/**
+ * JQPlot heatmap chart, with a column for each X-axis value and a row for each series
+ *
+ * @param elementId
+ *            id of the div element the chart is drawn in
+ */
+var JQPlotHeatmapChart = function (elementId) {
+    JQPlotChart.call(this, elementId);
+    this.validator = BaseChart.prototype;
+};
+JQPlotHeatmapChart.prototype = new JQPlotChart();
+JQPlotHeatmapChart.prototype.constructor = JQPlotHeatmapChart;
+
+JQPlotHeatmapChart.prototype.populateOptions = function (dataTable, options) {
+    var columns = dataTable.getColumns();
+    var data = dataTable.getData();
+    // blank ticks at the borders so that the cells at the edges are drawn entirely
+    var xTicks = [[0.5, ' ']];
+    var yTicks = [[0.5, ' ']];
+    for (var i = 0; i < data.length; i++) {
+        xTicks.push([i + 1, String(data[i][0])]);
+    }
+    xTicks.push([data.length + 0.5, ' ']);
+    for (var j = 1; j < columns.length; j++) {
+        yTicks.push([j, columns[j].name.toString()]);
+    }
+    yTicks.push([columns.length - 0.5, ' ']);
+
+    var optional = {
+        axes : {
+            xaxis : {
+                label : columns[0].name,
+                ticks : xTicks
+            },
+            yaxis : {
+                label : (columns.length === 2 ? columns[1].name : 'Values'),
+                labelRenderer : $.jqplot.CanvasAxisLabelRenderer,
+                ticks : yTicks
+            }
+        },
+        highlighter: {
+            show: true,
+            tooltipContentEditor: function (str, seriesIndex, pointIndex, plot) {
+                var point = plot.series[seriesIndex].data[pointIndex];
+                return Functions.escapeHtml(xTicks[point[0]][1]) + ', ' + yTicks[point[1]][1] + ': ' + point[2];
+            }
+        }
+    };
+    var compulsory = {
+        legend : {
+            show : false
+        },
+        seriesDefaults : {
+            renderer : $.jqplot.HeatmapRenderer,
+            showMarker : false
+        },
+        stackSeries : false
+    };
+    $.extend(true, optional, options, compulsory);
+    return optional;
+};
+
+JQPlotHeatmapChart.prototype.prepareData = function (dataTable) {
+    var data = dataTable.getData();
+    var row;
+    var retData = [];
+    for (var i = 0; i < data.length; i++) {
+        row = data[i];
+        for (var j = 1; j < row.length; j++) {
+            if (row[j] !== null && ! isNaN(row[j])) {
+                retData.push([i + 1, j, row[j]]);
+            }
+        }
+    }
+    return [retData];
+};
+
+/**
+ * JQPlot box plot chart, with a box from the first to the third quartile of each series
+ *
+ * @param elementId
+ *            id of the div element the chart is drawn in
+ */
+var JQPlotBoxPlotChart = function (elementId) {
+    JQPlotChart.call(this, elementId);
+    this.validator = BaseChart.prototype;
+};
+JQPlotBoxPlotChart.prototype = new JQPlotChart();
+JQPlotBoxPlotChart.prototype.constructor = JQPlotBoxPlotChart;
+
+/**
+ * @param {DataTable} dataTable
+ *
+ * @return {object[]} minimum, quartiles, maximum and name of the series having values
+ */
+JQPlotBoxPlotChart.prototype.getBoxes = function (dataTable) {
+    var columns = dataTable.getColumns();
+    var data = dataTable.getData();
+    var boxes = [];
+    for (var j = 1; j < columns.length; j++) {
+        var values = [];
+        for (var i = 0; i < data.length; i++) {
+            values.push(data[i][j]);
+        }
+        var box = ChartData.boxPlot(values);
+        if (box !== null) {
+            box.name = columns[j].name.toString();
+            boxes.push(box);
+        }
+    }
+    return boxes;
+};
+
+JQPlotBoxPlotChart.prototype.populateOptions = function (dataTable, options) {
+    var boxes = this.getBoxes(dataTable);
+    var ticks = [[0, ' ']];
+    for (var i = 0; i < boxes.length; i++) {
+        ticks.push([i + 1, boxes[i].name]);
+    }
+    ticks.push([boxes.length + 1, ' ']);
+
+    var optional = {
+        axes : {
+            yaxis : {
+                labelRenderer : $.jqplot.CanvasAxisLabelRenderer
+            }
+        },
+        highlighter: {
+            show: true,
+            showMarker: false,
+            tooltipContentEditor: function (str, seriesIndex, pointIndex) {
+                var box = boxes[pointIndex];
+                return box.name + ': ' + Functions.sprintf(
+                    window.Messages.strBoxPlotValues,
+                    ChartData.formatNumber(box.min),
+                    ChartData.formatNumber(box.q1),
+                    ChartData.formatNumber(box.median),
+                    ChartData.formatNumber(box.q3),
+                    ChartData.formatNumber(box.max)
+                );
+            }
+        }
+    };
+    var compulsory = {
+        axes : {
+            xaxis : {
+                ticks : ticks
+            }
+        },
+        legend : {
+            show : false
+        },
+        series : [
+            {
+                renderer : $.jqplot.OHLCRenderer,
+                rendererOptions : {
+                    candleStick : true
+                }
+            },
+            {
+                showLine : false,
+                markerOptions : {
+                    style : 'dash',
+                    size : 16
+                }
+            }
+        ],
+        stackSeries : false
+    };
+    $.extend(true, optional, options, compulsory);
+    return optional;
+};
+
+JQPlotBoxPlotChart.prototype.prepareData = function (dataTable) {
+    var boxes = this.getBoxes(dataTable);
+    var retData = [[], []];
+    for (var i = 0; i < boxes.length; i++) {
+        // the box is a candle opening at the first quartile and closing at the third one
+        retData[0].push([i + 1, boxes[i].q1, boxes[i].max, boxes[i].min, boxes[i].q3]);
+        retData[1].push([i + 1, boxes[i].median]);
+    }
+    return retData;
+};
+
 /**
  * Chart factory that returns JQPlotCharts
  */
@@ -679,6 +918,15 @@ JQPlotChartFactory.prototype.createChart = function (type, elementId) {
     case ChartType.SCATTER:
         chart = new JQPlotScatterChart(elementId);
         break;
+    case ChartType.HISTOGRAM:
+        chart = new JQPlotHistogramChart(elementId);
+        break;
+    case ChartType.HEATMAP:
+        chart = new JQPlotHeatmapChart(elementId);
+        break;
+    case ChartType.BOXPLOT:
+        chart = new JQPlotBoxPlotChart(elementId);
+        break;
     }
 
     return chart;
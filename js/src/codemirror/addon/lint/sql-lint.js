@@ -1,4 +1,42 @@
 import $ from 'jquery';
+import { SqlLintRules } from '../../../modules/sql-lint-rules.js';
+
+/**
+ * Issues of the client-side rules, configured by the SqlLint settings
+ *
+ * @param {string} text
+ * @param {object} options lint options of the editor
+ * @param {CodeMirror} cm
+ * @return {object[]}
+ */
+function getRuleAnnotations (text, options, cm) {
+    var lintOptions = options.lintOptions || {};
+    var $bookmarkLabel = $(cm.getTextArea ? cm.getTextArea() : null).closest('form').find('input[name="bkm_label"]');
+    var context = {
+        savedQuery: lintOptions.savedQuery === true || ($bookmarkLabel.length > 0 && $bookmarkLabel.val().trim() !== ''),
+        getColumns: window.Functions ? window.Functions.getAutoCompleteColumns : null
+    };
+
+    return SqlLintRules.check(text, window.CommonParams.get('SqlLint'), context).map(function (issue) {
+        var annotation = {
+            from: cm.posFromIndex(issue.from),
+            to: cm.posFromIndex(issue.to),
+            message: window.Messages['strLint' + issue.rule],
+            severity: issue.severity
+        };
+        if (issue.fix !== null) {
+            annotation.fix = {
+                label: window.Messages['strLintFix' + issue.rule],
+                from: cm.posFromIndex(issue.fix.from),
+                to: cm.posFromIndex(issue.fix.to),
+                original: text.substring(issue.fix.from, issue.fix.to),
+                text: issue.fix.text
+            };
+        }
+
+        return annotation;
+    });
+}
 
 window.CodeMirror.sqlLint = function (text, updateLinting, options, cm) {
     // Skipping check if text box is empty.
@@ -7,6 +45,8 @@ window.CodeMirror.sqlLint = function (text, updateLinting, options, cm) {
         return;
     }
 
+    var ruleAnnotations = getRuleAnnotations(text, options, cm);
+
     function handleResponse (response) {
         var found = [];
         for (var idx in response) {
@@ -24,7 +64,7 @@ window.CodeMirror.sqlLint = function (text, updateLinting, options, cm) {
             });
         }
 
-        updateLinting(cm, found);
+        updateLinting(cm, found.concat(ruleAnnotations));
     }
 
     $.ajax({
@@ -37,6 +77,47 @@ window.CodeMirror.sqlLint = function (text, updateLinting, options, cm) {
             'options': options.lintOptions,
             'no_history': true,
         },
-        success: handleResponse
+        success: handleResponse,
+        error: function () {
+            updateLinting(cm, ruleAnnotations);
+        }
+    });
+};
+
+/**
+ * Lists the issues having a quick fix below the editor, with a button applying it
+ *
+ * @param {object[]} annotations
+ * @param {object[]} annotationsByLine
+ * @param {CodeMirror} cm
+ * @return {void}
+ */
+window.CodeMirror.sqlLintFixes = function (annotations, annotationsByLine, cm) {
+    var $wrapper = $(cm.getWrapperElement());
+    $wrapper.next('.sql-lint-fixes').remove();
+    var fixable = annotations.filter(function (annotation) {
+        return annotation.fix !== undefined;
+    });
+    if (fixable.length === 0) {
+        return;
+    }
+
+    var $list = $('<ul class="sql-lint-fixes list-unstyled small"></ul>');
+    fixable.forEach(function (annotation) {
+        var fix = annotation.fix;
+        $('<li></li>')
+            .addClass('sql-lint-' + annotation.severity)
+            .text(window.Messages.strLintLine.replace('%d', annotation.from.line + 1) + ' ' + annotation.message + ' ')
+            .append($('<button type="button" class="btn btn-link btn-sm p-0"></button>')
+                .text(fix.label)
+                .on('click', function () {
+                    // The fix is out of date when the text has changed since the linting
+                    if (cm.getRange(fix.from, fix.to) === fix.original) {
+                        cm.replaceRange(fix.text, fix.from, fix.to, '+lintfix');
+                    }
+                    cm.focus();
+                }))
+            .appendTo($list);
     });
+    $wrapper.after($list);
 };
@@ -15,6 +15,11 @@ import $ from 'jquery';
  * js file for handling AJAX and other events in /database/multi-table-query
  */
 
+/**
+ * Timer of the live preview, pending until the query stops changing
+ */
+var previewTimeout = null;
+
 /**
  * Unbind all event handlers before tearing down a page
  */
@@ -24,6 +29,12 @@ window.AJAX.registerTeardown('database/multi_table_query.js', function () {
     });
     $('#update_query_button').off('click');
     $('#add_column_button').off('click');
+    $('#join_options').off('change');
+    $('#add_derived_table_button').off('click');
+    $('#derived_tables').off('click');
+    $('#multi_table_query_form').off('change');
+    $('#live_preview').off('change');
+    clearTimeout(previewTimeout);
 });
 
 window.AJAX.registerOnload('database/multi_table_query.js', function () {
@@ -34,7 +45,104 @@ window.AJAX.registerOnload('database/multi_table_query.js', function () {
     var columnCount = 3;
     addNewColumnCallbacks();
 
-    $('#update_query_button').on('click', function () {
+    /**
+     * Join type and path chosen for each table
+     *
+     * @return {object}
+     */
+    function getJoinOptions () {
+        var joinOptions = {};
+        $('#join_options tbody tr').each(function () {
+            joinOptions[$(this).data('table')] = {
+                type: $(this).find('.join_type').val(),
+                path: $(this).find('.join_path').val()
+            };
+        });
+        return joinOptions;
+    }
+
+    /**
+     * @param {object[]} plan
+     * @return {void}
+     */
+    function showJoinOptions (plan) {
+        var $body = $('#join_options tbody').empty();
+        plan.forEach(function (join) {
+            if (join.isFirst) {
+                return;
+            }
+            var $type = $('<select class="form-select form-select-sm join_type"></select>');
+            ['INNER', 'LEFT', 'RIGHT', 'CROSS'].forEach(function (type) {
+                $type.append($('<option></option>').val(type).text(type + ' JOIN'));
+            });
+            $type.val(join.type);
+            var $path = $('<select class="form-select form-select-sm join_path"></select>');
+            if (join.candidates.length === 0) {
+                $path.append($('<option value=""></option>').text(window.Messages.strNoJoinPath));
+            }
+            join.candidates.forEach(function (path) {
+                var description = window.describeJoinPath(path);
+                $path.append($('<option></option>').val(description).text(description));
+            });
+            $path.prop('selectedIndex', join.pathIndex);
+            $path.prop('disabled', join.candidates.length < 2 || join.type === 'CROSS');
+            $body.append($('<tr></tr>').attr('data-table', join.table).append(
+                $('<td></td>').text(join.table),
+                $('<td></td>').append($type),
+                $('<td></td>').append($path)
+            ));
+        });
+        $('#join_options').toggleClass('d-none', $body.children().length === 0);
+    }
+
+    /**
+     * @return {object[]}
+     */
+    function getDerivedTables () {
+        var derivedTables = [];
+        $('#derived_tables > .derived_table').each(function () {
+            var alias = $(this).find('.derived_alias').val().trim();
+            var query = $(this).find('.derived_query').val().trim();
+            if (alias === '' || query === '') {
+                return;
+            }
+            derivedTables.push({
+                alias: alias,
+                query: query,
+                type: $(this).find('.derived_join_type').val(),
+                condition: $(this).find('.derived_condition').val(),
+                showColumns: $(this).find('.derived_show_columns').prop('checked')
+            });
+        });
+        return derivedTables;
+    }
+
+    /**
+     * Pairs of tables compared by a criterion
+     *
+     * @return {Array[]}
+     */
+    function getCriteriaColumnPairs () {
+        var pairs = [];
+        $('.tableNameSelect').each(function () {
+            var $criteria = $(this).siblings('.jsCriteriaOptions').first();
+            if ($(this).val() === '' || ! $(this).siblings('.criteria_col').first().prop('checked')) {
+                return;
+            }
+            if ($criteria.find('.criteria_rhs').first().val() === 'anotherColumn') {
+                pairs.push([$(this).val(), $criteria.find('.tableNameSelect').first().val()]);
+            }
+        });
+        return pairs;
+    }
+
+    /**
+     * Generates the query from the columns, joins, derived tables and criteria
+     *
+     * @param {boolean} quiet whether to not show a message when nothing is selected
+     * @return {void}
+     */
+    function updateQuery (quiet) {
         var columns = [];
         var tableAliases = {};
         $('.tableNameSelect').each(function () {
@@ -60,51 +168,63 @@ window.AJAX.registerOnload('database/multi_table_query.js', function () {
                 }
             }
         });
-        if (Object.keys(tableAliases).length === 0) {
-            Functions.ajaxShowMessage('Nothing selected', false, 'error');
+        var derivedTables = getDerivedTables();
+        if (Object.keys(tableAliases).length === 0 && derivedTables.length === 0) {
+            if (! quiet) {
+                Functions.ajaxShowMessage('Nothing selected', false, 'error');
+            }
             return;
         }
 
-        var foreignKeys;
-        $.ajax({
-            type: 'GET',
-            async: false,
-            url: 'index.php?route=/database/multi-table-query/tables',
-            data: {
-                'server': sessionStorage.server,
-                'db': $('#db_name').val(),
-                'tables': Object.keys(tableAliases),
-                'ajax_request': '1',
-                'token': window.CommonParams.get('token')
-            },
-            success: function (response) {
-                foreignKeys = response.foreignKeyConstrains;
-            }
-        });
-
-        var query = 'SELECT ' + '`' + Functions.escapeBacktick(columns[0][0]) + '`.';
-        if (columns[0][1] === '*') {
-            query += '*';
-        } else {
-            query += '`' + Functions.escapeBacktick(columns[0][1]) + '`';
-        }
-        if (columns[0][2] !== '') {
-            query += ' AS `' + Functions.escapeBacktick(columns[0][2]) + '`';
+        var foreignKeys = [];
+        if (Object.keys(tableAliases).length > 0) {
+            $.ajax({
+                type: 'GET',
+                async: false,
+                url: 'index.php?route=/database/multi-table-query/tables',
+                data: {
+                    'server': sessionStorage.server,
+                    'db': $('#db_name').val(),
+                    'tables': Object.keys(tableAliases),
+                    'ajax_request': '1',
+                    'token': window.CommonParams.get('token')
+                },
+                success: function (response) {
+                    foreignKeys = response.databaseForeignKeyConstrains || response.foreignKeyConstrains;
+                }
+            });
         }
-        for (var i = 1; i < columns.length; i++) {
-            query += ', `' + Functions.escapeBacktick(columns[i][0]) + '`.';
-            if (columns[i][1] === '*') {
-                query += '*';
+
+        var joinOptions = getJoinOptions();
+        var plan = window.planJoins(Object.keys(tableAliases), foreignKeys, joinOptions);
+        showJoinOptions(plan);
+        showCartesianProducts(window.findCartesianProducts(plan, derivedTables, getCriteriaColumnPairs()));
+
+        var selectList = columns.map(function (column) {
+            var expression = '`' + Functions.escapeBacktick(column[0]) + '`.';
+            if (column[1] === '*') {
+                expression += '*';
             } else {
-                query += '`' + Functions.escapeBacktick(columns[i][1]) + '`';
+                expression += '`' + Functions.escapeBacktick(column[1]) + '`';
+            }
+            if (column[2] !== '') {
+                expression += ' AS `' + Functions.escapeBacktick(column[2]) + '`';
             }
-            if (columns[i][2] !== '') {
-                query += ' AS `' + Functions.escapeBacktick(columns[i][2]) + '`';
+            return expression;
+        });
+        derivedTables.forEach(function (derivedTable) {
+            if (derivedTable.showColumns) {
+                selectList.push('`' + Functions.escapeBacktick(derivedTable.alias) + '`.*');
             }
+        });
+        if (selectList.length === 0) {
+            selectList.push('*');
         }
+
+        var query = 'SELECT ' + selectList.join(', ');
         query += '\nFROM ';
 
-        query += window.generateFromBlock(tableAliases, foreignKeys);
+        query += window.generateFromBlock(tableAliases, foreignKeys, joinOptions, derivedTables);
 
         var $criteriaColCount = $('.criteria_col:checked').length;
         if ($criteriaColCount > 0) {
@@ -114,6 +234,93 @@ window.AJAX.registerOnload('database/multi_table_query.js', function () {
 
         query += ';';
         editor.getDoc().setValue(query);
+    }
+
+    /**
+     * @param {string[]} tables
+     * @return {void}
+     */
+    function showCartesianProducts (tables) {
+        $('#query_preview_warning')
+            .text(window.sprintf(window.Messages.strCartesianProduct, tables.join(', ')))
+            .toggleClass('d-none', tables.length === 0);
+    }
+
+    var previewRequest = null;
+
+    /**
+     * Runs the query with a small limit and shows its results
+     *
+     * @return {void}
+     */
+    function previewQuery () {
+        if (previewRequest !== null) {
+            previewRequest.abort();
+        }
+        var query = editor.getDoc().getValue();
+        if (query.trim() === '') {
+            $('#query_preview_results').empty();
+            return;
+        }
+        previewRequest = $.ajax({
+            type: 'POST',
+            url: 'index.php?route=/database/multi-table-query/preview',
+            data: {
+                'db': $('#db_name').val(),
+                'sql_query': query,
+                'ajax_request': '1',
+                'server': window.CommonParams.get('server'),
+                'token': window.CommonParams.get('token')
+            },
+            success: function (data) {
+                if (typeof data !== 'undefined' && data.success === true) {
+                    $('#query_preview_results').html(data.preview);
+                } else {
+                    $('#query_preview_results').html(data.error);
+                }
+            },
+            complete: function () {
+                previewRequest = null;
+            }
+        });
+    }
+
+    /**
+     * Previews the query once the user stopped changing it for a moment
+     *
+     * @return {void}
+     */
+    function schedulePreview () {
+        clearTimeout(previewTimeout);
+        if (! $('#live_preview').prop('checked')) {
+            return;
+        }
+        previewTimeout = setTimeout(previewQuery, 750);
+    }
+
+    $('#update_query_button').on('click', function () {
+        updateQuery(false);
+    });
+
+    $('#multi_table_query_form').on('change', '.column_details, #derived_tables', function () {
+        if ($('#live_preview').prop('checked')) {
+            updateQuery(true);
+        }
+    });
+
+    $('#live_preview').on('change', schedulePreview);
+    editor.on('change', schedulePreview);
+
+    $('#join_options').on('change', 'select', function () {
+        updateQuery(true);
+    });
+
+    $('#add_derived_table_button').on('click', function () {
+        $('#add_derived_table_button').before($($('#new_derived_table_layout').html()));
+    });
+
+    $('#derived_tables').on('click', '.jsRemoveDerivedTable', function () {
+        $(this).closest('.derived_table').remove();
     });
 
     $('#submit_query').on('click', function () {
@@ -67,22 +67,46 @@ window.generateWhereBlock = function () {
     return query;
 };
 
-function generateJoin (newTable, tableAliases, fk) {
-    var query = '';
-    query += ' \n\tLEFT JOIN ' + '`' + Functions.escapeBacktick(newTable) + '`';
-    if (tableAliases[fk.TABLE_NAME][0] !== '') {
-        query += ' AS `' + Functions.escapeBacktick(tableAliases[newTable][0]) + '`';
-        query += ' ON `' + Functions.escapeBacktick(tableAliases[fk.TABLE_NAME][0]) + '`';
-    } else {
-        query += ' ON `' + Functions.escapeBacktick(fk.TABLE_NAME) + '`';
+/**
+ * Alias of a table in the query, or its name when it has no alias
+ *
+ * @param {string} table
+ * @param {object} tableAliases
+ * @return {string}
+ */
+function getTableReference (table, tableAliases) {
+    if (tableAliases[table] !== undefined && tableAliases[table][0] !== '') {
+        return tableAliases[table][0];
     }
-    query += '.`' + fk.COLUMN_NAME + '`';
-    if (tableAliases[fk.REFERENCED_TABLE_NAME][0] !== '') {
-        query += ' = `' + Functions.escapeBacktick(tableAliases[fk.REFERENCED_TABLE_NAME][0]) + '`';
-    } else {
-        query += ' = `' + Functions.escapeBacktick(fk.REFERENCED_TABLE_NAME) + '`';
+    return table;
+}
+
+/**
+ * @param {string} table
+ * @param {object} tableAliases
+ * @return {string}
+ */
+function generateTable (table, tableAliases) {
+    var query = '`' + Functions.escapeBacktick(table) + '`';
+    if (getTableReference(table, tableAliases) !== table) {
+        query += ' AS `' + Functions.escapeBacktick(tableAliases[table][0]) + '`';
     }
-    query += '.`' + fk.REFERENCED_COLUMN_NAME + '`';
+    return query;
+}
+
+/**
+ * @param {string} newTable   table to join
+ * @param {object} tableAliases
+ * @param {object} fk         foreign key between the new table and a table already in the query
+ * @param {string} joinType   INNER, LEFT or RIGHT
+ * @return {string}
+ */
+function generateJoin (newTable, tableAliases, fk, joinType) {
+    var query = ' \n\t' + (joinType || 'LEFT') + ' JOIN ' + generateTable(newTable, tableAliases);
+    query += ' ON `' + Functions.escapeBacktick(getTableReference(fk.TABLE_NAME, tableAliases)) + '`';
+    query += '.`' + Functions.escapeBacktick(fk.COLUMN_NAME) + '`';
+    query += ' = `' + Functions.escapeBacktick(getTableReference(fk.REFERENCED_TABLE_NAME, tableAliases)) + '`';
+    query += '.`' + Functions.escapeBacktick(fk.REFERENCED_COLUMN_NAME) + '`';
     return query;
 }
 
@@ -92,38 +116,222 @@ function existReference (table, fk, usedTables) {
     return isReferredBy || isReferencedBy;
 }
 
-function tryJoinTable (table, tableAliases, usedTables, foreignKeys) {
-    for (var i = 0; i < foreignKeys.length; i++) {
-        var fk = foreignKeys[i];
-        if (existReference(table, fk, usedTables)) {
-            return generateJoin(table, tableAliases, fk);
+/**
+ * Ways to join a table to the tables already in the query, following the foreign keys.
+ * Each foreign key between them is a path, when there is none the shortest paths
+ * going through other tables of the database are returned.
+ * A path is a list of steps { table, fk }, each step joining one table.
+ *
+ * @param {string[]} usedTables
+ * @param {string} table
+ * @param {object[]} foreignKeys
+ * @param {number} maxPaths
+ * @return {Array[]}
+ */
+window.findJoinPaths = function (usedTables, table, foreignKeys, maxPaths) {
+    var limit = maxPaths || 10;
+    var direct = foreignKeys.filter(function (fk) {
+        return existReference(table, fk, usedTables);
+    });
+    if (direct.length > 0) {
+        return direct.slice(0, limit).map(function (fk) {
+            return [{ table: table, fk: fk }];
+        });
+    }
+
+    // Breadth-first search from all the tables of the query, remembering every shortest way to each table
+    var distances = {};
+    var parents = {};
+    var queue = usedTables.slice();
+    usedTables.forEach(function (usedTable) {
+        distances[usedTable] = 0;
+    });
+    while (queue.length > 0 && distances[table] === undefined) {
+        var next = [];
+        for (var i = 0; i < queue.length; i++) {
+            var current = queue[i];
+            for (var j = 0; j < foreignKeys.length; j++) {
+                var fk = foreignKeys[j];
+                var neighbour = null;
+                if (fk.TABLE_NAME === current) {
+                    neighbour = fk.REFERENCED_TABLE_NAME;
+                } else if (fk.REFERENCED_TABLE_NAME === current) {
+                    neighbour = fk.TABLE_NAME;
+                }
+                if (neighbour === null || neighbour === current) {
+                    continue;
+                }
+                if (distances[neighbour] === undefined) {
+                    distances[neighbour] = distances[current] + 1;
+                    parents[neighbour] = [];
+                    next.push(neighbour);
+                }
+                if (distances[neighbour] === distances[current] + 1) {
+                    parents[neighbour].push({ table: current, fk: fk });
+                }
+            }
         }
+        queue = next;
     }
-    return '';
-}
+    if (distances[table] === undefined) {
+        return [];
+    }
+
+    var paths = [];
+    var walk = function (current, steps) {
+        if (paths.length >= limit) {
+            return;
+        }
+        if (distances[current] === 0) {
+            paths.push(steps);
+            return;
+        }
+        parents[current].forEach(function (parent) {
+            walk(parent.table, [{ table: current, fk: parent.fk }].concat(steps));
+        });
+    };
+    walk(table, []);
+
+    return paths;
+};
+
+/**
+ * Human readable description of a join path
+ *
+ * @param {object[]} path
+ * @return {string}
+ */
+window.describeJoinPath = function (path) {
+    return path.map(function (step) {
+        return step.fk.TABLE_NAME + '.' + step.fk.COLUMN_NAME + ' = ' +
+            step.fk.REFERENCED_TABLE_NAME + '.' + step.fk.REFERENCED_COLUMN_NAME;
+    }).join(', ');
+};
+
+/**
+ * How each table is added to the FROM clause: the join type and the path used,
+ * with the possible paths to let the user choose another one.
+ *
+ * @param {string[]} tables
+ * @param {object[]} foreignKeys
+ * @param {object} joinOptions  { table: { type, path } } where path is the description of the chosen path
+ * @return {object[]}
+ */
+window.planJoins = function (tables, foreignKeys, joinOptions) {
+    var options = joinOptions || {};
+    var usedTables = [];
+    var plan = [];
+    tables.forEach(function (table) {
+        if (usedTables.includes(table)) {
+            // Already joined as an intermediate table of a path
+            return;
+        }
+        var tableOptions = options[table] || {};
+        var candidates = usedTables.length > 0 ? window.findJoinPaths(usedTables, table, foreignKeys) : [];
+        var descriptions = candidates.map(window.describeJoinPath);
+        var pathIndex = Math.max(descriptions.indexOf(tableOptions.path), 0);
+        var type = tableOptions.type || 'LEFT';
+        var path = type === 'CROSS' || candidates.length === 0 ? [] : candidates[pathIndex];
+        plan.push({
+            table: table,
+            isFirst: usedTables.length === 0,
+            type: type,
+            candidates: candidates,
+            pathIndex: pathIndex,
+            path: path
+        });
+        path.forEach(function (step) {
+            usedTables.push(step.table);
+        });
+        if (! usedTables.includes(table)) {
+            usedTables.push(table);
+        }
+    });
+    return plan;
+};
+
+/**
+ * Tables which are not joined to the first table of the query by a join path,
+ * a join condition or a criterion comparing their columns: all their rows are
+ * combined with all the rows of the other tables (Cartesian product).
+ *
+ * @param {object[]} plan          from planJoins()
+ * @param {object[]} derivedTables { alias, type, condition }
+ * @param {Array[]} columnPairs    tables compared by a criterion
+ * @return {string[]}
+ */
+window.findCartesianProducts = function (plan, derivedTables, columnPairs) {
+    var parents = {};
+    var find = function (table) {
+        if (parents[table] === undefined || parents[table] === table) {
+            return table;
+        }
+        return find(parents[table]);
+    };
+    var union = function (first, second) {
+        parents[find(first)] = find(second);
+    };
 
-function appendTable (table, tableAliases, usedTables, foreignKeys) {
-    var query = tryJoinTable (table, tableAliases, usedTables, foreignKeys);
-    if (query === '') {
-        if (usedTables.length > 0) {
-            query += '\n\t, ';
+    var tables = plan.map(function (join) {
+        return join.table;
+    });
+    plan.forEach(function (join) {
+        join.path.forEach(function (step) {
+            union(step.fk.TABLE_NAME, step.fk.REFERENCED_TABLE_NAME);
+        });
+    });
+    (derivedTables || []).forEach(function (derivedTable) {
+        tables.push(derivedTable.alias);
+        if (tables.length > 1 && derivedTable.type !== 'CROSS' && derivedTable.condition.trim() !== '') {
+            union(derivedTable.alias, tables[0]);
         }
-        query += '`' + Functions.escapeBacktick(table) + '`';
-        if (tableAliases[table][0] !== '') {
-            query += ' AS `' + Functions.escapeBacktick(tableAliases[table][0]) + '`';
+    });
+    (columnPairs || []).forEach(function (pair) {
+        if (pair[0] !== pair[1]) {
+            union(pair[0], pair[1]);
         }
+    });
+
+    return tables.filter(function (table) {
+        return find(table) !== find(tables[0]);
+    });
+};
+
+/**
+ * @param {object} derivedTable { alias, query, type, condition }
+ * @param {boolean} isFirst
+ * @return {string}
+ */
+function generateDerivedTable (derivedTable, isFirst) {
+    var subquery = '(' + derivedTable.query.trim().replace(/;+$/, '') + ') AS `' +
+        Functions.escapeBacktick(derivedTable.alias) + '`';
+    if (isFirst) {
+        return subquery;
     }
-    usedTables.push(table);
-    return query;
+    if (derivedTable.type === 'CROSS' || derivedTable.condition.trim() === '') {
+        return ' \n\tCROSS JOIN ' + subquery;
+    }
+    return ' \n\t' + derivedTable.type + ' JOIN ' + subquery + ' ON ' + derivedTable.condition.trim();
 }
 
-window.generateFromBlock = (tableAliases, foreignKeys) => {
-    var usedTables = [];
+window.generateFromBlock = (tableAliases, foreignKeys, joinOptions, derivedTables) => {
     var query = '';
-    for (var table in tableAliases) {
-        if (tableAliases.hasOwnProperty(table)) {
-            query += appendTable(table, tableAliases, usedTables, foreignKeys);
+    var plan = window.planJoins(Object.keys(tableAliases), foreignKeys, joinOptions);
+    plan.forEach(function (join) {
+        if (join.isFirst) {
+            query += generateTable(join.table, tableAliases);
+        } else if (join.path.length > 0) {
+            join.path.forEach(function (step) {
+                query += generateJoin(step.table, tableAliases, step.fk, join.type);
+            });
+        } else if (join.type === 'CROSS') {
+            query += ' \n\tCROSS JOIN ' + generateTable(join.table, tableAliases);
+        } else {
+            query += '\n\t, ' + generateTable(join.table, tableAliases);
         }
-    }
+    });
+    (derivedTables || []).forEach(function (derivedTable, index) {
+        query += generateDerivedTable(derivedTable, plan.length === 0 && index === 0);
+    });
     return query;
 };
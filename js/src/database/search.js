@@ -29,6 +29,7 @@ window.AJAX.registerTeardown('database/search.js', function () {
     $('#select_all').off('click');
     $('#unselect_all').off('click');
     $(document).off('submit', '#db_search_form.ajax');
+    $(document).off('.pmaGrid');
 });
 
 window.AJAX.registerOnload('database/search.js', function () {
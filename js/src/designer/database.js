@@ -51,9 +51,10 @@ var DesignerOfflineDB = (function () {
 
     /**
      * @param {Function} callback
+     * @param {boolean} quiet     whether to hide the error when IndexedDB does not work
      * @return {void}
      */
-    designerDB.open = function (callback) {
+    designerDB.open = function (callback, quiet) {
         var version = 1;
         var request = window.indexedDB.open('pma_designer', version);
 
@@ -84,7 +85,9 @@ var DesignerOfflineDB = (function () {
         };
 
         request.onerror = function () {
-            Functions.ajaxShowMessage(window.Messages.strIndexedDBNotWorking, null, 'error');
+            if (quiet !== true) {
+                Functions.ajaxShowMessage(window.Messages.strIndexedDBNotWorking, null, 'error');
+            }
         };
     };
 
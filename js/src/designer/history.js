@@ -1,4 +1,5 @@
 import $ from 'jquery';
+import { DesignerQueries } from '../modules/designer-queries.js';
 
 /**
  * @fileoverview    function used in this file builds history tab and generates query.
@@ -7,6 +8,7 @@ import $ from 'jquery';
  * @requires    move.js
  */
 
+/* global DesignerMove */ // js/designer/move.js
 /* global themeImagePath */ // templates/javascript/variables.twig
 
 var DesignerHistory = {};
@@ -14,6 +16,9 @@ window.DesignerHistory = DesignerHistory;
 
 var historyArray = []; // Global array to store history objects
 var selectField = [];  // Global array to store information for columns which are used in select clause
+// Shared with move.js, which adds the objects and the columns
+window.historyArray = historyArray;
+window.selectField = selectField;
 var gIndex;
 var vqbEditor = null;
 
@@ -733,8 +738,10 @@ DesignerHistory.queryFrom = function () {
  * @uses DesignerHistory.queryGroupBy()
  * @uses DesignerHistory.queryHaving()
  * @uses DesignerHistory.queryOrderBy()
+ *
+ * @return {string}
  */
-DesignerHistory.buildQuery = function () {
+DesignerHistory.getQuery = function () {
     var qSelect = 'SELECT ';
     var temp;
     var selectFieldLength = selectField.length;
@@ -776,6 +783,16 @@ DesignerHistory.buildQuery = function () {
     if (qOrderBy !== '') {
         qSelect += '\nORDER BY ' + qOrderBy;
     }
+    return qSelect;
+};
+
+/**
+ * Shows the query built from the history objects
+ *
+ * @return {void}
+ */
+DesignerHistory.buildQuery = function () {
+    var qSelect = DesignerHistory.getQuery();
     $('#buildQuerySubmitButton').on('click', function () {
         if (vqbEditor) {
             var $elm = $('#buildQueryModal').find('textarea');
@@ -807,11 +824,340 @@ DesignerHistory.buildQuery = function () {
     });
 };
 
+/**
+ * Plain object of the history objects and of the selected columns, to save them
+ *
+ * @return {object}
+ */
+DesignerHistory.getState = function () {
+    return {
+        history: historyArray.map(function (historyObj) {
+            var obj = historyObj.getObj();
+            var data = null;
+            var type = historyObj.getType();
+            if (type === 'Where') {
+                data = { relationOperator: obj.getRelationOperator(), query: obj.getQuery() };
+            } else if (type === 'Having') {
+                data = { relationOperator: obj.getRelationOperator(), query: obj.getQuery(), operator: obj.getOperator() };
+            } else if (type === 'Rename') {
+                data = { renameTo: obj.getRenameTo() };
+            } else if (type === 'Aggregate') {
+                data = { operator: obj.getOperator() };
+            } else if (type === 'OrderBy') {
+                data = { order: obj.getOrder() };
+            }
+            return {
+                type: type,
+                table: historyObj.getTab(),
+                column: historyObj.getColumnName(),
+                objNo: historyObj.getObjNo(),
+                andOr: historyObj.getAndOr(),
+                obj: data
+            };
+        }),
+        selectFields: selectField.slice(),
+        fromTables: window.fromArray.slice()
+    };
+};
+
+/**
+ * Replaces the history objects and the selected columns by saved ones
+ *
+ * @param {object} state from DesignerHistory.getState()
+ * @return {void}
+ */
+DesignerHistory.setState = function (state) {
+    historyArray.length = 0;
+    state.history.forEach(function (entry) {
+        var obj = 'GroupBy';
+        if (entry.type === 'Where') {
+            obj = new DesignerHistory.Where(entry.obj.relationOperator, entry.obj.query);
+        } else if (entry.type === 'Having') {
+            obj = new DesignerHistory.Having(entry.obj.relationOperator, entry.obj.query, entry.obj.operator);
+        } else if (entry.type === 'Rename') {
+            obj = new DesignerHistory.Rename(entry.obj.renameTo);
+        } else if (entry.type === 'Aggregate') {
+            obj = new DesignerHistory.Aggregate(entry.obj.operator);
+        } else if (entry.type === 'OrderBy') {
+            obj = new DesignerHistory.OrderBy(entry.obj.order);
+        }
+        var historyObj = new DesignerHistory.HistoryObj(entry.column, obj, entry.table, entry.objNo, entry.type);
+        historyObj.setAndOr(entry.andOr);
+        historyArray.push(historyObj);
+    });
+    selectField.length = 0;
+    DesignerHistory.addArray(state.selectFields, selectField);
+    window.fromArray = state.fromTables.slice();
+
+    $('#container-form .select_all_1').each(function () {
+        var isChecked = selectField.includes('`' + $(this).attr('table_name') + '`.*');
+        $(this).prop('checked', isChecked);
+        $('#container-form input[id_check_all=\'' + $(this).attr('id') + '\']:checkbox').prop('disabled', isChecked);
+    });
+    $('#container-form .select_all_store_col').each(function () {
+        var field = '`' + $(this).attr('table_name') + '`.`' + $(this).attr('col_name') + '`';
+        $(this).prop('checked', selectField.includes(field));
+    });
+
+    document.getElementById('ab').innerHTML = DesignerHistory.display(0, historyArray.length);
+    $('#ab').accordion('refresh');
+};
+
+/**
+ * @return {string}
+ */
+DesignerHistory.getSavedQueriesKey = function () {
+    return 'designerQueries_' + window.CommonParams.get('server') + '_' + window.db;
+};
+
+/**
+ * Saved queries of the database, stored in the browser
+ *
+ * @return {object[]}
+ */
+DesignerHistory.loadSavedQueries = function () {
+    var queries = null;
+    try {
+        queries = JSON.parse(window.localStorage.getItem(DesignerHistory.getSavedQueriesKey()));
+    } catch (error) {
+        queries = null;
+    }
+    return Array.isArray(queries) ? queries : [];
+};
+
+/**
+ * @param {object[]} queries
+ * @return {void}
+ */
+DesignerHistory.storeSavedQueries = function (queries) {
+    window.localStorage.setItem(DesignerHistory.getSavedQueriesKey(), JSON.stringify(queries));
+};
+
+/**
+ * Saves the current query as a new version of a named query
+ *
+ * @param {string} name
+ * @return {void}
+ */
+DesignerHistory.saveQuery = function (name) {
+    var queries = DesignerHistory.loadSavedQueries();
+    var version = DesignerQueries.addVersion(
+        queries,
+        name,
+        DesignerHistory.getQuery(),
+        DesignerHistory.getState(),
+        new Date().toISOString()
+    );
+    if (version === null) {
+        Functions.ajaxShowMessage(window.Messages.strQueryUnchanged);
+        return;
+    }
+    DesignerHistory.storeSavedQueries(queries);
+    Functions.ajaxShowMessage(Functions.sprintf(window.Messages.strQuerySaved, name, version));
+};
+
+/**
+ * Adds a version of a saved query to the bookmarks
+ *
+ * @param {string} name
+ * @param {object} version
+ * @return {void}
+ */
+DesignerHistory.bookmarkQuery = function (name, version) {
+    $.post('index.php?route=/console/bookmark/add', {
+        'ajax_request': true,
+        'server': window.CommonParams.get('server'),
+        'db': window.db,
+        'label': name,
+        'bookmark_query': version.sql,
+        'shared': 'false'
+    }, function (data) {
+        if (typeof data !== 'undefined' && data.success === true && data.data !== undefined) {
+            Functions.ajaxShowMessage(window.Messages.strQueryBookmarked);
+        } else {
+            Functions.ajaxShowMessage(data.error || data.message, false);
+        }
+    });
+};
+
+/**
+ * @param {string} date ISO 8601 date
+ * @return {string}
+ */
+DesignerHistory.formatDate = function (date) {
+    return new Date(date).toLocaleString();
+};
+
+/**
+ * Lists the versions of a saved query, to load one of them or to compare two of them
+ *
+ * @param {string} name
+ * @return {void}
+ */
+DesignerHistory.showVersions = function (name) {
+    var query = DesignerQueries.get(DesignerHistory.loadSavedQueries(), name);
+    if (query === null) {
+        return;
+    }
+    var $form = $('<form id="designer_query_versions"></form>');
+    var $tbody = $('<tbody></tbody>');
+    query.versions.forEach(function (version, index) {
+        var isLast = index === query.versions.length - 1;
+        $('<tr></tr>')
+            .append($('<td></td>').text(Functions.sprintf(window.Messages.strVersion, index + 1)))
+            .append($('<td></td>').text(DesignerHistory.formatDate(version.date)))
+            .append($('<td></td>').append($('<input type="radio" name="diff_from" class="form-check-input">')
+                .val(index).prop('checked', index === query.versions.length - 2)))
+            .append($('<td></td>').append($('<input type="radio" name="diff_to" class="form-check-input">')
+                .val(index).prop('checked', isLast)))
+            .append($('<td></td>').append($('<a href="#" class="load_version"></a>')
+                .attr('data-index', index).text(window.Messages.strLoad)))
+            .appendTo($tbody);
+    });
+    $('<table class="table table-sm align-middle"></table>')
+        .append($('<thead></thead>').append($('<tr></tr>')
+            .append($('<th></th>').text(window.Messages.strVersions))
+            .append($('<th></th>').text(window.Messages.strDate))
+            .append($('<th></th>').text(window.Messages.strCompareFrom))
+            .append($('<th></th>').text(window.Messages.strCompareTo))
+            .append($('<th></th>'))))
+        .append($tbody)
+        .appendTo($form);
+    var $diff = $('<pre class="designer_query_diff border p-2" dir="ltr"></pre>').appendTo($form);
+
+    var showDiff = function () {
+        var from = query.versions[$form.find('[name="diff_from"]:checked').val()];
+        var to = query.versions[$form.find('[name="diff_to"]:checked').val()];
+        $diff.empty();
+        if (from === undefined || to === undefined) {
+            $diff.text(window.Messages.strSelectTwoVersions);
+            return;
+        }
+        DesignerQueries.diffLines(from.sql, to.sql).forEach(function (row) {
+            var prefix = { same: '  ', removed: '- ', added: '+ ' }[row.type];
+            var className = { same: '', removed: 'text-danger', added: 'text-success' }[row.type];
+            $diff.append($('<span class="d-block"></span>').addClass(className).text(prefix + row.line));
+        });
+    };
+    $form.on('change', 'input[type="radio"]', showDiff);
+    $form.on('click', '.load_version', function (event) {
+        event.preventDefault();
+        DesignerHistory.setState(query.versions[$(this).attr('data-index')].state);
+        $('#designerModalGoButton').off('click');
+        modal.modal('hide');
+        Functions.ajaxShowMessage(window.Messages.strQueryLoaded);
+    });
+    showDiff();
+
+    var modal = DesignerMove.displayModal($form, Functions.escapeHtml(name), '#designerGoModal');
+    $('#designerModalGoButton').off('click').on('click', function () {
+        $('#designerModalGoButton').off('click');// Unregister the event for other modals to not call this one
+        DesignerHistory.showSavedQueries();
+    });
+};
+
+/**
+ * Opens the dialog to save the current query and to load, bookmark or delete the saved ones
+ *
+ * @return {void}
+ */
+DesignerHistory.showSavedQueries = function () {
+    if (! window.Config.isStorageSupported('localStorage')) {
+        Functions.ajaxShowMessage(window.Messages.strSavedQueriesUnavailable, false);
+        return;
+    }
+    var queries = DesignerHistory.loadSavedQueries();
+    var $form = $('<form id="designer_saved_queries"></form>');
+    $('<div class="input-group mb-3"></div>')
+        .append($('<input type="text" name="query_name" class="form-control" required>')
+            .attr('placeholder', window.Messages.strQueryName)
+            .attr('aria-label', window.Messages.strQueryName))
+        .append($('<button type="submit" class="btn btn-secondary"></button>').text(window.Messages.strSaveQuery))
+        .appendTo($form);
+
+    if (queries.length === 0) {
+        $form.append($('<p></p>').text(window.Messages.strNoSavedQueries));
+    } else {
+        var $tbody = $('<tbody></tbody>');
+        queries.forEach(function (query) {
+            var last = query.versions[query.versions.length - 1];
+            $('<tr></tr>').attr('data-name', query.name)
+                .append($('<td></td>').text(query.name))
+                .append($('<td></td>').text(DesignerHistory.formatDate(last.date)))
+                .append($('<td></td>').append($('<a href="#" class="show_versions"></a>').text(query.versions.length)))
+                .append($('<td class="text-nowrap"></td>')
+                    .append($('<a href="#" class="load_query me-2"></a>').text(window.Messages.strLoad))
+                    .append($('<a href="#" class="bookmark_query me-2"></a>').text(window.Messages.strBookmarkQuery))
+                    .append($('<a href="#" class="delete_query"></a>').text(window.Messages.strDelete)))
+                .appendTo($tbody);
+        });
+        $('<table class="table table-sm align-middle"></table>')
+            .append($('<thead></thead>').append($('<tr></tr>')
+                .append($('<th></th>').text(window.Messages.strQueryName))
+                .append($('<th></th>').text(window.Messages.strLastSaved))
+                .append($('<th></th>').text(window.Messages.strVersions))
+                .append($('<th></th>'))))
+            .append($tbody)
+            .appendTo($form);
+    }
+
+    var getQuery = function (link) {
+        return DesignerQueries.get(DesignerHistory.loadSavedQueries(), $(link).closest('tr').attr('data-name'));
+    };
+    var close = function () {
+        $('#designerModalGoButton').off('click');
+        modal.modal('hide');
+    };
+    $form.on('submit', function (event) {
+        event.preventDefault();
+        var name = $form.find('[name="query_name"]').val().trim();
+        if (name === '') {
+            Functions.ajaxShowMessage(window.Messages.strQueryNameEmpty, false);
+            return;
+        }
+        DesignerHistory.saveQuery(name);
+        DesignerHistory.showSavedQueries();
+    });
+    $form.on('click', '.load_query', function (event) {
+        event.preventDefault();
+        var query = getQuery(this);
+        DesignerHistory.setState(query.versions[query.versions.length - 1].state);
+        close();
+        Functions.ajaxShowMessage(window.Messages.strQueryLoaded);
+    });
+    $form.on('click', '.bookmark_query', function (event) {
+        event.preventDefault();
+        var query = getQuery(this);
+        DesignerHistory.bookmarkQuery(query.name, query.versions[query.versions.length - 1]);
+    });
+    $form.on('click', '.show_versions', function (event) {
+        event.preventDefault();
+        $('#designerModalGoButton').off('click');
+        DesignerHistory.showVersions(getQuery(this).name);
+    });
+    $form.on('click', '.delete_query', function (event) {
+        event.preventDefault();
+        var name = getQuery(this).name;
+        if (! confirm(Functions.sprintf(window.Messages.strDeleteSavedQuery, name))) {
+            return;
+        }
+        DesignerHistory.storeSavedQueries(DesignerQueries.remove(DesignerHistory.loadSavedQueries(), name));
+        DesignerHistory.showSavedQueries();
+    });
+
+    var modal = DesignerMove.displayModal($form, window.Messages.strSavedQueries, '#designerGoModal');
+    $('#designerModalGoButton').off('click').on('click', function () {
+        $('#designerModalGoButton').off('click');// Unregister the event for other modals to not call this one
+        modal.modal('hide');
+    });
+};
+
 window.AJAX.registerTeardown('designer/history.js', function () {
     vqbEditor = null;
-    historyArray = [];
-    selectField = [];
+    historyArray.length = 0;
+    selectField.length = 0;
     $('#ok_edit_rename').off('click');
+    $('#savedQueries').off('click');
     $('#ok_edit_having').off('click');
     $('#ok_edit_Aggr').off('click');
     $('#ok_edit_where').off('click');
@@ -830,5 +1176,9 @@ window.AJAX.registerOnload('designer/history.js', function () {
     $('#ok_edit_where').on('click', function () {
         DesignerHistory.edit('Where');
     });
+    $('#savedQueries').on('click', function (event) {
+        event.preventDefault();
+        DesignerHistory.showSavedQueries();
+    });
     $('#ab').accordion({ collapsible : true, active : 'none' });
 });
@@ -39,6 +39,8 @@ window.AJAX.registerOnload('designer/init.js', function () {
                 DesignerPage.showTablesInLandingPage(window.db);
             }
         });
+    } else if ($('#syncPages').length > 0) {
+        DesignerPage.checkOfflinePages();
     }
 
     $('#query_Aggregate_Button').on('click', function () {
@@ -1,4 +1,6 @@
 import $ from 'jquery';
+import { DesignerExport } from '../modules/designer-export.js';
+import { DesignerLayout } from '../modules/designer-layout.js';
 
 /**
  * @package PhpMyAdmin-Designer
@@ -18,6 +20,9 @@ var alwaysShowText = false;
 
 window.AJAX.registerTeardown('designer/move.js', function () {
     $(document).off('fullscreenchange');
+    $(document).off('click', '#undoAutoLayout');
+    $(document).off('click', '#syncOfflinePages');
+    layoutHistory = [];
     $('#selflink').show();
 });
 
@@ -84,6 +89,10 @@ var layerMenuCurClick = 0;
 window.fromArray = [];
 var menuMoved = false;
 var gridSize = 10;
+// Shapes drawn on the canvas since the last clear, used by the diagram export
+var canvasShapes = [];
+// Table positions before each automatic layout, to undo them
+var layoutHistory = [];
 
 // ------------------------------------------------------------------------------
 
@@ -418,6 +427,7 @@ DesignerMove.reload = function () {
  * @param colorLine
  */
 DesignerMove.line = function (x1, y1, x2, y2, colorLine) {
+    canvasShapes.push({ type: 'line', x1: x1, y1: y1, x2: x2, y2: y2, color: colorLine });
     var canvas = document.getElementById('canvas');
     var ctx    = canvas.getContext('2d');
     ctx.strokeStyle = colorLine;
@@ -529,6 +539,7 @@ DesignerMove.line3 = function (x1, y1, x2, y2, colorLine) {
 };
 
 DesignerMove.circle = function (x, y, r, w, color) {
+    canvasShapes.push({ type: 'circle', x: x, y: y, r: r, width: w, color: color });
     var ctx = document.getElementById('canvas').getContext('2d');
     ctx.beginPath();
     ctx.moveTo(x, y);
@@ -539,12 +550,14 @@ DesignerMove.circle = function (x, y, r, w, color) {
 };
 
 DesignerMove.clear = function () {
+    canvasShapes = [];
     var canvas = document.getElementById('canvas');
     var ctx    = canvas.getContext('2d');
     ctx.clearRect(0, 0, canvasWidth, canvasHeight);
 };
 
 DesignerMove.rect = function (x1, y1, w, h, color) {
+    canvasShapes.push({ type: 'rect', x: x1, y: y1, width: w, height: h, color: color });
     var ctx = document.getElementById('canvas').getContext('2d');
     ctx.fillStyle = color;
     ctx.fillRect(x1, y1, w, h);
@@ -1131,7 +1144,12 @@ DesignerMove.exportPages = function () {
 
             var modal = DesignerMove.displayModal($form, window.Messages.strExportRelationalSchema, '#designerGoModal');
             $('#designerModalGoButton').on('click', function () {
-                $('#id_export_pages').trigger('submit');
+                var format = $formatDropDown.val();
+                if (format.indexOf('diagram_') === 0) {
+                    DesignerMove.exportDiagram(format.substring(8), parseFloat($('#diagram_png_scale').val()));
+                } else {
+                    $('#id_export_pages').trigger('submit');
+                }
                 $('#designerModalGoButton').off('click');// Unregister the event for other modals to not call this one
                 modal.modal('hide');
             });
@@ -1139,7 +1157,286 @@ DesignerMove.exportPages = function () {
     }); // end $.post()
 };
 
+/**
+ * Diagram of the tables shown on the designer canvas, in the format of DesignerExport
+ *
+ * @return {object}
+ */
+DesignerMove.getDiagram = function () {
+    // Make sure the recorded shapes match the current positions
+    DesignerMove.reload();
+
+    var canvasRect = document.getElementById('canvas').getBoundingClientRect();
+    var diagram = { width: 0, height: 0, tables: [], relations: [], shapes: canvasShapes.slice() };
+
+    $('.designer_tab').each(function () {
+        if (this.style.display === 'none') {
+            return;
+        }
+        var tableId = this.id;
+        var dbName = decodeURIComponent($(this).attr('db_url'));
+        var tableName = decodeURIComponent($(this).attr('table_name_url'));
+        var tableRect = this.getBoundingClientRect();
+        var isCollapsed = document.getElementById('id_hide_tbody_' + tableId).innerHTML !== 'v';
+        var table = {
+            id: tableId,
+            name: dbName === window.db ? tableName : dbName + '.' + tableName,
+            displayField: null,
+            x: tableRect.left - canvasRect.left,
+            y: tableRect.top - canvasRect.top,
+            width: tableRect.width,
+            height: tableRect.height,
+            headerHeight: this.tHead.getBoundingClientRect().height,
+            columns: []
+        };
+
+        $(this).children('tbody').children('tr').each(function () {
+            var cell = $(this).children('td').filter(function () {
+                return this.id.indexOf(tableId + '.') === 0;
+            }).get(0);
+            if (! cell) {
+                return;
+            }
+            var columnName = decodeURIComponent(cell.id.substring(tableId.length + 1));
+            var text = $(cell).text().trim();
+            var column = {
+                name: columnName,
+                type: text.substring(columnName.length).replace(/^\s*:\s*/, '')
+            };
+            if (! isCollapsed) {
+                var rowRect = this.getBoundingClientRect();
+                column.y = rowRect.top - canvasRect.top;
+                column.height = rowRect.height;
+            }
+            if ($(this).hasClass('tab_field_3')) {
+                table.displayField = columnName;
+            }
+            table.columns.push(column);
+        });
+
+        diagram.width = Math.max(diagram.width, table.x + table.width + 20);
+        diagram.height = Math.max(diagram.height, table.y + table.height + 20);
+        diagram.tables.push(table);
+    });
+
+    for (var K in window.contr) {
+        for (var key in window.contr[K]) {
+            for (var key2 in window.contr[K][key]) {
+                for (var key3 in window.contr[K][key][key2]) {
+                    diagram.relations.push({
+                        from: key2,
+                        fromColumn: decodeURIComponent(key3),
+                        to: window.contr[K][key][key2][key3][0],
+                        toColumn: decodeURIComponent(window.contr[K][key][key2][key3][1])
+                    });
+                }
+            }
+        }
+    }
+
+    return diagram;
+};
+
+/**
+ * Lets the browser download a file
+ *
+ * @param {Blob} blob
+ * @param {string} fileName
+ *
+ * @return {void}
+ */
+DesignerMove.downloadFile = function (blob, fileName) {
+    // eslint-disable-next-line compat/compat
+    var url = window.URL.createObjectURL(blob);
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function () {
+        // For some browsers it is necessary to delay revoking the ObjectURL
+        // eslint-disable-next-line compat/compat
+        window.URL.revokeObjectURL(url);
+    }, 100);
+};
+
+/**
+ * Exports the current designer canvas without going through the server
+ *
+ * @param {string} format svg, png, mermaid, plantuml or dbml
+ * @param {number} scale  scale of the PNG image
+ *
+ * @return {void}
+ */
+DesignerMove.exportDiagram = function (format, scale) {
+    var diagram = DesignerMove.getDiagram();
+    var fileName = window.db;
+
+    if (format === 'mermaid') {
+        DesignerMove.downloadFile(new Blob([DesignerExport.toMermaid(diagram)], { type: 'text/plain' }), fileName + '.mmd');
+        return;
+    }
+    if (format === 'plantuml') {
+        DesignerMove.downloadFile(new Blob([DesignerExport.toPlantUml(diagram)], { type: 'text/plain' }), fileName + '.puml');
+        return;
+    }
+    if (format === 'dbml') {
+        DesignerMove.downloadFile(new Blob([DesignerExport.toDbml(diagram)], { type: 'text/plain' }), fileName + '.dbml');
+        return;
+    }
+
+    var svg = DesignerExport.toSvg(diagram);
+    if (format === 'svg') {
+        DesignerMove.downloadFile(new Blob([svg], { type: 'image/svg+xml' }), fileName + '.svg');
+        return;
+    }
+
+    var pngScale = scale > 0 ? scale : 1;
+    var image = new Image();
+    image.onload = function () {
+        var canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(diagram.width * pngScale);
+        canvas.height = Math.ceil(diagram.height * pngScale);
+        var ctx = canvas.getContext('2d');
+        ctx.scale(pngScale, pngScale);
+        ctx.drawImage(image, 0, 0);
+        canvas.toBlob(function (blob) {
+            DesignerMove.downloadFile(blob, fileName + '.png');
+        }, 'image/png');
+    };
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+};
+
+// ------------------------------ AUTO LAYOUT ---------------------------------------
+/**
+ * Current positions of the tables shown on the page
+ *
+ * @return {object} positions by table id
+ */
+DesignerMove.getTablePositions = function () {
+    var positions = {};
+    for (var key in window.jTabs) {
+        if (document.getElementById('check_vis_' + key).checked) {
+            var table = document.getElementById(key);
+            positions[key] = {
+                x: parseInt(table.style[mainDirection], 10),
+                y: parseInt(table.style.top, 10)
+            };
+        }
+    }
+
+    return positions;
+};
+
+/**
+ * Moves the tables to the given positions
+ *
+ * @param {object} positions positions by table id
+ *
+ * @return {void}
+ */
+DesignerMove.setTablePositions = function (positions) {
+    for (var key in positions) {
+        var x = positions[key].x;
+        var y = positions[key].y;
+        if (onGrid) {
+            x = Math.round(x / gridSize) * gridSize;
+            y = Math.round(y / gridSize) * gridSize;
+        }
+        $(document.getElementById(key))
+            .css(mainDirection, x + 'px')
+            .css('top', y + 'px')
+            .attr('data-' + mainDirection, x)
+            .attr('data-top', y);
+    }
+    DesignerMove.reload();
+    DesignerMove.markUnsaved();
+};
+
+/**
+ * Arranges the tables shown on the page with one of the layouts of DesignerLayout
+ *
+ * @param {string} layout hierarchical, force or grid
+ *
+ * @return {void}
+ */
+DesignerMove.applyAutoLayout = function (layout) {
+    var tables = [];
+    var relations = [];
+    for (var key in window.jTabs) {
+        if (document.getElementById('check_vis_' + key).checked) {
+            var table = document.getElementById(key);
+            tables.push({
+                id: key,
+                name: decodeURIComponent($(table).attr('table_name_url')),
+                width: table.offsetWidth,
+                height: table.offsetHeight
+            });
+        }
+    }
+    for (var K in window.contr) {
+        for (var constraint in window.contr[K]) {
+            for (var tableId in window.contr[K][constraint]) {
+                for (var field in window.contr[K][constraint][tableId]) {
+                    relations.push({ from: tableId, to: window.contr[K][constraint][tableId][field][0] });
+                }
+            }
+        }
+    }
+    if (tables.length === 0) {
+        return;
+    }
+
+    layoutHistory.push(DesignerMove.getTablePositions());
+    DesignerMove.setTablePositions(DesignerLayout[layout](tables, relations));
+    Functions.ajaxShowMessage(
+        window.Messages.strAutoLayoutApplied + ' <a href="#" id="undoAutoLayout">' + window.Messages.strUndo + '</a>',
+        5000
+    );
+};
+
+/**
+ * Restores the positions of the tables before the last automatic layout
+ *
+ * @return {void}
+ */
+DesignerMove.undoAutoLayout = function () {
+    if (layoutHistory.length > 0) {
+        DesignerMove.setTablePositions(layoutHistory.pop());
+    }
+};
+
+DesignerMove.autoLayout = function () {
+    var $form = $('<form id="auto_layout"></form>')
+        .append('<label for="auto_layout_type">' + window.Messages.strLayout + '</label>')
+        .append($('<select id="auto_layout_type" class="form-select"></select>')
+            .append($('<option value="hierarchical"></option>').text(window.Messages.strAutoLayoutHierarchical))
+            .append($('<option value="force"></option>').text(window.Messages.strAutoLayoutForce))
+            .append($('<option value="grid"></option>').text(window.Messages.strAutoLayoutGrid)));
+    if (layoutHistory.length > 0) {
+        $form.append($('<button type="button" class="btn btn-secondary mt-2"></button>')
+            .text(window.Messages.strUndoAutoLayout)
+            .on('click', function () {
+                DesignerMove.undoAutoLayout();
+                $('#designerModalGoButton').off('click');
+                modal.modal('hide');
+            }));
+    }
+    var modal = DesignerMove.displayModal($form, window.Messages.strAutoLayout, '#designerGoModal');
+    $form.on('submit', function (e) {
+        e.preventDefault();
+        $('#designerModalGoButton').trigger('click');
+    });
+    $('#designerModalGoButton').on('click', function () {
+        DesignerMove.applyAutoLayout($('#auto_layout_type').val());
+        $('#designerModalGoButton').off('click');// Unregister the event for other modals to not call this one
+        modal.modal('hide');
+    });
+};
+
 DesignerMove.loadPage = function (page) {
+    layoutHistory = [];
     if (window.designerTablesEnabled) {
         var paramPage = '';
         var argsep = window.CommonParams.get('arg_separator');
@@ -2034,6 +2331,7 @@ window.AJAX.registerTeardown('designer/move.js', function () {
     $('#savePos').off('click');
     $('#SaveAs').off('click');
     $('#delPages').off('click');
+    $('#syncPages').off('click');
     $('#StartTableNew').off('click');
     $('#rel_button').off('click');
     $('#StartTableNew').off('click');
@@ -2041,6 +2339,7 @@ window.AJAX.registerTeardown('designer/move.js', function () {
     $('#reloadPage').off('click');
     $('#angular_direct_button').off('click');
     $('#grid_button').off('click');
+    $('#autoLayout').off('click');
     $('#key_SB_all').off('click');
     $('#SmallTabInvert').off('click');
     $('#relLineInvert').off('click');
@@ -2113,6 +2412,14 @@ window.AJAX.registerOnload('designer/move.js', function () {
         DesignerMove.deletePages();
         return false;
     });
+    $('#syncPages').on('click', function () {
+        DesignerPage.syncPages();
+        return false;
+    });
+    $(document).on('click', '#syncOfflinePages', function () {
+        DesignerPage.syncPages();
+        return false;
+    });
     $('#StartTableNew').on('click', function () {
         DesignerMove.startTableNew();
         return false;
@@ -2136,6 +2443,14 @@ window.AJAX.registerOnload('designer/move.js', function () {
         DesignerMove.grid();
         return false;
     });
+    $('#autoLayout').on('click', function () {
+        DesignerMove.autoLayout();
+        return false;
+    });
+    $(document).on('click', '#undoAutoLayout', function () {
+        DesignerMove.undoAutoLayout();
+        return false;
+    });
     $('#key_SB_all').on('click', function () {
         DesignerMove.smallTabAll(this);
         return false;
@@ -1,4 +1,5 @@
 import $ from 'jquery';
+import { DesignerSync } from '../modules/designer-sync.js';
 
 /* global DesignerOfflineDB */ // js/designer/database.js
 /* global DesignerMove */ // js/designer/move.js
@@ -177,3 +178,372 @@ DesignerPage.getRandom = function (max, min) {
     var val = Math.random() * (max - min) + min;
     return Math.floor(val);
 };
+
+// ------------------------------ SYNC PAGES ---------------------------------------
+/**
+ * Pages of a database saved in the browser, with the positions of their tables
+ *
+ * @param {string} db
+ * @param {Function} callback called with the pages
+ *
+ * @return {void}
+ */
+DesignerPage.loadOfflinePages = function (db, callback) {
+    DesignerOfflineDB.loadAllObjects('pdf_pages', function (allPages) {
+        var pages = allPages.filter(function (page) {
+            return page.dbName === db;
+        });
+        var result = [];
+        var addPage = function (page, tblCords) {
+            result.push({
+                pgNr: page.pgNr,
+                pageDescr: page.pageDescr,
+                tables: tblCords.filter(Boolean).map(function (tblCord) {
+                    return {
+                        dbName: decodeURIComponent(tblCord.dbName),
+                        tableName: decodeURIComponent(tblCord.tableName),
+                        x: parseInt(tblCord.x, 10),
+                        y: parseInt(tblCord.y, 10)
+                    };
+                })
+            });
+            if (result.length === pages.length) {
+                callback(result);
+            }
+        };
+
+        if (pages.length === 0) {
+            callback(result);
+        }
+        pages.forEach(function (page) {
+            if (page.tblCords.length === 0) {
+                addPage(page, []);
+            } else {
+                DesignerPage.loadPageObjects(page.pgNr, addPage);
+            }
+        });
+    });
+};
+
+/**
+ * Saves a page in the browser, replacing the page having the given id
+ *
+ * @param {string} db
+ * @param {object} page
+ * @param {number|null} pageId
+ * @param {Function} callback
+ *
+ * @return {void}
+ */
+DesignerPage.saveOfflinePage = function (db, page, pageId, callback) {
+    var tablePositions = page.tables.map(function (table) {
+        return new DesignerObjects.TableCoordinate(
+            DesignerSync.urlEncode(table.dbName),
+            DesignerSync.urlEncode(table.tableName),
+            -1,
+            table.x,
+            table.y
+        );
+    });
+    var save = function () {
+        DesignerPage.saveToNewPage(db, page.pageDescr, tablePositions, callback);
+    };
+
+    if (pageId === null) {
+        save();
+    } else {
+        DesignerPage.deletePage(pageId, save);
+    }
+};
+
+/**
+ * Pages of a database saved in the configuration storage
+ *
+ * @param {string} db
+ * @param {Function} callback called with the pages
+ *
+ * @return {void}
+ */
+DesignerPage.loadServerPages = function (db, callback) {
+    $.post('index.php?route=/database/designer', {
+        'ajax_request': true,
+        'server': window.server,
+        'db': db,
+        'operation': 'getPages'
+    }, function (data) {
+        if (data.success === false) {
+            Functions.ajaxShowMessage(data.error, false);
+        } else {
+            callback(data.pages);
+        }
+    });
+};
+
+/**
+ * Saves a page in the configuration storage, replacing the page having the given id
+ *
+ * @param {string} db
+ * @param {object} page
+ * @param {number|null} pageId
+ * @param {Function} callback called when the page is saved
+ *
+ * @return {void}
+ */
+DesignerPage.saveServerPage = function (db, page, pageId, callback) {
+    var params = {
+        'ajax_request': true,
+        'server': window.server,
+        'db': db,
+        'operation': 'savePage'
+    };
+    if (pageId === null) {
+        $.extend(params, { 'save_page': 'new', 'selected_value': page.pageDescr });
+    } else {
+        $.extend(params, { 'save_page': 'same', 'selected_page': pageId });
+    }
+    page.tables.forEach(function (table, index) {
+        params['t_x[' + index + ']'] = table.x;
+        params['t_y[' + index + ']'] = table.y;
+        params['t_v[' + index + ']'] = 1;
+        params['t_h[' + index + ']'] = 1;
+        params['t_db[' + index + ']'] = table.dbName;
+        params['t_tbl[' + index + ']'] = table.tableName;
+    });
+
+    $.post('index.php?route=/database/designer', params, function (data) {
+        if (data.success === false) {
+            Functions.ajaxShowMessage(data.error, false);
+        } else {
+            callback();
+        }
+    });
+};
+
+/**
+ * Imports the pages of a JSON file in the browser, replacing the pages having the same name
+ *
+ * @param {object[]} pages
+ * @param {object[]} localPages
+ * @param {Function} callback
+ *
+ * @return {void}
+ */
+DesignerPage.importPages = function (pages, localPages, callback) {
+    var remaining = pages.slice();
+    var next = function () {
+        if (remaining.length === 0) {
+            callback();
+            return;
+        }
+        var page = remaining.shift();
+        var existing = localPages.filter(function (localPage) {
+            return localPage.pageDescr === page.pageDescr;
+        });
+        DesignerPage.saveOfflinePage(window.db, page, existing.length > 0 ? existing[0].pgNr : null, next);
+    };
+    next();
+};
+
+/**
+ * Applies the actions chosen in the synchronization dialog, one page after the other
+ *
+ * @param {object[]} actions
+ *
+ * @return {void}
+ */
+DesignerPage.applySyncActions = function (actions) {
+    var reloadPage = false;
+    var next = function () {
+        if (actions.length === 0) {
+            Functions.ajaxShowMessage(window.Messages.strPagesSynchronized);
+            if (reloadPage) {
+                DesignerMove.loadPage(window.selectedPage);
+            }
+            return;
+        }
+        var item = actions.shift();
+        if (item.action === 'push') {
+            var serverId = item.comparison.server === null ? null : item.comparison.server.pgNr;
+            reloadPage = reloadPage || (window.designerTablesEnabled && serverId === window.selectedPage);
+            DesignerPage.saveServerPage(window.db, item.comparison.local, serverId, next);
+        } else {
+            var localId = item.comparison.local === null ? null : item.comparison.local.pgNr;
+            reloadPage = reloadPage || (! window.designerTablesEnabled && localId === window.selectedPage);
+            DesignerPage.saveOfflinePage(window.db, item.comparison.server, localId, next);
+        }
+    };
+    next();
+};
+
+/**
+ * @param {object} position
+ *
+ * @return {string}
+ */
+DesignerPage.formatSyncPosition = function (position) {
+    return position === null ? window.Messages.strSyncNotOnPage : position.x + ', ' + position.y;
+};
+
+/**
+ * Dialog comparing the pages of the browser with the pages of the configuration storage
+ *
+ * @param {object[]} localPages
+ * @param {object[]} serverPages
+ *
+ * @return {void}
+ */
+DesignerPage.showSyncDialog = function (localPages, serverPages) {
+    var comparisons = window.designerTablesEnabled ? DesignerSync.comparePages(localPages, serverPages) : [];
+    var $form = $('<form id="designer_sync"></form>');
+    var statuses = {
+        local: window.Messages.strSyncBrowserOnly,
+        server: window.Messages.strSyncServerOnly,
+        same: window.Messages.strSyncSame,
+        conflict: window.Messages.strSyncConflict
+    };
+    var actions = {
+        local: [['push', window.Messages.strSyncPush], ['skip', window.Messages.strSyncSkip]],
+        server: [['pull', window.Messages.strSyncPull], ['skip', window.Messages.strSyncSkip]],
+        same: [],
+        conflict: [
+            ['skip', window.Messages.strSyncSkip],
+            ['push', window.Messages.strSyncKeepBrowser],
+            ['pull', window.Messages.strSyncKeepServer]
+        ]
+    };
+
+    if (! window.designerTablesEnabled) {
+        $form.append($('<p></p>').text(window.Messages.strSyncStorageUnavailable));
+    } else if (comparisons.length === 0) {
+        $form.append($('<p></p>').text(window.Messages.strSyncNoPages));
+    } else {
+        var $tbody = $('<tbody></tbody>');
+        comparisons.forEach(function (comparison, index) {
+            var $select = $('<select class="form-select form-select-sm"></select>').attr('name', 'sync_action_' + index);
+            actions[comparison.status].forEach(function (action) {
+                $select.append($('<option></option>').val(action[0]).text(action[1]));
+            });
+            $('<tr></tr>')
+                .append($('<td></td>').text(comparison.name))
+                .append($('<td></td>').text(statuses[comparison.status]))
+                .append($('<td></td>').append(comparison.status === 'same' ? '' : $select))
+                .appendTo($tbody);
+
+            if (comparison.status === 'conflict') {
+                var $diff = $('<table class="table table-sm mb-0"></table>').append($('<tr></tr>')
+                    .append($('<th></th>').text(window.Messages.strSyncTable))
+                    .append($('<th></th>').text(window.Messages.strSyncBrowser))
+                    .append($('<th></th>').text(window.Messages.strSyncServer)));
+                comparison.diff.forEach(function (row) {
+                    $('<tr></tr>')
+                        .append($('<td></td>').text(row.table))
+                        .append($('<td></td>').text(DesignerPage.formatSyncPosition(row.local)))
+                        .append($('<td></td>').text(DesignerPage.formatSyncPosition(row.server)))
+                        .appendTo($diff);
+                });
+                $('<tr class="sync_diff"></tr>')
+                    .append($('<td colspan="3"></td>').append($diff))
+                    .appendTo($tbody);
+            }
+        });
+        $('<table class="table table-sm align-middle"></table>')
+            .append($('<thead></thead>').append($('<tr></tr>')
+                .append($('<th></th>').text(window.Messages.strPageName))
+                .append($('<th></th>').text(window.Messages.strSyncStatus))
+                .append($('<th></th>').text(window.Messages.strSyncAction))))
+            .append($tbody)
+            .appendTo($form);
+    }
+
+    var $export = $('<button type="button" class="btn btn-secondary"></button>')
+        .text(window.Messages.strExportPagesJson)
+        .on('click', function () {
+            var pages = window.designerTablesEnabled ? serverPages : localPages;
+            DesignerMove.downloadFile(
+                new Blob([DesignerSync.toJson(window.db, pages)], { type: 'application/json' }),
+                window.db + '-designer-pages.json'
+            );
+        });
+    var $import = $('<input type="file" id="designer_sync_import" class="form-control" accept=".json,application/json">')
+        .on('change', function () {
+            var file = this.files[0];
+            if (! file) {
+                return;
+            }
+            var reader = new FileReader();
+            reader.onload = function () {
+                var pages = DesignerSync.fromJson(reader.result);
+                if (pages === null) {
+                    Functions.ajaxShowMessage(window.Messages.strInvalidPagesFile, false);
+                    return;
+                }
+                DesignerPage.importPages(pages, localPages, function () {
+                    Functions.ajaxShowMessage(Functions.sprintf(window.Messages.strPagesImported, pages.length));
+                    DesignerPage.syncPages();
+                });
+            };
+            reader.readAsText(file);
+        });
+    $('<div class="mt-3"></div>')
+        .append($export)
+        .append($('<label for="designer_sync_import" class="form-label mt-3"></label>').text(window.Messages.strImportPagesJson))
+        .append($import)
+        .appendTo($form);
+
+    var modal = DesignerMove.displayModal($form, window.Messages.strSyncPages, '#designerGoModal');
+    $('#designerModalGoButton').off('click').on('click', function () {
+        var chosen = [];
+        comparisons.forEach(function (comparison, index) {
+            var action = $form.find('[name="sync_action_' + index + '"]').val();
+            if (action === 'push' || action === 'pull') {
+                chosen.push({ comparison: comparison, action: action });
+            }
+        });
+        $('#designerModalGoButton').off('click');// Unregister the event for other modals to not call this one
+        modal.modal('hide');
+        if (chosen.length > 0) {
+            DesignerPage.applySyncActions(chosen);
+        }
+    });
+};
+
+/**
+ * Opens the dialog synchronizing the pages of the browser and of the configuration storage
+ *
+ * @return {void}
+ */
+DesignerPage.syncPages = function () {
+    DesignerOfflineDB.open(function () {
+        DesignerPage.loadOfflinePages(window.db, function (localPages) {
+            if (! window.designerTablesEnabled) {
+                DesignerPage.showSyncDialog(localPages, []);
+                return;
+            }
+            DesignerPage.loadServerPages(window.db, function (serverPages) {
+                DesignerPage.showSyncDialog(localPages, serverPages);
+            });
+        });
+    });
+};
+
+/**
+ * Tells the user when pages saved in the browser can be synchronized with the configuration storage
+ *
+ * @return {void}
+ */
+DesignerPage.checkOfflinePages = function () {
+    if (! window.indexedDB) {
+        return;
+    }
+    DesignerOfflineDB.open(function () {
+        DesignerPage.loadOfflinePages(window.db, function (localPages) {
+            if (localPages.length > 0) {
+                Functions.ajaxShowMessage(
+                    window.Messages.strOfflinePagesFound + ' <a href="#" id="syncOfflinePages">' +
+                    window.Messages.strSyncPages + '</a>',
+                    10000
+                );
+            }
+        });
+    }, true);
+};
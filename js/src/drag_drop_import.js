@@ -1,4 +1,8 @@
 import $ from 'jquery';
+import { ChunkedUpload } from './modules/chunked-upload.js';
+import { ImportPreview } from './modules/import-preview.js';
+
+/* global Navigation */
 
 /* This script handles PMA Drag Drop Import, loaded only when configuration is enabled.*/
 
@@ -27,6 +31,22 @@ var DragDropImport = {
      * @var {object[]}, array to store message returned by /import-status
      */
     importStatus: [],
+    /**
+     * @var {object[]}, dropped CSV, JSON and XLSX files waiting for their preview
+     */
+    previewQueue: [],
+    /**
+     * @var {object|null}, file shown in the preview dialog, with its rows
+     */
+    preview: null,
+    /**
+     * @var {number}, number of rows shown in the preview dialog
+     */
+    previewRowCount: 10,
+    /**
+     * @var {number}, size of the beginning of a CSV file read for its preview, in bytes
+     */
+    previewSize: 64 * 1024,
     /**
      * Checks if any dropped file has valid extension or not
      *
@@ -106,9 +126,23 @@ var DragDropImport = {
             }
         });
 
+        DragDropImport.showCancelLink(hash, function () {
+            jqXHR.abort();
+        });
+    },
+    /**
+     * Provides a link to cancel an upload, which shows the result of the import once finished
+     *
+     * @param {string} hash hash of the upload
+     * @param {Function} abort stops the upload
+     * @param {string} links HTML of other links to show before
+     *
+     * @return {void}
+     */
+    showCancelLink: function (hash, abort, links) {
         // -- provide link to cancel the upload
         $('.pma_sql_import_status div li[data-hash="' + hash +
-            '"] span.filesize').html('<span hash="' +
+            '"] span.filesize').html((links || '') + '<span hash="' +
             hash + '" class="pma_drop_file_status" task="cancel">' +
             window.Messages.dropImportMessageCancel + '</span>');
 
@@ -117,7 +151,7 @@ var DragDropImport = {
             '"] span.filesize span.pma_drop_file_status')
             .on('click', function () {
                 if ($(this).attr('task') === 'cancel') {
-                    jqXHR.abort();
+                    abort();
                     $(this).html('<span>' + window.Messages.dropImportMessageAborted + '</span>');
                     DragDropImport.importFinished(hash, true, false);
                 } else if ($(this).children('span').html() ===
@@ -232,6 +266,7 @@ var DragDropImport = {
     importFinished: function (hash, aborted, status) {
         $('.pma_sql_import_status div li[data-hash="' + hash + '"]')
             .children('progress').hide();
+        $('.pma_sql_import_status div li[data-hash="' + hash + '"] span.pma_drop_file_chunk').remove();
         var icon = 'icon ic_s_success';
         // -- provide link to view upload status
         if (!aborted) {
@@ -264,6 +299,493 @@ var DragDropImport = {
             $('.pma_sql_import_status h2 .close').fadeIn();
         }
     },
+    /**
+     * Adds a file to the list of uploads
+     *
+     * @param {string} fileName
+     * @param {number} size size of the file, in bytes
+     * @param {boolean} isValid whether the file can be imported
+     *
+     * @return {string} hash of the upload
+     */
+    addUpload: function (fileName, size, isValid) {
+        var hash = window.AJAX.hash(++DragDropImport.uploadCount);
+
+        $('.pma_sql_import_status').slideDown();
+        var $sqlImportStatusDiv = $('.pma_sql_import_status div');
+        $sqlImportStatusDiv.append('<li data-hash="' + hash + '">' +
+            (isValid ? '' : '<img src="./themes/dot.gif" title="invalid format" class="icon ic_s_notice"> ') +
+            Functions.escapeHtml(fileName) + '<span class="filesize" data-filename="' +
+            Functions.escapeHtml(fileName) + '">' + (size / 1024).toFixed(2) +
+            ' kb</span></li>');
+
+        // scroll the UI to bottom
+        $sqlImportStatusDiv.scrollTop(
+            $sqlImportStatusDiv.scrollTop() + 50
+        );  // 50 hardcoded for now
+
+        return hash;
+    },
+    /**
+     * Starts the upload of a file to the import
+     *
+     * @param {Blob} file content of the file
+     * @param {string} fileName
+     * @param {string} hash hash of the upload, from addUpload()
+     * @param {object} fields import options, with the import type and the format
+     *
+     * @return {void}
+     */
+    uploadFile: function (file, fileName, hash, fields) {
+        // Increment liveUploadCount by one
+        $('.pma_import_count').html(++DragDropImport.liveUploadCount);
+        $('.pma_sql_import_status h2 .close').fadeOut();
+
+        $('.pma_sql_import_status div li[data-hash="' + hash + '"]')
+            .append('<br><progress max="100" value="2"></progress>');
+
+        var fd = new FormData();
+        fd.append('noplugin', Math.random().toString(36).substring(2, 12));
+        fd.append('db', window.CommonParams.get('db'));
+        fd.append('server', window.CommonParams.get('server'));
+        fd.append('token', window.CommonParams.get('token'));
+        fd.append('MAX_FILE_SIZE', window.CommonParams.get('max_upload_size'));
+        // todo: method to find the value below
+        fd.append('allow_interrupt', 'yes');
+        fd.append('ajax_request','true');
+        fd.append('hash', hash);
+        $.each($.extend({ 'skip_queries': '0' }, fields), function (name, value) {
+            fd.append(name, value);
+        });
+
+        // large files are uploaded in chunks, so that the upload can be resumed
+        if (ChunkedUpload.isNeeded(file)) {
+            DragDropImport.sendFileInChunks(file, fileName, fd, hash);
+
+            return;
+        }
+
+        // init uploading
+        fd.append('import_file', file, fileName);
+        DragDropImport.sendFileToServer(fd, hash);
+    },
+    /**
+     * Uploads a file in chunks with a link to pause and resume the upload, then imports it
+     *
+     * @param {Blob} file content of the file
+     * @param {string} fileName
+     * @param {FormData} formData import options, without the file
+     * @param {string} hash hash of the upload
+     *
+     * @return {void}
+     */
+    sendFileInChunks: function (file, fileName, formData, hash) {
+        var $item = $('.pma_sql_import_status div li[data-hash="' + hash + '"]');
+        var upload = ChunkedUpload.start(file, {
+            onProgress: function (loaded, total) {
+                DragDropImport.setProgress(hash, Math.floor(loaded / total * 100));
+            },
+            onPause: function () {
+                $item.find('span.pma_drop_file_chunk')
+                    .attr('task', 'resume')
+                    .html(window.Messages.dropImportMessageResume);
+            },
+            onComplete: function (uploadId) {
+                formData.append('chunked_upload_id', uploadId);
+                formData.append('import_file_name', fileName);
+                DragDropImport.sendFileToServer(formData, hash);
+            },
+            onError: function (message) {
+                DragDropImport.importStatus[DragDropImport.importStatus.length] = {
+                    hash: hash,
+                    message: message
+                };
+                DragDropImport.importFinished(hash, false, false);
+            }
+        });
+
+        DragDropImport.showCancelLink(hash, function () {
+            upload.cancel();
+        }, '<span class="pma_drop_file_chunk" task="pause">' + window.Messages.dropImportMessagePause + '</span> ');
+
+        $item.find('span.pma_drop_file_chunk').on('click', function () {
+            if ($(this).attr('task') === 'pause') {
+                upload.pause();
+            } else {
+                $(this).attr('task', 'pause').html(window.Messages.dropImportMessagePause);
+                upload.resume();
+            }
+        });
+    },
+    /**
+     * Reads the rows of a dropped JSON or XLSX file, or the beginning of a CSV file
+     *
+     * @param {File} file
+     * @param {string} format 'csv', 'json' or 'xlsx'
+     * @param {Function} callback called with the content of the file, or with null when it can not be read
+     *
+     * @return {void}
+     */
+    readPreviewFile: function (file, format, callback) {
+        var reader = new FileReader();
+        reader.onerror = function () {
+            callback(null);
+        };
+        reader.onload = function () {
+            var bytes = new Uint8Array(reader.result);
+            if (format === 'csv') {
+                callback({ bytes: bytes, header: null, rows: null });
+                return;
+            }
+            if (format === 'json') {
+                var data = ImportPreview.parseJson(new TextDecoder('utf-8').decode(bytes));
+                callback(data === null ? null : { bytes: bytes, header: data.header, rows: data.rows });
+                return;
+            }
+
+            var entries = null;
+            try {
+                entries = ImportPreview.readZip(bytes);
+            } catch (error) {
+                entries = null;
+            }
+            var sheet = entries === null ? null : ImportPreview.getFirstSheet(entries);
+            if (sheet === null) {
+                callback(null);
+                return;
+            }
+            DragDropImport.inflate(entries[sheet], function (sheetXml) {
+                DragDropImport.inflate(entries['xl/sharedStrings.xml'], function (sharedStringsXml) {
+                    if (sheetXml === null) {
+                        callback(null);
+                        return;
+                    }
+                    callback({ bytes: bytes, header: null, rows: ImportPreview.parseXlsx(sharedStringsXml, sheetXml) });
+                });
+            });
+        };
+        reader.readAsArrayBuffer(format === 'csv' ? file.slice(0, DragDropImport.previewSize) : file);
+    },
+    /**
+     * Decompresses an entry of a ZIP archive, stored or deflated
+     *
+     * @param {object|undefined} entry from ImportPreview.readZip()
+     * @param {Function} callback called with the text of the entry, or with null
+     *
+     * @return {void}
+     */
+    inflate: function (entry, callback) {
+        if (entry === undefined) {
+            callback(null);
+            return;
+        }
+        if (entry.method === 0) {
+            callback(new TextDecoder('utf-8').decode(entry.data));
+            return;
+        }
+        if (entry.method !== 8 || typeof window.DecompressionStream === 'undefined') {
+            callback(null);
+            return;
+        }
+        var stream;
+        try {
+            // eslint-disable-next-line compat/compat
+            stream = new Blob([entry.data]).stream().pipeThrough(new window.DecompressionStream('deflate-raw'));
+        } catch (error) {
+            // older browsers have DecompressionStream without the deflate-raw format
+            callback(null);
+            return;
+        }
+        // eslint-disable-next-line compat/compat
+        new Response(stream).text().then(callback, function () {
+            callback(null);
+        });
+    },
+    /**
+     * Opens the preview dialog for the next dropped CSV, JSON or XLSX file
+     *
+     * @return {void}
+     */
+    showNextPreview: function () {
+        var item = DragDropImport.previewQueue.shift();
+        if (item === undefined) {
+            return;
+        }
+
+        DragDropImport.readPreviewFile(item.file, item.format, function (content) {
+            if (content === null) {
+                Functions.ajaxShowMessage(
+                    Functions.sprintf(window.Messages.dropImportUnreadableFile, Functions.escapeHtml(item.file.name)),
+                    false,
+                    'error'
+                );
+                DragDropImport.showNextPreview();
+                return;
+            }
+
+            var table = window.CommonParams.get('table');
+            DragDropImport.preview = {
+                file: item.file,
+                format: item.format,
+                bytes: content.bytes,
+                isPartial: item.format === 'csv' && item.file.size > DragDropImport.previewSize,
+                fixedHeader: content.header,
+                rows: content.rows,
+                tableColumns: []
+            };
+
+            $('#dropImportFileName').text(item.file.name);
+            $('.drop-import-text-option').toggle(item.format === 'csv');
+            $('#dropImportEncoding').val('utf-8');
+            if (item.format === 'csv') {
+                var text = new TextDecoder('utf-8').decode(content.bytes);
+                var delimiter = ImportPreview.detectDelimiter(text);
+                $('#dropImportDelimiter').val(delimiter === '\t' ? 'tab' : delimiter);
+                DragDropImport.parsePreviewFile();
+            }
+            $('#dropImportHeader')
+                .prop('checked', content.header !== null || ImportPreview.hasHeader(DragDropImport.preview.rows))
+                .prop('disabled', content.header !== null);
+            $('#dropImportNewTable').val(item.file.name.replace(/\.[^.]*$/, ''));
+            $('#dropImportTableName').text(table);
+            $('#dropImportTargetTableOption').toggle(table !== '');
+            $('#' + (table !== '' ? 'dropImportTargetTable' : 'dropImportTargetNew')).prop('checked', true);
+            DragDropImport.showPreview();
+            $('#dropImportPreviewModal').modal('show');
+
+            if (table === '') {
+                return;
+            }
+            $.post('index.php?route=/database/sql/autocomplete', {
+                'ajax_request': true,
+                'server': window.CommonParams.get('server'),
+                'db': window.CommonParams.get('db'),
+                'no_debug': true
+            }, function (data) {
+                if (data.success && data.tables && data.tables[table] && DragDropImport.preview !== null) {
+                    DragDropImport.preview.tableColumns = Object.keys(data.tables[table]);
+                    DragDropImport.showPreview();
+                }
+            });
+        });
+    },
+    /**
+     * Parses the previewed CSV file with the chosen delimiter and encoding
+     *
+     * @return {void}
+     */
+    parsePreviewFile: function () {
+        var preview = DragDropImport.preview;
+        var delimiter = $('#dropImportDelimiter').val();
+        var text = new TextDecoder($('#dropImportEncoding').val()).decode(preview.bytes);
+        preview.rows = ImportPreview.parseCsv(text, delimiter === 'tab' ? '\t' : delimiter);
+        // the last row of the beginning of the file may be cut
+        if (preview.isPartial) {
+            preview.rows.pop();
+        }
+    },
+    /**
+     * Column names and rows of the previewed file, with the chosen options
+     *
+     * @return {object} { header, rows }
+     */
+    getPreviewData: function () {
+        var preview = DragDropImport.preview;
+        if (preview.fixedHeader !== null) {
+            return { header: preview.fixedHeader, rows: preview.rows };
+        }
+        if ($('#dropImportHeader').prop('checked') && preview.rows.length > 0) {
+            return { header: preview.rows[0], rows: preview.rows.slice(1) };
+        }
+
+        return { header: null, rows: preview.rows };
+    },
+    /**
+     * Shows the columns of the previewed file, mapped to the columns of the table or to new ones,
+     * and its first rows
+     *
+     * @return {void}
+     */
+    showPreview: function () {
+        var preview = DragDropImport.preview;
+        var data = DragDropImport.getPreviewData();
+        var columns = ImportPreview.getColumns(data.header, data.rows);
+        var isNewTable = $('#dropImportTargetNew').prop('checked');
+
+        var $header = $('<tr></tr>')
+            .append($('<th></th>').text(window.Messages.dropImportFileColumn))
+            .append($('<th></th>').text(window.Messages.dropImportSample));
+        if (isNewTable) {
+            $header
+                .append($('<th></th>').text(window.Messages.dropImportColumnName))
+                .append($('<th></th>').text(window.Messages.dropImportColumnType));
+        } else {
+            $header.append($('<th></th>').text(window.Messages.dropImportTableColumn));
+        }
+        var $body = $('<tbody></tbody>');
+        columns.forEach(function (column, index) {
+            var samples = [];
+            for (var i = 0; i < data.rows.length && samples.length < 3; i++) {
+                if (data.rows[i][index] !== null && data.rows[i][index] !== undefined && data.rows[i][index] !== '') {
+                    samples.push(data.rows[i][index]);
+                }
+            }
+            var $row = $('<tr></tr>')
+                .append($('<td></td>').text(column.name))
+                .append($('<td class="text-truncate drop-import-sample"></td>').text(samples.join(', ')));
+            if (isNewTable) {
+                $row
+                    .append($('<td></td>').append($('<div class="input-group input-group-sm"></div>')
+                        .append($('<div class="input-group-text"></div>')
+                            .append('<input class="form-check-input mt-0 drop-import-include" type="checkbox" checked>'))
+                        .append($('<input type="text" class="form-control drop-import-name">').val(column.name))))
+                    .append($('<td></td>')
+                        .append($('<input type="text" class="form-control form-control-sm drop-import-type">').val(column.type)));
+            } else {
+                var $select = $('<select class="form-select form-select-sm drop-import-target"></select>')
+                    .append($('<option value=""></option>').text(window.Messages.dropImportSkipColumn));
+                var mapped = '';
+                preview.tableColumns.forEach(function (tableColumn, tableIndex) {
+                    $select.append($('<option></option>').val(tableColumn).text(tableColumn));
+                    if (data.header !== null ? tableColumn.toLowerCase() === column.name.toLowerCase() : tableIndex === index) {
+                        mapped = tableColumn;
+                    }
+                });
+                $row.append($('<td></td>').append($select.val(mapped)));
+            }
+            $body.append($row);
+        });
+        $('#dropImportColumns').empty().append($('<thead></thead>').append($header)).append($body);
+
+        var $rows = $('<tbody></tbody>');
+        data.rows.slice(0, DragDropImport.previewRowCount).forEach(function (row) {
+            var $row = $('<tr></tr>');
+            columns.forEach(function (column, index) {
+                var value = row[index] === undefined ? null : row[index];
+                $row.append(value === null ? $('<td><em>NULL</em></td>') : $('<td></td>').text(value));
+            });
+            $rows.append($row);
+        });
+        var $names = $('<tr></tr>');
+        columns.forEach(function (column) {
+            $names.append($('<th></th>').text(column.name));
+        });
+        $('#dropImportRows').empty().append($('<thead></thead>').append($names)).append($rows);
+        $('#dropImportRowCount').text(Functions.sprintf(
+            preview.isPartial ? window.Messages.dropImportPartialRowCount : window.Messages.dropImportRowCount,
+            data.rows.length
+        ));
+    },
+    /**
+     * Uploads the previewed file into the table or into a new one, with the chosen columns:
+     * CSV files as they are with the chosen options, JSON and XLSX files converted to CSV
+     *
+     * @return {void}
+     */
+    importPreview: function () {
+        var preview = DragDropImport.preview;
+        var data = DragDropImport.getPreviewData();
+        var isNewTable = $('#dropImportTargetNew').prop('checked');
+        var indexes = [];
+        var names = [];
+        // names of the imported columns for each column of the file, empty for the skipped ones
+        var fileColumns = [];
+        var definitions = [];
+        $('#dropImportColumns tbody tr').each(function (index) {
+            var name = '';
+            if (isNewTable && $(this).find('.drop-import-include').prop('checked')) {
+                name = $(this).find('.drop-import-name').val().trim();
+                indexes.push(index);
+                names.push(name);
+                definitions.push('`' + name.replace(/`/g, '``') + '` ' + $(this).find('.drop-import-type').val().trim());
+            } else if (! isNewTable && $(this).find('.drop-import-target').val()) {
+                name = $(this).find('.drop-import-target').val();
+                indexes.push(index);
+                names.push(name);
+            }
+            fileColumns.push(name);
+        });
+
+        var newTable = $('#dropImportNewTable').val().trim();
+        var error = null;
+        if (indexes.length === 0) {
+            error = window.Messages.dropImportNoColumn;
+        } else if (isNewTable && newTable === '') {
+            error = window.Messages.dropImportNoTableName;
+        } else if (names.indexOf('') !== -1) {
+            error = window.Messages.dropImportNoColumnName;
+        } else {
+            var duplicate = names.find(function (name, index) {
+                return names.indexOf(name) !== index;
+            });
+            if (duplicate !== undefined) {
+                error = Functions.sprintf(window.Messages.dropImportDuplicateColumn, Functions.escapeHtml(duplicate));
+            }
+        }
+        if (error !== null) {
+            Functions.ajaxShowMessage(error, false, 'error');
+            return;
+        }
+
+        var emptyIsNull = $('#dropImportEmptyIsNull').prop('checked');
+        var fields = {
+            'import_type': 'table',
+            'format': 'csv',
+            'csv_enclosed': '"',
+            'csv_escaped': '"',
+            'csv_new_line': 'auto'
+        };
+        var file = preview.file;
+        var fileName = preview.file.name;
+        if (preview.format === 'csv') {
+            var delimiter = $('#dropImportDelimiter').val();
+            $.extend(fields, {
+                'charset_of_file': $('#dropImportEncoding').val(),
+                'csv_terminated': delimiter === 'tab' ? '\\t' : delimiter,
+                'csv_columns': fileColumns.join(','),
+                'skip_queries': data.header !== null ? '1' : '0'
+            });
+            if (emptyIsNull) {
+                $.extend(fields, { 'csv_empty_is_null': 'something' });
+            }
+        } else {
+            file = new Blob([ImportPreview.toCsv(data.rows, indexes, emptyIsNull)], { type: 'text/csv' });
+            fileName = fileName.replace(/\.[^.]*$/, '') + '.csv';
+            $.extend(fields, {
+                'charset_of_file': 'utf-8',
+                'csv_terminated': ',',
+                'csv_columns': names.join(',')
+            });
+        }
+        var upload = function (table) {
+            var hash = DragDropImport.addUpload(fileName, file.size, true);
+            DragDropImport.uploadFile(file, fileName, hash, $.extend({ 'table': table }, fields));
+        };
+        $('#dropImportPreviewModal').modal('hide');
+        if (! isNewTable) {
+            upload(window.CommonParams.get('table'));
+            return;
+        }
+
+        var $msg = Functions.ajaxShowMessage();
+        $.post('index.php?route=/sql', {
+            'ajax_request': true,
+            'server': window.CommonParams.get('server'),
+            'db': window.CommonParams.get('db'),
+            'sql_query': 'CREATE TABLE `' + newTable.replace(/`/g, '``') + '` (\n    ' + definitions.join(',\n    ') + '\n);',
+            'is_js_confirmed': 1
+        }, function (response) {
+            if (typeof response === 'undefined' || response.success !== true) {
+                Functions.ajaxShowMessage(response.error, false);
+                return;
+            }
+            Functions.ajaxRemoveMessage($msg);
+            upload(newTable);
+            if (typeof Navigation !== 'undefined') {
+                Navigation.reload();
+            }
+        });
+    },
     /**
      * Triggered when dragged objects are dropped to UI
      * From this function, the AJAX Upload operation is initiated
@@ -280,7 +802,6 @@ var DragDropImport = {
         }
 
         var dbname = window.CommonParams.get('db');
-        var server = window.CommonParams.get('server');
 
         // if no database is selected -- no
         if (dbname !== '') {
@@ -292,58 +813,31 @@ var DragDropImport = {
                 event.preventDefault();
                 return;
             }
-            $('.pma_sql_import_status').slideDown();
             for (var i = 0; i < files.length; i++) {
-                var ext  = (DragDropImport.getExtension(files[i].name));
-                var hash = window.AJAX.hash(++DragDropImport.uploadCount);
-
-                var $sqlImportStatusDiv = $('.pma_sql_import_status div');
-                $sqlImportStatusDiv.append('<li data-hash="' + hash + '">' +
-                    ((ext !== '') ? '' : '<img src="./themes/dot.gif" title="invalid format" class="icon ic_s_notice"> ') +
-                    Functions.escapeHtml(files[i].name) + '<span class="filesize" data-filename="' +
-                    Functions.escapeHtml(files[i].name) + '">' + (files[i].size / 1024).toFixed(2) +
-                    ' kb</span></li>');
-
-                // scroll the UI to bottom
-                $sqlImportStatusDiv.scrollTop(
-                    $sqlImportStatusDiv.scrollTop() + 50
-                );  // 50 hardcoded for now
+                var format = ImportPreview.getFormat(files[i].name);
+                if (format !== null) {
+                    DragDropImport.previewQueue.push({ file: files[i], format: format });
+                    continue;
+                }
 
+                var ext  = (DragDropImport.getExtension(files[i].name));
+                var hash = DragDropImport.addUpload(files[i].name, files[i].size, ext !== '');
                 if (ext !== '') {
-                    // Increment liveUploadCount by one
-                    $('.pma_import_count').html(++DragDropImport.liveUploadCount);
-                    $('.pma_sql_import_status h2 .close').fadeOut();
-
-                    $('.pma_sql_import_status div li[data-hash="' + hash + '"]')
-                        .append('<br><progress max="100" value="2"></progress>');
-
                     // uploading
-                    var fd = new FormData();
-                    fd.append('import_file', files[i]);
-                    fd.append('noplugin', Math.random().toString(36).substring(2, 12));
-                    fd.append('db', dbname);
-                    fd.append('server', server);
-                    fd.append('token', window.CommonParams.get('token'));
-                    fd.append('import_type', 'database');
-                    // todo: method to find the value below
-                    fd.append('MAX_FILE_SIZE', '4194304');
-                    // todo: method to find the value below
-                    fd.append('charset_of_file','utf-8');
-                    // todo: method to find the value below
-                    fd.append('allow_interrupt', 'yes');
-                    fd.append('skip_queries', '0');
-                    fd.append('format',ext);
-                    fd.append('sql_compatibility','NONE');
-                    fd.append('sql_no_auto_value_on_zero','something');
-                    fd.append('ajax_request','true');
-                    fd.append('hash', hash);
-
-                    // init uploading
-                    DragDropImport.sendFileToServer(fd, hash);
+                    DragDropImport.uploadFile(files[i], files[i].name, hash, {
+                        'import_type': 'database',
+                        'charset_of_file': 'utf-8',
+                        'format': ext,
+                        'sql_compatibility': 'NONE',
+                        'sql_no_auto_value_on_zero': 'something'
+                    });
                 } else if (!DragDropImport.liveUploadCount) {
                     $('.pma_sql_import_status h2 .close').fadeIn();
                 }
             }
+            if (! $('#dropImportPreviewModal').hasClass('show')) {
+                DragDropImport.showNextPreview();
+            }
         }
         $('.pma_drop_handler').fadeOut();
         event.stopPropagation();
@@ -385,6 +879,20 @@ $(document).on('click', '.pma_sql_import_status h2 .close', function () {
     });
 });
 
+// options of the preview of the dropped CSV, JSON and XLSX files
+$(document).on('change', '#dropImportDelimiter, #dropImportEncoding', function () {
+    DragDropImport.parsePreviewFile();
+    DragDropImport.showPreview();
+});
+$(document).on('change', '#dropImportHeader, input[name="drop_import_target"]', function () {
+    DragDropImport.showPreview();
+});
+$(document).on('click', '#dropImportPreviewGo', DragDropImport.importPreview);
+$(document).on('hidden.bs.modal', '#dropImportPreviewModal', function () {
+    DragDropImport.preview = null;
+    DragDropImport.showNextPreview();
+});
+
 // Closing the import result box
 $(document).on('click', '.pma_drop_result h2 .close', function () {
     $(this).parent('h2').parent('div').remove();
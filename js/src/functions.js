@@ -1,5 +1,7 @@
 import $ from 'jquery';
 import { mysqlDocKeyword, mysqlDocBuiltin } from './modules/doc-links.js';
+import { SqlFormatter } from './modules/sql-formatter.js';
+import { SqlCompletion } from './modules/sql-completion.js';
 
 /* global Navigation */
 /* global ChartType, ColumnType, DataTable, JQPlotChartFactory */ // js/chart.js
@@ -50,6 +52,13 @@ let sqlAutoComplete = false;
  */
 let sqlAutoCompleteDefaultTable = '';
 
+/**
+ * Schema of the database for the context-aware autocompletion, null until loaded.
+ * Routines, databases and tables of other databases are added on demand.
+ * @type {(object|null)}
+ */
+let sqlAutoCompleteSchema = null;
+
 /**
  * Array to hold the columns in central list per db.
  * @type {array}
@@ -283,7 +292,7 @@ Functions.getSqlEditor = function ($textarea, options, resize, lintOptions) {
             lineNumbers: true,
             matchBrackets: true,
             extraKeys: { 'Ctrl-Space': 'autocomplete' },
-            hintOptions: { 'completeSingle': false, 'completeOnSingleClick': true },
+            hintOptions: { 'completeSingle': false, 'completeOnSingleClick': true, 'hint': Functions.sqlSchemaHint },
             indentUnit: 4,
             mode: 'text/x-mysql',
             lineWrapping: true
@@ -295,7 +304,8 @@ Functions.getSqlEditor = function ($textarea, options, resize, lintOptions) {
                 lint: {
                     'getAnnotations': window.CodeMirror.sqlLint,
                     'async': true,
-                    'lintOptions': lintOptions
+                    'lintOptions': lintOptions,
+                    'onUpdateLinting': window.CodeMirror.sqlLintFixes
                 }
             });
         }
@@ -328,6 +338,13 @@ Functions.getSqlEditor = function ($textarea, options, resize, lintOptions) {
             });
         // enable autocomplete
         codemirrorEditor.on('inputRead', Functions.codeMirrorAutoCompleteOnInputRead);
+        // the "SELECT *" lint rule only applies to the queries being bookmarked
+        if (window.CodeMirror.sqlLint) {
+            $textarea.closest('form').find('input[name="bkm_label"]').on('change', function () {
+                codemirrorEditor.performLint();
+            });
+        }
+        Functions.addSqlFormatAction(codemirrorEditor);
 
         // page locking
         codemirrorEditor.on('change', function (e) {
@@ -1345,6 +1362,15 @@ Functions.codeMirrorAutoCompleteOnInputRead = function (instance) {
                         }
                         instance.options.hintOptions.tables = sqlAutoComplete;
                         instance.options.hintOptions.defaultTable = sqlAutoCompleteDefaultTable;
+                        sqlAutoCompleteSchema = {
+                            db: window.CommonParams.get('db'),
+                            defaultTable: sqlAutoCompleteDefaultTable,
+                            tables: data.tables,
+                            foreignKeys: data.foreignKeys || [],
+                            routines: null,
+                            databases: [],
+                            otherTables: {}
+                        };
                     }
                 },
                 complete: function () {
@@ -1373,6 +1399,132 @@ Functions.codeMirrorAutoCompleteOnInputRead = function (instance) {
 Functions.removeAutocompleteInfo = () => {
     sqlAutoComplete = false;
     sqlAutoCompleteDefaultTable = '';
+    sqlAutoCompleteSchema = null;
+};
+
+/**
+ * Column names of a table from the autocompletion data, used by the quick fixes of the linter
+ *
+ * @param {string|null} db database of the table, null for the current one
+ * @param {string} table
+ * @return {string[]|null} null when the columns of the table are not known
+ */
+Functions.getAutoCompleteColumns = function (db, table) {
+    if (sqlAutoCompleteSchema === null) {
+        return null;
+    }
+    var tables = db === null || db === sqlAutoCompleteSchema.db ?
+        sqlAutoCompleteSchema.tables : sqlAutoCompleteSchema.otherTables[db];
+    if (! tables || ! tables[table]) {
+        return null;
+    }
+
+    return Object.keys(tables[table]);
+};
+
+/**
+ * Loads the routines and the databases, or the tables of another database, for the autocompletion
+ *
+ * @param {CodeMirror} instance editor to show the new suggestions in
+ * @param {string|null} otherDb database whose tables are loaded, null for the routines and the databases
+ * @return {void}
+ */
+Functions.loadAutoCompleteObjects = function (instance, otherDb) {
+    var schema = sqlAutoCompleteSchema;
+    if (otherDb === null) {
+        schema.routines = [];
+    } else {
+        schema.otherTables[otherDb] = {};
+    }
+    $.ajax({
+        type: 'POST',
+        url: 'index.php?route=/database/sql/autocomplete',
+        data: {
+            'ajax_request': true,
+            'server': window.CommonParams.get('server'),
+            'db': otherDb === null ? schema.db : otherDb,
+            'objects': otherDb === null ? 'routines' : '',
+            'no_debug': true
+        },
+        success: function (data) {
+            if (! data.success || schema !== sqlAutoCompleteSchema) {
+                return;
+            }
+            if (otherDb === null) {
+                schema.routines = data.routines;
+                schema.databases = data.databases;
+            } else {
+                schema.otherTables[otherDb] = data.tables;
+            }
+            if (instance.state.completionActive) {
+                window.CodeMirror.commands.autocomplete(instance);
+            }
+        }
+    });
+};
+
+/**
+ * Hint function of the SQL editors: suggests the columns of the tables and aliases of the
+ * statement under the cursor, the join conditions following the foreign keys after ON,
+ * the tables, routines and databases, then the SQL keywords.
+ *
+ * @param {CodeMirror} instance
+ * @param {object} options hint options
+ * @return {object|undefined}
+ */
+Functions.sqlSchemaHint = function (instance, options) {
+    var keywordsResult = window.CodeMirror.hint.sql(instance, options);
+    var schema = sqlAutoCompleteSchema;
+    if (schema === null) {
+        return keywordsResult;
+    }
+    if (schema.routines === null) {
+        Functions.loadAutoCompleteObjects(instance, null);
+    }
+
+    var cursor = instance.getCursor();
+    var statement = SqlCompletion.getStatementAt(instance.getValue(), instance.indexFromPos(cursor));
+    var context = SqlCompletion.getContext(statement.text.substring(0, statement.offset));
+    if (context.qualifier !== null && schema.databases.includes(context.qualifier) &&
+        context.qualifier !== schema.db && schema.otherTables[context.qualifier] === undefined
+    ) {
+        Functions.loadAutoCompleteObjects(instance, context.qualifier);
+    }
+
+    var render = function (elem, self, data) {
+        $('<div class="autocomplete-column-name">')
+            .text(data.name)
+            .appendTo(elem);
+        $('<div class="autocomplete-column-hint">')
+            .text(data.hint)
+            .appendTo(elem);
+    };
+    var list = SqlCompletion.getCompletions(schema, statement.text, context).map(function (completion) {
+        return {
+            text: completion.text,
+            displayText: completion.name + (completion.hint ? ' | ' + completion.hint : ''),
+            className: 'autocomplete-' + completion.kind,
+            name: completion.name,
+            hint: completion.hint,
+            render: render
+        };
+    });
+    // eslint-disable-next-line new-cap
+    var from = window.CodeMirror.Pos(cursor.line, cursor.ch - context.word.length);
+    if (keywordsResult && context.qualifier === null &&
+        window.CodeMirror.cmpPos(keywordsResult.from, from) === 0
+    ) {
+        keywordsResult.list.forEach(function (item) {
+            if (typeof item === 'object' && item.className === 'CodeMirror-hint-keyword') {
+                list.push(item);
+            }
+        });
+    }
+    if (list.length === 0) {
+        return keywordsResult;
+    }
+
+    return { list: list, from: from, to: cursor };
 };
 
 /**
@@ -1843,7 +1995,8 @@ Functions.dismissNotifications = () => function () {
      * @return {boolean}
      */
     Functions.copyToClipboard = function (text) {
-        var $temp = $('<input>');
+        // A textarea keeps the line breaks of the copied text
+        var $temp = $('<textarea>');
         $temp.css({
             'position': 'fixed',
             'width': '2em',
@@ -2011,147 +2164,65 @@ Functions.prettyProfilingNum = function (number, accuracy) {
 };
 
 /**
- * Formats a SQL Query nicely with newlines and indentation. Depends on Codemirror and MySQL Mode!
+ * Formats a SQL Query nicely with newlines and indentation, using the style of the SqlFormatter settings.
  *
  * @param {string} string Query to be formatted
  * @return {string}      The formatted query
  */
 Functions.sqlPrettyPrint = function (string) {
-    if (typeof window.CodeMirror === 'undefined') {
-        return string;
-    }
-
-    var mode = window.CodeMirror.getMode({}, 'text/x-mysql');
-    var stream = new window.CodeMirror.StringStream(string);
-    var state = mode.startState();
-    var token;
-    var tokens = [];
-    var output = '';
-    var tabs = function (cnt) {
-        var ret = '';
-        for (var i = 0; i < 4 * cnt; i++) {
-            ret += ' ';
-        }
-        return ret;
-    };
+    var settings = window.CommonParams.get('SqlFormatter') || {};
+
+    return SqlFormatter.format(string, {
+        keywordCase: settings.KeywordCase,
+        indentWidth: settings.IndentWidth,
+        commaPosition: settings.CommaPosition,
+        breakJoins: settings.BreakJoins,
+        breakConditions: settings.BreakConditions,
+        breakCase: settings.BreakCase
+    });
+};
 
-    // "root-level" statements
-    var statements = {
-        'select': ['select', 'from', 'on', 'where', 'having', 'limit', 'order by', 'group by'],
-        'update': ['update', 'set', 'where'],
-        'insert into': ['insert into', 'values']
-    };
-    // don't put spaces before these tokens
-    var spaceExceptionsBefore = { ';': true, ',': true, '.': true, '(': true };
-    // don't put spaces after these tokens
-    var spaceExceptionsAfter = { '.': true };
-
-    // Populate tokens array
-    while (! stream.eol()) {
-        stream.start = stream.pos;
-        token = mode.token(stream, state);
-        if (token !== null) {
-            tokens.push([token, stream.current().toLowerCase()]);
-        }
+/**
+ * Formats the selected query of a CodeMirror editor, or its whole content when nothing is selected.
+ *
+ * @param {object} editor CodeMirror editor
+ * @return {void}
+ */
+Functions.formatSqlEditor = function (editor) {
+    if (editor.somethingSelected()) {
+        editor.replaceSelection(Functions.sqlPrettyPrint(editor.getSelection()), 'around');
+        return;
     }
 
-    var currentStatement = tokens[0][1];
-
-    if (! statements[currentStatement]) {
-        return string;
-    }
-    // Holds all currently opened code blocks (statement, function or generic)
-    var blockStack = [];
-    // If a new code block is found, newBlock contains its type for one iteration and vice versa for endBlock
-    var newBlock;
-    var endBlock;
-    // How much to indent in the current line
-    var indentLevel = 0;
-    // Holds the "root-level" statements
-    var statementPart;
-    var lastStatementPart = statements[currentStatement][0];
-
-    blockStack.unshift('statement');
-
-    // Iterate through every token and format accordingly
-    for (var i = 0; i < tokens.length; i++) {
-        // New block => push to stack
-        if (tokens[i][1] === '(') {
-            if (i < tokens.length - 1 && tokens[i + 1][0] === 'statement-verb') {
-                blockStack.unshift(newBlock = 'statement');
-            } else if (i > 0 && tokens[i - 1][0] === 'builtin') {
-                blockStack.unshift(newBlock = 'function');
-            } else {
-                blockStack.unshift(newBlock = 'generic');
-            }
-        } else {
-            newBlock = null;
-        }
-
-        // Block end => pop from stack
-        if (tokens[i][1] === ')') {
-            endBlock = blockStack[0];
-            blockStack.shift();
-        } else {
-            endBlock = null;
-        }
-
-        // A subquery is starting
-        if (i > 0 && newBlock === 'statement') {
-            indentLevel++;
-            output += '\n' + tabs(indentLevel) + tokens[i][1] + ' ' + tokens[i + 1][1].toUpperCase() + '\n' + tabs(indentLevel + 1);
-            currentStatement = tokens[i + 1][1];
-            i++;
-            continue;
-        }
-
-        // A subquery is ending
-        if (endBlock === 'statement' && indentLevel > 0) {
-            output += '\n' + tabs(indentLevel);
-            indentLevel--;
-        }
-
-        // One less indentation for statement parts (from, where, order by, etc.) and a newline
-        statementPart = statements[currentStatement].indexOf(tokens[i][1]);
-        if (statementPart !== -1) {
-            if (i > 0) {
-                output += '\n';
-            }
-            output += tabs(indentLevel) + tokens[i][1].toUpperCase();
-            output += '\n' + tabs(indentLevel + 1);
-            lastStatementPart = tokens[i][1];
-            // Normal indentation and spaces for everything else
-        } else {
-            if (! spaceExceptionsBefore[tokens[i][1]] &&
-                ! (i > 0 && spaceExceptionsAfter[tokens[i - 1][1]]) &&
-                output.charAt(output.length - 1) !== ' ') {
-                output += ' ';
-            }
-            if (tokens[i][0] === 'keyword') {
-                output += tokens[i][1].toUpperCase();
-            } else {
-                output += tokens[i][1];
-            }
-        }
-
-        // split columns in select and 'update set' clauses, but only inside statements blocks
-        if ((lastStatementPart === 'select' || lastStatementPart === 'where' || lastStatementPart === 'set') &&
-            tokens[i][1] === ',' && blockStack[0] === 'statement') {
-            output += '\n' + tabs(indentLevel + 1);
-        }
+    // Replacing the content instead of setting it keeps the undo history
+    var lastLine = editor.lastLine();
+    editor.replaceRange(
+        Functions.sqlPrettyPrint(editor.getValue()),
+        { line: editor.firstLine(), ch: 0 },
+        { line: lastLine, ch: editor.getLine(lastLine).length }
+    );
+};
 
-        // split conditions in where clauses, but only inside statements blocks
-        if (lastStatementPart === 'where' &&
-            (tokens[i][1] === 'and' || tokens[i][1] === 'or' || tokens[i][1] === 'xor')) {
-            if (blockStack[0] === 'statement') {
-                output += '\n' + tabs(indentLevel + 1);
-            }
-            // Todo: Also split and or blocks in newlines & indentation++
-            // if (blockStack[0] === 'generic')
-            //   output += ...
-        }
-    }
-    return output;
+/**
+ * Adds the "Format" action and its Shift+Alt+F keyboard shortcut to a CodeMirror editor.
+ *
+ * @param {object} editor CodeMirror editor
+ * @return {void}
+ */
+Functions.addSqlFormatAction = function (editor) {
+    editor.addKeyMap({ 'Shift-Alt-F': Functions.formatSqlEditor });
+    $('<button type="button" class="btn btn-sm btn-secondary sql-format-button"></button>')
+        .text(window.Messages.strFormatSql)
+        .attr('title', window.Messages.strFormatSqlShortcut)
+        .on('mousedown', function (event) {
+            // Keeps the selection of the editor
+            event.preventDefault();
+        })
+        .on('click', function () {
+            Functions.formatSqlEditor(editor);
+            editor.focus();
+        })
+        .appendTo(editor.getWrapperElement());
 };
 
 /**
@@ -3774,7 +3845,7 @@ Functions.onloadCreateView = function () {
     }
 
     if ($('textarea[name="view[as]"]').length !== 0) {
-        window.codeMirrorEditor = Functions.getSqlEditor($('textarea[name="view[as]"]'));
+        window.codeMirrorEditor = Functions.getSqlEditor($('textarea[name="view[as]"]'), {}, null, { savedQuery: true });
     }
 };
 
@@ -3805,7 +3876,7 @@ Functions.createViewModal = function ($this) {
             $('#createViewModal').find('.modal-body').first().html(data.message);
             // Attach syntax highlighted editor
             $('#createViewModal').on('shown.bs.modal', function () {
-                window.codeMirrorEditor = Functions.getSqlEditor($('#createViewModal').find('textarea'));
+                window.codeMirrorEditor = Functions.getSqlEditor($('#createViewModal').find('textarea'), {}, null, { savedQuery: true });
                 $('input:visible[type=text]', $('#createViewModal')).first().trigger('focus');
                 $('#createViewModal').off('shown.bs.modal');
             });
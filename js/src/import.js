@@ -1,10 +1,16 @@
 import $ from 'jquery';
+import { ChunkedUpload } from './modules/chunked-upload.js';
 
 /**
  * Functions used in the import tab
  *
  */
 
+/**
+ * @var {object|null} upload of the selected file in chunks, from ChunkedUpload.start()
+ */
+var chunkedUpload = null;
+
 
 /**
  * Toggles the hiding and showing of each plugin's options
@@ -46,6 +52,65 @@ function matchFile (fname) {
     }
 }
 
+/**
+ * Marks the form when the selected file is large enough to be uploaded in chunks
+ * before submitting the form, so that the upload can be paused and resumed
+ */
+function checkChunkedUpload () {
+    var input = document.getElementById('input_import_file');
+    var isNeeded = input !== null && input.files && input.files.length === 1 &&
+        $(input).is(':visible') && ChunkedUpload.isNeeded(input.files[0]);
+    $('#import_file_form').data('chunkedUpload', isNeeded ? 'pending' : null);
+}
+
+/**
+ * Uploads the selected file in chunks, then submits the form again without the file
+ *
+ * @return {void}
+ */
+function startChunkedUpload () {
+    var file = document.getElementById('input_import_file').files[0];
+    var $status = $('#upload_form_status_info');
+    $status.html('<progress max="100" value="0"></progress> <span class="chunked-upload-size"></span> ' +
+        '<button type="button" class="btn btn-link btn-sm" id="chunkedUploadPause">' +
+        window.Messages.strImportPause + '</button>' +
+        '<span class="chunked-upload-message text-muted small"></span>'
+    ).css('display', 'inline');
+    $('#buttonGo').prop('disabled', true);
+
+    chunkedUpload = ChunkedUpload.start(file, {
+        onProgress: function (loaded, total) {
+            $status.children('progress').val(Math.floor(loaded / total * 100));
+            $status.children('.chunked-upload-size').text(Functions.sprintf(
+                window.Messages.strImportUploaded,
+                Functions.formatBytes(loaded, 1, window.Messages.strDecimalSeparator),
+                Functions.formatBytes(total, 1, window.Messages.strDecimalSeparator)
+            ));
+            $status.children('.chunked-upload-message').text('');
+        },
+        onPause: function (isFailure) {
+            $('#chunkedUploadPause').data('paused', true).text(window.Messages.strImportResume);
+            $status.children('.chunked-upload-message').text(isFailure ? window.Messages.strImportUploadInterrupted : '');
+        },
+        onComplete: function (uploadId) {
+            var $form = $('#import_file_form');
+            chunkedUpload = null;
+            $form.data('chunkedUpload', 'done');
+            $form.append($('<input type="hidden" name="chunked_upload_id">').val(uploadId));
+            $form.append($('<input type="hidden" name="import_file_name">').val(file.name));
+            $('#input_import_file').prop('disabled', true);
+            $('#chunkedUploadPause').remove();
+            $('#buttonGo').prop('disabled', false).trigger('click');
+        },
+        onError: function (message) {
+            chunkedUpload = null;
+            $status.html('');
+            $('#buttonGo').prop('disabled', false);
+            Functions.ajaxShowMessage(message, false);
+        }
+    });
+}
+
 /**
  * Unbind all event handlers before tearing down a page
  */
@@ -56,6 +121,13 @@ window.AJAX.registerTeardown('import.js', function () {
     $('#input_import_file').off('change').off('focus');
     $('#select_local_import_file').off('focus');
     $('#text_csv_enclosed').add('#text_csv_escaped').off('keyup');
+    $(document).off('submit', '#import_file_form');
+    $(document).off('click', '#chunkedUploadPause');
+    $('#importFileTab').off('shown.bs.tab');
+    if (chunkedUpload !== null) {
+        chunkedUpload.pause();
+        chunkedUpload = null;
+    }
 });
 
 window.AJAX.registerOnload('import.js', function () {
@@ -111,11 +183,33 @@ window.AJAX.registerOnload('import.js', function () {
             }
         }
 
+        // large files are uploaded in chunks before the import
+        if ($(this).data('chunkedUpload') === 'pending') {
+            if (chunkedUpload === null) {
+                startChunkedUpload();
+            }
+            return false;
+        }
+
         // show progress bar.
         $('#upload_form_status').css('display', 'inline');
         $('#upload_form_status_info').css('display', 'inline');
     });
 
+    $(document).on('click', '#chunkedUploadPause', function () {
+        if (chunkedUpload === null) {
+            return;
+        }
+        if ($(this).data('paused')) {
+            $(this).data('paused', false).text(window.Messages.strImportPause);
+            chunkedUpload.resume();
+        } else {
+            chunkedUpload.pause();
+        }
+    });
+
+    $('#importFileTab').on('shown.bs.tab', checkChunkedUpload);
+
     // Initially display the options for the selected plugin
     changePluginOpts();
 
@@ -126,7 +220,9 @@ window.AJAX.registerOnload('import.js', function () {
 
     $('#input_import_file').on('change', function () {
         matchFile($(this).val());
+        checkChunkedUpload();
     });
+    checkChunkedUpload();
 
     $('#select_local_import_file').on('change', function () {
         matchFile($(this).val());
@@ -0,0 +1,87 @@
+import $ from 'jquery';
+
+/**
+ * jqplot renderer drawing a series as a grid of cells colored after their value,
+ * the data points being [column, row, value] with columns and rows starting from 1
+ *
+ * @package phpMyAdmin
+ */
+(function ($) {
+    'use strict';
+
+    /**
+     * @param {string} color hexadecimal color like #235a81
+     *
+     * @return {number[]} red, green and blue components
+     */
+    var getComponents = function (color) {
+        return [1, 3, 5].map(function (start) {
+            return parseInt(color.substring(start, start + 2), 16);
+        });
+    };
+
+    /**
+     * @param {number[]} low components of the color of the lowest value
+     * @param {number[]} high components of the color of the highest value
+     * @param {number} ratio position of the value between the lowest and the highest ones
+     *
+     * @return {string}
+     */
+    var getColor = function (low, high, ratio) {
+        return 'rgb(' + low.map(function (component, i) {
+            return Math.round(component + (high[i] - component) * ratio);
+        }).join(',') + ')';
+    };
+
+    $.jqplot.HeatmapRenderer = function () {
+        $.jqplot.LineRenderer.call(this);
+        // color of the cells of the lowest value
+        this.minColor = '#f3f8fb';
+        // color of the cells of the highest value
+        this.maxColor = '#235a81';
+    };
+    $.jqplot.HeatmapRenderer.prototype = new $.jqplot.LineRenderer();
+    $.jqplot.HeatmapRenderer.prototype.constructor = $.jqplot.HeatmapRenderer;
+
+    // called with scope of series
+    $.jqplot.HeatmapRenderer.prototype.init = function (options, plot) {
+        $.jqplot.LineRenderer.prototype.init.call(this, options, plot);
+        this._type = 'heatmap'; // eslint-disable-line no-underscore-dangle
+    };
+
+    // called with scope of series
+    $.jqplot.HeatmapRenderer.prototype.draw = function (ctx) {
+        /* eslint-disable no-underscore-dangle */
+        var data = this._plotData;
+        var xaxis = this._xaxis;
+        var yaxis = this._yaxis;
+        /* eslint-enable no-underscore-dangle */
+        var width = Math.abs(xaxis.series_u2p.call(xaxis, 1) - xaxis.series_u2p.call(xaxis, 0));
+        var height = Math.abs(yaxis.series_u2p.call(yaxis, 1) - yaxis.series_u2p.call(yaxis, 0));
+        var low = getComponents(this.renderer.minColor);
+        var high = getComponents(this.renderer.maxColor);
+
+        var values = data.map(function (point) {
+            return point[2];
+        });
+        var min = Math.min.apply(null, values);
+        var max = Math.max.apply(null, values);
+
+        ctx.save();
+        for (var i = 0; i < data.length; i++) {
+            var ratio = max === min ? 1 : (data[i][2] - min) / (max - min);
+            ctx.fillStyle = getColor(low, high, ratio);
+            ctx.fillRect(
+                xaxis.series_u2p.call(xaxis, data[i][0]) - width / 2,
+                yaxis.series_u2p.call(yaxis, data[i][1]) - height / 2,
+                width,
+                height
+            );
+        }
+        ctx.restore();
+    };
+
+    // cells have no shadow
+    $.jqplot.HeatmapRenderer.prototype.drawShadow = function () {
+    };
+}($));
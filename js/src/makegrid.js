@@ -3,6 +3,17 @@ import $ from 'jquery';
 /* global Sql */
 /* global firstDayOfCalendar */ // templates/javascript/variables.twig
 
+/**
+ * Number of grids created, to give each one its own event namespace
+ */
+var gridCount = 0;
+
+/**
+ * Tables and event namespaces of the grids listening to the document, the handlers of all the grids
+ * are removed with the ".pmaGrid" namespace and the ones of a single grid with its own namespace.
+ */
+var gridNamespaces = [];
+
 /**
  * Create advanced table (resize, reorder, and show/hide columns; and also grid editing).
  * This function is designed mainly for table DOM generated from browsing a table in the database.
@@ -19,6 +30,15 @@ import $ from 'jquery';
  * @param enableGridEdit Optional, if false, grid editing feature will be disabled
  */
 window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableGridEdit) {
+    // the grids whose table was replaced stop listening to the document
+    gridNamespaces = gridNamespaces.filter(function (grid) {
+        if ($.contains(document.documentElement, grid.table)) {
+            return true;
+        }
+        $(document).off(grid.namespace);
+        return false;
+    });
+
     var isResizeEnabled = enableResize === undefined ? true : enableResize;
     var isReorderEnabled = enableReorder === undefined ? true : enableReorder;
     var isVisibEnabled = enableVisib === undefined ? true : enableVisib;
@@ -69,6 +89,20 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
         isSaving: false,            // true when currently saving edited data, used to handle double posting caused by pressing ENTER in grid edit text box in Chrome browser
         alertNonUnique: '',         // string, alert shown when saving edited nonunique table
 
+        // Range selection
+        selection: null,            // selected block of cells as zero-based {startRow, startCol, endRow, endCol}, null if none
+        isSelecting: false,         // true while a block of cells is being selected by dragging the mouse
+
+        // Edit history
+        undoStack: [],              // array of applied edits, each one being {changes: [...], isPosted: bool}
+        redoStack: [],              // array of undone edits, the last one is the next to be applied again
+        editBoxInitialValue: null,  // value of the edit box when the edit cell was shown
+
+        // Virtual scrolling
+        virtual: null,              // state of the infinite scrolling mode, null when the mode is disabled
+        virtualBuffer: 20,          // number of rows rendered above and below the visible ones
+        virtualMaxPages: 5,         // number of loaded pages kept in the DOM
+
         // Common hidden inputs
         token: null,
         server: null,
@@ -80,6 +114,25 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
          * Functions
          ************/
 
+        /**
+         * Wrap the content of the cells with a span, which is used for resizing and grid editing.
+         *
+         * @param $container element containing the cells, the whole table or rows added later
+         */
+        wrapCells: function ($container) {
+            // wrap all truncated data cells with span indicating the original length
+            // todo update the original length after a grid edit
+            $container.find('td.data.truncated:not(:has(span))')
+                .wrapInner(function () {
+                    return '<span title="' + window.Messages.strOriginalLength + ' ' +
+                        $(this).data('originallength') + '"></span>';
+                });
+
+            // wrap remaining cells, except actions cell, with span
+            $container.find('th, td:not(:has(span))')
+                .wrapInner('<span></span>');
+        },
+
         /**
          * Start to resize column. Called when clicking on column separator.
          *
@@ -640,8 +693,13 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
                         }
                     }
                     $(g.cEdit).find('.edit_box').val(value);
+                    g.editBoxInitialValue = value;
 
                     g.currentEditCell = cell;
+                    var pos = g.getCellPosition(cell);
+                    if (pos !== null) {
+                        g.selectRange(pos.row, pos.col, pos.row, pos.col);
+                    }
                     $(g.cEdit).find('.edit_box').trigger('focus');
                     moveCursorToEnd($(g.cEdit).find('.edit_box'));
                     $(g.cEdit).find('*').prop('disabled', false);
@@ -687,55 +745,7 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
 
             if (data) {
                 if (g.currentEditCell) {    // save value of currently edited cell
-                    // replace current edited field with the new value
-                    var $thisField = $(g.currentEditCell);
-                    var isNull = $thisField.data('value') === null;
-                    if (isNull) {
-                        $thisField.find('span').html('NULL');
-                        $thisField.addClass('null');
-                    } else {
-                        $thisField.removeClass('null');
-                        var value = data.isNeedToRecheck
-                            ? data.truncatableFieldValue
-                            : $thisField.data('value');
-
-                        // Truncates the text.
-                        $thisField.removeClass('truncated');
-                        if (window.CommonParams.get('pftext') === 'P' && value.length > g.maxTruncatedLen) {
-                            $thisField.addClass('truncated');
-                            value = value.substring(0, g.maxTruncatedLen) + '...';
-                        }
-
-                        // Add <br> before carriage return.
-                        var newHtml = Functions.escapeHtml(value);
-                        newHtml = newHtml.replace(/\n/g, '<br>\n');
-
-                        var decimals = parseInt($thisField.attr('data-decimals'));
-
-                        // remove decimal places if column type not supported
-                        if ((decimals === 0) && ($thisField.attr('data-type').indexOf('time') !== -1)) {
-                            newHtml = newHtml.substring(0, newHtml.indexOf('.'));
-                        }
-
-                        // remove additional decimal places
-                        if ((decimals > 0) && ($thisField.attr('data-type').indexOf('time') !== -1)) {
-                            newHtml = newHtml.substring(0, newHtml.length - (6 - decimals));
-                        }
-
-                        var selector = 'span';
-                        if ($thisField.hasClass('hex') && $thisField.find('a').length) {
-                            selector = 'a';
-                        }
-
-                        // Updates the code keeping highlighting (if any).
-                        var $target = $thisField.find(selector);
-                        if (!Functions.updateCode($target, newHtml, value)) {
-                            $target.html(newHtml);
-                        }
-                    }
-                    if ($thisField.is('.bit')) {
-                        $thisField.find('span').text($thisField.data('value'));
-                    }
+                    g.refreshCellDisplay(g.currentEditCell, data);
                 }
                 if (data.transformations !== undefined) {
                     $.each(data.transformations, function (cellIndex, value) {
@@ -773,6 +783,63 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
             }
         },
 
+        /**
+         * Replace the displayed content of a cell with its pending value stored in data('value').
+         *
+         * @param cell <td> element to refresh
+         * @param data Data from the POST AJAX request to save the edited field, or "true"
+         */
+        refreshCellDisplay: function (cell, data) {
+            var $thisField = $(cell);
+            var isNull = $thisField.data('value') === null;
+            if (isNull) {
+                $thisField.find('span').html('NULL');
+                $thisField.addClass('null');
+            } else {
+                $thisField.removeClass('null');
+                var value = data.isNeedToRecheck
+                    ? data.truncatableFieldValue
+                    : $thisField.data('value');
+
+                // Truncates the text.
+                $thisField.removeClass('truncated');
+                if (window.CommonParams.get('pftext') === 'P' && value.length > g.maxTruncatedLen) {
+                    $thisField.addClass('truncated');
+                    value = value.substring(0, g.maxTruncatedLen) + '...';
+                }
+
+                // Add <br> before carriage return.
+                var newHtml = Functions.escapeHtml(value);
+                newHtml = newHtml.replace(/\n/g, '<br>\n');
+
+                var decimals = parseInt($thisField.attr('data-decimals'));
+
+                // remove decimal places if column type not supported
+                if ((decimals === 0) && ($thisField.attr('data-type').indexOf('time') !== -1)) {
+                    newHtml = newHtml.substring(0, newHtml.indexOf('.'));
+                }
+
+                // remove additional decimal places
+                if ((decimals > 0) && ($thisField.attr('data-type').indexOf('time') !== -1)) {
+                    newHtml = newHtml.substring(0, newHtml.length - (6 - decimals));
+                }
+
+                var selector = 'span';
+                if ($thisField.hasClass('hex') && $thisField.find('a').length) {
+                    selector = 'a';
+                }
+
+                // Updates the code keeping highlighting (if any).
+                var $target = $thisField.find(selector);
+                if (!Functions.updateCode($target, newHtml, value)) {
+                    $target.html(newHtml);
+                }
+            }
+            if ($thisField.is('.bit')) {
+                $thisField.find('span').text($thisField.data('value'));
+            }
+        },
+
         /**
          * Show drop-down edit area when edit cell is focused.
          */
@@ -1158,16 +1225,14 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
         },
 
         /**
-         * Post the content of edited cell.
+         * Build the parameters used to post the edited cells to /table/replace.
+         * The new WHERE clause of each edited row is returned instead of being stored,
+         * so that a preview request does not alter the grid.
          *
-         * @param options Optional, this object contains a boolean named move (true, if called from move* functions)
-         *                and a <td> to which the grid_edit should move
+         * @return {object} params: the POST parameters, isUnique: whether the rows in this table are unique,
+         *                  rows: the <tr>, new clause and new condition array of each edited row
          */
-        postEditedCell: function (options) {
-            if (g.isSaving) {
-                return;
-            }
-            g.isSaving = true;
+        getEditedCellsParams: function () {
             /**
              * @var relationFields Array containing the name/value pairs of relational fields
              */
@@ -1211,11 +1276,10 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
             var multiEditFieldsType = [];
             var multiEditFields = [];
             var multiEditFieldsNull = [];
-
-            // alert user if edited table is not unique
-            if (!isUnique) {
-                alert(g.alertNonUnique);
-            }
+            /**
+             * @var editedRows Array containing the new clause and condition array of each edited row
+             */
+            var editedRows = [];
 
             // loop each edited row
             $(g.t).find('td.to_be_saved').parents('tr').each(function () {
@@ -1307,9 +1371,7 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
                     newClause += field + ' ' + conditionArray[field] + ' AND ';
                 }
                 newClause = newClause.substring(0, newClause.length - 5); // remove the last AND
-                $tr.data('new_clause', newClause);
-                // save condition_array
-                $tr.find('.condition_array').val(JSON.stringify(conditionArray));
+                editedRows.push({ tr: this, newClause: newClause, conditionArray: conditionArray });
 
                 multiEditFieldsName.push(fieldsName);
                 multiEditFieldsType.push(fieldsType);
@@ -1320,7 +1382,7 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
             relFieldsList = $.param(relationFields);
             transformFieldsList = $.param(transformFields);
 
-            // Make the Ajax post after setting all parameters
+            // Collect the parameters of the Ajax post
             /**
              * @var postParams Object containing parameters for the POST request
              */
@@ -1343,6 +1405,41 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
                 'submit_type' : 'save'
             };
 
+            return { params: postParams, isUnique: isUnique, rows: editedRows };
+        },
+
+        /**
+         * Post the content of edited cell.
+         *
+         * @param options Optional, this object contains a boolean named move (true, if called from move* functions)
+         *                and a <td> to which the grid_edit should move
+         *                and a function named onSave, called once the edited cells are saved
+         */
+        postEditedCell: function (options) {
+            if (g.isSaving) {
+                return;
+            }
+            g.isSaving = true;
+
+            var edited = g.getEditedCellsParams();
+            var isUnique = edited.isUnique;
+            var postParams = edited.params;
+            // the edits made while saving are not part of this request
+            var postedEntries = g.undoStack.filter(function (entry) {
+                return ! entry.isPosted;
+            });
+
+            // alert user if edited table is not unique
+            if (!isUnique) {
+                alert(g.alertNonUnique);
+            }
+
+            // save new_clause and condition_array of each edited row
+            $.each(edited.rows, function (index, row) {
+                $(row.tr).data('new_clause', row.newClause);
+                $(row.tr).find('.condition_array').val(JSON.stringify(row.conditionArray));
+            });
+
             if (!g.saveCellsAtOnce) {
                 $(g.cEdit).find('*').prop('disabled', true);
                 $(g.cEdit).find('.edit_box').addClass('edit_box_posting');
@@ -1435,11 +1532,17 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
                                 .data('original_data', null);
 
                             g.isCellEdited = false;
+                            g.markHistoryPosted(postedEntries);
+                            if (options !== undefined && typeof options.onSave === 'function') {
+                                options.onSave();
+                            }
                         } else {
                             Functions.ajaxShowMessage(data.error, false);
                             if (!g.saveCellsAtOnce) {
                                 $(g.t).find('.to_be_saved')
                                     .removeClass('to_be_saved');
+                                // these edits were never applied, so there is nothing to undo
+                                g.dropPendingHistory();
                             }
                         }
                     }
@@ -1518,6 +1621,7 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
             }
 
             if (needToPost) {
+                g.recordHistory([g.describeChange(g.currentEditCell, thisFieldParams[fieldName])]);
                 $(g.currentEditCell).addClass('to_be_saved')
                     .data('value', thisFieldParams[fieldName]);
                 if (g.saveCellsAtOnce) {
@@ -1990,131 +2094,1216 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
         },
 
         /**
-         * Initialize grid editing feature.
+         * Get the rows of data cells that can take part in a range selection.
+         * Hidden columns are left out, so the indexes match what the user sees.
+         *
+         * @return {Array} array of rows, each one being an array of <td> elements
          */
-        initGridEdit: function () {
-            function startGridEditing (e, cell) {
-                if (g.isCellEditActive) {
-                    g.saveOrPostEditedCell();
-                } else {
-                    g.showEditCell(cell);
+        getSelectableCells: function () {
+            var rows = [];
+            $(g.t).find('tbody tr').each(function () {
+                var $cells = $(this).find('td.data').filter(function () {
+                    return this.style.display !== 'none' && ! $(this).hasClass('hide');
+                });
+                if ($cells.length > 0) {
+                    rows.push($cells.get());
                 }
-                e.stopPropagation();
-            }
+            });
+            return rows;
+        },
 
-            function handleCtrlNavigation (e) {
-                if ((e.ctrlKey && e.which === 38) || (e.altKey && e.which === 38)) {
-                    g.moveUp(e);
-                } else if ((e.ctrlKey && e.which === 40)  || (e.altKey && e.which === 40)) {
-                    g.moveDown(e);
-                } else if ((e.ctrlKey && e.which === 37) || (e.altKey && e.which === 37)) {
-                    g.moveLeft(e);
-                } else if ((e.ctrlKey && e.which === 39)  || (e.altKey && e.which === 39)) {
-                    g.moveRight(e);
+        /**
+         * Get the position of a data cell in the range selection coordinates.
+         *
+         * @param cell <td> element
+         * @return {object|null} {row, col} or null if the cell is not selectable
+         */
+        getCellPosition: function (cell) {
+            var rows = g.getSelectableCells();
+            for (var row = 0; row < rows.length; row++) {
+                var col = rows[row].indexOf(cell);
+                if (col !== -1) {
+                    return { row: row, col: col };
                 }
             }
+            return null;
+        },
 
-            // create cell edit wrapper element
-            g.cEditStd = document.createElement('div');
-            g.cEdit = g.cEditStd;
-            g.cEditTextarea = document.createElement('div');
-
-            // adjust g.cEditStd
-            g.cEditStd.className = 'cEdit';
-            $(g.cEditStd).html('<input class="edit_box" rows="1"><div class="edit_area"></div>');
-            $(g.cEditStd).hide();
+        /**
+         * Select the block of cells between two corners and highlight it.
+         *
+         * @param startRow zero-based row index of the anchor corner
+         * @param startCol zero-based column index of the anchor corner
+         * @param endRow   zero-based row index of the moving corner
+         * @param endCol   zero-based column index of the moving corner
+         */
+        selectRange: function (startRow, startCol, endRow, endCol) {
+            var rows = g.getSelectableCells();
+            if (rows.length === 0) {
+                g.clearSelection();
+                return;
+            }
+            var lastRow = rows.length - 1;
+            var lastCol = rows[0].length - 1;
+            g.selection = {
+                startRow: Math.min(Math.max(startRow, 0), lastRow),
+                startCol: Math.min(Math.max(startCol, 0), lastCol),
+                endRow: Math.min(Math.max(endRow, 0), lastRow),
+                endCol: Math.min(Math.max(endCol, 0), lastCol)
+            };
+            var bounds = g.getSelectionBounds();
+            $(g.t).find('td.grid_selected').removeClass('grid_selected');
+            for (var row = bounds.top; row <= bounds.bottom; row++) {
+                $(rows[row].slice(bounds.left, bounds.right + 1)).addClass('grid_selected');
+            }
+            // avoid mixing the browser text selection with a block of cells
+            if (bounds.top !== bounds.bottom || bounds.left !== bounds.right) {
+                $(g.o).addClass('turnOffSelect');
+            } else {
+                $(g.o).removeClass('turnOffSelect');
+            }
+        },
 
-            // adjust g.cEdit
-            g.cEditTextarea.className = 'cEdit';
-            $(g.cEditTextarea).html('<textarea class="edit_box" rows="1"></textarea><div class="edit_area"></div>');
-            $(g.cEditTextarea).hide();
+        /**
+         * Get the selected block as top/bottom/left/right indexes, whatever the drag direction was.
+         *
+         * @return {object|null}
+         */
+        getSelectionBounds: function () {
+            if (g.selection === null) {
+                return null;
+            }
+            return {
+                top: Math.min(g.selection.startRow, g.selection.endRow),
+                bottom: Math.max(g.selection.startRow, g.selection.endRow),
+                left: Math.min(g.selection.startCol, g.selection.endCol),
+                right: Math.max(g.selection.startCol, g.selection.endCol)
+            };
+        },
 
-            // assign cell editing hint
-            g.cellEditHint = window.Messages.strCellEditHint;
-            g.saveCellWarning = window.Messages.strSaveCellWarning;
-            g.alertNonUnique = window.Messages.strAlertNonUnique;
-            g.gotoLinkText = window.Messages.strGoToLink;
+        /**
+         * Remove the range selection.
+         */
+        clearSelection: function () {
+            g.selection = null;
+            g.isSelecting = false;
+            $(g.t).find('td.grid_selected').removeClass('grid_selected');
+            $(g.o).removeClass('turnOffSelect');
+        },
 
-            // initialize cell editing configuration
-            g.saveCellsAtOnce = $(g.o).find('.save_cells_at_once').val();
-            g.maxTruncatedLen = window.CommonParams.get('LimitChars');
+        /**
+         * Move the selection by the given offset.
+         *
+         * @param dRow   row offset
+         * @param dCol   column offset
+         * @param extend if true, only the moving corner is moved (Shift+arrow)
+         */
+        moveSelection: function (dRow, dCol, extend) {
+            var sel = g.selection;
+            if (extend) {
+                g.selectRange(sel.startRow, sel.startCol, sel.endRow + dRow, sel.endCol + dCol);
+            } else {
+                g.selectRange(sel.endRow + dRow, sel.endCol + dCol, sel.endRow + dRow, sel.endCol + dCol);
+            }
+            if (g.virtual !== null) {
+                g.scrollToVirtualRow(g.selection.endRow);
+            }
+        },
 
-            // register events
-            $(g.t).find('td.data.click1')
-                .on('click', function (e) {
-                    startGridEditing(e, this);
-                    // prevent default action when clicking on "link" in a table
-                    if ($(e.target).is('.grid_edit a')) {
-                        e.preventDefault();
+        /**
+         * Serialize the selected block as tab separated values,
+         * quoting the values the same way spreadsheet applications do.
+         *
+         * @return {string}
+         */
+        getSelectionAsTsv: function () {
+            var rows = g.getSelectableCells();
+            var bounds = g.getSelectionBounds();
+            var lines = [];
+            for (var row = bounds.top; row <= bounds.bottom; row++) {
+                var values = [];
+                for (var col = bounds.left; col <= bounds.right; col++) {
+                    // NULL is copied the way it is displayed, see queueCellValue() for the way back
+                    var value = $(rows[row][col]).is('.null') ? 'NULL' : String(Functions.getCellValue(rows[row][col]));
+                    if (/[\t\n\r"]/.test(value)) {
+                        value = '"' + value.replace(/"/g, '""') + '"';
                     }
-                });
-
-            $(g.t).find('td.data.click2')
-                .on('click', function (e) {
-                    var $cell = $(this);
-                    // In the case of relational link, We want single click on the link
-                    // to goto the link and double click to start grid-editing.
-                    var $link = $(e.target);
-                    if ($link.is('.grid_edit.relation a')) {
-                        e.preventDefault();
-                        // get the click count and increase
-                        var clicks = $cell.data('clicks');
-                        clicks = (typeof clicks === 'undefined') ? 1 : clicks + 1;
+                    values.push(value);
+                }
+                lines.push(values.join('\t'));
+            }
+            return lines.join('\r\n');
+        },
 
-                        if (clicks === 1) {
-                            // if there are no previous clicks,
-                            // start the single click timer
-                            var timer = setTimeout(function () {
-                                // temporarily remove ajax class so the page loader will not handle it,
-                                // submit and then add it back
-                                $link.removeClass('ajax');
-                                window.AJAX.requestHandler.call($link[0]);
-                                $link.addClass('ajax');
-                                $cell.data('clicks', 0);
-                            }, 700);
-                            $cell.data('clicks', clicks);
-                            $cell.data('timer', timer);
-                        } else {// When double clicking a link, switch to edit mode
-                            // this is a double click, cancel the single click timer
-                            // and make the click count 0
-                            clearTimeout($cell.data('timer'));
-                            $cell.data('clicks', 0);
-                            // start grid-editing
-                            startGridEditing(e, this);
-                        }
-                    }
-                })
-                .on('dblclick', function (e) {
-                    if ($(e.target).is('.grid_edit a')) {
-                        e.preventDefault();
+        /**
+         * Parse tab separated values as copied from Excel, LibreOffice or the grid itself.
+         *
+         * @param {string} text
+         * @return {Array} array of rows, each one being an array of strings
+         */
+        parseTsv: function (text) {
+            var rows = [];
+            var row = [];
+            var value = '';
+            var inQuotes = false;
+            var i = 0;
+            // a quote only starts a quoted value at the beginning of a field
+            var atFieldStart = true;
+            while (i < text.length) {
+                var c = text.charAt(i);
+                if (inQuotes) {
+                    if (c === '"' && text.charAt(i + 1) === '"') {
+                        value += '"';
+                        i++;
+                    } else if (c === '"') {
+                        inQuotes = false;
                     } else {
-                        startGridEditing(e, this);
+                        value += c;
                     }
-                });
-
-            $(g.cEditStd).on('keydown', 'input.edit_box, select', handleCtrlNavigation);
-
-            $(g.cEditStd).find('.edit_box').on('focus', function () {
-                g.showEditArea();
-            });
-            $(g.cEditStd).on('keydown', '.edit_box, select', function (e) {
-                if (e.which === 13) {
-                    // post on pressing "Enter"
-                    e.preventDefault();
-                    g.saveOrPostEditedCell();
-                }
-            });
-            $(g.cEditStd).on('keydown', function (e) {
-                if (!g.isEditCellTextEditable) {
-                    // prevent text editing
-                    e.preventDefault();
+                } else if (c === '"' && atFieldStart) {
+                    inQuotes = true;
+                } else if (c === '\t') {
+                    row.push(value);
+                    value = '';
+                    atFieldStart = true;
+                    i++;
+                    continue;
+                } else if (c === '\n' || c === '\r') {
+                    if (c === '\r' && text.charAt(i + 1) === '\n') {
+                        i++;
+                    }
+                    row.push(value);
+                    rows.push(row);
+                    row = [];
+                    value = '';
+                    atFieldStart = true;
+                    i++;
+                    continue;
+                } else {
+                    value += c;
                 }
-            });
+                atFieldStart = false;
+                i++;
+            }
+            // spreadsheets end the clipboard content with a line break, which is not an extra row
+            if (value !== '' || row.length > 0) {
+                row.push(value);
+                rows.push(row);
+            }
+            return rows;
+        },
 
-            $(g.cEditTextarea).on('keydown', 'textarea.edit_box, select', handleCtrlNavigation);
+        /**
+         * Copy the selected block to the clipboard.
+         *
+         * @param e copy event
+         */
+        copySelection: function (e) {
+            var clipboardData = e.originalEvent.clipboardData;
+            if (! clipboardData) {
+                return;
+            }
+            clipboardData.setData('text/plain', g.getSelectionAsTsv());
+            e.preventDefault();
+        },
 
-            $(g.cEditTextarea).find('.edit_box').on('focus', function () {
-                g.showEditArea();
+        /**
+         * Paste tab separated values into the grid, starting at the top-left selected cell.
+         * A single copied value is repeated over the whole selected block.
+         * The pasted values are queued as edited cells and posted with the "Save edited data" button.
+         *
+         * @param {string} text
+         */
+        pasteTsv: function (text) {
+            var values = g.parseTsv(text);
+            if (values.length === 0) {
+                return;
+            }
+            var rows = g.getSelectableCells();
+            var bounds = g.getSelectionBounds();
+            var isSingleValue = values.length === 1 && values[0].length === 1;
+            var height = isSingleValue ? bounds.bottom - bounds.top + 1 : values.length;
+            var width = isSingleValue ? bounds.right - bounds.left + 1 : Math.max.apply(null, values.map(function (line) {
+                return line.length;
+            }));
+            var skipped = 0;
+            var changes = [];
+            for (var i = 0; i < height && bounds.top + i < rows.length; i++) {
+                for (var j = 0; j < width && bounds.left + j < rows[0].length; j++) {
+                    var value = isSingleValue ? values[0][0] : values[i][j];
+                    if (value === undefined) {
+                        continue;
+                    }
+                    if (! g.queueCellValue(rows[bounds.top + i][bounds.left + j], value, changes)) {
+                        skipped++;
+                    }
+                }
+            }
+            g.selectRange(
+                bounds.top,
+                bounds.left,
+                Math.min(bounds.top + height, rows.length) - 1,
+                Math.min(bounds.left + width, rows[0].length) - 1
+            );
+            if (changes.length > 0) {
+                g.recordHistory(changes);
+            }
+            if ($(g.t).find('td.to_be_saved').length > 0) {
+                $(g.o).find('div.save_edited').show();
+                g.isCellEdited = true;
+            }
+            if (skipped > 0) {
+                Functions.ajaxShowMessage(
+                    Functions.sprintf(window.Messages.strPasteCellsSkipped, skipped),
+                    false,
+                    'error'
+                );
+            }
+        },
+
+        /**
+         * Mark a cell as edited with a new value, the same way saveEditedCell() does for the edit box.
+         * The "NULL" text sets nullable columns to NULL.
+         *
+         * @param cell    <td> element
+         * @param {string} value
+         * @param {Array} changes the change is appended to this array, for the edit history
+         * @return {boolean} false if the cell cannot take this value
+         */
+        queueCellValue: function (cell, value, changes) {
+            var $cell = $(cell);
+            if (! $cell.is('.grid_edit')) {
+                return false;
+            }
+            var newValue = value === 'NULL' && ! $cell.is('.not_null') ? null : value;
+            if (newValue !== null && $cell.hasClass('hex') && newValue.match(/^(0x)?[a-f0-9]*$/i) === null) {
+                return false;
+            }
+            var isUnchanged = $cell.is('.null')
+                ? newValue === null
+                : newValue === Functions.getCellValue(cell);
+            if (isUnchanged) {
+                return true;
+            }
+            changes.push(g.describeChange(cell, newValue));
+            $cell.addClass('to_be_saved').data('value', newValue);
+            g.refreshCellDisplay(cell, true);
+            return true;
+        },
+
+        /**
+         * Initialize range selection, copy and paste of blocks of cells.
+         */
+        initRangeSelection: function () {
+            $(g.t).find('tbody').on('mousedown', 'td.data', function (e) {
+                if (e.which !== 1 || g.colRsz || g.colReorder || $(e.target).is('a, input')) {
+                    return;
+                }
+                var pos = g.getCellPosition(this);
+                if (pos === null) {
+                    return;
+                }
+                if (e.shiftKey && g.selection !== null) {
+                    e.preventDefault();
+                    g.selectRange(g.selection.startRow, g.selection.startCol, pos.row, pos.col);
+                } else {
+                    g.selectRange(pos.row, pos.col, pos.row, pos.col);
+                }
+                g.isSelecting = true;
+            }).on('mouseenter', 'td.data', function () {
+                if (! g.isSelecting) {
+                    return;
+                }
+                var pos = g.getCellPosition(this);
+                if (pos !== null) {
+                    if (g.isCellEditActive) {
+                        g.hideEditCell();
+                    }
+                    g.selectRange(g.selection.startRow, g.selection.startCol, pos.row, pos.col);
+                }
+            });
+
+            $(document).on('mouseup' + g.eventNamespace, function () {
+                g.isSelecting = false;
+            }).on('mousedown' + g.eventNamespace, function (e) {
+                // a click anywhere else drops the selection, unless it is in the edit area
+                if (g.selection !== null &&
+                    ! $.contains(g.t, e.target) &&
+                    ! $(e.target).closest(g.cEdit).length
+                ) {
+                    g.clearSelection();
+                }
+            }).on('keydown' + g.eventNamespace, function (e) {
+                if (g.selection === null || g.isCellEditActive || $(e.target).is(':input')) {
+                    return;
+                }
+                var offsets = {
+                    37: [0, -1],
+                    38: [-1, 0],
+                    39: [0, 1],
+                    40: [1, 0]
+                };
+                if (offsets[e.which] !== undefined && ! e.ctrlKey && ! e.altKey && ! e.metaKey) {
+                    e.preventDefault();
+                    g.moveSelection(offsets[e.which][0], offsets[e.which][1], e.shiftKey);
+                } else if (e.which === 27) {
+                    g.clearSelection();
+                } else if (e.which === 113) {
+                    // F2 starts editing the active cell, as in spreadsheets
+                    var rows = g.getSelectableCells();
+                    e.preventDefault();
+                    g.showEditCell(rows[g.selection.endRow][g.selection.endCol]);
+                }
+            }).on('copy' + g.eventNamespace, function (e) {
+                if (g.selection !== null && ! g.isCellEditActive && ! $(e.target).is(':input')) {
+                    g.copySelection(e);
+                }
+            }).on('paste' + g.eventNamespace, function (e) {
+                if (g.selection === null || g.isCellEditActive || $(e.target).is(':input')) {
+                    return;
+                }
+                var clipboardData = e.originalEvent.clipboardData;
+                if (! clipboardData) {
+                    return;
+                }
+                e.preventDefault();
+                g.pasteTsv(clipboardData.getData('text/plain'));
+            });
+        },
+
+        /**
+         * Describe the change of a cell to a new value, before it is applied.
+         *
+         * @param cell <td> element
+         * @param newValue new value, null for NULL
+         * @return {object}
+         */
+        describeChange: function (cell, newValue) {
+            var $cell = $(cell);
+            var wasPending = $cell.is('.to_be_saved');
+            var wasNull = $cell.is('.null');
+            var oldValue;
+            if (wasPending) {
+                oldValue = $cell.data('value');
+            } else {
+                oldValue = wasNull ? null : Functions.getCellValue(cell);
+            }
+            return {
+                cell: cell,
+                column: Sql.getFieldName($(g.t), $cell),
+                oldValue: oldValue,
+                newValue: newValue,
+                wasPending: wasPending,
+                // the displayed text of truncated or transformed cells is not their value
+                isOldValueKnown: wasPending || wasNull || ! $cell.is('.truncated, .transformed') ||
+                    typeof $cell.data('original_data') === 'string',
+                oldHtml: $cell.html(),
+                wasNull: wasNull,
+                wasTruncated: $cell.is('.truncated')
+            };
+        },
+
+        /**
+         * Add an edit to the history. Any undone edit cannot be applied again after that.
+         *
+         * @param {Array} changes changes of the edit, see describeChange()
+         */
+        recordHistory: function (changes) {
+            g.undoStack.push({ changes: changes, isPosted: false });
+            g.redoStack = [];
+            g.updateHistoryPanel();
+        },
+
+        /**
+         * Mark edits of the history as saved to the server.
+         *
+         * @param {Array} entries edits of the history which were sent to the server
+         */
+        markHistoryPosted: function (entries) {
+            $.each(entries, function (index, entry) {
+                entry.isPosted = true;
+            });
+            g.updateHistoryPanel();
+        },
+
+        /**
+         * Remove the edits which have not been saved from the history.
+         */
+        dropPendingHistory: function () {
+            g.undoStack = g.undoStack.filter(function (entry) {
+                return entry.isPosted;
+            });
+            g.redoStack = g.redoStack.filter(function (entry) {
+                return entry.isPosted;
+            });
+            g.updateHistoryPanel();
+        },
+
+        /**
+         * Refresh the "Save edited data" button and the unsaved data warning after undo or redo.
+         */
+        afterHistoryChange: function () {
+            if ($(g.t).find('td.to_be_saved').length > 0) {
+                if (g.saveCellsAtOnce) {
+                    $(g.o).find('div.save_edited').show();
+                }
+                g.isCellEdited = true;
+            } else {
+                $(g.o).find('div.save_edited').hide();
+                g.isCellEdited = false;
+            }
+            g.updateHistoryPanel();
+        },
+
+        /**
+         * Undo the last edit. Edits already saved to the server are reverted
+         * by an UPDATE query, which is shown for confirmation first.
+         */
+        undo: function () {
+            if (g.isSaving) {
+                return;
+            }
+            var entry = g.undoStack[g.undoStack.length - 1];
+            if (entry === undefined) {
+                Functions.ajaxShowMessage(window.Messages.strNothingToUndo);
+                return;
+            }
+            if (entry.isPosted) {
+                g.replayPostedEdit(entry, true, function () {
+                    g.redoStack.push(g.undoStack.pop());
+                    g.updateHistoryPanel();
+                });
+                return;
+            }
+            g.undoStack.pop();
+            // a paste never changes the same cell twice, but revert backwards anyway
+            for (var i = entry.changes.length - 1; i >= 0; i--) {
+                var change = entry.changes[i];
+                var $cell = $(change.cell);
+                $cell.html(change.oldHtml)
+                    .toggleClass('null', change.wasNull)
+                    .toggleClass('truncated', change.wasTruncated);
+                if (change.wasPending) {
+                    $cell.data('value', change.oldValue);
+                } else {
+                    $cell.removeClass('to_be_saved').data('value', null);
+                }
+            }
+            g.redoStack.push(entry);
+            g.afterHistoryChange();
+        },
+
+        /**
+         * Apply the last undone edit again.
+         */
+        redo: function () {
+            if (g.isSaving) {
+                return;
+            }
+            var entry = g.redoStack[g.redoStack.length - 1];
+            if (entry === undefined) {
+                Functions.ajaxShowMessage(window.Messages.strNothingToRedo);
+                return;
+            }
+            if (entry.isPosted) {
+                g.replayPostedEdit(entry, false, function () {
+                    g.undoStack.push(g.redoStack.pop());
+                    g.updateHistoryPanel();
+                });
+                return;
+            }
+            g.redoStack.pop();
+            entry.changes = entry.changes.map(function (change) {
+                // the cell may have been saved in the meantime, so describe its current state again
+                var newChange = g.describeChange(change.cell, change.newValue);
+                $(change.cell).addClass('to_be_saved').data('value', change.newValue);
+                g.refreshCellDisplay(change.cell, true);
+                return newChange;
+            });
+            g.undoStack.push(entry);
+            g.afterHistoryChange();
+        },
+
+        /**
+         * Post an edit which has already been saved again, either with the old values (undo)
+         * or with the new ones (redo). The UPDATE query is built by the server the same way
+         * as for a grid edit, and is shown as a preview to be confirmed.
+         *
+         * @param {object} entry edit from the history
+         * @param {boolean} isUndo true to restore the old values, false to apply the new ones
+         * @param {Function} onDone called once the values are saved
+         */
+        replayPostedEdit: function (entry, isUndo, onDone) {
+            if ($(g.t).find('td.to_be_saved').length > 0) {
+                Functions.ajaxShowMessage(window.Messages.strSaveOrUndoPendingEdits, false, 'error');
+                return;
+            }
+            var isValueUnknown = entry.changes.some(function (change) {
+                return ! change.isOldValueKnown;
+            });
+            if (isUndo && isValueUnknown) {
+                Functions.ajaxShowMessage(window.Messages.strUndoUnknownValue, false, 'error');
+                return;
+            }
+            var getValue = function (change) {
+                return isUndo ? change.oldValue : change.newValue;
+            };
+            $.each(entry.changes, function (index, change) {
+                $(change.cell).addClass('to_be_saved').data('value', getValue(change));
+            });
+            var cancelReplay = function () {
+                $.each(entry.changes, function (index, change) {
+                    $(change.cell).removeClass('to_be_saved').data('value', null);
+                });
+            };
+
+            var postParams = $.extend({}, g.getEditedCellsParams().params, { 'preview_sql': 1 });
+            var $msgbox = Functions.ajaxShowMessage();
+            $.post('index.php?route=/table/replace', postParams, function (data) {
+                Functions.ajaxRemoveMessage($msgbox);
+                if (typeof data === 'undefined' || data.success !== true) {
+                    cancelReplay();
+                    Functions.ajaxShowMessage(
+                        typeof data === 'undefined' ? window.Messages.strErrorProcessingRequest : data.error,
+                        false
+                    );
+                    return;
+                }
+                var isConfirmed = false;
+                var buttonOptions = {
+                    [window.Messages.strGo]: {
+                        text: window.Messages.strGo,
+                        class: 'btn btn-primary',
+                    },
+                    [window.Messages.strCancel]: {
+                        text: window.Messages.strCancel,
+                        class: 'btn btn-secondary',
+                    },
+                };
+                buttonOptions[window.Messages.strGo].click = function () {
+                    isConfirmed = true;
+                    $(this).dialog('close');
+                    g.postEditedCell({
+                        onSave: function () {
+                            $.each(entry.changes, function (index, change) {
+                                $(change.cell).data('value', getValue(change));
+                                g.refreshCellDisplay(change.cell, true);
+                                $(change.cell).data('value', null);
+                            });
+                            onDone();
+                        }
+                    });
+                };
+                buttonOptions[window.Messages.strCancel].click = function () {
+                    $(this).dialog('close');
+                };
+                var $dialog = $('<div>' + data.sql_data + '</div>').dialog({
+                    classes: {
+                        'ui-dialog-titlebar-close': 'btn-close'
+                    },
+                    width: 500,
+                    modal: true,
+                    buttons: buttonOptions,
+                    title: isUndo ? window.Messages.strUndoSavedEdit : window.Messages.strRedoSavedEdit,
+                    close: function () {
+                        if (! isConfirmed) {
+                            cancelReplay();
+                        }
+                        $(this).remove();
+                    }
+                });
+                Functions.highlightSql($dialog);
+            });
+        },
+
+        /**
+         * Rebuild the list of edits in the history panel.
+         */
+        updateHistoryPanel: function () {
+            if (! g.historyPanel) {
+                return;
+            }
+            var $tbody = $(g.historyPanel).find('tbody').empty();
+            var formatValue = function (value) {
+                return value === null ? $('<em>NULL</em>') : document.createTextNode(value);
+            };
+            var addEntry = function (entry, number, isUndone) {
+                var status = window.Messages.strEditPending;
+                if (isUndone) {
+                    status = window.Messages.strEditUndone;
+                } else if (entry.isPosted) {
+                    status = window.Messages.strEditSaved;
+                }
+                $.each(entry.changes, function (index, change) {
+                    var whereClause = $(change.cell).closest('tr').find('.where_clause').val();
+                    $('<tr></tr>')
+                        .toggleClass('text-muted', isUndone)
+                        .append($('<td></td>').text(number))
+                        .append($('<td></td>').text(change.column))
+                        .append($('<td class="grid_history_row"></td>').text(whereClause || ''))
+                        .append($('<td></td>').append(formatValue(change.oldValue)))
+                        .append($('<td></td>').append(formatValue(change.newValue)))
+                        .append($('<td></td>').text(status))
+                        .appendTo($tbody);
+                });
+            };
+            var i;
+            for (i = 0; i < g.undoStack.length; i++) {
+                addEntry(g.undoStack[i], i + 1, false);
+            }
+            for (i = g.redoStack.length - 1; i >= 0; i--) {
+                addEntry(g.redoStack[i], g.undoStack.length + g.redoStack.length - i, true);
+            }
+            $(g.historyPanel).find('.grid_history_undo').prop('disabled', g.undoStack.length === 0);
+            $(g.historyPanel).find('.grid_history_redo').prop('disabled', g.redoStack.length === 0);
+            if (g.undoStack.length > 0 || g.redoStack.length > 0) {
+                $(g.o).find('div.edit_history').show();
+            } else {
+                $(g.o).find('div.edit_history').hide();
+                $(g.historyPanel).hide();
+            }
+        },
+
+        /**
+         * Initialize the undo/redo history of grid edits.
+         */
+        initEditHistory: function () {
+            g.historyPanel = document.createElement('div');
+            g.historyPanel.className = 'grid_history card mb-3';
+            $(g.historyPanel).html(
+                '<div class="card-header d-flex align-items-center">' +
+                '<span class="me-auto"></span>' +
+                '<button type="button" class="btn btn-sm btn-secondary me-1 grid_history_undo"></button>' +
+                '<button type="button" class="btn btn-sm btn-secondary grid_history_redo"></button>' +
+                '</div>' +
+                '<div class="card-body p-0"><table class="table table-sm table-striped mb-0">' +
+                '<thead><tr><th>#</th><th></th><th></th><th></th><th></th><th></th></tr></thead>' +
+                '<tbody></tbody></table></div>'
+            ).hide();
+            $(g.historyPanel).find('.card-header span').text(window.Messages.strEditHistory);
+            $(g.historyPanel).find('.grid_history_undo').text(window.Messages.strUndo).on('click', function () {
+                g.undo();
+            });
+            $(g.historyPanel).find('.grid_history_redo').text(window.Messages.strRedo).on('click', function () {
+                g.redo();
+            });
+            var $headers = $(g.historyPanel).find('thead th');
+            $headers.eq(1).text(window.Messages.strColumnName);
+            $headers.eq(2).text(window.Messages.strEditedRow);
+            $headers.eq(3).text(window.Messages.strOldValue);
+            $headers.eq(4).text(window.Messages.strNewValue);
+            $headers.eq(5).text(window.Messages.strStatus);
+            $(g.gDiv).after(g.historyPanel);
+
+            $(g.o).find('div.edit_history').on('click', function () {
+                $(g.historyPanel).toggle();
+            });
+
+            var isUndoKey = function (e) {
+                return (e.ctrlKey || e.metaKey) && ! e.shiftKey && e.which === 90;
+            };
+            var isRedoKey = function (e) {
+                return (e.ctrlKey || e.metaKey) && (e.which === 89 || (e.shiftKey && e.which === 90));
+            };
+
+            // while editing, the first Ctrl+Z undoes the typing and the next ones undo the previous grid edits
+            $(g.cEditStd).add(g.cEditTextarea).on('keydown', '.edit_box', function (e) {
+                if (isUndoKey(e) && $(this).val() === g.editBoxInitialValue) {
+                    e.preventDefault();
+                    g.hideEditCell(true);
+                    g.undo();
+                } else if (isRedoKey(e) && $(this).val() === g.editBoxInitialValue) {
+                    e.preventDefault();
+                    g.hideEditCell(true);
+                    g.redo();
+                }
+            });
+            $(document).on('keydown' + g.eventNamespace, function (e) {
+                if (g.selection === null || g.isCellEditActive || $(e.target).is(':input')) {
+                    return;
+                }
+                if (isUndoKey(e)) {
+                    e.preventDefault();
+                    g.undo();
+                } else if (isRedoKey(e)) {
+                    e.preventDefault();
+                    g.redo();
+                }
+            });
+        },
+
+        /**
+         * Register the grid editing events of the data cells.
+         *
+         * @param $container element containing the cells, the whole table or rows added later
+         */
+        bindGridEditCells: function ($container) {
+            function startGridEditing (e, cell) {
+                if (g.isCellEditActive) {
+                    g.saveOrPostEditedCell();
+                } else {
+                    g.showEditCell(cell);
+                }
+                e.stopPropagation();
+            }
+
+            $container.find('td.data.click1')
+                .on('click', function (e) {
+                    startGridEditing(e, this);
+                    // prevent default action when clicking on "link" in a table
+                    if ($(e.target).is('.grid_edit a')) {
+                        e.preventDefault();
+                    }
+                });
+
+            $container.find('td.data.click2')
+                .on('click', function (e) {
+                    var $cell = $(this);
+                    // In the case of relational link, We want single click on the link
+                    // to goto the link and double click to start grid-editing.
+                    var $link = $(e.target);
+                    if ($link.is('.grid_edit.relation a')) {
+                        e.preventDefault();
+                        // get the click count and increase
+                        var clicks = $cell.data('clicks');
+                        clicks = (typeof clicks === 'undefined') ? 1 : clicks + 1;
+
+                        if (clicks === 1) {
+                            // if there are no previous clicks,
+                            // start the single click timer
+                            var timer = setTimeout(function () {
+                                // temporarily remove ajax class so the page loader will not handle it,
+                                // submit and then add it back
+                                $link.removeClass('ajax');
+                                window.AJAX.requestHandler.call($link[0]);
+                                $link.addClass('ajax');
+                                $cell.data('clicks', 0);
+                            }, 700);
+                            $cell.data('clicks', clicks);
+                            $cell.data('timer', timer);
+                        } else {// When double clicking a link, switch to edit mode
+                            // this is a double click, cancel the single click timer
+                            // and make the click count 0
+                            clearTimeout($cell.data('timer'));
+                            $cell.data('clicks', 0);
+                            // start grid-editing
+                            startGridEditing(e, this);
+                        }
+                    }
+                })
+                .on('dblclick', function (e) {
+                    if ($(e.target).is('.grid_edit a')) {
+                        e.preventDefault();
+                    } else {
+                        startGridEditing(e, this);
+                    }
+                });
+        },
+
+        /**
+         * Initialize the infinite scrolling mode switch.
+         * The mode is remembered in the local storage, for all the result grids.
+         */
+        initVirtualScroll: function () {
+            var $switch = $(g.o).find('input.virtual_scroll');
+            if ($switch.length === 0) {
+                return;
+            }
+            var isStorageSupported = window.Config.isStorageSupported('localStorage');
+            $switch.on('change', function () {
+                var isEnabled = $(this).is(':checked');
+                if (isStorageSupported) {
+                    window.localStorage.setItem('gridVirtualScroll', isEnabled ? '1' : '0');
+                }
+                if (isEnabled) {
+                    $switch.prop('checked', true);
+                    g.enableVirtualScroll();
+                } else {
+                    // reload the first page, the rows of the next pages are not part of it
+                    $(g.o).find('form.maxRowsForm').first().trigger('submit');
+                }
+            });
+            if (isStorageSupported && window.localStorage.getItem('gridVirtualScroll') === '1') {
+                $switch.prop('checked', true);
+                g.enableVirtualScroll();
+            }
+        },
+
+        /**
+         * Switch the grid to the infinite scrolling mode: the table is put in a scrolling area,
+         * only the rows around the visible ones are rendered and the next pages are loaded
+         * while scrolling down. At most virtualMaxPages pages are kept in the DOM, the farthest
+         * ones are removed and loaded again when scrolling back to them.
+         */
+        enableVirtualScroll: function () {
+            if (g.virtual !== null) {
+                return;
+            }
+            var $rows = $(g.t).find('tbody tr');
+            var $nextForm = $(g.o).find('form.navigation_next').first();
+            var columnCount = $(g.t).find('tr').first().children().length;
+            var spacer = '<tr class="grid_virtual_spacer"><td colspan="' + columnCount + '"></td></tr>';
+            // there is a next page only after a full page, so the position of the current one can be deduced
+            var firstPos = $nextForm.length > 0 ? parseInt($nextForm.find('input[name="pos"]').val(), 10) - $rows.length : 0;
+            g.virtual = {
+                rows: $rows.get(),
+                pages: [{ pos: firstPos, count: $rows.length }],
+                pageSize: $rows.length,
+                firstPos: firstPos,
+                endPos: firstPos + $rows.length,
+                rowHeight: Math.max(1, $(g.t).find('tbody').outerHeight() / Math.max(1, $rows.length)),
+                start: 0,
+                end: $rows.length,
+                pageForm: $nextForm.length > 0 ? $nextForm.clone() : null,
+                hasNextPage: $nextForm.length > 0,
+                isLoading: false,
+                isRenderPending: false,
+                isDirty: false,
+                $topSpacer: $(spacer),
+                $bottomSpacer: $(spacer)
+            };
+            $(g.t).find('tbody').prepend(g.virtual.$topSpacer).append(g.virtual.$bottomSpacer);
+
+            $(g.gDiv).wrap('<div class="grid_virtual_scroll"></div>');
+            g.scrollDiv = $(g.gDiv).parent()[0];
+            $(g.scrollDiv).on('scroll', function () {
+                if (g.virtual.isRenderPending) {
+                    return;
+                }
+                g.virtual.isRenderPending = true;
+                window.requestAnimationFrame(function () {
+                    g.virtual.isRenderPending = false;
+                    g.renderVirtualRows();
+                    g.loadVirtualPageIfNeeded();
+                });
+            });
+            g.renderVirtualRows();
+            g.loadVirtualPageIfNeeded();
+        },
+
+        /**
+         * Get the number of loaded rows above and below the pages kept in the DOM.
+         *
+         * @return {object} {above, below}
+         */
+        getVirtualRemovedRows: function () {
+            var v = g.virtual;
+            var lastPage = v.pages[v.pages.length - 1];
+            return {
+                above: v.pages[0].pos - v.firstPos,
+                below: v.endPos - lastPage.pos - lastPage.count
+            };
+        },
+
+        /**
+         * Render only the rows around the visible part of the scrolling area.
+         * The other rows of the kept pages are hidden, so they stay up to date
+         * with the column features, and spacers take the place of the hidden and removed rows.
+         */
+        renderVirtualRows: function () {
+            var v = g.virtual;
+            var removed = g.getVirtualRemovedRows();
+            var headHeight = $(g.t).find('thead').outerHeight() || 0;
+            var scrollTop = Math.max(0, g.scrollDiv.scrollTop - headHeight);
+            var start = Math.min(
+                v.rows.length,
+                Math.max(0, Math.floor(scrollTop / v.rowHeight) - g.virtualBuffer - removed.above)
+            );
+            var end = Math.max(start, Math.min(
+                v.rows.length,
+                Math.ceil((scrollTop + g.scrollDiv.clientHeight) / v.rowHeight) + g.virtualBuffer - removed.above
+            ));
+            if (start === v.start && end === v.end && ! v.isDirty) {
+                return;
+            }
+            // only the rows entering or leaving the rendered range change, unless the kept rows changed
+            var from = v.isDirty ? 0 : Math.min(start, v.start);
+            var to = v.isDirty ? v.rows.length : Math.max(end, v.end);
+            for (var i = from; i < to; i++) {
+                $(v.rows[i]).toggleClass('grid_virtual_hidden', i < start || i >= end);
+            }
+            v.isDirty = false;
+            v.start = start;
+            v.end = end;
+            var topHeight = (removed.above + start) * v.rowHeight;
+            var bottomHeight = (v.rows.length - end + removed.below) * v.rowHeight;
+            v.$topSpacer.toggle(topHeight > 0).find('td').css('height', topHeight);
+            v.$bottomSpacer.toggle(bottomHeight > 0).find('td').css('height', bottomHeight);
+
+            // the edited cell is not rendered anymore
+            if ($(g.cEdit).is(':visible') && $(g.currentEditCell).closest('tr').is('.grid_virtual_hidden')) {
+                g.hideEditCell();
+            }
+            g.reposRsz();
+            g.reposDrop();
+        },
+
+        /**
+         * Scroll the infinite scrolling area so that a row is visible.
+         *
+         * @param {number} index zero-based index of the row among the kept rows
+         */
+        scrollToVirtualRow: function (index) {
+            var headHeight = $(g.t).find('thead').outerHeight() || 0;
+            var top = headHeight + (g.getVirtualRemovedRows().above + index) * g.virtual.rowHeight;
+            if (top < g.scrollDiv.scrollTop + headHeight) {
+                g.scrollDiv.scrollTop = top - headHeight;
+            } else if (top + g.virtual.rowHeight > g.scrollDiv.scrollTop + g.scrollDiv.clientHeight) {
+                g.scrollDiv.scrollTop = top + g.virtual.rowHeight - g.scrollDiv.clientHeight;
+            }
+        },
+
+        /**
+         * Load the page after or before the kept pages when the visible part of the scrolling area
+         * is getting close to their end or to their beginning.
+         */
+        loadVirtualPageIfNeeded: function () {
+            var v = g.virtual;
+            if (v.isLoading || v.pageForm === null) {
+                return;
+            }
+            var removed = g.getVirtualRemovedRows();
+            var headHeight = $(g.t).find('thead').outerHeight() || 0;
+            var top = g.scrollDiv.scrollTop - headHeight;
+            var bottom = top + g.scrollDiv.clientHeight;
+            var margin = 2 * g.scrollDiv.clientHeight;
+            var lastPage = v.pages[v.pages.length - 1];
+            if ((removed.below > 0 || v.hasNextPage) &&
+                bottom > (removed.above + v.rows.length) * v.rowHeight - margin
+            ) {
+                g.loadVirtualPage(lastPage.pos + lastPage.count, false);
+            } else if (removed.above > 0 && top < removed.above * v.rowHeight + margin) {
+                g.loadVirtualPage(v.pages[0].pos - v.pageSize, true);
+            }
+        },
+
+        /**
+         * Load a page of rows for the infinite scrolling mode.
+         *
+         * @param {number}  pos        position of the first row of the page
+         * @param {boolean} isPrevious whether the page is before the kept pages
+         */
+        loadVirtualPage: function (pos, isPrevious) {
+            var v = g.virtual;
+            v.isLoading = true;
+            var $msgbox = Functions.ajaxShowMessage(window.Messages.strLoading);
+            var argsep = window.CommonParams.get('arg_separator');
+            v.pageForm.find('input[name="pos"]').val(pos);
+            $.post(v.pageForm.attr('action'), v.pageForm.serialize() + argsep + 'ajax_request=true', function (data) {
+                Functions.ajaxRemoveMessage($msgbox);
+                v.isLoading = false;
+                if (typeof data === 'undefined' || data.success !== true) {
+                    v.pageForm = null;
+                    Functions.ajaxShowMessage(
+                        typeof data === 'undefined' ? window.Messages.strErrorProcessingRequest : data.error,
+                        false
+                    );
+                    return;
+                }
+                var $response = $('<div></div>').html(data.message);
+                if (pos >= v.endPos) {
+                    v.hasNextPage = $response.find('form.navigation_next').length > 0;
+                }
+                var $colOrder = $response.find('.col_order').first();
+                var serverOrder = $colOrder.length > 0 ? $colOrder.val().split(',').map(function (index) {
+                    return parseInt(index, 10);
+                }) : null;
+                g.addVirtualPage(pos, $response.find('table.table_results tbody tr'), serverOrder, isPrevious);
+                g.loadVirtualPageIfNeeded();
+            });
+        },
+
+        /**
+         * Add the rows of a page loaded by the infinite scrolling mode,
+         * after arranging their cells the way the current rows are.
+         *
+         * @param pos         position of the first row of the page
+         * @param $rows       rows of the loaded page
+         * @param serverOrder column order of the loaded page, null for the natural order
+         * @param isPrevious  whether the page is before the kept pages
+         */
+        addVirtualPage: function (pos, $rows, serverOrder, isPrevious) {
+            var v = g.virtual;
+            var $headerSpans = $(g.t).find('thead tr').first().find('th.draggable span');
+            var offset = pos - v.firstPos;
+            $rows.each(function () {
+                var $tr = $(this);
+                var $dataCells = $tr.children('td').slice(g.actionSpan, g.actionSpan + $headerSpans.length);
+                var cells = $dataCells.get();
+                if (g.colOrder.length > 0) {
+                    var ordered = g.colOrder.map(function (originalIndex) {
+                        return cells[serverOrder === null ? originalIndex : serverOrder.indexOf(originalIndex)];
+                    });
+                    if (g.actionSpan > 0) {
+                        $tr.children('td').eq(g.actionSpan - 1).after(ordered);
+                    } else {
+                        $tr.prepend(ordered);
+                    }
+                    cells = ordered;
+                }
+                $.each(cells, function (index, cell) {
+                    $(cell).removeClass('hide');
+                    if (g.colVisib.length > 0 && ! g.colVisib[index]) {
+                        $(cell).hide();
+                    }
+                });
+                // the row numbers must stay unique for the multi-row actions
+                $tr.find('input.multi_checkbox').each(function () {
+                    var name = $(this).attr('name').replace(/\[(\d+)\]/, function (match, number) {
+                        return '[' + (offset + parseInt(number, 10)) + ']';
+                    });
+                    var id = $(this).attr('id').replace(/(\d+)(_left|_right)$/, function (match, number, side) {
+                        return (offset + parseInt(number, 10)) + side;
+                    });
+                    $(this).attr({ name: name, id: id });
+                });
+            });
+
+            g.wrapCells($rows);
+            $rows.find('td.data span').each(function () {
+                var width = $headerSpans.eq($(this).closest('td').index() - g.actionSpan)[0];
+                if (width && width.style.width) {
+                    $(this).css('width', width.style.width);
+                }
+            });
+            if (g.cList) {
+                $rows.find('td').on('mouseenter', function () {
+                    g.hideColList();
+                });
+            }
+            if (g.cEditStd) {
+                g.bindGridEditCells($rows);
+            }
+            $rows.addClass('grid_virtual_hidden');
+            if (isPrevious) {
+                v.$topSpacer.after($rows);
+                v.rows = $rows.get().concat(v.rows);
+                v.pages.unshift({ pos: pos, count: $rows.length });
+                g.shiftSelection($rows.length);
+            } else {
+                v.$bottomSpacer.before($rows);
+                v.rows = v.rows.concat($rows.get());
+                v.pages.push({ pos: pos, count: $rows.length });
+                v.endPos = Math.max(v.endPos, pos + $rows.length);
+            }
+            g.removeVirtualPages(! isPrevious);
+            v.isDirty = true;
+            g.renderVirtualRows();
+        },
+
+        /**
+         * Remove the pages the farthest from the loaded one, so that the DOM does not grow without limit.
+         * The pages with edited cells waiting to be saved or with checked rows are kept.
+         *
+         * @param {boolean} fromTop whether the first pages are removed, else the last ones
+         */
+        removeVirtualPages: function (fromTop) {
+            var v = g.virtual;
+            while (v.pages.length > g.virtualMaxPages) {
+                var count = v.pages[fromTop ? 0 : v.pages.length - 1].count;
+                var rows = fromTop ? v.rows.slice(0, count) : v.rows.slice(v.rows.length - count);
+                if ($(rows).find('td.to_be_saved, input.multi_checkbox:checked').length > 0) {
+                    return;
+                }
+                $(rows).remove();
+                if (fromTop) {
+                    v.rows.splice(0, count);
+                    v.pages.shift();
+                    g.shiftSelection(-count);
+                } else {
+                    v.rows.splice(v.rows.length - count, count);
+                    v.pages.pop();
+                    if (g.selection !== null && Math.max(g.selection.startRow, g.selection.endRow) >= v.rows.length) {
+                        g.clearSelection();
+                    }
+                }
+            }
+        },
+
+        /**
+         * Move the range selection with its rows, when rows are added or removed above them.
+         *
+         * @param {number} count number of rows added above the selection, negative if removed
+         */
+        shiftSelection: function (count) {
+            if (g.selection === null) {
+                return;
+            }
+            if (Math.min(g.selection.startRow, g.selection.endRow) + count < 0) {
+                g.clearSelection();
+                return;
+            }
+            g.selection.startRow += count;
+            g.selection.endRow += count;
+        },
+
+        /**
+         * Initialize grid editing feature.
+         */
+        initGridEdit: function () {
+            function handleCtrlNavigation (e) {
+                if ((e.ctrlKey && e.which === 38) || (e.altKey && e.which === 38)) {
+                    g.moveUp(e);
+                } else if ((e.ctrlKey && e.which === 40)  || (e.altKey && e.which === 40)) {
+                    g.moveDown(e);
+                } else if ((e.ctrlKey && e.which === 37) || (e.altKey && e.which === 37)) {
+                    g.moveLeft(e);
+                } else if ((e.ctrlKey && e.which === 39)  || (e.altKey && e.which === 39)) {
+                    g.moveRight(e);
+                }
+            }
+
+            // create cell edit wrapper element
+            g.cEditStd = document.createElement('div');
+            g.cEdit = g.cEditStd;
+            g.cEditTextarea = document.createElement('div');
+
+            // adjust g.cEditStd
+            g.cEditStd.className = 'cEdit';
+            $(g.cEditStd).html('<input class="edit_box" rows="1"><div class="edit_area"></div>');
+            $(g.cEditStd).hide();
+
+            // adjust g.cEdit
+            g.cEditTextarea.className = 'cEdit';
+            $(g.cEditTextarea).html('<textarea class="edit_box" rows="1"></textarea><div class="edit_area"></div>');
+            $(g.cEditTextarea).hide();
+
+            // assign cell editing hint
+            g.cellEditHint = window.Messages.strCellEditHint;
+            g.saveCellWarning = window.Messages.strSaveCellWarning;
+            g.alertNonUnique = window.Messages.strAlertNonUnique;
+            g.gotoLinkText = window.Messages.strGoToLink;
+
+            // initialize cell editing configuration
+            g.saveCellsAtOnce = $(g.o).find('.save_cells_at_once').val();
+            g.maxTruncatedLen = window.CommonParams.get('LimitChars');
+
+            // register events
+            g.bindGridEditCells($(g.t));
+
+            $(g.cEditStd).on('keydown', 'input.edit_box, select', handleCtrlNavigation);
+
+            $(g.cEditStd).find('.edit_box').on('focus', function () {
+                g.showEditArea();
+            });
+            $(g.cEditStd).on('keydown', '.edit_box, select', function (e) {
+                if (e.which === 13) {
+                    // post on pressing "Enter"
+                    e.preventDefault();
+                    g.saveOrPostEditedCell();
+                }
+            });
+            $(g.cEditStd).on('keydown', function (e) {
+                if (!g.isEditCellTextEditable) {
+                    // prevent text editing
+                    e.preventDefault();
+                }
+            });
+
+            $(g.cEditTextarea).on('keydown', 'textarea.edit_box, select', handleCtrlNavigation);
+
+            $(g.cEditTextarea).find('.edit_box').on('focus', function () {
+                g.showEditArea();
             });
             $(g.cEditTextarea).on('keydown', '.edit_box, select', function (e) {
                 if (e.which === 13 && !e.shiftKey) {
@@ -2170,23 +3359,15 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
      * Initialize grid
      ******************/
 
-    // wrap all truncated data cells with span indicating the original length
-    // todo update the original length after a grid edit
-    $(t).find('td.data.truncated:not(:has(span))')
-        .wrapInner(function () {
-            return '<span title="' + window.Messages.strOriginalLength + ' ' +
-                $(this).data('originallength') + '"></span>';
-        });
-
-    // wrap remaining cells, except actions cell, with span
-    $(t).find('th, td:not(:has(span))')
-        .wrapInner('<span></span>');
+    g.wrapCells($(t));
 
     // create grid elements
     g.gDiv = document.createElement('div');     // create global div
 
     // initialize the table variable
     g.t = t;
+    g.eventNamespace = '.pmaGrid.pmaGrid' + (++gridCount);
+    gridNamespaces.push({ table: t, namespace: g.eventNamespace });
 
     // enclosing .sqlqueryresults div
     g.o = $(t).parents('.sqlqueryresults');
@@ -2246,6 +3427,11 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
     if (isGridEditEnabled &&
         $(t).is('.ajax')) {
         g.initGridEdit();
+        g.initRangeSelection();
+        g.initEditHistory();
+    }
+    if ($(g.o).find('table.navigation').length > 0) {
+        g.initVirtualScroll();
     }
 
     // create tooltip for each <th> with draggable class
@@ -2274,10 +3460,10 @@ window.makeGrid = function (t, enableResize, enableReorder, enableVisib, enableG
 
     // register events for dragging-related feature
     if (isResizeEnabled || isReorderEnabled) {
-        $(document).on('mousemove', function (e) {
+        $(document).on('mousemove' + g.eventNamespace, function (e) {
             g.dragMove(e);
         });
-        $(document).on('mouseup', function (e) {
+        $(document).on('mouseup' + g.eventNamespace, function (e) {
             $(g.o).removeClass('turnOffSelect');
             g.dragEnd(e);
         });
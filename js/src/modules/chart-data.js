@@ -0,0 +1,315 @@
+/**
+ * Transformations of the rows of the query results chart, done in the browser so that
+ * charts of grouped values do not need a GROUP BY query, and the files and the bookmarks
+ * the charts are saved to.
+ *
+ * Rows are arrays whose first value is the one of the X-axis, the other values being the
+ * numbers of the series, null or NaN when they are missing.
+ */
+
+/**
+ * @param {number|null} value
+ * @return {boolean}
+ */
+function isValue (value) {
+    return typeof value === 'number' && ! isNaN(value);
+}
+
+/**
+ * Trailing comment of a bookmarked query holding the definition of its chart
+ */
+const chartComment = /\s*\/\* phpMyAdmin chart (\{.*\}) \*\/\s*$/;
+
+/**
+ * @param {string} text text escaped by Functions.escapeHtml() or htmlspecialchars()
+ * @return {string}
+ */
+function unescapeHtml (text) {
+    return text.replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * @param {number} value
+ * @return {string} value on two digits
+ */
+function pad (value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * @param {string|number|Date|null} value
+ * @return {string} field of a CSV line
+ */
+function toCsvField (value) {
+    let text = '';
+    if (value instanceof Date) {
+        text = value.getFullYear() + '-' + pad(value.getMonth() + 1) + '-' + pad(value.getDate()) + ' ' +
+            pad(value.getHours()) + ':' + pad(value.getMinutes()) + ':' + pad(value.getSeconds());
+    } else if (typeof value === 'string') {
+        text = unescapeHtml(value);
+    } else if (isValue(value)) {
+        text = String(value);
+    }
+
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Value at a position of sorted numbers, interpolated between the two closest ones
+ *
+ * @param {number[]} sorted
+ * @param {number} position from 0 to 1
+ * @return {number}
+ */
+function getQuantile (sorted, position) {
+    const index = (sorted.length - 1) * position;
+    const lower = Math.floor(index);
+    if (lower === sorted.length - 1) {
+        return sorted[lower];
+    }
+
+    return sorted[lower] + (sorted[lower + 1] - sorted[lower]) * (index - lower);
+}
+
+export const ChartData = {
+    /**
+     * Aggregation functions, in the order of the chart options
+     */
+    methods: ['sum', 'avg', 'count', 'min', 'max'],
+
+    /**
+     * Date buckets of the timeline charts
+     */
+    buckets: ['hour', 'day', 'week', 'month'],
+
+    /**
+     * Number rounded to four significant digits, for the labels
+     *
+     * @param {number} value
+     * @return {string}
+     */
+    formatNumber: value => String(parseFloat(value.toPrecision(4))),
+
+    /**
+     * Start of the hour, day, week (on Monday) or month of a date
+     *
+     * @param {Date} date
+     * @param {string} bucket
+     * @return {Date}
+     */
+    getBucket: (date, bucket) => {
+        const start = new Date(date.getTime());
+        start.setMinutes(0, 0, 0);
+        if (bucket === 'hour') {
+            return start;
+        }
+        start.setHours(0);
+        if (bucket === 'week') {
+            start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+        } else if (bucket === 'month') {
+            start.setDate(1);
+        }
+
+        return start;
+    },
+
+    /**
+     * @param {Array<number|null>} values
+     * @param {string} method one of ChartData.methods
+     * @return {number|null} null when there is no value to aggregate
+     */
+    aggregate: (values, method) => {
+        const filled = values.filter(isValue);
+        if (method === 'count') {
+            return filled.length;
+        }
+        if (filled.length === 0) {
+            return null;
+        }
+        if (method === 'min') {
+            return filled.reduce((min, value) => Math.min(min, value));
+        }
+        if (method === 'max') {
+            return filled.reduce((max, value) => Math.max(max, value));
+        }
+        const sum = filled.reduce((total, value) => total + value, 0);
+
+        return method === 'avg' ? sum / filled.length : sum;
+    },
+
+    /**
+     * Rows grouped by their X-axis value, the values of each series being aggregated
+     *
+     * @param {Array[]} rows
+     * @param {string} method one of ChartData.methods
+     * @param {Function} getKey key of the group of an X-axis value, the value itself by default
+     * @return {Array[]} one row by group, in the order of their first row, with the key as X-axis value
+     */
+    group: (rows, method, getKey) => {
+        const groups = new Map();
+        rows.forEach(row => {
+            const key = getKey ? getKey(row[0]) : row[0];
+            const mapKey = key instanceof Date ? key.getTime() : key;
+            if (! groups.has(mapKey)) {
+                groups.set(mapKey, { key: key, columns: [] });
+            }
+            const columns = groups.get(mapKey).columns;
+            for (let i = 1; i < row.length; i++) {
+                columns[i - 1] = columns[i - 1] || [];
+                columns[i - 1].push(row[i]);
+            }
+        });
+
+        const grouped = [];
+        groups.forEach(group => {
+            grouped.push([group.key].concat(group.columns.map(values => ChartData.aggregate(values, method))));
+        });
+
+        return grouped;
+    },
+
+    /**
+     * Rows with the values of the series as a percentage of the total of the row
+     *
+     * @param {Array[]} rows
+     * @return {Array[]}
+     */
+    toPercent: rows => rows.map(row => {
+        const total = row.slice(1).filter(isValue).reduce((sum, value) => sum + Math.abs(value), 0);
+
+        return [row[0]].concat(row.slice(1).map(value => {
+            if (! isValue(value)) {
+                return null;
+            }
+
+            return total === 0 ? 0 : Math.abs(value) / total * 100;
+        }));
+    }),
+
+    /**
+     * Number of bins of a histogram, from the Sturges' formula
+     *
+     * @param {number} count number of values
+     * @return {number}
+     */
+    getBinCount: count => count < 2 ? 1 : Math.ceil(Math.log2(count)) + 1,
+
+    /**
+     * Rows of a histogram of the series, which share the same bins
+     *
+     * @param {Array[]} rows
+     * @param {number} binCount
+     * @return {Array[]} rows with the range of the bin and the number of values of each series in it
+     */
+    histogram: (rows, binCount) => {
+        let min = Infinity;
+        let max = -Infinity;
+        rows.forEach(row => row.slice(1).filter(isValue).forEach(value => {
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }));
+        if (min > max) {
+            return [];
+        }
+
+        const count = min === max ? 1 : Math.max(1, binCount);
+        const width = (max - min) / count;
+        const bins = [];
+        for (let i = 0; i < count; i++) {
+            const from = min + width * i;
+            const to = i === count - 1 ? max : from + width;
+            bins.push([ChartData.formatNumber(from) + ' – ' + ChartData.formatNumber(to)]);
+            for (let j = 1; j < rows[0].length; j++) {
+                bins[i].push(0);
+            }
+        }
+        rows.forEach(row => {
+            for (let j = 1; j < row.length; j++) {
+                if (isValue(row[j])) {
+                    const index = width === 0 ? 0 : Math.min(Math.floor((row[j] - min) / width), count - 1);
+                    bins[index][j]++;
+                }
+            }
+        });
+
+        return bins;
+    },
+
+    /**
+     * Minimum, quartiles and maximum of some values
+     *
+     * @param {Array<number|null>} values
+     * @return {object|null} { min, q1, median, q3, max }, null when there is no value
+     */
+    boxPlot: values => {
+        const sorted = values.filter(isValue).sort((a, b) => a - b);
+        if (sorted.length === 0) {
+            return null;
+        }
+
+        return {
+            min: sorted[0],
+            q1: getQuantile(sorted, 0.25),
+            median: getQuantile(sorted, 0.5),
+            q3: getQuantile(sorted, 0.75),
+            max: sorted[sorted.length - 1],
+        };
+    },
+
+    /**
+     * CSV file of the data of a chart, with the names of the columns on the first line
+     *
+     * @param {string[]} names names of the columns, HTML escaped as they are drawn
+     * @param {Array[]} rows
+     * @return {string}
+     */
+    toCsv: (names, rows) => [names].concat(rows)
+        .map(row => row.map(toCsvField).join(','))
+        .join('\r\n') + '\r\n',
+
+    /**
+     * SVG file of the image of a chart
+     *
+     * @param {string} imageUrl data URL of the PNG image of the chart
+     * @param {number} width
+     * @param {number} height
+     * @return {string}
+     */
+    toSvg: (imageUrl, width, height) => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="' + width +
+        '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">\n' +
+        '  <image width="' + width + '" height="' + height + '" xlink:href="' + imageUrl + '"/>\n' +
+        '</svg>\n',
+
+    /**
+     * Definition of the chart saved at the end of a bookmarked query
+     *
+     * @param {string} query
+     * @return {object|null}
+     */
+    getDefinition: query => {
+        const matches = chartComment.exec(query);
+        if (matches === null) {
+            return null;
+        }
+        try {
+            return JSON.parse(matches[1]);
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Query with the definition of its chart in a trailing comment, replacing a previous one
+     *
+     * @param {string} query
+     * @param {object} definition
+     * @return {string}
+     */
+    setDefinition: (query, definition) => query.replace(chartComment, '').replace(/\s*;\s*$/, '') +
+        '\n/* phpMyAdmin chart ' + JSON.stringify(definition).replace(/\*\//g, '*\\/') + ' */',
+};
@@ -0,0 +1,291 @@
+import $ from 'jquery';
+
+/**
+ * Upload of the import files in chunks to /import/chunk, which can be paused and resumed,
+ * also after a network failure or a reload of the page as the identifier of the upload is
+ * kept in the local storage with the name, the size and the date of the file.
+ */
+
+/**
+ * Largest size of a chunk, in bytes
+ */
+const maxChunkSize = 8 * 1024 * 1024;
+
+/**
+ * Number of times a chunk is sent again after a network failure before the upload is paused
+ */
+const maxRetries = 5;
+
+/**
+ * @var {number[]} table of the CRC32 of the bytes
+ */
+let crcTable = null;
+
+/**
+ * @param {string|null} key null for the contents which are not files
+ * @return {string|null}
+ */
+function getStoredId (key) {
+    if (key === null) {
+        return null;
+    }
+    try {
+        return window.localStorage.getItem(key);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * @param {string|null} key null for the contents which are not files
+ * @param {string|null} uploadId null to forget the upload
+ * @return {void}
+ */
+function storeId (key, uploadId) {
+    if (key === null) {
+        return;
+    }
+    try {
+        if (uploadId === null) {
+            window.localStorage.removeItem(key);
+        } else {
+            window.localStorage.setItem(key, uploadId);
+        }
+    } catch (error) {
+        // The upload can not be resumed after a reload
+    }
+}
+
+export const ChunkedUpload = {
+    /**
+     * CRC32 of some bytes, as the crc32b hash of PHP
+     *
+     * @param {Uint8Array} bytes
+     * @return {string} 8 hexadecimal digits
+     */
+    crc32: bytes => {
+        if (crcTable === null) {
+            crcTable = [];
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable.push(c >>> 0);
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+
+        return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+    },
+
+    /**
+     * @return {string} random identifier of 32 hexadecimal digits
+     */
+    createId: () => Array.from(window.crypto.getRandomValues(new Uint8Array(16)))
+        .map(byte => byte.toString(16).padStart(2, '0')).join(''),
+
+    /**
+     * Key of the local storage item keeping the identifier of the upload of a file
+     *
+     * @param {File} file
+     * @return {string}
+     */
+    getStorageKey: file => 'chunkedUpload:' + window.CommonParams.get('server') + ':' +
+        file.name + ':' + file.size + ':' + file.lastModified,
+
+    /**
+     * Size of the chunks, half of the upload limit so that the other fields of the request fit
+     *
+     * @param {number} maxUploadSize upload limit of the server, in bytes
+     * @return {number}
+     */
+    getChunkSize: maxUploadSize => {
+        if (! (maxUploadSize > 1)) {
+            return maxChunkSize;
+        }
+
+        return Math.min(maxChunkSize, Math.floor(maxUploadSize / 2));
+    },
+
+    /**
+     * Whether a file is large enough to be uploaded in chunks
+     *
+     * @param {Blob} file
+     * @return {boolean}
+     */
+    isNeeded: file => file.size > ChunkedUpload.getChunkSize(window.CommonParams.get('max_upload_size')),
+
+    /**
+     * Starts or resumes the upload of a file
+     *
+     * @param {Blob} file only the uploads of File objects can be resumed after a reload of the page
+     * @param {object} callbacks onProgress(loaded, total), onPause(isFailure), onComplete(uploadId) and onError(message)
+     * @return {object} upload with the pause(), resume() and cancel() methods
+     */
+    start: (file, callbacks) => {
+        const storageKey = file instanceof File ? ChunkedUpload.getStorageKey(file) : null;
+        const chunkSize = ChunkedUpload.getChunkSize(window.CommonParams.get('max_upload_size'));
+        const uploadId = getStoredId(storageKey) || ChunkedUpload.createId();
+        storeId(storageKey, uploadId);
+
+        let offset = 0;
+        let isPaused = false;
+        let retries = 0;
+        let request = null;
+
+        const post = (data, success, error, progress) => {
+            const isFormData = data instanceof FormData;
+            request = $.ajax({
+                xhr: function () {
+                    const xhr = $.ajaxSettings.xhr();
+                    if (progress && xhr.upload) {
+                        xhr.upload.addEventListener('progress', progress, false);
+                    }
+
+                    return xhr;
+                },
+                url: 'index.php?route=/import/chunk',
+                type: 'POST',
+                data: isFormData ? data : $.extend({
+                    'server': window.CommonParams.get('server'),
+                    'token': window.CommonParams.get('token'),
+                    'ajax_request': true,
+                    'upload_id': uploadId
+                }, data),
+                processData: ! isFormData,
+                contentType: isFormData ? false : 'application/x-www-form-urlencoded; charset=UTF-8',
+                cache: false,
+                success: success,
+                error: error
+            });
+        };
+
+        const fail = message => {
+            isPaused = true;
+            callbacks.onError(message);
+        };
+
+        let sendChunk;
+
+        const retry = (jqXHR, textStatus) => {
+            if (textStatus === 'abort') {
+                return;
+            }
+            if (retries >= maxRetries) {
+                isPaused = true;
+                callbacks.onPause(true);
+
+                return;
+            }
+            retries++;
+            setTimeout(synchronize, 1000 * retries * retries);
+        };
+
+        // Continues from the size of the part already received by the server
+        const synchronize = () => {
+            if (isPaused) {
+                return;
+            }
+            post({ 'upload_action': 'status', 'file_size': file.size }, data => {
+                if (! data.success) {
+                    fail(data.error);
+
+                    return;
+                }
+                if (data.size > file.size) {
+                    // The part belongs to another file with the same name, size and date
+                    offset = 0;
+                    post({ 'upload_action': 'cancel' }, sendChunk, retry);
+
+                    return;
+                }
+                offset = data.size;
+                sendChunk();
+            }, retry);
+        };
+
+        sendChunk = () => {
+            if (isPaused) {
+                return;
+            }
+            callbacks.onProgress(offset, file.size);
+            if (offset >= file.size) {
+                storeId(storageKey, null);
+                callbacks.onComplete(uploadId);
+
+                return;
+            }
+
+            const chunk = file.slice(offset, offset + chunkSize);
+            const reader = new FileReader();
+            reader.onload = () => {
+                const formData = new FormData();
+                formData.append('server', window.CommonParams.get('server'));
+                formData.append('token', window.CommonParams.get('token'));
+                formData.append('ajax_request', 'true');
+                formData.append('upload_id', uploadId);
+                formData.append('upload_action', 'chunk');
+                formData.append('offset', offset);
+                formData.append('checksum', ChunkedUpload.crc32(new Uint8Array(reader.result)));
+                formData.append('chunk', chunk, 'chunk');
+
+                const chunkOffset = offset;
+                post(formData, data => {
+                    if (data.size !== undefined) {
+                        offset = data.size;
+                    }
+                    if (! data.success) {
+                        // A corrupted or misplaced chunk is sent again from where the server is
+                        if (data.size === undefined || retries >= maxRetries) {
+                            fail(data.error);
+
+                            return;
+                        }
+                        retries++;
+                    } else {
+                        retries = 0;
+                    }
+                    sendChunk();
+                }, retry, event => {
+                    if (event.lengthComputable) {
+                        callbacks.onProgress(chunkOffset + chunk.size * event.loaded / event.total, file.size);
+                    }
+                });
+            };
+            reader.onerror = () => {
+                fail(window.Messages.strChunkedUploadReadError);
+            };
+            reader.readAsArrayBuffer(chunk);
+        };
+
+        synchronize();
+
+        return {
+            pause: () => {
+                isPaused = true;
+                if (request !== null) {
+                    request.abort();
+                }
+                callbacks.onPause(false);
+            },
+            resume: () => {
+                isPaused = false;
+                retries = 0;
+                synchronize();
+            },
+            cancel: () => {
+                isPaused = true;
+                if (request !== null) {
+                    request.abort();
+                }
+                storeId(storageKey, null);
+                post({ 'upload_action': 'cancel' });
+            }
+        };
+    },
+};
@@ -1,6 +1,7 @@
 import $ from 'jquery';
 import CodeMirror from 'codemirror';
 import { Config } from './console/config.js';
+import { SqlFormatter } from './sql-formatter.js';
 
 /* global Functions, Navigation */
 
@@ -119,6 +120,7 @@ var Console = {
             ConsoleResizer.initialize();
             ConsoleInput.initialize();
             ConsoleMessages.initialize();
+            ConsoleTabs.initialize();
             ConsoleBookmarks.initialize();
             ConsoleDebug.initialize();
 
@@ -241,6 +243,9 @@ var Console = {
             } else {
                 Console.$requestForm.children('[name=table]').val('');
             }
+        } else if (ConsoleTabs.getDatabase().length > 0) {
+            Console.$requestForm.children('[name=db]').val(ConsoleTabs.getDatabase());
+            Console.$requestForm.children('[name=table]').val('');
         } else {
             Console.$requestForm.children('[name=db]').val(
                 (window.CommonParams.get('db').length > 0 ? window.CommonParams.get('db') : ''));
@@ -252,10 +257,17 @@ var Console = {
         if (! Functions.confirmQuery(Console.$requestForm[0], Console.$requestForm.children('textarea')[0].value)) {
             return;
         }
-        Console.$requestForm.children('[name=console_message_id]')
-            .val(ConsoleMessages.appendQuery({ 'sql_query': queryString }).message_id);
-        Console.$requestForm.trigger('submit');
+        var messageId = ConsoleMessages.appendQuery({ 'sql_query': queryString }).message_id;
+        var db = Console.$requestForm.children('[name=db]').val();
+        ConsoleTabs.addQuery(messageId, queryString, db);
         ConsoleInput.clear();
+        // the results of a single SELECT are displayed in the console, without replacing the main page
+        if (SqlFormatter.isSingleSelect(queryString) && ! (options && options.profiling === true)) {
+            ConsoleResults.execute(messageId, queryString, db);
+            return;
+        }
+        Console.$requestForm.children('[name=console_message_id]').val(messageId);
+        Console.$requestForm.trigger('submit');
         Navigation.reload();
     },
     ajaxCallback: function (data) {
@@ -530,6 +542,7 @@ var ConsoleInput = {
                 }
             });
             ConsoleInput.inputs.console.on('inputRead', Functions.codeMirrorAutoCompleteOnInputRead);
+            Functions.addSqlFormatAction(ConsoleInput.inputs.console);
             ConsoleInput.inputs.console.on('keydown', function (instance, event) {
                 ConsoleInput.historyNavigate(event);
             });
@@ -549,6 +562,7 @@ var ConsoleInput = {
                     }
                 });
                 ConsoleInput.inputs.bookmark.on('inputRead', Functions.codeMirrorAutoCompleteOnInputRead);
+                Functions.addSqlFormatAction(ConsoleInput.inputs.bookmark);
             }
         } else {
             ConsoleInput.inputs.console =
@@ -754,9 +768,10 @@ var ConsoleMessages = {
      * @return {void}
      */
     clear: function () {
-        $('#pma_console').find('.content .console_message_container .message:not(.welcome)').addClass('hide');
-        $('#pma_console').find('.content .console_message_container .message.failed').remove();
-        $('#pma_console').find('.content .console_message_container .message.expanded').find('.action.collapse').trigger('click');
+        ConsoleTabs.getContainer().find('.message:not(.welcome)').addClass('hide');
+        ConsoleTabs.getContainer().find('.message.failed').remove();
+        ConsoleTabs.getContainer().find('.message.expanded').find('.action.collapse').trigger('click');
+        ConsoleTabs.setHistoryHidden(true);
     },
     /**
      * Used for show history messages
@@ -764,7 +779,8 @@ var ConsoleMessages = {
      * @return {void}
      */
     showHistory: function () {
-        $('#pma_console').find('.content .console_message_container .message.hide').removeClass('hide');
+        ConsoleTabs.getContainer().find('.message.hide').removeClass('hide');
+        ConsoleTabs.setHistoryHidden(false);
     },
     /**
      * Used for getting a perticular history query
@@ -773,7 +789,7 @@ var ConsoleMessages = {
      * @return {string | false} message
      */
     getHistory: function (nthLast) {
-        var $queries = $('#pma_console').find('.content .console_message_container .query');
+        var $queries = ConsoleTabs.getContainer().find('.query');
         var length = $queries.length;
         var $query = $queries.eq(length - nthLast);
         if (!$query || (length - nthLast) < 0) {
@@ -800,9 +816,10 @@ var ConsoleMessages = {
      *
      * @param {string} msgString Message to show
      * @param {string} msgType Message type
+     * @param {JQuery} $container Messages container of a tab, the active one by default
      * @return {object | false}, {message_id, $message}
      */
-    append: function (msgString, msgType) {
+    append: function (msgString, msgType, $container) {
         if (typeof(msgString) !== 'string') {
             return false;
         }
@@ -835,7 +852,7 @@ var ConsoleMessages = {
             .parent().attr('title', now);
         return {
             'message_id': msgId,
-            $message: $newMessage.appendTo('#pma_console .content .console_message_container')
+            $message: $newMessage.appendTo($container || ConsoleTabs.getContainer())
         };
     },
     /**
@@ -844,10 +861,11 @@ var ConsoleMessages = {
      * @param {string} queryData Struct should be
      * {sql_query: "Query string", db: "Target DB", table: "Target Table"}
      * @param {string} state Message state
+     * @param {JQuery} $container Messages container of a tab, the active one by default
      * @return {object}, {message_id: string message id, $message: JQuery object}
      */
-    appendQuery: function (queryData, state) {
-        var targetMessage = ConsoleMessages.append(queryData.sql_query, 'query');
+    appendQuery: function (queryData, state, $container) {
+        var targetMessage = ConsoleMessages.append(queryData.sql_query, 'query', $container);
         if (! targetMessage) {
             return false;
         }
@@ -1012,6 +1030,7 @@ var ConsoleMessages = {
         } else {
             $targetMessage.addClass('failed');
         }
+        ConsoleTabs.updateQuery(msgId, isSuccessed, queryData);
     },
     /**
      * Used for console messages initialize
@@ -1027,6 +1046,574 @@ var ConsoleMessages = {
     }
 };
 
+/**
+ * Console tabs, each one with its own default database, query, messages and history.
+ * The tabs are stored in the Console/Tabs preference.
+ */
+var ConsoleTabs = {
+    /**
+     * @var {Object[]}, tabs as stored in the preference
+     * @access private
+     */
+    tabs: [],
+    /**
+     * @var {number}, index of the active tab
+     * @access private
+     */
+    activeIndex: 0,
+    /**
+     * @var {Object}, messages container of each tab, by tab id
+     * @access private
+     */
+    $containers: {},
+    /**
+     * @var {number|null}, timeout of the delayed saving
+     * @access private
+     */
+    saveTimeout: null,
+    /**
+     * @var {number}, queries remembered per tab
+     * @access private
+     */
+    maxHistory: 20,
+    /**
+     * Used for console tabs initialize, restores the stored tabs
+     *
+     * @return {void}
+     */
+    initialize: function () {
+        var $firstContainer = $('#pma_console').find('.content .console_message_container').first();
+
+        ConsoleTabs.tabs = [];
+        ConsoleTabs.activeIndex = 0;
+        $.each(Config.Tabs, function (index, tab) {
+            if (typeof tab !== 'object' || tab === null) {
+                return;
+            }
+            ConsoleTabs.tabs.push({
+                id: String(tab.id || new Date().getTime() + index),
+                name: String(tab.name || ''),
+                db: String(tab.db || ''),
+                query: String(tab.query || ''),
+                history: Array.isArray(tab.history) ? tab.history : [],
+                active: !! tab.active
+            });
+            if (tab.active) {
+                ConsoleTabs.activeIndex = ConsoleTabs.tabs.length - 1;
+            }
+        });
+        if (ConsoleTabs.tabs.length === 0) {
+            ConsoleTabs.tabs.push(ConsoleTabs.createTab());
+        }
+
+        // The first tab keeps the welcome message and the query history of the server
+        $.each(ConsoleTabs.tabs, function (index, tab) {
+            var $container = index === 0 ? $firstContainer : $('<div class="console_message_container hide"></div>')
+                .insertAfter($('#pma_console').find('.content .console_message_container').last());
+            ConsoleTabs.$containers[tab.id] = $container;
+            ConsoleTabs.restoreHistory(tab);
+        });
+
+        ConsoleTabs.display(ConsoleTabs.activeIndex);
+
+        var $tabs = $('#pma_console').find('.console_tabs');
+        $tabs.on('click', '.console_tab', function () {
+            ConsoleTabs.switchTo($(this).index());
+        });
+        $tabs.on('click', '.console_tab .close', function (event) {
+            event.stopPropagation();
+            ConsoleTabs.closeTab($(this).parent().index());
+        });
+        $tabs.on('dblclick', '.console_tab', function () {
+            var tab = ConsoleTabs.tabs[$(this).index()];
+            var name = prompt(window.Messages.strConsoleTabRename, tab.name);
+            if (name !== null && name.trim().length > 0) {
+                tab.name = name.trim();
+                ConsoleTabs.render();
+                ConsoleTabs.save();
+            }
+        });
+        $tabs.find('.console_tab_add').on('click', function () {
+            ConsoleTabs.addTab();
+        });
+        $tabs.find('[name=console_tab_db]').on('change', function () {
+            ConsoleTabs.tabs[ConsoleTabs.activeIndex].db = $(this).val().trim();
+            ConsoleTabs.save();
+        });
+
+        if (ConsoleInput.codeMirror) {
+            ConsoleInput.inputs.console.on('change', ConsoleTabs.queryChanged);
+        } else {
+            ConsoleInput.inputs.console.on('input', ConsoleTabs.queryChanged);
+        }
+    },
+    /**
+     * @return {Object} a new empty tab
+     */
+    createTab: function () {
+        return {
+            id: String(new Date().getTime()),
+            name: Functions.sprintf(window.Messages.strConsoleTabName, ConsoleTabs.tabs.length + 1),
+            db: '',
+            query: '',
+            history: [],
+            active: false
+        };
+    },
+    /**
+     * Displays the messages of the stored queries of a tab
+     *
+     * @param {Object} tab
+     * @return {void}
+     */
+    restoreHistory: function (tab) {
+        // Queries which were still running when the page was left have no result
+        tab.history = $.grep(tab.history, function (entry) {
+            return entry && typeof entry.query === 'string' && entry.state !== 'pending';
+        });
+        $.each(tab.history, function (index, entry) {
+            var message = ConsoleMessages.appendQuery(
+                { 'sql_query': entry.query, db: entry.db, table: entry.table },
+                entry.state,
+                ConsoleTabs.$containers[tab.id]
+            );
+            entry.id = message.message_id;
+            message.$message.find('span.text.query_time span').text(entry.time).parent().attr('title', entry.time);
+            message.$message.toggleClass('hide', !! entry.hidden);
+        });
+    },
+    /**
+     * @return {JQuery} messages container of the active tab
+     */
+    getContainer: function () {
+        if (ConsoleTabs.tabs.length === 0) {
+            return $('#pma_console').find('.content .console_message_container').first();
+        }
+        return ConsoleTabs.$containers[ConsoleTabs.tabs[ConsoleTabs.activeIndex].id];
+    },
+    /**
+     * @return {string} default database of the active tab, empty to use the current database
+     */
+    getDatabase: function () {
+        if (ConsoleTabs.tabs.length === 0) {
+            return '';
+        }
+        return ConsoleTabs.tabs[ConsoleTabs.activeIndex].db;
+    },
+    /**
+     * Renders the tab bar
+     *
+     * @return {void}
+     */
+    render: function () {
+        var $tabs = $('#pma_console').find('.console_tabs');
+        $tabs.children('.console_tab').remove();
+        $.each(ConsoleTabs.tabs, function (index, tab) {
+            var $tab = $('<span class="console_tab"></span>')
+                .text(tab.name)
+                .toggleClass('active', index === ConsoleTabs.activeIndex);
+            // The first tab holds the server history and can not be closed
+            if (index > 0) {
+                $tab.append($('<span class="close">×</span>').attr('title', window.Messages.strConsoleTabClose));
+            }
+            $tab.insertBefore($tabs.children('.console_tab_add'));
+        });
+        $tabs.find('[name=console_tab_db]').val(ConsoleTabs.getDatabase());
+    },
+    /**
+     * Activates a tab, the query being typed is kept in the previous one
+     *
+     * @param {number} index
+     * @return {void}
+     */
+    switchTo: function (index) {
+        var previous = ConsoleTabs.tabs[ConsoleTabs.activeIndex];
+        if (previous && index !== ConsoleTabs.activeIndex) {
+            previous.query = ConsoleInput.getText();
+        }
+        ConsoleTabs.display(index);
+        ConsoleTabs.save();
+    },
+    /**
+     * Shows the messages, query and database of a tab
+     *
+     * @param {number} index
+     * @return {void}
+     */
+    display: function (index) {
+        ConsoleTabs.activeIndex = index;
+        $.each(ConsoleTabs.tabs, function (i, tab) {
+            tab.active = i === index;
+            ConsoleTabs.$containers[tab.id].toggleClass('hide', i !== index);
+        });
+
+        ConsoleInput.historyCount = 0;
+        ConsoleInput.setText(ConsoleTabs.tabs[index].query);
+        ConsoleTabs.render();
+    },
+    /**
+     * @return {void}
+     */
+    addTab: function () {
+        var tab = ConsoleTabs.createTab();
+        ConsoleTabs.tabs.push(tab);
+        ConsoleTabs.$containers[tab.id] = $('<div class="console_message_container"></div>')
+            .insertAfter($('#pma_console').find('.content .console_message_container').last());
+        ConsoleTabs.switchTo(ConsoleTabs.tabs.length - 1);
+        ConsoleInput.focus();
+    },
+    /**
+     * @param {number} index
+     * @return {void}
+     */
+    closeTab: function (index) {
+        if (index === 0) {
+            return;
+        }
+        var tab = ConsoleTabs.tabs[index];
+        ConsoleTabs.$containers[tab.id].remove();
+        delete ConsoleTabs.$containers[tab.id];
+        ConsoleTabs.tabs.splice(index, 1);
+
+        // The previous tab is activated when the active one is closed
+        if (index <= ConsoleTabs.activeIndex) {
+            ConsoleTabs.activeIndex--;
+        }
+        ConsoleTabs.display(ConsoleTabs.activeIndex);
+        ConsoleTabs.save();
+    },
+    /**
+     * Keeps the query being typed in the active tab
+     *
+     * @return {void}
+     */
+    queryChanged: function () {
+        if (ConsoleTabs.tabs.length === 0) {
+            return;
+        }
+        var query = ConsoleInput.getText();
+        if (ConsoleTabs.tabs[ConsoleTabs.activeIndex].query !== query) {
+            ConsoleTabs.tabs[ConsoleTabs.activeIndex].query = query;
+            ConsoleTabs.save();
+        }
+    },
+    /**
+     * Adds an executed query to the history of the active tab
+     *
+     * @param {number} msgId
+     * @param {string} query
+     * @param {string} db
+     * @return {void}
+     */
+    addQuery: function (msgId, query, db) {
+        var now = new Date();
+        var history = ConsoleTabs.tabs[ConsoleTabs.activeIndex].history;
+        history.push({
+            id: msgId,
+            query: query,
+            db: db,
+            table: '',
+            state: 'pending',
+            time: now.getHours() + ':' + now.getMinutes() + ':' + now.getSeconds(),
+            hidden: false
+        });
+        if (history.length > ConsoleTabs.maxHistory) {
+            history.shift();
+        }
+        ConsoleTabs.save();
+    },
+    /**
+     * Stores the result of a query, whichever tab it was executed in
+     *
+     * @param {number} msgId
+     * @param {boolean} isSuccessed
+     * @param {Object|false} queryData
+     * @return {void}
+     */
+    updateQuery: function (msgId, isSuccessed, queryData) {
+        $.each(ConsoleTabs.tabs, function (index, tab) {
+            $.each(tab.history, function (i, entry) {
+                if (String(entry.id) !== String(msgId)) {
+                    return;
+                }
+                entry.state = isSuccessed ? 'successed' : 'failed';
+                if (isSuccessed && queryData) {
+                    entry.query = queryData.sql_query;
+                    entry.db = queryData.db;
+                    entry.table = queryData.table;
+                }
+            });
+        });
+        ConsoleTabs.save();
+    },
+    /**
+     * Remembers whether the messages of the active tab were cleared
+     *
+     * @param {boolean} hidden
+     * @return {void}
+     */
+    setHistoryHidden: function (hidden) {
+        if (ConsoleTabs.tabs.length === 0) {
+            return;
+        }
+        var tab = ConsoleTabs.tabs[ConsoleTabs.activeIndex];
+        // Failed queries are removed when clearing
+        tab.history = $.grep(tab.history, function (entry) {
+            return ! hidden || entry.state !== 'failed';
+        });
+        $.each(tab.history, function (index, entry) {
+            entry.hidden = hidden;
+        });
+        ConsoleTabs.save();
+    },
+    /**
+     * Stores the tabs in the preferences, delayed as it happens while typing
+     *
+     * @return {void}
+     */
+    save: function () {
+        clearTimeout(ConsoleTabs.saveTimeout);
+        ConsoleTabs.saveTimeout = setTimeout(function () {
+            Config.set('Tabs', ConsoleTabs.tabs);
+        }, 1000);
+    }
+};
+
+/**
+ * Results of the SELECT queries executed from the console, displayed in their message
+ */
+var ConsoleResults = {
+    /**
+     * @var {number}, rows displayed per page
+     * @access private
+     */
+    pageSize: 25,
+    /**
+     * Executes a SELECT query and displays its result inside the query message
+     *
+     * @param {number} msgId
+     * @param {string} queryString
+     * @param {string} db
+     * @return {void}
+     */
+    execute: function (msgId, queryString, db) {
+        $.post('index.php?route=/console/query', {
+            'server': window.CommonParams.get('server'),
+            'db': db,
+            'sql_query': queryString,
+            'ajax_request': true
+        }, function (data) {
+            var $message = $('#pma_console').find('.console_message_container .message[msgid=' + msgId + ']');
+            if (typeof data === 'undefined' || data.success !== true) {
+                ConsoleMessages.updateQuery(msgId, false, false);
+                $message.children('.query_result').remove();
+                $message.append($('<div class="query_result"></div>').html(data ? data.error : ''));
+                return;
+            }
+            ConsoleMessages.updateQuery(msgId, true, false);
+            ConsoleResults.show($message, queryString, db, data);
+        });
+    },
+    /**
+     * Adds the result table to a query message
+     *
+     * @param {JQuery} $message
+     * @param {string} queryString
+     * @param {string} db
+     * @param {object} data {columns, rows, more, time}
+     * @return {void}
+     */
+    show: function ($message, queryString, db, data) {
+        var $result = Console.$consoleTemplates.children('.query_result').clone();
+        var info = Functions.sprintf(
+            data.more ? window.Messages.strConsoleResultLimited : window.Messages.strConsoleResultRows,
+            data.rows.length,
+            data.time
+        );
+
+        $message.children('.query_result').remove();
+        $result.find('.text.result_info').text(info);
+        $result.data('result', {
+            columns: data.columns,
+            rows: data.rows,
+            sortColumn: null,
+            sortAscending: true,
+            page: 0
+        });
+        $result.find('.action.browse').on('click', function () {
+            ConsoleResults.openInBrowseView($message.attr('msgid'), queryString, db);
+        });
+        $result.find('.action.copy_csv').on('click', function () {
+            ConsoleResults.copy($(this), ConsoleResults.toCsv($result.data('result')));
+        });
+        $result.find('.action.copy_markdown').on('click', function () {
+            ConsoleResults.copy($(this), ConsoleResults.toMarkdown($result.data('result')));
+        });
+        $result.find('.action.previous_page').on('click', function () {
+            $result.data('result').page--;
+            ConsoleResults.render($result);
+        });
+        $result.find('.action.next_page').on('click', function () {
+            $result.data('result').page++;
+            ConsoleResults.render($result);
+        });
+        $result.on('click', 'th', function () {
+            var result = $result.data('result');
+            var column = $(this).index();
+            result.sortAscending = result.sortColumn !== column || ! result.sortAscending;
+            result.sortColumn = column;
+            ConsoleResults.sort(result);
+            result.page = 0;
+            ConsoleResults.render($result);
+        });
+        $message.append($result);
+        ConsoleResults.render($result);
+    },
+    /**
+     * Renders the current page of a result
+     *
+     * @param {JQuery} $result
+     * @return {void}
+     */
+    render: function ($result) {
+        var result = $result.data('result');
+        var pages = Math.max(1, Math.ceil(result.rows.length / ConsoleResults.pageSize));
+        result.page = Math.min(Math.max(result.page, 0), pages - 1);
+
+        var $table = $('<table class="table table-sm table-striped"><thead><tr></tr></thead><tbody></tbody></table>');
+        $.each(result.columns, function (index, column) {
+            var $header = $('<th></th>').text(column.name);
+            if (result.sortColumn === index) {
+                $header.addClass(result.sortAscending ? 'sorted_asc' : 'sorted_desc');
+            }
+            $table.find('thead tr').append($header);
+        });
+        var start = result.page * ConsoleResults.pageSize;
+        $.each(result.rows.slice(start, start + ConsoleResults.pageSize), function (i, row) {
+            var $row = $('<tr></tr>');
+            $.each(row, function (index, value) {
+                var $cell = $('<td></td>');
+                if (value === null) {
+                    $cell.addClass('null').text('NULL');
+                } else {
+                    $cell.text(value);
+                }
+                if (result.columns[index].isNumeric) {
+                    $cell.addClass('text-end');
+                }
+                $row.append($cell);
+            });
+            $table.find('tbody').append($row);
+        });
+
+        $result.find('.result_table').empty().append($table);
+        $result.find('.result_pages').toggle(pages > 1);
+        $result.find('.text.page').text(Functions.sprintf(window.Messages.strConsoleResultPage, result.page + 1, pages));
+        $result.find('.action.previous_page').toggleClass('disabled', result.page === 0);
+        $result.find('.action.next_page').toggleClass('disabled', result.page === pages - 1);
+    },
+    /**
+     * Sorts the rows of a result by its sort column, NULL values first
+     *
+     * @param {object} result
+     * @return {void}
+     */
+    sort: function (result) {
+        var column = result.sortColumn;
+        var isNumeric = result.columns[column].isNumeric;
+        result.rows.sort(function (a, b) {
+            var comparison;
+            if (a[column] === null || b[column] === null) {
+                comparison = (a[column] === null ? 0 : 1) - (b[column] === null ? 0 : 1);
+            } else if (isNumeric) {
+                comparison = parseFloat(a[column]) - parseFloat(b[column]);
+            } else {
+                comparison = String(a[column]).localeCompare(String(b[column]));
+            }
+            return result.sortAscending ? comparison : - comparison;
+        });
+    },
+    /**
+     * Opens the query in the browse view of the main page
+     *
+     * @param {string} msgId
+     * @param {string} queryString
+     * @param {string} db
+     * @return {void}
+     */
+    openInBrowseView: function (msgId, queryString, db) {
+        Console.$requestForm.children('textarea').val(queryString);
+        Console.$requestForm.children('[name=server]').attr('value', window.CommonParams.get('server'));
+        Console.$requestForm.children('[name=db]').val(db);
+        Console.$requestForm.children('[name=table]').val('');
+        Console.$requestForm.children('[name=console_message_id]').val(msgId);
+        Console.$requestForm.find('[name=profiling]').remove();
+        Console.$requestForm.trigger('submit');
+    },
+    /**
+     * @param {object} result
+     * @return {string}
+     */
+    toCsv: function (result) {
+        var quote = function (value) {
+            if (value === null) {
+                return 'NULL';
+            }
+            var text = String(value);
+            return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+        };
+        var lines = [result.columns.map(function (column) {
+            return quote(column.name);
+        }).join(',')];
+        $.each(result.rows, function (i, row) {
+            lines.push(row.map(quote).join(','));
+        });
+
+        return lines.join('\n');
+    },
+    /**
+     * @param {object} result
+     * @return {string}
+     */
+    toMarkdown: function (result) {
+        var escape = function (value) {
+            if (value === null) {
+                return 'NULL';
+            }
+            return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+        };
+        var lines = [
+            '| ' + result.columns.map(function (column) {
+                return escape(column.name);
+            }).join(' | ') + ' |',
+            '|' + result.columns.map(function (column) {
+                return column.isNumeric ? ' ---: ' : ' --- ';
+            }).join('|') + '|'
+        ];
+        $.each(result.rows, function (i, row) {
+            lines.push('| ' + row.map(escape).join(' | ') + ' |');
+        });
+
+        return lines.join('\n');
+    },
+    /**
+     * Copies a text to the clipboard and shows the outcome next to the clicked action
+     *
+     * @param {JQuery} $action
+     * @param {string} text
+     * @return {void}
+     */
+    copy: function ($action, text) {
+        var message = Functions.copyToClipboard(text) ?
+            window.Messages.strCopyQueryButtonSuccess :
+            window.Messages.strCopyQueryButtonFailure;
+        $action.siblings('.copy_status').remove();
+        $('<span class="text copy_status"></span>').text(message).insertAfter($action).delay(2000).fadeOut(400, function () {
+            $(this).remove();
+        });
+    }
+};
+
 /**
  * Console bookmarks card, and bookmarks items management object
  */
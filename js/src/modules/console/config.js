@@ -44,6 +44,10 @@ export const Config = {
      * @type {'asc'|'desc'}
      */
     Order: 'asc',
+    /**
+     * @type {Array<{id: string, name: string, db: string, query: string, history: Object[], active: boolean}>}
+     */
+    Tabs: [],
 
     /**
      * @param {Object} data
@@ -60,11 +64,12 @@ export const Config = {
         this.GroupQueries = !!data.GroupQueries;
         this.OrderBy = data.OrderBy === 'time' || data.OrderBy === 'count' ? data.OrderBy : 'exec';
         this.Order = data.Order === 'desc' ? 'desc' : 'asc';
+        this.Tabs = Array.isArray(data.Tabs) ? data.Tabs : [];
     },
 
     /**
-     * @param {'StartHistory'|'AlwaysExpand'|'CurrentQuery'|'EnterExecutes'|'DarkTheme'|'Mode'|'Height'|'GroupQueries'|'OrderBy'|'Order'} key
-     * @param {boolean|string|number} value
+     * @param {'StartHistory'|'AlwaysExpand'|'CurrentQuery'|'EnterExecutes'|'DarkTheme'|'Mode'|'Height'|'GroupQueries'|'OrderBy'|'Order'|'Tabs'} key
+     * @param {boolean|string|number|Object[]} value
      * @return {void}
      */
     set: function (key, value) {
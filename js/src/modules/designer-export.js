@@ -0,0 +1,293 @@
+/**
+ * Client-side export of the designer canvas.
+ *
+ * The designer collects a diagram from the tables as positioned on the page:
+ *
+ *     {
+ *         width: number, height: number,
+ *         tables: [{ id, name, displayField, x, y, width, height, headerHeight,
+ *             columns: [{ name, type, y, height }] }],
+ *         relations: [{ from, fromColumn, to, toColumn }],
+ *         shapes: [{ type: 'line'|'circle'|'rect', ... }]
+ *     }
+ *
+ * where the relations reference the table ids and the shapes are the relation lines as drawn
+ * on the designer canvas. Columns of collapsed tables have no position.
+ */
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function escapeXml (text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {number} value
+ * @return {string}
+ */
+function formatNumber (value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Replaces the characters not allowed in identifiers of the text diagrams
+ *
+ * @param {string} name
+ * @return {string}
+ */
+function toIdentifier (name) {
+    var identifier = String(name).replace(/[^A-Za-z0-9_]/g, '_');
+
+    return /^[0-9]/.test(identifier) ? '_' + identifier : identifier;
+}
+
+/**
+ * Tables by their id
+ *
+ * @param {object} diagram
+ * @return {object}
+ */
+function getTablesById (diagram) {
+    var tables = {};
+    diagram.tables.forEach(function (table) {
+        tables[table.id] = table;
+    });
+
+    return tables;
+}
+
+/**
+ * Relations between two exported tables, with the tables resolved
+ *
+ * @param {object} diagram
+ * @return {object[]}
+ */
+function getRelations (diagram) {
+    var tables = getTablesById(diagram);
+
+    return diagram.relations.filter(function (relation) {
+        return tables[relation.from] !== undefined && tables[relation.to] !== undefined;
+    }).map(function (relation) {
+        return {
+            from: tables[relation.from],
+            fromColumn: relation.fromColumn,
+            to: tables[relation.to],
+            toColumn: relation.toColumn
+        };
+    });
+}
+
+/**
+ * Whether a column of a table references another table
+ *
+ * @param {object[]} relations
+ * @param {object} table
+ * @param {string} column
+ * @return {boolean}
+ */
+function isForeignKey (relations, table, column) {
+    return relations.some(function (relation) {
+        return relation.from === table && relation.fromColumn === column;
+    });
+}
+
+/**
+ * @param {object} shape
+ * @return {string}
+ */
+function shapeToSvg (shape) {
+    if (shape.type === 'circle') {
+        return '<circle cx="' + formatNumber(shape.x) + '" cy="' + formatNumber(shape.y) +
+            '" r="' + formatNumber(shape.r) + '" fill="none" stroke="' + escapeXml(shape.color) +
+            '" stroke-width="' + formatNumber(shape.width) + '"/>';
+    }
+    if (shape.type === 'rect') {
+        return '<rect x="' + formatNumber(shape.x) + '" y="' + formatNumber(shape.y) +
+            '" width="' + formatNumber(shape.width) + '" height="' + formatNumber(shape.height) +
+            '" fill="' + escapeXml(shape.color) + '"/>';
+    }
+
+    return '<line x1="' + formatNumber(shape.x1) + '" y1="' + formatNumber(shape.y1) +
+        '" x2="' + formatNumber(shape.x2) + '" y2="' + formatNumber(shape.y2) +
+        '" stroke="' + escapeXml(shape.color) + '" stroke-width="1"/>';
+}
+
+/**
+ * @param {object} table
+ * @return {string}
+ */
+function tableToSvg (table) {
+    var svg = '  <g class="table">\n' +
+        '    <rect x="' + formatNumber(table.x) + '" y="' + formatNumber(table.y) +
+        '" width="' + formatNumber(table.width) + '" height="' + formatNumber(table.height) +
+        '" fill="#fff" stroke="#888"/>\n' +
+        '    <rect x="' + formatNumber(table.x) + '" y="' + formatNumber(table.y) +
+        '" width="' + formatNumber(table.width) + '" height="' + formatNumber(table.headerHeight) +
+        '" fill="#e5e5e5" stroke="#888"/>\n' +
+        '    <text x="' + formatNumber(table.x + 6) + '" y="' + formatNumber(table.y + table.headerHeight / 2) +
+        '" dominant-baseline="central" font-weight="bold">' + escapeXml(table.name) + '</text>\n';
+
+    table.columns.forEach(function (column) {
+        if (column.y === undefined) {
+            return;
+        }
+        var isDisplayField = column.name === table.displayField;
+        svg += '    <text x="' + formatNumber(table.x + 6) + '" y="' + formatNumber(column.y + column.height / 2) +
+            '" dominant-baseline="central"' + (isDisplayField ? ' font-style="italic" fill="#235a81"' : '') + '>' +
+            escapeXml(column.name) + ' : ' + escapeXml(column.type) + '</text>\n';
+    });
+
+    return svg + '  </g>\n';
+}
+
+/**
+ * @param {string} type
+ * @return {string}
+ */
+function toMermaidType (type) {
+    var mermaidType = String(type).replace(/[^A-Za-z0-9_()[\]-]/g, '_');
+
+    return mermaidType === '' ? 'unknown' : mermaidType;
+}
+
+/**
+ * @param {string} name
+ * @return {string}
+ */
+function quoteDbml (name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : '"' + String(name).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+/**
+ * @param {string} type
+ * @return {string}
+ */
+function quoteDbmlType (type) {
+    return /^[A-Za-z_][A-Za-z0-9_]*(\([0-9, ]*\))?$/.test(type) ? type.replace(/ /g, '') : quoteDbml(type);
+}
+
+export const DesignerExport = {
+    /**
+     * Standalone SVG document of the diagram
+     *
+     * @param {object} diagram
+     * @return {string}
+     */
+    toSvg: function (diagram) {
+        var width = formatNumber(diagram.width);
+        var height = formatNumber(diagram.height);
+        var svg = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height +
+            '" viewBox="0 0 ' + width + ' ' + height + '" font-family="sans-serif" font-size="12" fill="#000">\n' +
+            '  <rect width="' + width + '" height="' + height + '" fill="#fff"/>\n';
+
+        diagram.tables.forEach(function (table) {
+            svg += tableToSvg(table);
+        });
+        if (diagram.shapes.length > 0) {
+            svg += '  <g class="relations">\n';
+            diagram.shapes.forEach(function (shape) {
+                svg += '    ' + shapeToSvg(shape) + '\n';
+            });
+            svg += '  </g>\n';
+        }
+
+        return svg + '</svg>\n';
+    },
+
+    /**
+     * Mermaid entity relationship diagram
+     *
+     * @param {object} diagram
+     * @return {string}
+     */
+    toMermaid: function (diagram) {
+        var relations = getRelations(diagram);
+        var text = 'erDiagram\n';
+
+        diagram.tables.forEach(function (table) {
+            text += '    ' + toIdentifier(table.name) + ' {\n';
+            table.columns.forEach(function (column) {
+                var line = '        ' + toMermaidType(column.type) + ' ' + toIdentifier(column.name);
+                if (isForeignKey(relations, table, column.name)) {
+                    line += ' FK';
+                }
+                if (column.name === table.displayField) {
+                    line += ' "display field"';
+                }
+                text += line + '\n';
+            });
+            text += '    }\n';
+        });
+        relations.forEach(function (relation) {
+            text += '    ' + toIdentifier(relation.to.name) + ' ||--o{ ' + toIdentifier(relation.from.name) +
+                ' : "' + String(relation.fromColumn).replace(/"/g, '\'') + '"\n';
+        });
+
+        return text;
+    },
+
+    /**
+     * PlantUML entity diagram
+     *
+     * @param {object} diagram
+     * @return {string}
+     */
+    toPlantUml: function (diagram) {
+        var relations = getRelations(diagram);
+        var text = '@startuml\n';
+
+        diagram.tables.forEach(function (table) {
+            text += 'entity "' + String(table.name).replace(/"/g, '\'') + '" as ' + toIdentifier(table.name) + ' {\n';
+            table.columns.forEach(function (column) {
+                var line = '  ' + column.name + ' : ' + column.type;
+                if (isForeignKey(relations, table, column.name)) {
+                    line += ' <<FK>>';
+                }
+                if (column.name === table.displayField) {
+                    line += ' <<display>>';
+                }
+                text += line + '\n';
+            });
+            text += '}\n';
+        });
+        relations.forEach(function (relation) {
+            text += toIdentifier(relation.from.name) + ' }o--|| ' + toIdentifier(relation.to.name) +
+                ' : ' + relation.fromColumn + '\n';
+        });
+
+        return text + '@enduml\n';
+    },
+
+    /**
+     * DBML (Database Markup Language) schema
+     *
+     * @param {object} diagram
+     * @return {string}
+     */
+    toDbml: function (diagram) {
+        var relations = getRelations(diagram);
+        var text = '';
+
+        diagram.tables.forEach(function (table) {
+            text += 'Table ' + quoteDbml(table.name) + ' {\n';
+            table.columns.forEach(function (column) {
+                text += '  ' + quoteDbml(column.name) + ' ' + quoteDbmlType(column.type) +
+                    (column.name === table.displayField ? ' [note: \'display field\']' : '') + '\n';
+            });
+            text += '}\n\n';
+        });
+        relations.forEach(function (relation) {
+            text += 'Ref: ' + quoteDbml(relation.from.name) + '.' + quoteDbml(relation.fromColumn) +
+                ' > ' + quoteDbml(relation.to.name) + '.' + quoteDbml(relation.toColumn) + '\n';
+        });
+
+        return text;
+    }
+};
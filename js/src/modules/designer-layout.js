@@ -0,0 +1,567 @@
+/**
+ * Automatic layouts for the tables of a designer page.
+ *
+ * Every layout takes the tables as [{ id, name, width, height }] and the relations as
+ * [{ from, to }] (from the referencing table to the referenced one), and returns the new
+ * top left corner of each table as { id: { x, y } }.
+ * Layouts try a few arrangements and keep the one with the fewest line crossings.
+ */
+
+const margin = 20;
+const horizontalGap = 50;
+const verticalGap = 70;
+
+/**
+ * Relations between two distinct known tables, without duplicates
+ *
+ * @param {object[]} tables
+ * @param {object[]} relations
+ * @return {object[]}
+ */
+function getEdges (tables, relations) {
+    const ids = tables.map(table => table.id);
+    const keys = [];
+    const edges = [];
+    relations.forEach(relation => {
+        const key = relation.from + '\n' + relation.to;
+        if (relation.from === relation.to || ids.indexOf(relation.from) === -1 ||
+            ids.indexOf(relation.to) === -1 || keys.indexOf(key) !== -1
+        ) {
+            return;
+        }
+        keys.push(key);
+        edges.push({ from: relation.from, to: relation.to });
+    });
+
+    return edges;
+}
+
+/**
+ * @param {object[]} tables
+ * @return {object[]}
+ */
+function sortByName (tables) {
+    return tables.slice().sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+}
+
+/**
+ * @param {number[]} p1
+ * @param {number[]} p2
+ * @param {number[]} p3
+ * @return {number}
+ */
+function orientation (p1, p2, p3) {
+    const value = (p2[1] - p1[1]) * (p3[0] - p2[0]) - (p2[0] - p1[0]) * (p3[1] - p2[1]);
+
+    return value === 0 ? 0 : (value > 0 ? 1 : -1);
+}
+
+/**
+ * Whether two segments cross each other, touching segments do not count
+ *
+ * @param {Array[]} a
+ * @param {Array[]} b
+ * @return {boolean}
+ */
+function segmentsCross (a, b) {
+    const o1 = orientation(a[0], a[1], b[0]);
+    const o2 = orientation(a[0], a[1], b[1]);
+    const o3 = orientation(b[0], b[1], a[0]);
+    const o4 = orientation(b[0], b[1], a[1]);
+
+    return o1 !== 0 && o2 !== 0 && o3 !== 0 && o4 !== 0 && o1 !== o2 && o3 !== o4;
+}
+
+/**
+ * Number of crossings between the relation lines, drawn between the table centers
+ *
+ * @param {object[]} tables
+ * @param {object[]} relations
+ * @param {object} positions
+ * @return {number}
+ */
+function countCrossings (tables, relations, positions) {
+    const centers = {};
+    tables.forEach(table => {
+        centers[table.id] = [positions[table.id].x + table.width / 2, positions[table.id].y + table.height / 2];
+    });
+    const edges = getEdges(tables, relations);
+    let crossings = 0;
+    for (let i = 0; i < edges.length; i++) {
+        for (let j = i + 1; j < edges.length; j++) {
+            const shared = [edges[j].from, edges[j].to];
+            if (shared.indexOf(edges[i].from) !== -1 || shared.indexOf(edges[i].to) !== -1) {
+                continue;
+            }
+            if (segmentsCross(
+                [centers[edges[i].from], centers[edges[i].to]],
+                [centers[edges[j].from], centers[edges[j].to]]
+            )) {
+                crossings++;
+            }
+        }
+    }
+
+    return crossings;
+}
+
+/**
+ * Arrangement of the candidates with the fewest crossings, the first one wins a tie
+ *
+ * @param {object[]} tables
+ * @param {object[]} relations
+ * @param {object[]} candidates
+ * @return {object}
+ */
+function pickBest (tables, relations, candidates) {
+    let best = null;
+    let bestCrossings = Infinity;
+    candidates.forEach(candidate => {
+        const crossings = countCrossings(tables, relations, candidate);
+        if (crossings < bestCrossings) {
+            best = candidate;
+            bestCrossings = crossings;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Places the tables row by row, wrapping the rows at the given width
+ *
+ * @param {object[]} tables
+ * @param {number} left
+ * @param {number} top
+ * @param {number} maxWidth
+ * @param {object} positions filled with the new positions
+ * @return {{width: number, height: number}} size of the placed block
+ */
+function placeInRows (tables, left, top, maxWidth, positions) {
+    let x = left;
+    let y = top;
+    let rowHeight = 0;
+    let width = 0;
+    tables.forEach(table => {
+        if (x > left && x + table.width > left + maxWidth) {
+            x = left;
+            y += rowHeight + verticalGap;
+            rowHeight = 0;
+        }
+        positions[table.id] = { x: x, y: y };
+        width = Math.max(width, x + table.width - left);
+        rowHeight = Math.max(rowHeight, table.height);
+        x += table.width + horizontalGap;
+    });
+
+    return { width: width, height: tables.length > 0 ? y + rowHeight - top : 0 };
+}
+
+/**
+ * Width of a square-ish block of tables
+ *
+ * @param {object[]} tables
+ * @return {number}
+ */
+function getBlockWidth (tables) {
+    let area = 0;
+    let widest = 0;
+    tables.forEach(table => {
+        area += (table.width + horizontalGap) * (table.height + verticalGap);
+        widest = Math.max(widest, table.width);
+    });
+
+    return Math.max(widest, Math.sqrt(area) * 1.5);
+}
+
+/**
+ * Splits the tables having relations from the isolated ones
+ *
+ * @param {object[]} tables
+ * @param {object[]} edges
+ * @return {Array[]}
+ */
+function splitIsolated (tables, edges) {
+    const linked = [];
+    const isolated = [];
+    tables.forEach(table => {
+        const hasEdge = edges.some(edge => edge.from === table.id || edge.to === table.id);
+        (hasEdge ? linked : isolated).push(table);
+    });
+
+    return [linked, isolated];
+}
+
+/**
+ * Appends the isolated tables below the other ones
+ *
+ * @param {object[]} isolated
+ * @param {object} positions
+ * @param {object[]} tables
+ * @return {object}
+ */
+function appendIsolated (isolated, positions, tables) {
+    let bottom = margin - verticalGap;
+    let right = margin;
+    tables.forEach(table => {
+        if (positions[table.id] !== undefined) {
+            bottom = Math.max(bottom, positions[table.id].y + table.height);
+            right = Math.max(right, positions[table.id].x + table.width);
+        }
+    });
+    placeInRows(sortByName(isolated), margin, bottom + verticalGap, Math.max(right - margin, getBlockWidth(isolated)), positions);
+
+    return positions;
+}
+
+/**
+ * Layers of the tables, the referenced tables above the referencing ones.
+ * Relations closing a cycle are ignored.
+ *
+ * @param {object[]} tables
+ * @param {object[]} edges
+ * @return {object} layer of each table id
+ */
+function getLayers (tables, edges) {
+    const parents = {};
+    tables.forEach(table => {
+        parents[table.id] = [];
+    });
+
+    // Keep only the relations which do not close a cycle
+    const state = {};
+    const visit = id => {
+        state[id] = 'visiting';
+        edges.forEach(edge => {
+            if (edge.from !== id) {
+                return;
+            }
+            if (state[edge.to] === 'visiting') {
+                return;
+            }
+            parents[id].push(edge.to);
+            if (state[edge.to] === undefined) {
+                visit(edge.to);
+            }
+        });
+        state[id] = 'done';
+    };
+    sortByName(tables).forEach(table => {
+        if (state[table.id] === undefined) {
+            visit(table.id);
+        }
+    });
+
+    const layers = {};
+    const getLayer = id => {
+        if (layers[id] === undefined) {
+            layers[id] = parents[id].reduce((layer, parent) => Math.max(layer, getLayer(parent) + 1), 0);
+        }
+
+        return layers[id];
+    };
+    tables.forEach(table => getLayer(table.id));
+
+    return layers;
+}
+
+/**
+ * Positions of ordered layers, each layer centered on the widest one
+ *
+ * @param {Array[]} rows
+ * @return {object}
+ */
+function placeLayers (rows) {
+    const widths = rows.map(row => row.reduce((width, table) => width + table.width, 0) +
+        Math.max(row.length - 1, 0) * horizontalGap);
+    const maxWidth = Math.max.apply(null, widths.concat([0]));
+    const positions = {};
+    let y = margin;
+    rows.forEach((row, index) => {
+        let x = margin + (maxWidth - widths[index]) / 2;
+        let height = 0;
+        row.forEach(table => {
+            positions[table.id] = { x: Math.round(x), y: y };
+            x += table.width + horizontalGap;
+            height = Math.max(height, table.height);
+        });
+        y += height + verticalGap;
+    });
+
+    return positions;
+}
+
+/**
+ * Orders the tables of each layer by the mean position of their neighbours in the other layers
+ *
+ * @param {Array[]} rows
+ * @param {object[]} edges
+ * @param {number[]} layerOrder order in which the layers are reordered
+ * @return {Array[]}
+ */
+function reorderLayers (rows, edges, layerOrder) {
+    const ordered = rows.map(row => row.slice());
+    const positionOf = () => {
+        const position = {};
+        ordered.forEach(row => row.forEach((table, index) => {
+            position[table.id] = (index + 0.5) / row.length;
+        }));
+
+        return position;
+    };
+    layerOrder.forEach(layer => {
+        const position = positionOf();
+        const barycenters = {};
+        ordered[layer].forEach(table => {
+            const neighbours = [];
+            edges.forEach(edge => {
+                if (edge.from === table.id) {
+                    neighbours.push(position[edge.to]);
+                } else if (edge.to === table.id) {
+                    neighbours.push(position[edge.from]);
+                }
+            });
+            barycenters[table.id] = neighbours.length === 0
+                ? position[table.id]
+                : neighbours.reduce((sum, value) => sum + value, 0) / neighbours.length;
+        });
+        ordered[layer].sort((a, b) => barycenters[a.id] - barycenters[b.id]);
+    });
+
+    return ordered;
+}
+
+/**
+ * Runs the force simulation, starting with the tables on a circle in the given order
+ *
+ * @param {object[]} tables
+ * @param {object[]} edges
+ * @return {object}
+ */
+function forceLayout (tables, edges) {
+    const count = tables.length;
+    const blockWidth = getBlockWidth(tables);
+    const distance = blockWidth / Math.max(Math.sqrt(count), 1);
+    const nodes = {};
+    tables.forEach((table, index) => {
+        const angle = 2 * Math.PI * index / Math.max(count, 1);
+        nodes[table.id] = {
+            table: table,
+            x: blockWidth / 2 * Math.cos(angle),
+            y: blockWidth / 2 * Math.sin(angle),
+        };
+    });
+
+    let temperature = blockWidth / 4;
+    for (let iteration = 0; iteration < 200; iteration++) {
+        const moves = {};
+        tables.forEach(table => {
+            moves[table.id] = { x: 0, y: 0 };
+        });
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                const a = nodes[tables[i].id];
+                const b = nodes[tables[j].id];
+                const dx = a.x - b.x || 0.01;
+                const dy = a.y - b.y;
+                const length = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+                const force = distance * distance / length;
+                moves[tables[i].id].x += dx / length * force;
+                moves[tables[i].id].y += dy / length * force;
+                moves[tables[j].id].x -= dx / length * force;
+                moves[tables[j].id].y -= dy / length * force;
+            }
+        }
+        edges.forEach(edge => {
+            const a = nodes[edge.from];
+            const b = nodes[edge.to];
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const length = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+            const force = length * length / distance;
+            moves[edge.from].x -= dx / length * force;
+            moves[edge.from].y -= dy / length * force;
+            moves[edge.to].x += dx / length * force;
+            moves[edge.to].y += dy / length * force;
+        });
+        for (let i = 0; i < count; i++) {
+            const move = moves[tables[i].id];
+            const length = Math.max(Math.sqrt(move.x * move.x + move.y * move.y), 0.01);
+            nodes[tables[i].id].x += move.x / length * Math.min(length, temperature);
+            nodes[tables[i].id].y += move.y / length * Math.min(length, temperature);
+        }
+        temperature = Math.max(temperature * 0.97, 1);
+    }
+
+    // The simulation works with points, spread the tables until they do not overlap anymore
+    const boxes = tables.map(table => ({
+        id: table.id,
+        x: nodes[table.id].x - table.width / 2,
+        y: nodes[table.id].y - table.height / 2,
+        width: table.width + horizontalGap,
+        height: table.height + verticalGap,
+    }));
+    for (let pass = 0; pass < 100; pass++) {
+        let moved = false;
+        for (let i = 0; i < boxes.length; i++) {
+            for (let j = i + 1; j < boxes.length; j++) {
+                const a = boxes[i];
+                const b = boxes[j];
+                const overlapX = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+                const overlapY = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+                if (overlapX <= 0 || overlapY <= 0) {
+                    continue;
+                }
+                moved = true;
+                if (overlapX < overlapY) {
+                    const shift = (a.x < b.x ? overlapX : -overlapX) / 2;
+                    a.x -= shift;
+                    b.x += shift;
+                } else {
+                    const shift = (a.y < b.y ? overlapY : -overlapY) / 2;
+                    a.y -= shift;
+                    b.y += shift;
+                }
+            }
+        }
+        if (! moved) {
+            break;
+        }
+    }
+
+    const left = Math.min.apply(null, boxes.map(box => box.x).concat([0]));
+    const top = Math.min.apply(null, boxes.map(box => box.y).concat([0]));
+    const positions = {};
+    boxes.forEach(box => {
+        positions[box.id] = { x: Math.round(box.x - left + margin), y: Math.round(box.y - top + margin) };
+    });
+
+    return positions;
+}
+
+export const DesignerLayout = {
+    countCrossings: countCrossings,
+
+    /**
+     * Layers following the direction of the foreign keys, the referenced tables on top
+     *
+     * @param {object[]} tables
+     * @param {object[]} relations
+     * @return {object}
+     */
+    hierarchical: (tables, relations) => {
+        const edges = getEdges(tables, relations);
+        const [linked, isolated] = splitIsolated(tables, edges);
+        const layers = getLayers(linked, edges);
+        const rows = [];
+        sortByName(linked).forEach(table => {
+            const layer = layers[table.id];
+            while (rows.length <= layer) {
+                rows.push([]);
+            }
+            rows[layer].push(table);
+        });
+
+        const down = rows.map((row, index) => index).slice(1);
+        const up = down.slice().reverse().map(index => index - 1);
+        const candidates = [placeLayers(rows)];
+        let ordered = rows;
+        for (let i = 0; i < 4; i++) {
+            ordered = reorderLayers(ordered, edges, down);
+            candidates.push(placeLayers(ordered));
+            ordered = reorderLayers(ordered, edges, up);
+            candidates.push(placeLayers(ordered));
+        }
+
+        return appendIsolated(isolated, pickBest(linked, edges, candidates), tables);
+    },
+
+    /**
+     * Force-directed layout: related tables attract each other, all tables repulse each other
+     *
+     * @param {object[]} tables
+     * @param {object[]} relations
+     * @return {object}
+     */
+    force: (tables, relations) => {
+        const edges = getEdges(tables, relations);
+        const [linked, isolated] = splitIsolated(tables, edges);
+        const byName = sortByName(linked);
+        const byDegree = byName.slice().sort((a, b) => {
+            const degree = table => edges.filter(edge => edge.from === table.id || edge.to === table.id).length;
+
+            return degree(b) - degree(a);
+        });
+        const candidates = [byName, byDegree, byName.slice().reverse()].map(order =>
+            forceLayout(order, edges)
+        );
+
+        return appendIsolated(isolated, pickBest(linked, edges, candidates), tables);
+    },
+
+    /**
+     * Grid of blocks, one block for each table name prefix (the part before the first underscore)
+     *
+     * @param {object[]} tables
+     * @param {object[]} relations
+     * @return {object}
+     */
+    grid: (tables, relations) => {
+        const edges = getEdges(tables, relations);
+        const groups = {};
+        sortByName(tables).forEach(table => {
+            const separator = table.name.indexOf('_');
+            const prefix = separator > 0 ? table.name.substring(0, separator) : table.name;
+            if (groups[prefix] === undefined) {
+                groups[prefix] = [];
+            }
+            groups[prefix].push(table);
+        });
+        const prefixes = Object.keys(groups).sort();
+
+        // Keeps the related tables of a block next to each other
+        const byRelations = group => {
+            const ordered = [];
+            const visit = table => {
+                if (ordered.indexOf(table) !== -1) {
+                    return;
+                }
+                ordered.push(table);
+                group.forEach(other => {
+                    if (edges.some(edge => (edge.from === table.id && edge.to === other.id) ||
+                        (edge.to === table.id && edge.from === other.id))
+                    ) {
+                        visit(other);
+                    }
+                });
+            };
+            group.forEach(visit);
+
+            return ordered;
+        };
+
+        const place = orderGroup => {
+            const positions = {};
+            const maxWidth = getBlockWidth(tables);
+            let x = margin;
+            let y = margin;
+            let rowHeight = 0;
+            prefixes.forEach(prefix => {
+                const group = orderGroup(groups[prefix]);
+                const size = placeInRows(group, 0, 0, getBlockWidth(group), {});
+                if (x > margin && x + size.width > margin + maxWidth) {
+                    x = margin;
+                    y += rowHeight + verticalGap;
+                    rowHeight = 0;
+                }
+                placeInRows(group, x, y, getBlockWidth(group), positions);
+                x += size.width + horizontalGap * 2;
+                rowHeight = Math.max(rowHeight, size.height);
+            });
+
+            return positions;
+        };
+
+        return pickBest(tables, edges, [place(group => group), place(byRelations)]);
+    },
+};
@@ -0,0 +1,112 @@
+/**
+ * Named queries of the visual query builder of the designer, with their versions.
+ *
+ * A saved query is { name, versions: [{ date, sql, state }] }, the oldest version first,
+ * where state is the serialized history of the designer (DesignerHistory.getState()).
+ */
+
+const maxVersions = 20;
+
+/**
+ * @param {object[]} queries
+ * @param {string} name
+ * @return {number}
+ */
+function findQuery (queries, name) {
+    return queries.findIndex(query => query.name === name);
+}
+
+export const DesignerQueries = {
+    /**
+     * Adds a version to a saved query, creating the query when it does not exist.
+     * Nothing is added when the SQL and the state are the ones of the last version.
+     *
+     * @param {object[]} queries
+     * @param {string} name
+     * @param {string} sql
+     * @param {object} state
+     * @param {string} date ISO 8601 date of the version
+     * @return {number|null} the number of the new version, starting from 1
+     */
+    addVersion: (queries, name, sql, state, date) => {
+        let index = findQuery(queries, name);
+        if (index === -1) {
+            queries.push({ name: name, versions: [] });
+            queries.sort((a, b) => a.name.localeCompare(b.name));
+            index = findQuery(queries, name);
+        }
+        const versions = queries[index].versions;
+        const last = versions[versions.length - 1];
+        if (last !== undefined && last.sql === sql && JSON.stringify(last.state) === JSON.stringify(state)) {
+            return null;
+        }
+        versions.push({ date: date, sql: sql, state: state });
+        if (versions.length > maxVersions) {
+            versions.splice(0, versions.length - maxVersions);
+        }
+
+        return versions.length;
+    },
+
+    /**
+     * @param {object[]} queries
+     * @param {string} name
+     * @return {object|null}
+     */
+    get: (queries, name) => {
+        const index = findQuery(queries, name);
+
+        return index === -1 ? null : queries[index];
+    },
+
+    /**
+     * @param {object[]} queries
+     * @param {string} name
+     * @return {object[]}
+     */
+    remove: (queries, name) => queries.filter(query => query.name !== name),
+
+    /**
+     * Line by line difference between two texts, from their longest common subsequence
+     *
+     * @param {string} oldText
+     * @param {string} newText
+     * @return {object[]} { type: 'same'|'removed'|'added', line }
+     */
+    diffLines: (oldText, newText) => {
+        const oldLines = oldText.split('\n');
+        const newLines = newText.split('\n');
+        const lengths = [];
+        for (let i = oldLines.length; i >= 0; i--) {
+            lengths[i] = [];
+            for (let j = newLines.length; j >= 0; j--) {
+                if (i === oldLines.length || j === newLines.length) {
+                    lengths[i][j] = 0;
+                } else if (oldLines[i] === newLines[j]) {
+                    lengths[i][j] = lengths[i + 1][j + 1] + 1;
+                } else {
+                    lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+        }
+
+        const diff = [];
+        let i = 0;
+        let j = 0;
+        while (i < oldLines.length || j < newLines.length) {
+            if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+                diff.push({ type: 'same', line: oldLines[i] });
+                i++;
+                j++;
+            } else if (i < oldLines.length && (j === newLines.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                diff.push({ type: 'removed', line: oldLines[i] });
+                i++;
+            } else {
+                diff.push({ type: 'added', line: newLines[j] });
+                j++;
+            }
+        }
+
+        return diff;
+    },
+};
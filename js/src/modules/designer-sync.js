@@ -0,0 +1,153 @@
+/**
+ * Synchronization of the designer pages between the browser (IndexedDB) and the
+ * phpMyAdmin configuration storage, and their JSON files.
+ *
+ * Pages are compared by name, as { pageDescr, tables: [{ dbName, tableName, x, y }] }
+ * with the database and table names not URL encoded.
+ */
+
+const fileFormat = 'phpmyadmin-designer-pages';
+
+/**
+ * @param {object} table
+ * @return {string}
+ */
+function getTableKey (table) {
+    return table.dbName + '.' + table.tableName;
+}
+
+/**
+ * Tables of a page which are not at the same position on the other one
+ *
+ * @param {object} local
+ * @param {object} server
+ * @return {object[]}
+ */
+function getDiff (local, server) {
+    const rows = {};
+    local.tables.forEach(table => {
+        rows[getTableKey(table)] = { table: getTableKey(table), local: { x: table.x, y: table.y }, server: null };
+    });
+    server.tables.forEach(table => {
+        const key = getTableKey(table);
+        if (rows[key] === undefined) {
+            rows[key] = { table: key, local: null, server: null };
+        }
+        rows[key].server = { x: table.x, y: table.y };
+    });
+
+    return Object.keys(rows).sort().map(key => rows[key]).filter(row =>
+        row.local === null || row.server === null || row.local.x !== row.server.x || row.local.y !== row.server.y
+    );
+}
+
+/**
+ * @param {*} table
+ * @return {boolean}
+ */
+function isValidTable (table) {
+    return table !== null && typeof table === 'object' &&
+        typeof table.dbName === 'string' && typeof table.tableName === 'string' &&
+        typeof table.x === 'number' && typeof table.y === 'number';
+}
+
+export const DesignerSync = {
+    /**
+     * Compares the pages of the browser with the ones of the server, by page name
+     *
+     * @param {object[]} localPages
+     * @param {object[]} serverPages
+     * @return {object[]} { name, status: 'local'|'server'|'same'|'conflict', local, server, diff }
+     */
+    comparePages: (localPages, serverPages) => {
+        const comparisons = {};
+        localPages.forEach(page => {
+            comparisons[page.pageDescr] = { name: page.pageDescr, status: 'local', local: page, server: null, diff: [] };
+        });
+        serverPages.forEach(page => {
+            const comparison = comparisons[page.pageDescr];
+            if (comparison === undefined) {
+                comparisons[page.pageDescr] = {
+                    name: page.pageDescr,
+                    status: 'server',
+                    local: null,
+                    server: page,
+                    diff: [],
+                };
+                return;
+            }
+            comparison.server = page;
+            comparison.diff = getDiff(comparison.local, page);
+            comparison.status = comparison.diff.length === 0 ? 'same' : 'conflict';
+        });
+
+        return Object.keys(comparisons).sort().map(name => comparisons[name]);
+    },
+
+    /**
+     * JSON file content of pages
+     *
+     * @param {string} db
+     * @param {object[]} pages
+     * @return {string}
+     */
+    toJson: (db, pages) => JSON.stringify({
+        format: fileFormat,
+        version: 1,
+        db: db,
+        pages: pages.map(page => ({
+            pageDescr: page.pageDescr,
+            tables: page.tables.map(table => ({
+                dbName: table.dbName,
+                tableName: table.tableName,
+                x: table.x,
+                y: table.y,
+            })),
+        })),
+    }, null, 2),
+
+    /**
+     * Pages of a JSON file, null when the file is not valid
+     *
+     * @param {string} text
+     * @return {object[]|null}
+     */
+    fromJson: text => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+        if (data === null || typeof data !== 'object' || data.format !== fileFormat || ! Array.isArray(data.pages)) {
+            return null;
+        }
+        const isValid = data.pages.every(page => page !== null && typeof page === 'object' &&
+            typeof page.pageDescr === 'string' && page.pageDescr !== '' &&
+            Array.isArray(page.tables) && page.tables.every(isValidTable)
+        );
+        if (! isValid) {
+            return null;
+        }
+
+        return data.pages.map(page => ({
+            pageDescr: page.pageDescr,
+            tables: page.tables.map(table => ({
+                dbName: table.dbName,
+                tableName: table.tableName,
+                x: Math.round(table.x),
+                y: Math.round(table.y),
+            })),
+        }));
+    },
+
+    /**
+     * Same encoding as PHP rawurlencode(), used for the table ids of the designer
+     *
+     * @param {string} value
+     * @return {string}
+     */
+    urlEncode: value => encodeURIComponent(value).replace(/[!'()*]/g, character =>
+        '%' + character.charCodeAt(0).toString(16).toUpperCase()
+    ),
+};
@@ -0,0 +1,237 @@
+/**
+ * Features of the GIS visualization exported as GeoJSON and KML in the browser.
+ *
+ * Features are { attributes, geometries } objects: the values of the non spatial
+ * columns of a row by column name, and the WKT of its spatial columns by column name,
+ * null for NULL. Each spatial column is a layer, exported as a folder in KML.
+ * The coordinates are written as they are, in the order longitude, latitude.
+ */
+
+/**
+ * GeoJSON types of the WKT types
+ */
+const geometryTypes = {
+    'POINT': 'Point',
+    'LINESTRING': 'LineString',
+    'POLYGON': 'Polygon',
+    'MULTIPOINT': 'MultiPoint',
+    'MULTILINESTRING': 'MultiLineString',
+    'MULTIPOLYGON': 'MultiPolygon',
+    'GEOMETRYCOLLECTION': 'GeometryCollection',
+};
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function escapeXml (text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Nested arrays of the parenthesized lists of a WKT, the leaves being the points
+ *
+ * @param {string} text the WKT without its type, spaces around parentheses and commas removed
+ * @return {Array}
+ */
+function parseCoordinates (text) {
+    let position = 0;
+    const parse = () => {
+        if (text[position] === '(') {
+            const items = [];
+            do {
+                position++;
+                items.push(parse());
+            } while (text[position] === ',');
+            // skip the closing parenthesis
+            position++;
+
+            return items;
+        }
+
+        let end = position;
+        while (end < text.length && text[end] !== ',' && text[end] !== ')') {
+            end++;
+        }
+        const point = text.slice(position, end).split(' ').map(Number);
+        position = end;
+
+        return point;
+    };
+
+    return parse();
+}
+
+/**
+ * Splits the geometries of a collection at the commas outside of their parentheses
+ *
+ * @param {string} text the geometries without the parentheses of the collection
+ * @return {string[]}
+ */
+function splitGeometries (text) {
+    const geometries = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '(') {
+            depth++;
+        } else if (text[i] === ')') {
+            depth--;
+        } else if (text[i] === ',' && depth === 0) {
+            geometries.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    geometries.push(text.slice(start));
+
+    return geometries;
+}
+
+/**
+ * @param {number[]} point
+ * @return {string}
+ */
+function getKmlCoordinates (point) {
+    return point.join(',');
+}
+
+/**
+ * @param {Array<number[]>} ring
+ * @return {string}
+ */
+function getKmlRing (ring) {
+    return '<LinearRing><coordinates>' + ring.map(getKmlCoordinates).join(' ') + '</coordinates></LinearRing>';
+}
+
+/**
+ * @param {Array<Array<number[]>>} rings outer ring followed by the inner ones
+ * @return {string}
+ */
+function getKmlPolygon (rings) {
+    return '<Polygon><outerBoundaryIs>' + getKmlRing(rings[0]) + '</outerBoundaryIs>' +
+        rings.slice(1).map(ring => '<innerBoundaryIs>' + getKmlRing(ring) + '</innerBoundaryIs>').join('') +
+        '</Polygon>';
+}
+
+/**
+ * @param {object} geometry GeoJSON geometry
+ * @return {string}
+ */
+function getKmlGeometry (geometry) {
+    switch (geometry.type) {
+    case 'Point':
+        return '<Point><coordinates>' + getKmlCoordinates(geometry.coordinates) + '</coordinates></Point>';
+    case 'LineString':
+        return '<LineString><coordinates>' + geometry.coordinates.map(getKmlCoordinates).join(' ') +
+            '</coordinates></LineString>';
+    case 'Polygon':
+        return getKmlPolygon(geometry.coordinates);
+    case 'MultiPoint':
+        return '<MultiGeometry>' + geometry.coordinates.map(point => getKmlGeometry({ type: 'Point', coordinates: point }))
+            .join('') + '</MultiGeometry>';
+    case 'MultiLineString':
+        return '<MultiGeometry>' + geometry.coordinates.map(line => getKmlGeometry({ type: 'LineString', coordinates: line }))
+            .join('') + '</MultiGeometry>';
+    case 'MultiPolygon':
+        return '<MultiGeometry>' + geometry.coordinates.map(getKmlPolygon).join('') + '</MultiGeometry>';
+    default:
+        return '<MultiGeometry>' + geometry.geometries.map(getKmlGeometry).join('') + '</MultiGeometry>';
+    }
+}
+
+export const GisExport = {
+    /**
+     * @param {string} wkt geometry as returned by ST_ASTEXT()
+     * @return {object|null} GeoJSON geometry, null if the WKT is not supported
+     */
+    parseWkt: wkt => {
+        const match = /^\s*([A-Za-z]+)\s*([\s\S]*?)\s*$/.exec(wkt);
+        if (match === null || ! (match[1].toUpperCase() in geometryTypes)) {
+            return null;
+        }
+
+        const type = geometryTypes[match[1].toUpperCase()];
+        const body = match[2].replace(/\s*([(),])\s*/g, '$1').replace(/\s+/g, ' ');
+        if (type === 'GeometryCollection') {
+            const geometries = body.toUpperCase() === 'EMPTY' || body === '()' ? []
+                : splitGeometries(body.slice(1, -1)).map(GisExport.parseWkt);
+
+            return geometries.indexOf(null) === -1 ? { type: type, geometries: geometries } : null;
+        }
+        if (body.toUpperCase() === 'EMPTY') {
+            return null;
+        }
+
+        let coordinates = parseCoordinates(body);
+        if (type === 'Point') {
+            coordinates = coordinates[0];
+        } else if (type === 'MultiPoint') {
+            // the points of MULTIPOINT(1 2,3 4) are not in parentheses
+            coordinates = coordinates.map(point => Array.isArray(point[0]) ? point[0] : point);
+        }
+
+        return { type: type, coordinates: coordinates };
+    },
+
+    /**
+     * @param {Array<{attributes: object, geometries: object}>} features
+     * @param {string[]} layers spatial columns of the exported layers
+     * @return {string} GeoJSON feature collection
+     */
+    toGeoJson: (features, layers) => {
+        const collection = { type: 'FeatureCollection', features: [] };
+        layers.forEach(layer => {
+            features.forEach(feature => {
+                const geometry = feature.geometries[layer] ? GisExport.parseWkt(feature.geometries[layer]) : null;
+                if (geometry !== null) {
+                    collection.features.push({ type: 'Feature', geometry: geometry, properties: feature.attributes });
+                }
+            });
+        });
+
+        return JSON.stringify(collection, null, 2);
+    },
+
+    /**
+     * @param {Array<{attributes: object, geometries: object}>} features
+     * @param {string[]} layers spatial columns of the exported layers
+     * @param {string} labelColumn column of the names of the placemarks, none if empty
+     * @return {string} KML document
+     */
+    toKml: (features, layers, labelColumn) => {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '<Document>',
+        ];
+        layers.forEach(layer => {
+            lines.push('<Folder><name>' + escapeXml(layer) + '</name>');
+            features.forEach(feature => {
+                const geometry = feature.geometries[layer] ? GisExport.parseWkt(feature.geometries[layer]) : null;
+                if (geometry === null) {
+                    return;
+                }
+                const label = labelColumn !== '' ? feature.attributes[labelColumn] : null;
+                lines.push(
+                    '<Placemark>' +
+                    (label !== null && label !== undefined ? '<name>' + escapeXml(label) + '</name>' : '') +
+                    '<ExtendedData>' +
+                    Object.keys(feature.attributes).map(column => '<Data name="' + escapeXml(column) + '"><value>' +
+                        (feature.attributes[column] === null ? '' : escapeXml(feature.attributes[column])) + '</value></Data>'
+                    ).join('') +
+                    '</ExtendedData>' +
+                    getKmlGeometry(geometry) +
+                    '</Placemark>'
+                );
+            });
+            lines.push('</Folder>');
+        });
+        lines.push('</Document>', '</kml>');
+
+        return lines.join('\n');
+    },
+};
@@ -0,0 +1,387 @@
+/**
+ * Parsing of the CSV, JSON and XLSX files dropped on the page, to preview them and to map
+ * their columns before they are uploaded as CSV to the import.
+ *
+ * Rows are arrays of strings, null being a missing value.
+ */
+
+/**
+ * Delimiters which can be detected in CSV files
+ */
+const delimiters = [',', ';', '\t', '|'];
+
+/**
+ * Largest value of a signed INT column
+ */
+const maxInt = 2147483647;
+
+/**
+ * @param {string} value
+ * @return {string|null}
+ */
+function getCellText (value) {
+    return value === undefined ? null : value;
+}
+
+/**
+ * @param {*} value
+ * @return {string|null}
+ */
+function jsonToCell (value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value === 'boolean') {
+        return value ? '1' : '0';
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+
+    return String(value);
+}
+
+/**
+ * Index of the column of a cell reference like "AB12", starting from 0
+ *
+ * @param {string} reference
+ * @return {number}
+ */
+function getColumnIndex (reference) {
+    const letters = reference.replace(/[0-9]+$/, '').toUpperCase();
+    let index = 0;
+    for (let i = 0; i < letters.length; i++) {
+        index = index * 26 + letters.charCodeAt(i) - 64;
+    }
+
+    return index - 1;
+}
+
+/**
+ * Concatenated text of the descendant elements of a node with a tag name
+ *
+ * @param {Element} node
+ * @param {string} tagName
+ * @return {string}
+ */
+function getDescendantText (node, tagName) {
+    return Array.from(node.getElementsByTagName(tagName)).map(element => element.textContent).join('');
+}
+
+export const ImportPreview = {
+    /**
+     * @param {string} fileName
+     * @return {string|null} 'csv', 'json' or 'xlsx', null for the other files
+     */
+    getFormat: fileName => {
+        const extension = fileName.split('.').pop().toLowerCase();
+        if (['csv', 'tsv', 'txt'].includes(extension)) {
+            return 'csv';
+        }
+        if (extension === 'json' || extension === 'xlsx') {
+            return extension;
+        }
+
+        return null;
+    },
+
+    /**
+     * Delimiter of a CSV text, the one found the same number of times in its first lines
+     *
+     * @param {string} text
+     * @return {string}
+     */
+    detectDelimiter: text => {
+        const lines = text.split(/\r\n|\n|\r/).filter(line => line !== '').slice(0, 10);
+        let best = ',';
+        let bestCount = 0;
+        delimiters.forEach(delimiter => {
+            const counts = lines.map(line => line.split(delimiter).length - 1);
+            const count = Math.min.apply(null, counts);
+            if (count > bestCount && counts.every(lineCount => lineCount === counts[0])) {
+                best = delimiter;
+                bestCount = count;
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * Rows of a CSV text, with double quotes enclosing the values and escaping themselves
+     *
+     * @param {string} text
+     * @param {string} delimiter
+     * @return {Array[]}
+     */
+    parseCsv: (text, delimiter) => {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let isQuoted = false;
+        let i = text.charAt(0) === '\uFEFF' ? 1 : 0;
+        for (; i < text.length; i++) {
+            const character = text.charAt(i);
+            if (isQuoted) {
+                if (character === '"' && text.charAt(i + 1) === '"') {
+                    value += '"';
+                    i++;
+                } else if (character === '"') {
+                    isQuoted = false;
+                } else {
+                    value += character;
+                }
+            } else if (character === '"' && value === '') {
+                isQuoted = true;
+            } else if (character === delimiter) {
+                row.push(value);
+                value = '';
+            } else if (character === '\n' || character === '\r') {
+                if (character === '\r' && text.charAt(i + 1) === '\n') {
+                    i++;
+                }
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += character;
+            }
+        }
+        if (value !== '' || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+
+        return rows;
+    },
+
+    /**
+     * Rows of a JSON file, which is an array of objects or of arrays, or an object containing one
+     *
+     * @param {string} text
+     * @return {object|null} { header, rows } with a null header for arrays, null when the file is not valid
+     */
+    parseJson: text => {
+        let data;
+        try {
+            data = JSON.parse(text.charAt(0) === '\uFEFF' ? text.substring(1) : text);
+        } catch (error) {
+            return null;
+        }
+        if (data !== null && typeof data === 'object' && ! Array.isArray(data)) {
+            data = Object.values(data).find(value => Array.isArray(value));
+        }
+        if (! Array.isArray(data) || data.length === 0) {
+            return null;
+        }
+
+        if (data.every(item => Array.isArray(item))) {
+            return { header: null, rows: data.map(item => item.map(jsonToCell)) };
+        }
+        if (! data.every(item => item !== null && typeof item === 'object')) {
+            return null;
+        }
+        const header = [];
+        data.forEach(item => {
+            Object.keys(item).forEach(key => {
+                if (! header.includes(key)) {
+                    header.push(key);
+                }
+            });
+        });
+
+        return { header: header, rows: data.map(item => header.map(key => jsonToCell(item[key]))) };
+    },
+
+    /**
+     * Entries of a ZIP archive, read from its central directory
+     *
+     * @param {Uint8Array} bytes
+     * @return {object|null} { name: { method, data } } with the data still compressed, null when it is not an archive
+     */
+    readZip: bytes => {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let end = bytes.length - 22;
+        while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) {
+            end--;
+        }
+        if (end < 0) {
+            return null;
+        }
+
+        const entries = {};
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                return null;
+            }
+            const nameLength = view.getUint16(offset + 28, true);
+            const name = String.fromCharCode.apply(null, bytes.subarray(offset + 46, offset + 46 + nameLength));
+            const localOffset = view.getUint32(offset + 42, true);
+            const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) +
+                view.getUint16(localOffset + 28, true);
+            entries[name] = {
+                method: view.getUint16(offset + 10, true),
+                data: bytes.subarray(dataOffset, dataOffset + view.getUint32(offset + 20, true)),
+            };
+            offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+        }
+
+        return entries;
+    },
+
+    /**
+     * Name of the first worksheet of an XLSX archive
+     *
+     * @param {object} entries from readZip()
+     * @return {string|null}
+     */
+    getFirstSheet: entries => {
+        const sheets = Object.keys(entries).filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name));
+        sheets.sort((a, b) => parseInt(a.replace(/\D/g, ''), 10) - parseInt(b.replace(/\D/g, ''), 10));
+
+        return sheets.length > 0 ? sheets[0] : null;
+    },
+
+    /**
+     * Rows of an XLSX worksheet, with the numbers and the dates as they are stored
+     *
+     * @param {string|null} sharedStringsXml content of xl/sharedStrings.xml
+     * @param {string} sheetXml content of the worksheet
+     * @return {Array[]}
+     */
+    parseXlsx: (sharedStringsXml, sheetXml) => {
+        const parser = new DOMParser();
+        const sharedStrings = sharedStringsXml === null ? [] : Array.from(
+            parser.parseFromString(sharedStringsXml, 'application/xml').getElementsByTagName('si')
+        ).map(item => getDescendantText(item, 't'));
+
+        const rows = [];
+        const sheet = parser.parseFromString(sheetXml, 'application/xml');
+        Array.from(sheet.getElementsByTagName('row')).forEach(rowElement => {
+            const row = [];
+            Array.from(rowElement.getElementsByTagName('c')).forEach((cell, position) => {
+                const reference = cell.getAttribute('r');
+                const index = reference ? getColumnIndex(reference) : position;
+                const type = cell.getAttribute('t');
+                let value;
+                if (type === 'inlineStr') {
+                    value = getDescendantText(cell, 't');
+                } else {
+                    const valueElement = cell.getElementsByTagName('v')[0];
+                    value = valueElement === undefined ? null : valueElement.textContent;
+                    if (type === 's' && value !== null) {
+                        value = getCellText(sharedStrings[parseInt(value, 10)]);
+                    }
+                }
+                while (row.length < index) {
+                    row.push(null);
+                }
+                row[index] = value;
+            });
+            const number = parseInt(rowElement.getAttribute('r'), 10);
+            while (! isNaN(number) && rows.length < number - 1) {
+                rows.push([]);
+            }
+            rows.push(row);
+        });
+
+        return rows;
+    },
+
+    /**
+     * Whether the first row looks like column names: distinct values which are not numbers
+     *
+     * @param {Array[]} rows
+     * @return {boolean}
+     */
+    hasHeader: rows => {
+        if (rows.length < 2) {
+            return false;
+        }
+        const first = rows[0];
+
+        return first.every(value => value !== null && value.trim() !== '' && isNaN(Number(value))) &&
+            new Set(first).size === first.length;
+    },
+
+    /**
+     * SQL type of a column from its values, the empty ones being ignored
+     *
+     * @param {string[]} values
+     * @return {string}
+     */
+    inferType: values => {
+        const filled = values.filter(value => value !== null && value !== '');
+        if (filled.length === 0) {
+            return 'VARCHAR(255)';
+        }
+        if (filled.every(value => /^-?\d+$/.test(value))) {
+            return filled.every(value => Math.abs(Number(value)) <= maxInt) ? 'INT' : 'BIGINT';
+        }
+        if (filled.every(value => /^-?(\d+\.?\d*|\.\d+)$/.test(value))) {
+            let integerDigits = 1;
+            let scale = 0;
+            filled.forEach(value => {
+                const parts = value.replace('-', '').split('.');
+                integerDigits = Math.max(integerDigits, parts[0].length);
+                scale = Math.max(scale, parts[1] === undefined ? 0 : parts[1].length);
+            });
+            if (integerDigits + scale <= 65 && scale <= 30) {
+                return 'DECIMAL(' + (integerDigits + scale) + ',' + scale + ')';
+            }
+
+            return 'DOUBLE';
+        }
+        if (filled.every(value => /^\d{4}-\d{2}-\d{2}$/.test(value))) {
+            return 'DATE';
+        }
+        if (filled.every(value => /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(value))) {
+            return 'DATETIME';
+        }
+        const length = filled.reduce((max, value) => Math.max(max, value.length), 0);
+
+        return length <= 255 ? 'VARCHAR(' + length + ')' : 'TEXT';
+    },
+
+    /**
+     * Columns of the file, named after the header or numbered, with their inferred type
+     *
+     * @param {string[]|null} header
+     * @param {Array[]} rows
+     * @return {object[]} { name, type }
+     */
+    getColumns: (header, rows) => {
+        const count = rows.reduce((max, row) => Math.max(max, row.length), header === null ? 0 : header.length);
+        const columns = [];
+        for (let i = 0; i < count; i++) {
+            const name = header !== null && header[i] ? header[i].trim() : '';
+            columns.push({
+                name: name !== '' ? name : 'COL ' + (i + 1),
+                type: ImportPreview.inferType(rows.map(row => getCellText(row[i]))),
+            });
+        }
+
+        return columns;
+    },
+
+    /**
+     * CSV text of some columns of the rows, every value being enclosed in double quotes
+     * except the missing ones, written as NULL
+     *
+     * @param {Array[]} rows
+     * @param {number[]} indexes indexes of the columns, in their order in the file
+     * @param {boolean} emptyIsNull whether the empty values are missing
+     * @return {string}
+     */
+    toCsv: (rows, indexes, emptyIsNull) => rows.map(row => indexes.map(index => {
+        const value = getCellText(row[index]);
+        if (value === null || (emptyIsNull && value === '')) {
+            return 'NULL';
+        }
+
+        return '"' + value.replace(/"/g, '""') + '"';
+    }).join(',')).join('\n') + '\n',
+};
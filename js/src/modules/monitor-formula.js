@@ -0,0 +1,326 @@
+/**
+ * Small expression language for the derived metrics of the server status monitor.
+ *
+ * A formula combines numbers, status variables (e.g. Innodb_rows_read), server variables
+ * (e.g. @@max_connections), the operators + - * / and parentheses, and these functions:
+ * rate(variable), delta(variable), abs(x), min(x, y) and max(x, y).
+ *
+ * Formulas are parsed into a syntax tree and evaluated without eval(), so they can be shared safely.
+ */
+
+/**
+ * @param {string} message
+ * @param {number} position
+ */
+function FormulaError (message, position) {
+    this.name = 'FormulaError';
+    this.message = message;
+    this.position = position;
+}
+
+FormulaError.prototype = Object.create(Error.prototype);
+FormulaError.prototype.constructor = FormulaError;
+
+/**
+ * Number of arguments of each function, functions working on deltas take a single variable
+ */
+const functions = {
+    rate: { args: 1, variable: true },
+    delta: { args: 1, variable: true },
+    abs: { args: 1, variable: false },
+    min: { args: 2, variable: false },
+    max: { args: 2, variable: false },
+};
+
+/**
+ * @param {string} formula
+ * @return {object[]}
+ */
+function tokenize (formula) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|(@@)?([a-zA-Z_]+)|([-+*/(),]))/y;
+    let position = 0;
+    while (position < formula.length) {
+        if (formula.slice(position).trim() === '') {
+            break;
+        }
+        pattern.lastIndex = position;
+        const match = pattern.exec(formula);
+        if (match === null) {
+            throw new FormulaError('Unexpected character', position + formula.slice(position).search(/\S/));
+        }
+        const start = match.index + match[0].length - match[0].trimStart().length;
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(match[1]), position: start });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: 'name', value: match[3], isServerVariable: match[2] !== undefined, position: start });
+        } else {
+            tokens.push({ type: 'operator', value: match[4], position: start });
+        }
+        position = pattern.lastIndex;
+    }
+    tokens.push({ type: 'end', value: '', position: formula.length });
+
+    return tokens;
+}
+
+/**
+ * Recursive descent parser for the tokens of a formula
+ *
+ * @param {object[]} tokens
+ * @return {object}
+ */
+function parseTokens (tokens) {
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+    const expect = (value) => {
+        if (! isOperator(value)) {
+            throw new FormulaError('Expected "' + value + '"', peek().position);
+        }
+        index++;
+    };
+
+    let parseExpression;
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (token.type === 'number') {
+            index++;
+            return { type: 'number', value: token.value };
+        }
+        if (isOperator('(')) {
+            index++;
+            const node = parseExpression();
+            expect(')');
+            return node;
+        }
+        if (isOperator('-')) {
+            index++;
+            return { type: 'negate', operand: parsePrimary() };
+        }
+        if (token.type !== 'name') {
+            throw new FormulaError('Unexpected "' + token.value + '"', token.position);
+        }
+        index++;
+        if (! isOperator('(')) {
+            return { type: 'variable', name: token.value, isServerVariable: token.isServerVariable };
+        }
+
+        const definition = functions[token.value.toLowerCase()];
+        if (token.isServerVariable || ! definition) {
+            throw new FormulaError('Unknown function "' + token.value + '"', token.position);
+        }
+        index++;
+        const args = [];
+        if (! isOperator(')')) {
+            args.push(parseExpression());
+            while (isOperator(',')) {
+                index++;
+                args.push(parseExpression());
+            }
+        }
+        expect(')');
+        if (args.length !== definition.args) {
+            throw new FormulaError('Wrong number of arguments for "' + token.value + '"', token.position);
+        }
+        if (definition.variable && (args[0].type !== 'variable' || args[0].isServerVariable)) {
+            throw new FormulaError('"' + token.value + '" expects a status variable', token.position);
+        }
+
+        return { type: 'call', name: token.value.toLowerCase(), args: args };
+    };
+
+    const parseTerm = () => {
+        let node = parsePrimary();
+        while (isOperator('*') || isOperator('/')) {
+            const operator = peek().value;
+            index++;
+            node = { type: 'binary', operator: operator, left: node, right: parsePrimary() };
+        }
+
+        return node;
+    };
+
+    parseExpression = () => {
+        let node = parseTerm();
+        while (isOperator('+') || isOperator('-')) {
+            const operator = peek().value;
+            index++;
+            node = { type: 'binary', operator: operator, left: node, right: parseTerm() };
+        }
+
+        return node;
+    };
+
+    const tree = parseExpression();
+    if (peek().type !== 'end') {
+        throw new FormulaError('Unexpected "' + peek().value + '"', peek().position);
+    }
+
+    return tree;
+}
+
+/**
+ * Calls the callback for each node of the syntax tree
+ *
+ * @param {object} node
+ * @param {Function} callback
+ */
+function walk (node, callback) {
+    callback(node);
+    if (node.type === 'negate') {
+        walk(node.operand, callback);
+    } else if (node.type === 'binary') {
+        walk(node.left, callback);
+        walk(node.right, callback);
+    } else if (node.type === 'call') {
+        node.args.forEach(arg => walk(arg, callback));
+    }
+}
+
+/**
+ * @param {string} operator
+ * @param {number} left
+ * @param {number} right
+ * @return {number}
+ */
+function evaluateBinary (operator, left, right) {
+    if (operator === '+') {
+        return left + right;
+    } else if (operator === '-') {
+        return left - right;
+    } else if (operator === '*') {
+        return left * right;
+    }
+
+    return right === 0 ? 0 : left / right;
+}
+
+/**
+ * @param {object} node
+ * @return {string}
+ */
+function variableKey (node) {
+    return (node.isServerVariable ? '@@' : '') + node.name;
+}
+
+export const MonitorFormula = {
+    FormulaError: FormulaError,
+
+    /**
+     * Parses a formula, throws a FormulaError with the position of the problem when it is invalid.
+     *
+     * @param {string} formula
+     * @return {object} syntax tree
+     */
+    parse: formula => {
+        if (typeof formula !== 'string' || formula.trim() === '') {
+            throw new FormulaError('Empty formula', 0);
+        }
+
+        return parseTokens(tokenize(formula));
+    },
+
+    /**
+     * Data points the monitor has to fetch to evaluate a formula, in the format of the chart nodes.
+     *
+     * @param {object} tree
+     * @return {{type: string, name: string}[]}
+     */
+    getDataPoints: tree => {
+        const dataPoints = [];
+        const keys = [];
+        walk(tree, node => {
+            if (node.type !== 'variable' || keys.indexOf(variableKey(node)) !== -1) {
+                return;
+            }
+            keys.push(variableKey(node));
+            dataPoints.push({ type: node.isServerVariable ? 'servervar' : 'statusvar', name: node.name });
+        });
+
+        return dataPoints;
+    },
+
+    /**
+     * Whether the formula needs a previous sample (it uses rate() or delta()).
+     *
+     * @param {object} tree
+     * @return {boolean}
+     */
+    needsPreviousValues: tree => {
+        let result = false;
+        walk(tree, node => {
+            result = result || (node.type === 'call' && functions[node.name].variable);
+        });
+
+        return result;
+    },
+
+    /**
+     * Maps the data points returned by the server to the values used by evaluate().
+     *
+     * @param {{type: string, name: string, value: *}[]} dataPoints
+     * @return {object}
+     */
+    getValues: dataPoints => {
+        const values = {};
+        dataPoints.forEach(dataPoint => {
+            values[(dataPoint.type === 'servervar' ? '@@' : '') + dataPoint.name] = parseFloat(dataPoint.value);
+        });
+
+        return values;
+    },
+
+    /**
+     * Evaluates a formula, returns undefined when a previous sample is needed but missing.
+     * Divisions by zero evaluate to 0, as the monitor charts cannot display infinite values.
+     *
+     * @param {object} tree
+     * @param {object} current  values of the current sample, see getValues()
+     * @param {object|null} previous values of the previous sample
+     * @param {number} seconds  time elapsed between both samples
+     * @return {number|undefined}
+     */
+    evaluate: (tree, current, previous, seconds) => {
+        const evaluateNode = node => {
+            switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'variable':
+                return current[variableKey(node)];
+            case 'negate':
+                return - evaluateNode(node.operand);
+            case 'binary':
+                return evaluateBinary(node.operator, evaluateNode(node.left), evaluateNode(node.right));
+            }
+
+            // Function call
+            if (functions[node.name].variable) {
+                const key = variableKey(node.args[0]);
+                if (previous === null || previous[key] === undefined) {
+                    throw new FormulaError('No previous value', 0);
+                }
+                const delta = current[key] - previous[key];
+                if (node.name === 'delta') {
+                    return delta;
+                }
+                return seconds > 0 ? delta / seconds : 0;
+            }
+            const args = node.args.map(evaluateNode);
+
+            return Math[node.name].apply(null, args);
+        };
+
+        try {
+            const value = evaluateNode(tree);
+            return isNaN(value) ? undefined : value;
+        } catch (error) {
+            if (error instanceof FormulaError) {
+                return undefined;
+            }
+            throw error;
+        }
+    },
+};
@@ -0,0 +1,337 @@
+import { ChartData } from './chart-data.js';
+
+/**
+ * Pivot tables of the query results, computed in the browser over the rows of the
+ * current page, the files they are exported to and the query computing them on the server.
+ *
+ * Records are objects of the values of a row by column name, strings or null for NULL.
+ * A configuration lists the column names grouped in the rows and in the columns of the
+ * pivot table, and the values aggregated in its cells: { column, method } objects, the
+ * method being one of ChartData.methods.
+ */
+
+/**
+ * @param {string|null} value
+ * @return {boolean}
+ */
+function isNumeric (value) {
+    return value !== null && value.trim() !== '' && ! isNaN(Number(value));
+}
+
+/**
+ * NULL first, then numbers in their order, then texts
+ *
+ * @param {string|null} first
+ * @param {string|null} second
+ * @return {number}
+ */
+function compareValues (first, second) {
+    if (first === second) {
+        return 0;
+    }
+    if (first === null || second === null) {
+        return first === null ? -1 : 1;
+    }
+    if (isNumeric(first) && isNumeric(second)) {
+        return Number(first) - Number(second);
+    }
+
+    return first.localeCompare(second);
+}
+
+/**
+ * @param {Array<string|null>} first
+ * @param {Array<string|null>} second
+ * @return {number}
+ */
+function compareKeys (first, second) {
+    for (let i = 0; i < first.length; i++) {
+        const comparison = compareValues(first[i], second[i]);
+        if (comparison !== 0) {
+            return comparison;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * @param {Object} record
+ * @param {string[]} names
+ * @return {Array<string|null>}
+ */
+function getKey (record, names) {
+    return names.map(name => record[name] === undefined ? null : record[name]);
+}
+
+/**
+ * Sorted keys without duplicates
+ *
+ * @param {Array[]} keys
+ * @return {Array[]}
+ */
+function getUniqueKeys (keys) {
+    return keys.sort(compareKeys).filter((key, index, sorted) => index === 0 || compareKeys(key, sorted[index - 1]) !== 0);
+}
+
+/**
+ * @param {string|null} value
+ * @param {string} method
+ * @return {number|null} number aggregated for the method, null when it is ignored
+ */
+function toNumber (value, method) {
+    if (value === null) {
+        return null;
+    }
+
+    return method === 'count' ? 1 : parseFloat(value);
+}
+
+/**
+ * @param {number|null} value
+ * @return {string} the value without floating point noise
+ */
+function formatValue (value) {
+    return value === null ? '' : String(parseFloat(value.toPrecision(12)));
+}
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function escapeHtml (text) {
+    return text.replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function toCsvField (text) {
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * @param {string} name
+ * @return {string}
+ */
+function backquote (name) {
+    return '`' + name.replace(/`/g, '``') + '`';
+}
+
+/**
+ * @param {string} value
+ * @return {string}
+ */
+function quoteString (value) {
+    return '\'' + value.replace(/\\/g, '\\\\').replace(/'/g, '\'\'') + '\'';
+}
+
+export const PivotTable = {
+    /**
+     * @param {Object[]} records
+     * @param {Object} config
+     * @param {boolean} withSubtotals whether to add a total row after each group of the outer row columns
+     * @return {{columnKeys: Array[], rows: Object[]}} the keys of the columns of the pivot table, sorted,
+     *     and its rows with their key, whether they are a total row and the values of their cells, first
+     *     those of each column key then those of the total column if there are column keys
+     */
+    compute: (records, config, withSubtotals) => {
+        const columnKeys = getUniqueKeys(records.map(record => getKey(record, config.columns)));
+        const rowKeys = getUniqueKeys(records.map(record => getKey(record, config.rows)));
+        const values = {};
+        const collect = (rowKey, columnKey, record) => {
+            const id = JSON.stringify([rowKey, columnKey]);
+            if (! values[id]) {
+                values[id] = config.values.map(() => []);
+            }
+            config.values.forEach((value, index) => {
+                values[id][index].push(toNumber(record[value.column] === undefined ? null : record[value.column], value.method));
+            });
+        };
+
+        records.forEach(record => {
+            const rowKey = getKey(record, config.rows);
+            const columnKey = getKey(record, config.columns);
+            for (let level = 0; level <= rowKey.length; level++) {
+                collect(rowKey.slice(0, level), columnKey, record);
+                collect(rowKey.slice(0, level), null, record);
+            }
+        });
+
+        const getCells = rowKey => {
+            const cells = [];
+            const keys = config.columns.length > 0 ? columnKeys.concat([null]) : [[]];
+            keys.forEach(columnKey => {
+                const collected = values[JSON.stringify([rowKey, columnKey])];
+                config.values.forEach((value, index) => {
+                    cells.push(collected ? ChartData.aggregate(collected[index], value.method) : null);
+                });
+            });
+
+            return cells;
+        };
+
+        const rows = [];
+        if (config.rows.length === 0) {
+            rows.push({ key: [], total: true, cells: getCells([]) });
+
+            return { columnKeys: columnKeys, rows: rows };
+        }
+
+        rowKeys.forEach((rowKey, index) => {
+            rows.push({ key: rowKey, total: false, cells: getCells(rowKey) });
+            if (! withSubtotals) {
+                return;
+            }
+            const next = rowKeys[index + 1];
+            for (let level = rowKey.length - 1; level > 0; level--) {
+                const prefix = rowKey.slice(0, level);
+                if (next === undefined || compareKeys(prefix, next.slice(0, level)) !== 0) {
+                    rows.push({ key: prefix, total: true, cells: getCells(prefix) });
+                }
+            }
+        });
+        if (records.length > 0) {
+            rows.push({ key: [], total: true, cells: getCells([]) });
+        }
+
+        return { columnKeys: columnKeys, rows: rows };
+    },
+
+    /**
+     * @param {Object} value a value of the configuration
+     * @return {string}
+     */
+    getValueLabel: value => value.method.toUpperCase() + '(' + value.column + ')',
+
+    /**
+     * Labels of the cells of the rows, also used as aliases by PivotTable.toSql()
+     *
+     * @param {Object} config
+     * @param {Array[]} columnKeys
+     * @return {string[]}
+     */
+    getCellLabels: (config, columnKeys) => {
+        const labels = [];
+        if (config.columns.length === 0) {
+            return config.values.map(PivotTable.getValueLabel);
+        }
+        const keyLabels = columnKeys.map(key => key.map(value => value === null ? 'NULL' : value).join(' / '))
+            .concat([window.Messages.strPivotTotal]);
+        keyLabels.forEach(keyLabel => {
+            config.values.forEach(value => {
+                labels.push(config.values.length > 1 ? keyLabel + ': ' + PivotTable.getValueLabel(value) : keyLabel);
+            });
+        });
+
+        return labels;
+    },
+
+    /**
+     * Texts of the pivot table, the row columns being followed by the cells
+     *
+     * @param {Object} config
+     * @param {{columnKeys: Array[], rows: Object[]}} pivot result of PivotTable.compute()
+     * @return {{header: string[], rows: Array<{total: boolean, texts: string[]}>}}
+     */
+    getTexts: (config, pivot) => {
+        const width = Math.max(config.rows.length, 1);
+        const header = config.rows.length > 0 ? config.rows.slice() : [''];
+
+        return {
+            header: header.concat(PivotTable.getCellLabels(config, pivot.columnKeys)),
+            rows: pivot.rows.map(row => {
+                const texts = row.key.map(value => value === null ? 'NULL' : value);
+                if (row.total) {
+                    texts.push(row.key.length === 0 ? window.Messages.strPivotGrandTotal : window.Messages.strPivotTotal);
+                }
+                while (texts.length < width) {
+                    texts.push('');
+                }
+
+                return { total: row.total, texts: texts.concat(row.cells.map(formatValue)) };
+            }),
+        };
+    },
+
+    /**
+     * @param {{header: string[], rows: Object[]}} texts result of PivotTable.getTexts()
+     * @return {string}
+     */
+    toCsv: texts => [texts.header].concat(texts.rows.map(row => row.texts))
+        .map(line => line.map(toCsvField).join(',') + '\r\n')
+        .join(''),
+
+    /**
+     * @param {{header: string[], rows: Object[]}} texts result of PivotTable.getTexts()
+     * @param {number} rowColumnCount number of the columns holding the keys of the rows
+     * @param {string} className class of the table element
+     * @return {string}
+     */
+    toHtml: (texts, rowColumnCount, className) => {
+        const cells = (line, tag) => line.map((text, index) => {
+            const align = index >= rowColumnCount ? ' class="text-end"' : '';
+
+            return '<' + tag + align + '>' + escapeHtml(text) + '</' + tag + '>';
+        }).join('');
+
+        return '<table class="' + escapeHtml(className) + '">\n' +
+            '<thead>\n<tr>' + cells(texts.header, 'th') + '</tr>\n</thead>\n<tbody>\n' +
+            texts.rows.map(row => '<tr' + (row.total ? ' class="fw-bold"' : '') + '>' + cells(row.texts, 'td') + '</tr>\n')
+                .join('') +
+            '</tbody>\n</table>\n';
+    },
+
+    /**
+     * Standalone HTML document of a pivot table
+     *
+     * @param {string} title
+     * @param {string} table result of PivotTable.toHtml()
+     * @return {string}
+     */
+    toHtmlDocument: (title, table) => '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n' +
+        '<title>' + escapeHtml(title) + '</title>\n' +
+        '<style>table { border-collapse: collapse; } th, td { border: 1px solid #999; padding: 0.2em 0.5em; }' +
+        ' .text-end { text-align: right; } .fw-bold td { font-weight: bold; }</style>\n' +
+        '</head>\n<body>\n' + table + '</body>\n</html>\n',
+
+    /**
+     * Query computing the pivot table on the server from the query of the results: the
+     * columns are aggregated conditionally on the column keys of the results and the
+     * subtotals and the grand total are the rows added by WITH ROLLUP
+     *
+     * @param {string} query
+     * @param {Object} config
+     * @param {Array[]} columnKeys
+     * @return {string}
+     */
+    toSql: (query, config, columnKeys) => {
+        const expressions = config.rows.map(backquote);
+        const labels = PivotTable.getCellLabels(config, columnKeys);
+        const conditions = columnKeys.map(key => key.map((value, index) => backquote(config.columns[index]) +
+            (value === null ? ' IS NULL' : ' = ' + quoteString(value))).join(' AND '));
+        if (config.columns.length > 0) {
+            conditions.forEach(condition => {
+                config.values.forEach(value => {
+                    expressions.push(value.method.toUpperCase() + '(CASE WHEN ' + condition + ' THEN ' +
+                        backquote(value.column) + ' END)');
+                });
+            });
+        }
+        config.values.forEach(value => {
+            expressions.push(value.method.toUpperCase() + '(' + backquote(value.column) + ')');
+        });
+        const selected = expressions.map((expression, index) => {
+            const label = labels[index - config.rows.length];
+
+            return '    ' + expression + (label === undefined ? '' : ' AS ' + backquote(label));
+        });
+
+        return 'SELECT\n' + selected.join(',\n') + '\nFROM (\n' + query.replace(/\s*;\s*$/, '') + '\n) AS `pivot_source`' +
+            (config.rows.length > 0 ? '\nGROUP BY ' + config.rows.map(backquote).join(', ') + ' WITH ROLLUP' : '');
+    },
+};
@@ -0,0 +1,315 @@
+/**
+ * Schema-aware completion of SQL queries: resolves the tables and the aliases of the
+ * statement under the cursor to suggest their columns and the join conditions
+ * following their foreign keys.
+ *
+ * The schema is { db, tables: { table: { column: { Type, Key, Comment } } }, foreignKeys,
+ * routines: [{ name, type, returns }], databases: [], otherTables: { db: tables } }
+ * with the foreign keys as returned by the information schema.
+ */
+
+/**
+ * Keywords after which a table name is expected
+ */
+const tableKeywords = ['FROM', 'JOIN', 'UPDATE', 'INTO', 'TABLE', 'DESCRIBE', 'DESC'];
+
+/**
+ * Keywords which can not be a table alias
+ */
+const reservedWords = [
+    'WHERE', 'ON', 'USING', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'CROSS', 'NATURAL', 'OUTER', 'STRAIGHT_JOIN',
+    'GROUP', 'ORDER', 'HAVING', 'LIMIT', 'UNION', 'SET', 'VALUES', 'VALUE', 'SELECT', 'WINDOW', 'FOR',
+    'LOCK', 'INTO', 'PARTITION', 'USE', 'IGNORE', 'FORCE', 'AS',
+];
+
+/**
+ * Keywords giving the context of the cursor
+ */
+const contextKeywords = tableKeywords.concat([
+    'SELECT', 'WHERE', 'ON', 'AND', 'OR', 'SET', 'BY', 'HAVING', 'USING', 'CALL', 'VALUES',
+]);
+
+/**
+ * Splits a statement into words, quoted identifiers and punctuation, without strings and comments
+ *
+ * @param {string} text
+ * @return {object[]} { type: 'word'|'identifier'|'punctuation', value }
+ */
+function tokenize (text) {
+    const tokens = [];
+    const pattern = /(--[^\n]*|#[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|('(?:[^'\\]|\\.|'')*'?|"(?:[^"\\]|\\.|"")*"?)|`((?:[^`]|``)*)`?|([\w$@]+)|([.,()])/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[3] !== undefined) {
+            tokens.push({ type: 'identifier', value: match[3].replace(/``/g, '`') });
+        } else if (match[4] !== undefined) {
+            tokens.push({ type: 'word', value: match[4] });
+        } else if (match[5] !== undefined) {
+            tokens.push({ type: 'punctuation', value: match[5] });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * @param {object|undefined} token
+ * @return {boolean}
+ */
+function isName (token) {
+    return token !== undefined && (token.type === 'identifier' ||
+        (token.type === 'word' && ! reservedWords.includes(token.value.toUpperCase())));
+}
+
+/**
+ * @param {object|undefined} token
+ * @param {string} value
+ * @return {boolean}
+ */
+function isPunctuation (token, value) {
+    return token !== undefined && token.type === 'punctuation' && token.value === value;
+}
+
+/**
+ * @param {string} name
+ * @return {string}
+ */
+function quoteIdentifier (name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : '`' + name.replace(/`/g, '``') + '`';
+}
+
+/**
+ * @param {string} type
+ * @param {string} comment
+ * @return {string}
+ */
+function describeColumn (type, comment) {
+    return comment ? type + ' | ' + comment : type;
+}
+
+export const SqlCompletion = {
+    tokenize: tokenize,
+
+    /**
+     * Statement of a text containing an offset, statements being separated by semicolons
+     *
+     * @param {string} text
+     * @param {number} offset
+     * @return {object} { text, offset } with the offset in the statement
+     */
+    getStatementAt: (text, offset) => {
+        const pattern = /(--[^\n]*|#[^\n]*|\/\*[\s\S]*?(?:\*\/|$)|'(?:[^'\\]|\\.)*'?|"(?:[^"\\]|\\.)*"?|`[^`]*`?)|;/g;
+        let start = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[1] !== undefined) {
+                continue;
+            }
+            if (match.index >= offset) {
+                return { text: text.substring(start, match.index), offset: offset - start };
+            }
+            start = match.index + 1;
+        }
+
+        return { text: text.substring(start), offset: offset - start };
+    },
+
+    /**
+     * Tables of a statement, with their database and alias
+     *
+     * @param {string} statement
+     * @return {object[]} { db, table, alias }, the table being null for derived tables
+     */
+    getTableReferences: statement => {
+        const tokens = tokenize(statement);
+        const references = [];
+        let i = 0;
+        const readAlias = () => {
+            if (tokens[i] !== undefined && tokens[i].type === 'word' && tokens[i].value.toUpperCase() === 'AS') {
+                i++;
+            }
+            if (isName(tokens[i])) {
+                i++;
+
+                return tokens[i - 1].value;
+            }
+
+            return null;
+        };
+        const readReference = () => {
+            if (isPunctuation(tokens[i], '(')) {
+                let depth = 0;
+                do {
+                    if (isPunctuation(tokens[i], '(')) {
+                        depth++;
+                    } else if (isPunctuation(tokens[i], ')')) {
+                        depth--;
+                    }
+                    i++;
+                } while (depth > 0 && i < tokens.length);
+                const alias = readAlias();
+                if (alias !== null) {
+                    references.push({ db: null, table: null, alias: alias });
+                }
+
+                return;
+            }
+            if (! isName(tokens[i])) {
+                return;
+            }
+            let db = null;
+            let table = tokens[i].value;
+            i++;
+            if (isPunctuation(tokens[i], '.') && isName(tokens[i + 1])) {
+                db = table;
+                table = tokens[i + 1].value;
+                i += 2;
+            }
+            references.push({ db: db, table: table, alias: readAlias() });
+        };
+
+        while (i < tokens.length) {
+            const token = tokens[i];
+            i++;
+            if (token.type !== 'word' || ! tableKeywords.includes(token.value.toUpperCase())) {
+                continue;
+            }
+            readReference();
+            while (token.value.toUpperCase() === 'FROM' && isPunctuation(tokens[i], ',')) {
+                i++;
+                readReference();
+            }
+        }
+
+        return references;
+    },
+
+    /**
+     * What is being completed: the word before the cursor, the name before its dot and the last keyword
+     *
+     * @param {string} textBeforeCursor
+     * @return {object} { word, qualifier, keyword }
+     */
+    getContext: textBeforeCursor => {
+        const word = textBeforeCursor.match(/`?[\w$]*$/)[0];
+        const before = textBeforeCursor.substring(0, textBeforeCursor.length - word.length);
+        const qualifierMatch = before.match(/(?:`((?:[^`]|``)+)`|([\w$]+))\.$/);
+        let qualifier = null;
+        if (qualifierMatch !== null) {
+            qualifier = qualifierMatch[1] !== undefined ? qualifierMatch[1].replace(/``/g, '`') : qualifierMatch[2];
+        }
+        const keywords = tokenize(before).filter(token =>
+            token.type === 'word' && contextKeywords.includes(token.value.toUpperCase())
+        );
+
+        return {
+            word: word,
+            qualifier: qualifier,
+            keyword: keywords.length > 0 ? keywords[keywords.length - 1].value.toUpperCase() : null,
+        };
+    },
+
+    /**
+     * Suggestions for the context of the cursor
+     *
+     * @param {object} schema
+     * @param {string} statement
+     * @param {object} context from getContext()
+     * @return {object[]} { text, name, hint, kind: 'join'|'column'|'table'|'routine'|'database' }
+     */
+    getCompletions: (schema, statement, context) => {
+        const references = SqlCompletion.getTableReferences(statement);
+        const isBackquoted = context.word.startsWith('`');
+        const search = context.word.replace(/^`/, '').toLowerCase();
+        const completions = [];
+        const add = (name, hint, kind, text) => {
+            if (! name.toLowerCase().startsWith(search)) {
+                return;
+            }
+            if (completions.some(completion => completion.kind === kind && completion.name === name)) {
+                return;
+            }
+            completions.push({
+                text: text || (isBackquoted ? '`' + name.replace(/`/g, '``') + '`' : quoteIdentifier(name)),
+                name: name,
+                hint: hint,
+                kind: kind,
+            });
+        };
+        const getTables = db => {
+            if (db === null || db === schema.db) {
+                return schema.tables;
+            }
+
+            return (schema.otherTables || {})[db] || {};
+        };
+        const addColumns = (reference, withTable) => {
+            const columns = getTables(reference.db)[reference.table] || {};
+            const name = reference.alias || reference.table;
+            Object.keys(columns).forEach(column => {
+                const hint = describeColumn(columns[column].Type, columns[column].Comment);
+                add(column, withTable ? name + ' | ' + hint : hint, 'column');
+            });
+        };
+        const addTables = db => {
+            const tables = getTables(db);
+            Object.keys(tables).forEach(table => add(table, '', 'table'));
+        };
+
+        if (context.qualifier !== null) {
+            const reference = references.find(ref => ref.alias === context.qualifier) ||
+                references.find(ref => ref.alias === null && ref.table === context.qualifier);
+            if (reference !== undefined && getTables(reference.db)[reference.table] !== undefined) {
+                addColumns(reference, false);
+            } else if (schema.tables[context.qualifier] !== undefined) {
+                addColumns({ db: null, table: context.qualifier, alias: null }, false);
+            } else {
+                addTables(context.qualifier);
+            }
+
+            return completions;
+        }
+
+        if (context.keyword === 'ON' && references.length > 1) {
+            const joined = references[references.length - 1];
+            references.slice(0, -1).forEach(other => {
+                (schema.foreignKeys || []).forEach(fk => {
+                    let left = null;
+                    let right = null;
+                    if (fk.TABLE_NAME === joined.table && fk.REFERENCED_TABLE_NAME === other.table) {
+                        left = [joined, fk.COLUMN_NAME];
+                        right = [other, fk.REFERENCED_COLUMN_NAME];
+                    } else if (fk.REFERENCED_TABLE_NAME === joined.table && fk.TABLE_NAME === other.table) {
+                        left = [joined, fk.REFERENCED_COLUMN_NAME];
+                        right = [other, fk.COLUMN_NAME];
+                    }
+                    if (left === null || joined.table === null) {
+                        return;
+                    }
+                    const condition = [left, right].map(side =>
+                        quoteIdentifier(side[0].alias || side[0].table) + '.' + quoteIdentifier(side[1])
+                    ).join(' = ');
+                    add(condition, 'FOREIGN KEY', 'join', condition);
+                });
+            });
+        }
+
+        if (tableKeywords.includes(context.keyword)) {
+            addTables(null);
+            (schema.databases || []).forEach(db => add(db, 'DATABASE', 'database'));
+
+            return completions;
+        }
+
+        references.forEach(reference => addColumns(reference, references.length > 1));
+        if (references.length === 0 && schema.defaultTable) {
+            addColumns({ db: null, table: schema.defaultTable, alias: null }, false);
+        }
+        addTables(null);
+        (schema.routines || []).forEach(routine => {
+            add(routine.name, routine.returns ? routine.type + ' | ' + routine.returns : routine.type, 'routine');
+        });
+
+        return completions;
+    },
+};
@@ -0,0 +1,601 @@
+/**
+ * Client-side SQL formatter used by the "Format" action of the SQL editors.
+ *
+ * The query is split into tokens, which are written back with line breaks before the clauses
+ * (SELECT, FROM, WHERE…), the joins, the conditions and the branches of CASE expressions,
+ * and with the indentation of subqueries and of the blocks of stored programs (BEGIN…END, IF…END IF…).
+ * Strings, quoted identifiers, comments and DELIMITER commands are kept as they were written.
+ */
+
+/**
+ * Reserved words whose case is changed according to the keywordCase option
+ */
+const keywords = [
+    'ACCESSIBLE', 'ADD', 'AFTER', 'AGAINST', 'ALGORITHM', 'ALL', 'ALTER', 'ANALYZE', 'AND', 'ANY', 'AS', 'ASC',
+    'AUTO_INCREMENT', 'BEFORE', 'BEGIN', 'BETWEEN', 'BINARY', 'BOTH', 'BY', 'CALL', 'CASCADE', 'CASE',
+    'CHANGE', 'CHARACTER', 'CHECK', 'COLLATE', 'COLUMN', 'COMMENT', 'COMMIT', 'CONSTRAINT', 'CONTINUE',
+    'CREATE', 'CROSS', 'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'CURSOR', 'DATABASE', 'DECLARE',
+    'DEFAULT', 'DEFINER', 'DELAYED', 'DELETE', 'DESC', 'DESCRIBE', 'DETERMINISTIC', 'DISTINCT', 'DISTINCTROW',
+    'DIV', 'DO', 'DROP', 'DUPLICATE', 'EACH', 'ELSE', 'ELSEIF', 'END', 'ENGINE', 'ESCAPE', 'EVENT', 'EVERY',
+    'EXCEPT', 'EXISTS', 'EXIT', 'EXPLAIN', 'FALSE', 'FETCH', 'FOR', 'FOREIGN', 'FROM', 'FULL', 'FULLTEXT',
+    'FUNCTION', 'GRANT', 'GROUP', 'HANDLER', 'HAVING', 'HIGH_PRIORITY', 'IF', 'IGNORE', 'IN', 'INDEX', 'INNER',
+    'INOUT', 'INSERT', 'INTERSECT', 'INTERVAL', 'INTO', 'IS', 'ITERATE', 'JOIN', 'KEY', 'KEYS', 'LEADING',
+    'LEAVE', 'LEFT', 'LIKE', 'LIMIT', 'LOCK', 'LOOP', 'LOW_PRIORITY', 'MOD', 'MODIFY', 'NATURAL', 'NOT', 'NULL',
+    'OFFSET', 'ON', 'OPEN', 'OR', 'ORDER', 'OUT', 'OUTER', 'OVER', 'PARTITION', 'PRIMARY', 'PROCEDURE',
+    'READS', 'RECURSIVE', 'REFERENCES', 'REGEXP', 'RENAME', 'REPEAT', 'REPLACE', 'RETURN', 'RETURNS',
+    'REVOKE', 'RIGHT', 'RLIKE', 'ROLLBACK', 'ROLLUP', 'ROW', 'ROWS', 'SCHEDULE', 'SCHEMA', 'SECURITY',
+    'SELECT', 'SEPARATOR', 'SET', 'SHOW', 'SIGNAL', 'SQL', 'SQL_CALC_FOUND_ROWS', 'SQL_NO_CACHE', 'START',
+    'STRAIGHT_JOIN', 'TABLE', 'TEMPORARY', 'TERMINATED', 'THEN', 'TO', 'TRAILING', 'TRANSACTION', 'TRIGGER',
+    'TRUE', 'TRUNCATE', 'UNION', 'UNIQUE', 'UNLOCK', 'UNSIGNED', 'UNTIL', 'UPDATE', 'USE', 'USING', 'VALUES',
+    'VIEW', 'WHEN', 'WHERE', 'WHILE', 'WINDOW', 'WITH', 'XOR', 'ZEROFILL',
+];
+
+/**
+ * Clauses starting a new line, the ones flagged with "start" only when they begin a statement
+ */
+const clauses = [
+    { words: ['ON', 'DUPLICATE', 'KEY', 'UPDATE'] },
+    { words: ['INSERT', 'IGNORE', 'INTO'], start: true },
+    { words: ['INSERT', 'INTO'], start: true },
+    { words: ['INSERT'], start: true },
+    { words: ['REPLACE', 'INTO'], start: true },
+    { words: ['REPLACE'], start: true },
+    { words: ['DELETE'], start: true },
+    { words: ['UPDATE'], start: true },
+    { words: ['WITH', 'RECURSIVE'], start: true },
+    { words: ['WITH'], start: true },
+    { words: ['SELECT'] },
+    { words: ['FROM'] },
+    { words: ['WHERE'] },
+    { words: ['GROUP', 'BY'] },
+    { words: ['HAVING'] },
+    { words: ['WINDOW'] },
+    { words: ['ORDER', 'BY'] },
+    { words: ['LIMIT'] },
+    { words: ['VALUES'] },
+    { words: ['SET'] },
+];
+
+/**
+ * Clauses in which each item of a comma separated list is put on its own line
+ */
+const listClauses = ['SELECT', 'FROM', 'GROUP BY', 'ORDER BY', 'SET', 'VALUES', 'UPDATE', 'WITH', 'WITH RECURSIVE'];
+
+/**
+ * Clauses in which tables can be joined
+ */
+const joinClauses = ['FROM', 'UPDATE', 'DELETE'];
+
+const joinModifiers = ['NATURAL', 'LEFT', 'RIGHT', 'INNER', 'CROSS', 'FULL', 'OUTER'];
+
+const setOperators = ['UNION', 'INTERSECT', 'EXCEPT'];
+
+const defaultOptions = {
+    keywordCase: 'upper',
+    indentWidth: 4,
+    commaPosition: 'end',
+    breakJoins: true,
+    breakConditions: true,
+    breakCase: true,
+};
+
+/**
+ * Splits a query into tokens. The DELIMITER commands of the command-line client are kept as
+ * 'delimiter' tokens and the custom delimiters they set as 'terminator' tokens.
+ *
+ * @param {string} sql
+ * @return {object[]} tokens {type, value, spaceBefore}
+ */
+function tokenize (sql) {
+    const delimiterPattern = /DELIMITER[ \t]+(\S+)[^\n]*/iy;
+    const patterns = [
+        ['whitespace', /\s+/y],
+        ['comment', /(?:--(?=\s|$)|#)[^\n]*/y],
+        ['blockComment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+        ['string', /[xXbBnN]?'(?:[^'\\]|\\[\s\S]|'')*(?:'|$)/y],
+        ['string', /"(?:[^"\\]|\\[\s\S]|"")*(?:"|$)/y],
+        ['identifier', /`(?:[^`]|``)*(?:`|$)/y],
+        ['number', /0x[0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?(?![\w$])/y],
+        ['word', /@{0,2}[\w$\u0080-\uffff]+/y],
+        ['variable', /@(?=[`'"])/y],
+        ['operator', /<=>|>=|<=|<>|!=|:=|\|\||&&|<<|>>|->>|->|[-+*/%=<>!~^&|]/y],
+        ['punctuation', /[(),;.]/y],
+        ['other', /[\s\S]/y],
+    ];
+    const tokens = [];
+    let position = 0;
+    let spaceBefore = false;
+    let isLineStart = true;
+    let delimiter = ';';
+    while (position < sql.length) {
+        delimiterPattern.lastIndex = position;
+        const delimiterMatch = isLineStart ? delimiterPattern.exec(sql) : null;
+        if (delimiterMatch !== null) {
+            tokens.push({ type: 'delimiter', value: delimiterMatch[0].trim(), spaceBefore: spaceBefore });
+            delimiter = delimiterMatch[1];
+            position += delimiterMatch[0].length;
+            spaceBefore = false;
+            isLineStart = false;
+            continue;
+        }
+        if (delimiter !== ';' && sql.startsWith(delimiter, position)) {
+            tokens.push({ type: 'terminator', value: delimiter, spaceBefore: spaceBefore });
+            position += delimiter.length;
+            spaceBefore = false;
+            isLineStart = false;
+            continue;
+        }
+        for (let i = 0; i < patterns.length; i++) {
+            const pattern = patterns[i][1];
+            pattern.lastIndex = position;
+            const match = pattern.exec(sql);
+            if (match === null || match[0] === '') {
+                continue;
+            }
+            position += match[0].length;
+            if (patterns[i][0] === 'whitespace') {
+                spaceBefore = true;
+                isLineStart = isLineStart || match[0].indexOf('\n') !== -1;
+            } else {
+                isLineStart = false;
+                tokens.push({ type: patterns[i][0], value: match[0], spaceBefore: spaceBefore });
+                spaceBefore = false;
+            }
+            break;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * @param {object|undefined} token
+ * @return {string} upper case value of a word token, an empty string for other tokens
+ */
+function wordOf (token) {
+    return token && token.type === 'word' ? token.value.toUpperCase() : '';
+}
+
+/**
+ * @param {object|undefined} token
+ * @param {string} value
+ * @return {boolean}
+ */
+function isPunctuation (token, value) {
+    return !! token && token.type === 'punctuation' && token.value === value;
+}
+
+/**
+ * Formats the tokens of a query
+ *
+ * @param {object[]} tokens
+ * @param {object} options
+ * @return {string}
+ */
+function formatTokens (tokens, options) {
+    let output = '';
+    // Indentation level of the line being written
+    let lineLevel = 0;
+    // Last written token, null at the start of a line
+    let previous = null;
+    // Innermost first: scopes (statements), parentheses, CASE expressions and blocks of stored programs
+    const stack = [{ type: 'scope', level: 0, clause: null, started: false, inOn: false, between: false }];
+
+    const top = () => stack[stack.length - 1];
+    const scope = () => {
+        for (let i = stack.length - 1; i >= 0; i--) {
+            if (stack[i].type === 'scope') {
+                return stack[i];
+            }
+        }
+
+        return stack[0];
+    };
+    const atScope = () => top().type === 'scope';
+    const pushScope = (level) => {
+        stack.push({ type: 'scope', level: level, clause: null, started: false, inOn: false, between: false });
+    };
+
+    const newline = (level) => {
+        output = output.replace(/[ \t]+$/, '');
+        if (output !== '' && ! output.endsWith('\n')) {
+            output += '\n';
+        }
+        if (output !== '') {
+            output += ' '.repeat(level * options.indentWidth);
+        }
+        lineLevel = level;
+        previous = null;
+    };
+
+    const applyCase = (token, index) => {
+        if (token.type !== 'word' || options.keywordCase === 'preserve' ||
+            isPunctuation(tokens[index - 1], '.') || isPunctuation(tokens[index + 1], '.') ||
+            keywords.indexOf(token.value.toUpperCase()) === -1
+        ) {
+            return token.value;
+        }
+
+        return options.keywordCase === 'lower' ? token.value.toLowerCase() : token.value.toUpperCase();
+    };
+
+    const isUnary = (token, before) => {
+        if (token.type !== 'operator' || ['-', '+', '~', '!'].indexOf(token.value) === -1) {
+            return false;
+        }
+
+        return before === null || before.type === 'operator' ||
+            isPunctuation(before, '(') || isPunctuation(before, ',') ||
+            (before.type === 'word' && keywords.indexOf(before.value.toUpperCase()) !== -1 &&
+                ['NULL', 'TRUE', 'FALSE', 'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP']
+                    .indexOf(before.value.toUpperCase()) === -1);
+    };
+
+    const needsSpace = (token) => {
+        if (previous === null || output === '' || /\s$/.test(output)) {
+            return false;
+        }
+        if (token.type === 'punctuation' && token.value !== '(' || token.value === ':') {
+            return false;
+        }
+        if (isPunctuation(previous, '(') || isPunctuation(previous, '.') || previous.unary ||
+            previous.type === 'variable'
+        ) {
+            return false;
+        }
+        if (isPunctuation(token, '(')) {
+            // Keeps function calls and their parenthesis together
+            return token.spaceBefore;
+        }
+
+        return true;
+    };
+
+    const write = (token, index) => {
+        const value = token.type === 'word' ? applyCase(token, index) : token.value;
+        output += (needsSpace(token) ? ' ' : '') + value;
+        previous = { type: token.type, value: token.value, unary: isUnary(token, previous) };
+        if (token.type !== 'comment' && token.type !== 'blockComment') {
+            scope().started = true;
+        }
+    };
+
+    /**
+     * @param {number} index
+     * @return {number} number of tokens of the clause starting at index, 0 when there is none
+     */
+    const matchClause = (index) => {
+        const current = scope();
+        const isModification = /^(UPDATE|INSERT|REPLACE)/.test(current.statement || '');
+        if (isPunctuation(tokens[index - 1], '.')) {
+            return 0;
+        }
+        for (let i = 0; i < clauses.length; i++) {
+            const words = clauses[i].words;
+            let matches = ! clauses[i].start || ! current.started;
+            for (let j = 0; j < words.length && matches; j++) {
+                matches = wordOf(tokens[index + j]) === words[j];
+            }
+            // SET also assigns variables and names character sets,
+            // VALUES() is also a function of ON DUPLICATE KEY UPDATE
+            if (! matches ||
+                words[0] === 'SET' && ! isModification ||
+                words[0] === 'VALUES' && (! isModification || current.clause === 'ON DUPLICATE KEY UPDATE')
+            ) {
+                continue;
+            }
+
+            return words.length;
+        }
+
+        return 0;
+    };
+
+    /**
+     * @param {number} index
+     * @return {number} number of tokens of the join starting at index, 0 when there is none
+     */
+    const matchJoin = (index) => {
+        let length = 0;
+        if (isPunctuation(tokens[index - 1], '.')) {
+            return 0;
+        }
+        while (joinModifiers.indexOf(wordOf(tokens[index + length])) !== -1) {
+            length++;
+        }
+        const word = wordOf(tokens[index + length]);
+        if (word === 'JOIN' || (word === 'STRAIGHT_JOIN' && length === 0)) {
+            return length + 1;
+        }
+
+        return 0;
+    };
+
+    /**
+     * Removes the frames above the innermost frame of one of the types
+     *
+     * @param {string[]} types
+     * @return {object|null} the frame, null when there is none and the stack is kept
+     */
+    const unwindTo = (types) => {
+        for (let i = stack.length - 1; i > 0; i--) {
+            if (types.indexOf(stack[i].type) !== -1) {
+                stack.length = i + 1;
+                return stack[i];
+            }
+        }
+
+        return null;
+    };
+
+    const isStatementStart = () => ! scope().started || (previous !== null && previous.value === ':');
+
+    const endStatement = () => {
+        stack.length = 1;
+        stack[0].clause = null;
+        stack[0].started = false;
+        stack[0].statement = null;
+        newline(0);
+    };
+
+    for (let index = 0; index < tokens.length; index++) {
+        const token = tokens[index];
+        const word = wordOf(token);
+        const current = scope();
+        let length;
+
+        if (token.type === 'comment') {
+            write(token, index);
+            newline(lineLevel);
+            continue;
+        }
+
+        // DELIMITER commands are kept on their own line and custom delimiters end the statement, even inside a block
+        if (token.type === 'delimiter' || token.type === 'terminator') {
+            if (token.type === 'delimiter') {
+                newline(0);
+            }
+            output += (token.type === 'terminator' && token.spaceBefore && previous !== null ? ' ' : '') + token.value;
+            endStatement();
+            continue;
+        }
+
+        if (atScope() && (length = matchClause(index)) > 0) {
+            const clause = tokens.slice(index, index + length).map(wordOf).join(' ');
+            if (current.started) {
+                newline(current.level);
+            } else {
+                current.statement = clause;
+            }
+            for (let i = 0; i < length; i++) {
+                write(tokens[index + i], index + i);
+            }
+            index += length - 1;
+            current.clause = clause;
+            current.inOn = false;
+            current.between = false;
+            newline(current.level + 1);
+            continue;
+        }
+
+        if (atScope() && setOperators.indexOf(word) !== -1) {
+            newline(current.level);
+            write(token, index);
+            if (['ALL', 'DISTINCT'].indexOf(wordOf(tokens[index + 1])) !== -1) {
+                index++;
+                write(tokens[index], index);
+            }
+            current.clause = null;
+            newline(current.level);
+            continue;
+        }
+
+        if (atScope() && joinClauses.indexOf(current.clause) !== -1 && (length = matchJoin(index)) > 0) {
+            if (options.breakJoins) {
+                newline(current.level + 1);
+            }
+            for (let i = 0; i < length; i++) {
+                write(tokens[index + i], index + i);
+            }
+            index += length - 1;
+            current.inOn = false;
+            continue;
+        }
+
+        if (atScope() && word === 'ON' && joinClauses.indexOf(current.clause) !== -1) {
+            current.inOn = true;
+            write(token, index);
+            continue;
+        }
+
+        if (atScope() && word === 'BETWEEN') {
+            current.between = true;
+            write(token, index);
+            continue;
+        }
+
+        if (atScope() && ['AND', 'OR', 'XOR'].indexOf(word) !== -1) {
+            if (word === 'AND' && current.between) {
+                current.between = false;
+            } else if (options.breakConditions &&
+                (['WHERE', 'HAVING'].indexOf(current.clause) !== -1 || current.inOn)
+            ) {
+                newline(current.level + (current.inOn ? 2 : 1));
+            }
+            write(token, index);
+            continue;
+        }
+
+        if (isPunctuation(token, ',') && atScope() && listClauses.indexOf(current.clause) !== -1 && ! current.inOn) {
+            if (options.commaPosition === 'start') {
+                newline(current.level + 1);
+                output += ', ';
+                previous = null;
+            } else {
+                write(token, index);
+                newline(current.level + 1);
+            }
+            continue;
+        }
+
+        if (isPunctuation(token, '(')) {
+            const next = wordOf(tokens[index + 1]);
+            write(token, index);
+            if (next === 'SELECT' || next === 'WITH') {
+                stack.push({ type: 'paren', subquery: true, level: lineLevel });
+                pushScope(lineLevel + 1);
+                newline(lineLevel + 1);
+            } else {
+                stack.push({ type: 'paren', subquery: false, level: lineLevel });
+            }
+            continue;
+        }
+
+        if (isPunctuation(token, ')')) {
+            const paren = unwindTo(['paren']);
+            if (paren !== null) {
+                stack.pop();
+                if (paren.subquery) {
+                    newline(paren.level);
+                }
+            }
+            write(token, index);
+            continue;
+        }
+
+        if (isPunctuation(token, ';')) {
+            write(token, index);
+            const frame = unwindTo(['block', 'case']);
+            if (frame === null) {
+                endStatement();
+            } else {
+                if (frame.type === 'block') {
+                    pushScope(frame.level + 1);
+                }
+                newline(frame.level + 1);
+            }
+            continue;
+        }
+
+        if (word === 'CASE') {
+            write(token, index);
+            stack.push({ type: 'case', level: lineLevel });
+            continue;
+        }
+
+        if (top().type === 'case' && (word === 'WHEN' || word === 'ELSE')) {
+            if (options.breakCase) {
+                newline(top().level + 1);
+            }
+            write(token, index);
+            continue;
+        }
+
+        if (word === 'END') {
+            const frame = unwindTo(['block', 'case']);
+            if (frame !== null && (frame.type === 'block' || options.breakCase)) {
+                newline(frame.level);
+            }
+            write(token, index);
+            const next = wordOf(tokens[index + 1]);
+            if (frame !== null && ['IF', 'LOOP', 'WHILE', 'REPEAT', 'CASE'].indexOf(next) !== -1) {
+                index++;
+                write(tokens[index], index);
+            }
+            if (frame !== null) {
+                stack.pop();
+            }
+            continue;
+        }
+
+        if (word === 'BEGIN' && ! isPunctuation(tokens[index + 1], ';') && wordOf(tokens[index + 1]) !== 'WORK' &&
+            index + 1 < tokens.length
+        ) {
+            write(token, index);
+            stack.push({ type: 'block', kind: 'BEGIN', level: lineLevel });
+            pushScope(lineLevel + 1);
+            newline(lineLevel + 1);
+            continue;
+        }
+
+        // Function calls can not start a statement, so these are flow control statements of stored programs
+        if (['IF', 'WHILE', 'REPEAT'].indexOf(word) !== -1 && isStatementStart() || word === 'LOOP') {
+            write(token, index);
+            const block = { type: 'block', kind: word, level: lineLevel };
+            stack.push(block);
+            if (word === 'REPEAT' || word === 'LOOP') {
+                pushScope(block.level + 1);
+                newline(block.level + 1);
+            }
+            continue;
+        }
+
+        const block = top().type === 'block' ? top() : null;
+        if (block !== null && ((word === 'THEN' && block.kind === 'IF') || (word === 'DO' && block.kind === 'WHILE'))) {
+            write(token, index);
+            pushScope(block.level + 1);
+            newline(block.level + 1);
+            continue;
+        }
+
+        if (word === 'ELSE' || word === 'ELSEIF' || word === 'UNTIL') {
+            const frame = unwindTo(['block', 'case']);
+            if (frame !== null && frame.type === 'block') {
+                newline(frame.level);
+                write(token, index);
+                if (word === 'ELSE') {
+                    pushScope(frame.level + 1);
+                    newline(frame.level + 1);
+                }
+                continue;
+            }
+        }
+
+        write(token, index);
+    }
+
+    return output.replace(/\s+$/, '');
+}
+
+export const SqlFormatter = {
+    defaultOptions: defaultOptions,
+
+    /**
+     * Formats a query, or several queries separated by semicolons.
+     *
+     * @param {string} sql
+     * @param {object} options keywordCase ('upper', 'lower' or 'preserve'), indentWidth,
+     *                         commaPosition ('end' or 'start'), breakJoins, breakConditions and breakCase
+     * @return {string}
+     */
+    format: (sql, options) => {
+        if (typeof sql !== 'string' || sql.trim() === '') {
+            return sql;
+        }
+
+        const formatOptions = Object.assign({}, defaultOptions);
+        Object.keys(options || {}).forEach(key => {
+            if (options[key] !== undefined && options[key] !== null) {
+                formatOptions[key] = options[key];
+            }
+        });
+
+        return formatTokens(tokenize(sql), formatOptions);
+    },
+
+    /**
+     * Whether the query is a single SELECT statement, comments and trailing semicolons aside
+     *
+     * @param {string} sql
+     * @return {boolean}
+     */
+    isSingleSelect: sql => {
+        const tokens = tokenize(typeof sql === 'string' ? sql : '')
+            .filter(token => token.type !== 'comment' && token.type !== 'blockComment');
+        while (tokens.length > 0 && isPunctuation(tokens[tokens.length - 1], ';')) {
+            tokens.pop();
+        }
+
+        return wordOf(tokens[0]) === 'SELECT' && ! tokens.some(token => isPunctuation(token, ';'));
+    },
+};
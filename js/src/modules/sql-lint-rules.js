@@ -0,0 +1,299 @@
+import { SqlCompletion } from './sql-completion.js';
+
+/**
+ * Client-side rules of the SQL linter, which run alongside the parser of the server
+ * to warn about queries which are valid but most likely wrong or slow.
+ *
+ * An issue is { rule, severity, from, to, fix } with the offsets of the text it is about,
+ * and the fix, when the rule can offer one, as { from, to, text } with the text replacing
+ * the one between the offsets.
+ */
+
+/**
+ * Severities of the rules when they are not configured: 'error', 'warning' or 'off'
+ */
+const defaultSeverities = {
+    'NoWhere': 'warning',
+    'SelectStar': 'warning',
+    'ImplicitCrossJoin': 'warning',
+    'NullComparison': 'error',
+    'LeadingWildcard': 'warning',
+};
+
+/**
+ * Keywords starting a clause, used to know where a token is
+ */
+const clauseKeywords = [
+    'SELECT', 'FROM', 'JOIN', 'ON', 'USING', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'LIMIT',
+    'SET', 'UPDATE', 'DELETE', 'INTO', 'VALUES', 'VALUE', 'WINDOW',
+];
+
+/**
+ * Splits a text into words, strings, quoted identifiers, operators and punctuation with their offsets,
+ * without the comments
+ *
+ * @param {string} text
+ * @return {object[]} { type: 'word'|'string'|'identifier'|'operator'|'punctuation', value, start, end }
+ */
+function tokenize (text) {
+    const tokens = [];
+    const pattern = /(--[^\n]*|#[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|('(?:[^'\\]|\\.|'')*'?|"(?:[^"\\]|\\.|"")*"?)|(`(?:[^`]|``)*`?)|([\w$@]+)|(<=>|<>|!=|>=|<=|=|<|>)|([.,();*])/g;
+    const types = [null, 'string', 'identifier', 'word', 'operator', 'punctuation'];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        for (let group = 2; group <= 6; group++) {
+            if (match[group] !== undefined) {
+                tokens.push({
+                    type: types[group - 1],
+                    value: match[group],
+                    start: match.index,
+                    end: match.index + match[group].length,
+                });
+                break;
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * @param {object|undefined} token
+ * @param {string[]} words upper case words
+ * @return {boolean}
+ */
+function isWord (token, words) {
+    return token !== undefined && token.type === 'word' && words.includes(token.value.toUpperCase());
+}
+
+/**
+ * @param {object|undefined} token
+ * @param {string} value
+ * @return {boolean}
+ */
+function isPunctuation (token, value) {
+    return token !== undefined && token.type === 'punctuation' && token.value === value;
+}
+
+/**
+ * @param {string} name
+ * @return {string}
+ */
+function quoteIdentifier (name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : '`' + name.replace(/`/g, '``') + '`';
+}
+
+/**
+ * Splits the tokens into statements, separated by semicolons
+ *
+ * @param {object[]} tokens
+ * @return {Array[]}
+ */
+function splitStatements (tokens) {
+    const statements = [[]];
+    tokens.forEach(token => {
+        if (isPunctuation(token, ';')) {
+            statements.push([]);
+        } else {
+            statements[statements.length - 1].push(token);
+        }
+    });
+
+    return statements.filter(statement => statement.length > 0);
+}
+
+/**
+ * Clause and parenthesis depth of each token of a statement
+ *
+ * @param {object[]} tokens
+ * @return {object[]} { clause, depth }
+ */
+function getPlaces (tokens) {
+    const clauses = [null];
+    let depth = 0;
+
+    return tokens.map(token => {
+        if (isPunctuation(token, '(')) {
+            depth++;
+            clauses[depth] = null;
+        } else if (isPunctuation(token, ')')) {
+            depth = Math.max(0, depth - 1);
+        } else if (isWord(token, clauseKeywords)) {
+            clauses[depth] = token.value.toUpperCase();
+        }
+
+        return { clause: clauses[depth], depth: depth };
+    });
+}
+
+/**
+ * Rules, each one adding its issues for a statement
+ */
+const rules = {
+    /**
+     * UPDATE and DELETE statements changing every row of their tables
+     *
+     * @param {object[]} tokens
+     * @param {object[]} places
+     * @param {Function} report
+     * @return {void}
+     */
+    'NoWhere': (tokens, places, report) => {
+        const first = isWord(tokens[0], ['BEGIN']) ? tokens[1] : tokens[0];
+        if (! isWord(first, ['UPDATE', 'DELETE'])) {
+            return;
+        }
+        const hasWhere = tokens.some((token, i) => places[i].depth === 0 && isWord(token, ['WHERE']));
+        if (! hasWhere) {
+            report(first.start, first.end, null);
+        }
+    },
+
+    /**
+     * Wildcard column lists, which change with the tables, in saved queries
+     *
+     * @param {object[]} tokens
+     * @param {object[]} places
+     * @param {Function} report
+     * @param {object} context
+     * @param {string} statement
+     * @return {void}
+     */
+    'SelectStar': (tokens, places, report, context, statement) => {
+        if (! context.savedQuery) {
+            return;
+        }
+        tokens.forEach((token, i) => {
+            if (! isPunctuation(token, '*') || places[i].clause !== 'SELECT') {
+                return;
+            }
+            const previous = tokens[i - 1];
+            const isQualified = isPunctuation(previous, '.') && tokens[i - 2] !== undefined;
+            if (! isQualified && ! isPunctuation(previous, ',') &&
+                ! isWord(previous, ['SELECT', 'DISTINCT', 'DISTINCTROW', 'ALL'])
+            ) {
+                return;
+            }
+
+            const references = SqlCompletion.getTableReferences(statement).filter(ref => ref.table !== null);
+            let reference;
+            let qualifier = '';
+            if (isQualified) {
+                const name = tokens[i - 2].value.replace(/^`|`$/g, '').replace(/``/g, '`');
+                reference = references.find(ref => ref.alias === name) ||
+                    references.find(ref => ref.alias === null && ref.table === name);
+                qualifier = tokens[i - 2].value + '.';
+            } else if (references.length === 1) {
+                reference = references[0];
+            }
+            const columns = reference !== undefined && context.getColumns ?
+                context.getColumns(reference.db, reference.table) : null;
+            const start = isQualified ? tokens[i - 2].start : token.start;
+            report(start, token.end, columns === null || columns.length === 0 ? null : {
+                from: start,
+                to: token.end,
+                text: columns.map(column => qualifier + quoteIdentifier(column)).join(', '),
+            });
+        });
+    },
+
+    /**
+     * Tables separated by commas, joined without a visible condition
+     *
+     * @param {object[]} tokens
+     * @param {object[]} places
+     * @param {Function} report
+     * @return {void}
+     */
+    'ImplicitCrossJoin': (tokens, places, report) => {
+        tokens.forEach((token, i) => {
+            if (! isPunctuation(token, ',') || places[i].clause !== 'FROM' || i === 0 || tokens[i + 1] === undefined) {
+                return;
+            }
+            report(token.start, token.end, { from: tokens[i - 1].end, to: tokens[i + 1].start, text: ' CROSS JOIN ' });
+        });
+    },
+
+    /**
+     * Comparisons to NULL with =, != or <>, which are never true
+     *
+     * @param {object[]} tokens
+     * @param {object[]} places
+     * @param {Function} report
+     * @return {void}
+     */
+    'NullComparison': (tokens, places, report) => {
+        tokens.forEach((token, i) => {
+            if (token.type !== 'operator' || ! ['=', '!=', '<>'].includes(token.value) ||
+                ['SET', 'UPDATE', 'VALUES', 'VALUE'].includes(places[i].clause)
+            ) {
+                return;
+            }
+            if (isWord(tokens[i + 1], ['NULL'])) {
+                report(token.start, tokens[i + 1].end, {
+                    from: token.start,
+                    to: tokens[i + 1].end,
+                    text: token.value === '=' ? 'IS NULL' : 'IS NOT NULL',
+                });
+            } else if (isWord(tokens[i - 1], ['NULL'])) {
+                report(tokens[i - 1].start, token.end, null);
+            }
+        });
+    },
+
+    /**
+     * LIKE patterns starting with a wildcard, which can not use an index
+     *
+     * @param {object[]} tokens
+     * @param {object[]} places
+     * @param {Function} report
+     * @return {void}
+     */
+    'LeadingWildcard': (tokens, places, report) => {
+        tokens.forEach((token, i) => {
+            const pattern = tokens[i + 1];
+            if (isWord(token, ['LIKE']) && pattern !== undefined && pattern.type === 'string' &&
+                /^.[%_]/.test(pattern.value)
+            ) {
+                report(pattern.start, pattern.end, null);
+            }
+        });
+    },
+};
+
+export const SqlLintRules = {
+    tokenize: tokenize,
+
+    /**
+     * @return {string[]}
+     */
+    getRuleNames: () => Object.keys(rules),
+
+    /**
+     * Issues of a text
+     *
+     * @param {string} text
+     * @param {object} severities severity of each rule, 'error', 'warning' or 'off'
+     * @param {object} context { savedQuery, getColumns(db, table) returning the column names or null }
+     * @return {object[]}
+     */
+    check: (text, severities, context) => {
+        const issues = [];
+        splitStatements(tokenize(text)).forEach(tokens => {
+            const places = getPlaces(tokens);
+            const statement = text.substring(tokens[0].start, tokens[tokens.length - 1].end);
+            Object.keys(rules).forEach(rule => {
+                const severity = (severities || {})[rule] || defaultSeverities[rule];
+                if (severity === 'off') {
+                    return;
+                }
+                const report = (from, to, fix) => {
+                    issues.push({ rule: rule, severity: severity, from: from, to: to, fix: fix });
+                };
+                rules[rule](tokens, places, report, context || {}, statement);
+            });
+        });
+
+        return issues.sort((a, b) => a.from - b.from);
+    },
+};
@@ -0,0 +1,203 @@
+import { ChartData } from './chart-data.js';
+
+/**
+ * Selection of the points of the zoom search plot by brushing, classes of the values
+ * of the column mapped to their color or size, and the queries run on the selected rows.
+ *
+ * Points and the corners of the brushes are { x, y } objects in pixels of the grid.
+ * The selected rows are given by their unique conditions, the where_clause values of
+ * the plotted data.
+ */
+
+/**
+ * Number of classes of the numeric values of the mapped column
+ */
+const numericClassCount = 5;
+
+/**
+ * Number of classes of the other values, the last one holding the values left out
+ */
+const textClassCount = 8;
+
+/**
+ * @param {string|null} value
+ * @return {boolean}
+ */
+function isNumeric (value) {
+    return value !== null && String(value).trim() !== '' && isFinite(Number(value));
+}
+
+/**
+ * @param {string} name
+ * @return {string}
+ */
+function backquote (name) {
+    return '`' + name.replace(/`/g, '``') + '`';
+}
+
+/**
+ * @param {string|null} value
+ * @return {string}
+ */
+function quoteValue (value) {
+    if (value === null) {
+        return 'NULL';
+    }
+
+    return '\'' + value.replace(/\\/g, '\\\\').replace(/'/g, '\'\'') + '\'';
+}
+
+/**
+ * @param {string[]} whereClauses
+ * @return {string}
+ */
+function getCondition (whereClauses) {
+    return whereClauses.map(clause => '(' + clause + ')').join(' OR ');
+}
+
+export const ZoomSearch = {
+    /**
+     * Sizes of the markers from the first to the last class
+     */
+    minMarkerSize: 5,
+    maxMarkerSize: 16,
+
+    /**
+     * @param {{x: number, y: number}} point
+     * @param {{x: number, y: number}} start
+     * @param {{x: number, y: number}} end
+     * @return {boolean}
+     */
+    isInRectangle: (point, start, end) => point.x >= Math.min(start.x, end.x) && point.x <= Math.max(start.x, end.x) &&
+        point.y >= Math.min(start.y, end.y) && point.y <= Math.max(start.y, end.y),
+
+    /**
+     * Even-odd rule: a ray from the point crosses the edges of the polygon an odd number of times
+     *
+     * @param {{x: number, y: number}} point
+     * @param {Array<{x: number, y: number}>} polygon corners of the lasso
+     * @return {boolean}
+     */
+    isInPolygon: (point, polygon) => {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) && point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = ! inside;
+            }
+        }
+
+        return inside;
+    },
+
+    /**
+     * Classes of the values of the column mapped to the color or the size of the points:
+     * ranges of the same width for numbers, the most frequent values otherwise
+     *
+     * @param {Array<string|null>} values
+     * @return {{labels: string[], rangeCount: number, getClass: Function}} labels of the classes,
+     *     the number of those which are ranges of numbers, followed by the class of NULL, and the
+     *     function returning the index of the class of a value
+     */
+    getClasses: values => {
+        const filled = values.filter(value => value !== null);
+        if (filled.length > 0 && filled.every(isNumeric)) {
+            const numbers = filled.map(Number);
+            const min = numbers.reduce((result, value) => Math.min(result, value));
+            const max = numbers.reduce((result, value) => Math.max(result, value));
+            const count = min === max ? 1 : numericClassCount;
+            const width = (max - min) / count;
+            const labels = [];
+            for (let i = 0; i < count; i++) {
+                labels.push(ChartData.formatNumber(min + i * width) + ' – ' + ChartData.formatNumber(min + (i + 1) * width));
+            }
+            const hasNull = filled.length < values.length;
+            if (hasNull) {
+                labels.push('NULL');
+            }
+
+            return {
+                labels: labels,
+                rangeCount: count,
+                getClass: value => {
+                    if (! isNumeric(value)) {
+                        return hasNull ? count : 0;
+                    }
+
+                    return width === 0 ? 0 : Math.max(0, Math.min(count - 1, Math.floor((Number(value) - min) / width)));
+                },
+            };
+        }
+
+        const counts = new Map();
+        values.forEach(value => {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+        let kept = Array.from(counts.keys()).sort((first, second) => counts.get(second) - counts.get(first));
+        const hasOthers = kept.length > textClassCount;
+        if (hasOthers) {
+            kept = kept.slice(0, textClassCount - 1);
+        }
+        const labels = kept.map(value => value === null ? 'NULL' : value);
+        if (hasOthers) {
+            labels.push(window.Messages.strOtherValues);
+        }
+
+        return {
+            labels: labels,
+            rangeCount: 0,
+            getClass: value => {
+                const index = kept.indexOf(value);
+
+                return index === -1 ? kept.length : index;
+            },
+        };
+    },
+
+    /**
+     * @param {number} index index of the class
+     * @param {number} count number of classes
+     * @return {number} size of the markers of the class
+     */
+    getMarkerSize: (index, count) => count < 2 ? ZoomSearch.minMarkerSize
+        : Math.round(ZoomSearch.minMarkerSize + (ZoomSearch.maxMarkerSize - ZoomSearch.minMarkerSize) * index / (count - 1)),
+
+    /**
+     * @param {number} index index of the class
+     * @param {number} count number of classes
+     * @return {string} color of the markers of a class of numbers, darker for the larger ones
+     */
+    getMarkerColor: (index, count) => {
+        const ratio = count < 2 ? 1 : index / (count - 1);
+        const from = [0xc6, 0xdb, 0xef];
+        const to = [0x08, 0x30, 0x6b];
+
+        return '#' + from.map((channel, i) => Math.round(channel + (to[i] - channel) * ratio).toString(16).padStart(2, '0'))
+            .join('');
+    },
+
+    /**
+     * @param {string} table
+     * @param {string[]} whereClauses
+     * @return {string}
+     */
+    getSelectQuery: (table, whereClauses) => 'SELECT * FROM ' + backquote(table) + ' WHERE ' + getCondition(whereClauses),
+
+    /**
+     * @param {string} table
+     * @param {Object} values new values by column name, null for NULL
+     * @param {string[]} whereClauses
+     * @return {string}
+     */
+    getUpdateQuery: (table, values, whereClauses) => 'UPDATE ' + backquote(table) + ' SET ' +
+        Object.keys(values).map(column => backquote(column) + ' = ' + quoteValue(values[column])).join(', ') +
+        ' WHERE ' + getCondition(whereClauses),
+
+    /**
+     * @param {string} table
+     * @param {string[]} whereClauses
+     * @return {string}
+     */
+    getDeleteQuery: (table, whereClauses) => 'DELETE FROM ' + backquote(table) + ' WHERE ' + getCondition(whereClauses),
+};
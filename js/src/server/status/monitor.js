@@ -1,4 +1,5 @@
 import $ from 'jquery';
+import { MonitorFormula } from '../../modules/monitor-formula.js';
 
 /**
  * @fileoverview    Javascript functions used in server status monitor page
@@ -133,6 +134,16 @@ window.AJAX.registerTeardown('server/status/monitor.js', function () {
     $('a[href="#exportMonitorConfig"]').off('click');
     $('a[href="#importMonitorConfig"]').off('click');
     $('a[href="#clearMonitorConfig"]').off('click');
+    $('a[href="#saveMonitorDashboard"]').off('click');
+    $('a[href="#deleteMonitorDashboard"]').off('click');
+    $('a[href="#publishMonitorDashboard"]').off('click');
+    $('a[href="#unpublishMonitorDashboard"]').off('click');
+    $('a[href="#monitorThresholds"]').off('click');
+    $('#formulaInput').off('input');
+    $('a[href="#previewFormula"]').off('click');
+    $('a[href="#submitAddFormula"]').off('click');
+    $('#monitorEvents').off('click');
+    $('#monitorDashboard').off('change');
     $('a[href="#pauseCharts"]').off('click');
     $('a[href="#monitorInstructionsDialog"]').off('click');
     $('input[name="chartType"]').off('click');
@@ -146,6 +157,13 @@ window.AJAX.registerTeardown('server/status/monitor.js', function () {
     // $("input#variableInput").destroy();
     $('#chartPreset').off('click');
     $('#chartStatusVar').off('click');
+    $('a[href="#recordMonitor"]').off('click');
+    $('a[href="#replayMonitor"]').off('click');
+    $('#monitorReplay').off('click').off('input').off('change');
+    if (runtime.replay) {
+        clearTimeout(runtime.replay.timer);
+        runtime.replay = null;
+    }
     destroyGrid();
 });
 
@@ -167,6 +185,7 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
                     lineWrapping: true
                 }
             );
+            Functions.addSqlFormatAction(window.codeMirrorEditor);
         }
     }
     // Timepicker is loaded on demand so we need to initialize
@@ -205,6 +224,14 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
         dataList: [],
         // Current max points per chart (needed for auto calculation)
         gridMaxPoints: 20,
+        // Values of the server variables the alert thresholds are relative to
+        thresholdVariables: {},
+        // Parsed derived metric formulas, by formula
+        formulas: {},
+        // Monitor session being recorded, see startRecording()
+        recording: null,
+        // Recording being replayed, see startReplay()
+        replay: null,
         // displayed time frame
         xmin: -1,
         xmax: -1
@@ -224,6 +251,16 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
     // Allows drag and drop rearrange and print/edit icons on charts
     var editMode = false;
 
+    // Named chart arrangements the user can switch between. They are stored in the
+    // configuration storage when it is available, otherwise in the local storage
+    var dashboards = {
+        list: [],
+        isStorageEnabled: false,
+        canPublish: false,
+        // Dashboard being displayed: { name: string, isShared: boolean }, or null
+        current: null
+    };
+
     /* List of preconfigured charts that the user may select */
     var presetCharts = {
         // Query cache efficiency
@@ -614,25 +651,10 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
         return false;
     });
 
-    $('a[href="#exportMonitorConfig"]').on('click', function (event) {
-        event.preventDefault();
-        var gridCopy = {};
-        $.each(runtime.charts, function (key, elem) {
-            gridCopy[key] = {};
-            gridCopy[key].nodes = elem.nodes;
-            gridCopy[key].series = elem.series;
-            gridCopy[key].settings = elem.settings;
-            gridCopy[key].title = elem.title;
-            gridCopy[key].maxYLabel = elem.maxYLabel;
-        });
-        var exportData = {
-            monitorCharts: gridCopy,
-            monitorSettings: monitorSettings
-        };
-
+    /* Lets the browser download an object as a JSON file */
+    function downloadJson (exportData, fileName) {
         var blob = new Blob([JSON.stringify(exportData)], { type: 'application/octet-stream' });
         var url = null;
-        var fileName = 'monitor-config.json';
         if (window.navigator && window.navigator.msSaveOrOpenBlob) {
             window.navigator.msSaveOrOpenBlob(blob, fileName);
         } else {
@@ -647,6 +669,11 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
             url = undefined;
             blob = undefined;
         }, 100);
+    }
+
+    $('a[href="#exportMonitorConfig"]').on('click', function (event) {
+        event.preventDefault();
+        downloadJson(getMonitorConfig(), 'monitor-config.json');
     });
 
     $('a[href="#importMonitorConfig"]').on('click', function (event) {
@@ -698,21 +725,8 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
                 }
 
                 // If json ok, try applying config
-                try {
-                    if (window.Config.isStorageSupported('localStorage')) {
-                        window.localStorage.monitorCharts = JSON.stringify(json.monitorCharts);
-                        window.localStorage.monitorSettings = JSON.stringify(json.monitorSettings);
-                    }
-                    rebuildGrid();
-                } catch (err) {
-                    alert(window.Messages.strFailedBuildingGrid);
-                    // If an exception is thrown, load default again
-                    if (window.Config.isStorageSupported('localStorage')) {
-                        window.localStorage.removeItem('monitorCharts');
-                        window.localStorage.removeItem('monitorSettings');
-                    }
-                    rebuildGrid();
-                }
+                applyMonitorConfig(json);
+                setCurrentDashboard(null);
 
                 $('#emptyDialog').dialog('close');
             };
@@ -741,9 +755,137 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
             window.localStorage.removeItem('monitorVersion');
         }
         $(this).hide();
+        setCurrentDashboard(null);
         rebuildGrid();
     });
 
+    $('#monitorDashboard').on('change', function () {
+        var index = $(this).val();
+        if (index === '') {
+            setCurrentDashboard(null);
+            return;
+        }
+        var dashboard = dashboards.list[parseInt(index, 10)];
+        var config;
+        try {
+            config = JSON.parse(dashboard.data);
+        } catch (err) {
+            alert(window.Messages.strFailedParsingConfig);
+            return;
+        }
+        applyMonitorConfig(config);
+        setCurrentDashboard({ name: dashboard.name, isShared: dashboard.isShared });
+    });
+
+    $('a[href="#saveMonitorDashboard"]').on('click', function (event) {
+        event.preventDefault();
+        var currentName = dashboards.current !== null && ! dashboards.current.isShared ? dashboards.current.name : '';
+        $('#emptyDialog').html(
+            '<label for="monitorDashboardName">' + window.Messages.strMonitorDashboardName + '</label> ' +
+            '<input type="text" id="monitorDashboardName" class="form-control" maxlength="64">'
+        );
+        $('#monitorDashboardName').val(currentName);
+
+        var dlgBtns = {
+            [window.Messages.strSave]: {
+                text: window.Messages.strSave,
+                class: 'btn btn-primary',
+            },
+            [window.Messages.strCancel]: {
+                text: window.Messages.strCancel,
+                class: 'btn btn-secondary',
+            },
+        };
+
+        dlgBtns[window.Messages.strSave].click = function () {
+            var name = $('#monitorDashboardName').val().trim();
+            if (name === '') {
+                return;
+            }
+            $(this).dialog('close');
+            saveDashboard(name, function () {
+                setCurrentDashboard({ name: name, isShared: false });
+                Functions.ajaxShowMessage(window.Messages.strDashboardSaved);
+            });
+        };
+
+        dlgBtns[window.Messages.strCancel].click = function () {
+            $(this).dialog('close');
+        };
+
+        $('#emptyDialog').dialog({
+            classes: {
+                'ui-dialog-titlebar-close': 'btn-close'
+            },
+            title: window.Messages.strSaveDashboard,
+            width: 400,
+            height: 'auto',
+            buttons: dlgBtns
+        });
+    });
+
+    $('a[href="#deleteMonitorDashboard"]').on('click', function (event) {
+        event.preventDefault();
+        var dashboard = findDashboard(dashboards.current);
+        if (dashboard === null || (dashboard.isShared && ! dashboards.canPublish)) {
+            Functions.ajaxShowMessage(window.Messages.strSelectDashboardFirst, false);
+            return;
+        }
+        if (! confirm(Functions.sprintf(window.Messages.strDeleteDashboardConfirm, dashboard.name))) {
+            return;
+        }
+        deleteDashboard(dashboard, function () {
+            setCurrentDashboard(null);
+        });
+    });
+
+    $('a[href="#publishMonitorDashboard"]').on('click', function (event) {
+        event.preventDefault();
+        if (dashboards.current === null) {
+            Functions.ajaxShowMessage(window.Messages.strSelectDashboardFirst, false);
+            return;
+        }
+        var name = dashboards.current.name;
+        if (! confirm(Functions.sprintf(window.Messages.strPublishDashboardConfirm, name))) {
+            return;
+        }
+        postDashboardRequest('publish', {
+            name: name,
+            data: JSON.stringify(getMonitorConfig())
+        }, function () {
+            setCurrentDashboard({ name: name, isShared: true });
+            Functions.ajaxShowMessage(window.Messages.strDashboardPublished);
+        });
+    });
+
+    $('a[href="#unpublishMonitorDashboard"]').on('click', function (event) {
+        event.preventDefault();
+        var dashboard = findDashboard(dashboards.current);
+        if (dashboard === null || ! dashboard.isShared) {
+            Functions.ajaxShowMessage(window.Messages.strSelectPublishedDashboardFirst, false);
+            return;
+        }
+        if (! confirm(Functions.sprintf(window.Messages.strUnpublishDashboardConfirm, dashboard.name))) {
+            return;
+        }
+        postDashboardRequest('unpublish', { dashboardId: dashboard.id }, function () {
+            setCurrentDashboard({ name: dashboard.name, isShared: false });
+            Functions.ajaxShowMessage(window.Messages.strDashboardUnpublished);
+        });
+    });
+
+    $('a[href="#monitorThresholds"]').on('click', function (event) {
+        event.preventDefault();
+        // Close the settings popup
+        $('div.popupContent').hide().removeClass('openedPopup');
+        showThresholdsDialog();
+    });
+
+    $('#monitorEvents').on('click', 'a[href="#analyseAlert"]', function (event) {
+        event.preventDefault();
+        analyseAlert($(this).closest('tr').data('alert'));
+    });
+
     $('a[href="#pauseCharts"]').on('click', function (event) {
         event.preventDefault();
         runtime.redrawCharts = ! runtime.redrawCharts;
@@ -759,6 +901,267 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
         return false;
     });
 
+    /* Updates the record link with the number of samples recorded so far */
+    function updateRecordingLink () {
+        var $link = $('a[href="#recordMonitor"]');
+        if (runtime.recording === null) {
+            $link.html(Functions.getImage('b_export') + window.Messages.strRecordMonitor);
+            return;
+        }
+
+        var samples = $.grep(runtime.recording.frames, function (frame) {
+            return frame.data !== undefined;
+        }).length;
+        $link.html(Functions.getImage('s_cancel') + Functions.sprintf(window.Messages.strStopRecording, samples));
+    }
+
+    /* Adds the current chart arrangement to the recording, data frames refer to the last one */
+    function recordMonitorConfig () {
+        runtime.recording.frames.push({ config: JSON.parse(JSON.stringify(getMonitorConfig())) });
+    }
+
+    /* Starts capturing the data points of every refresh */
+    function startRecording () {
+        runtime.recording = {
+            type: 'monitorRecording',
+            version: monitorProtocolVersion,
+            started: new Date().getTime() - serverTimeDiff,
+            frames: []
+        };
+        recordMonitorConfig();
+        updateRecordingLink();
+    }
+
+    /* Stops the recording and downloads it */
+    function stopRecording () {
+        var recording = runtime.recording;
+        runtime.recording = null;
+        updateRecordingLink();
+
+        var started = new Date(recording.started);
+        downloadJson(recording, 'monitor-recording-' + started.toISOString().replace(/[:.]/g, '-') + '.json');
+    }
+
+    /* Whether a file contains a recording the monitor can replay */
+    function isMonitorRecording (json) {
+        return json !== null
+            && json.type === 'monitorRecording'
+            && json.version === monitorProtocolVersion
+            && Array.isArray(json.frames)
+            && json.frames.length > 0
+            && json.frames[0].config !== undefined;
+    }
+
+    /* Replaces the live monitor by the charts of a recording */
+    function startReplay (recording, fileName) {
+        if (runtime.recording !== null) {
+            stopRecording();
+        }
+        if (runtime.replay !== null) {
+            clearTimeout(runtime.replay.timer);
+        }
+        destroyGrid();
+
+        var dataFrames = [];
+        $.each(recording.frames, function (index, frame) {
+            if (frame.data !== undefined) {
+                dataFrames.push(index);
+            }
+        });
+
+        runtime.replay = {
+            recording: recording,
+            // Indexes of the frames holding data points, the scrubber positions
+            dataFrames: dataFrames,
+            // Index of the frame of the chart arrangement being displayed
+            configFrame: null,
+            // Index of the last frame added to the charts
+            frame: null,
+            timer: null
+        };
+        runtime.redrawCharts = true;
+
+        $('a[href="#pauseCharts"], a[href="#settingsPopup"], a[href="#recordMonitor"], span.monitorDashboardSwitcher').hide();
+        var $replay = $('#monitorReplay');
+        $replay.find('span.replayFileName').text(fileName);
+        $replay.find('input[name="replayPosition"]').attr('max', Math.max(dataFrames.length - 1, 0)).val(0);
+        $replay.show();
+
+        seekReplay(0);
+    }
+
+    /* Displays the charts of a recording as they were at a scrubber position */
+    function seekReplay (position) {
+        var replay = runtime.replay;
+        var frames = replay.recording.frames;
+        var target = replay.dataFrames.length > 0 ? replay.dataFrames[position] : 0;
+
+        var configFrame = target;
+        while (frames[configFrame].config === undefined) {
+            configFrame--;
+        }
+
+        // Rebuild the charts when going back in time or to another chart arrangement
+        if (configFrame !== replay.configFrame || replay.frame === null || target < replay.frame) {
+            destroyGrid();
+            runtime.charts = JSON.parse(JSON.stringify(frames[configFrame].config.monitorCharts));
+            monitorSettings = JSON.parse(JSON.stringify(frames[configFrame].config.monitorSettings));
+            buildGrid();
+            oldChartData = null;
+            $('#monitorEvents').hide().find('tbody').empty();
+
+            replay.configFrame = configFrame;
+            // Older data points would not be visible anyway
+            replay.frame = Math.max(configFrame, target - runtime.gridMaxPoints - 1);
+            var first = frames[replay.frame + 1];
+            if (first && first.data) {
+                runtime.xmax = first.data.x;
+                runtime.xmin = runtime.xmax - runtime.gridMaxPoints * monitorSettings.gridRefresh;
+            }
+        }
+
+        // Only redraw the charts for the last frame
+        for (var i = replay.frame + 1; i <= target; i++) {
+            if (frames[i].data !== undefined) {
+                runtime.redrawCharts = i === target;
+                updateCharts(frames[i].data);
+            }
+        }
+        runtime.redrawCharts = true;
+        replay.frame = Math.max(replay.frame, target);
+
+        $('#monitorReplay').find('input[name="replayPosition"]').val(position);
+        $('#monitorReplay').find('span.replayTime').text(
+            frames[target].data ? new Date(frames[target].data.x).toLocaleString() : ''
+        );
+    }
+
+    /* Plays or pauses the replay, it advances one sample per refresh interval divided by the speed */
+    function toggleReplay (play) {
+        var replay = runtime.replay;
+        var $link = $('#monitorReplay').find('a[href="#toggleReplay"]');
+
+        clearTimeout(replay.timer);
+        replay.timer = null;
+        if (! play) {
+            $link.html(Functions.getImage('play') + window.Messages.strPlay);
+            return;
+        }
+
+        $link.html(Functions.getImage('pause') + window.Messages.strPause);
+        var step = function () {
+            var $position = $('#monitorReplay').find('input[name="replayPosition"]');
+            var position = parseInt($position.val(), 10) + 1;
+            if (position >= replay.dataFrames.length) {
+                toggleReplay(false);
+                return;
+            }
+            seekReplay(position);
+            replay.timer = setTimeout(step, monitorSettings.gridRefresh / parseInt($('#monitorReplay').find('select[name="replaySpeed"]').val(), 10));
+        };
+        step();
+    }
+
+    /* Leaves the replay and restarts the live monitor */
+    function exitReplay () {
+        clearTimeout(runtime.replay.timer);
+        runtime.replay = null;
+        $('#monitorReplay').hide();
+        $('#monitorEvents').hide().find('tbody').empty();
+        $('a[href="#pauseCharts"], a[href="#settingsPopup"], a[href="#recordMonitor"], span.monitorDashboardSwitcher').show();
+        $('a[href="#pauseCharts"]').html(Functions.getImage('pause') + window.Messages.strPauseMonitor);
+
+        oldChartData = null;
+        destroyGrid();
+        initGrid();
+    }
+
+    $('a[href="#recordMonitor"]').on('click', function (event) {
+        event.preventDefault();
+        if (runtime.recording !== null) {
+            stopRecording();
+            return;
+        }
+        // Recording starts the monitor
+        if (! runtime.charts) {
+            $('a[href="#pauseCharts"]').trigger('click');
+        }
+        startRecording();
+    });
+
+    $('a[href="#replayMonitor"]').on('click', function (event) {
+        event.preventDefault();
+        $('#emptyDialog').html(window.Messages.strReplayDialogMessage + '<br><form>' +
+            '<input type="file" name="file" id="replay_file" accept=".json"> </form>');
+
+        var dlgBtns = {
+            [window.Messages.strReplay]: {
+                text: window.Messages.strReplay,
+                class: 'btn btn-primary',
+            },
+            [window.Messages.strCancel]: {
+                text: window.Messages.strCancel,
+                class: 'btn btn-secondary',
+            },
+        };
+
+        dlgBtns[window.Messages.strReplay].click = function () {
+            var input = $('#emptyDialog').find('#replay_file')[0];
+            if (input.files.length === 0) {
+                return;
+            }
+            var reader = new FileReader();
+
+            reader.onerror = function (event) {
+                alert(window.Messages.strFailedParsingRecording + '\n' + event.target.error.code);
+            };
+            reader.onload = function (e) {
+                var json = null;
+                try {
+                    json = JSON.parse(e.target.result);
+                } catch (err) {
+                    json = null;
+                }
+
+                $('#emptyDialog').dialog('close');
+                if (! isMonitorRecording(json)) {
+                    alert(window.Messages.strFailedParsingRecording);
+                    return;
+                }
+                startReplay(json, input.files[0].name);
+            };
+            reader.readAsText(input.files[0]);
+        };
+
+        dlgBtns[window.Messages.strCancel].click = function () {
+            $(this).dialog('close');
+        };
+
+        $('#emptyDialog').dialog({
+            classes: {
+                'ui-dialog-titlebar-close': 'btn-close'
+            },
+            title: window.Messages.strReplayDialogTitle,
+            width: 'auto',
+            height: 'auto',
+            buttons: dlgBtns
+        });
+    });
+
+    $('#monitorReplay').on('click', 'a[href="#toggleReplay"]', function (event) {
+        event.preventDefault();
+        toggleReplay(runtime.replay.timer === null);
+    });
+
+    $('#monitorReplay').on('input', 'input[name="replayPosition"]', function () {
+        seekReplay(parseInt(this.value, 10));
+    });
+
+    $('#monitorReplay').on('click', 'a[href="#exitReplay"]', function (event) {
+        event.preventDefault();
+        exitReplay();
+    });
+
     $('a[href="#monitorInstructionsDialog"]').on('click', function (event) {
         event.preventDefault();
 
@@ -1025,10 +1428,131 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
         source: variableNames
     });
 
+    /* Validates the formula of the add chart dialog, returns its syntax tree or null */
+    function parseFormulaInput () {
+        var formula = $('#formulaInput').val();
+        var $status = $('#formulaStatus');
+        var tree;
+
+        $('#formulaPreview').text('');
+        if (formula.trim() === '') {
+            $status.text('').removeClass('text-danger');
+            return null;
+        }
+
+        try {
+            tree = MonitorFormula.parse(formula);
+        } catch (error) {
+            if (! (error instanceof MonitorFormula.FormulaError)) {
+                throw error;
+            }
+            $status.text(Functions.sprintf(window.Messages.strInvalidFormula, error.position + 1)).addClass('text-danger');
+            return null;
+        }
+
+        var names = [];
+        var unknown = null;
+        $.each(MonitorFormula.getDataPoints(tree), function (index, dataPoint) {
+            if (dataPoint.type === 'statusvar' && unknown === null && $.inArray(dataPoint.name, variableNames) === -1) {
+                unknown = dataPoint.name;
+            }
+            names.push((dataPoint.type === 'servervar' ? '@@' : '') + dataPoint.name);
+        });
+        if (unknown !== null) {
+            $status.text(Functions.sprintf(window.Messages.strUnknownStatusVariable, unknown)).addClass('text-danger');
+            return null;
+        }
+
+        $status.text(Functions.sprintf(window.Messages.strFormulaVariables, names.join(', '))).removeClass('text-danger');
+        return tree;
+    }
+
+    /* Fetches the data points of a formula once, the callback receives the values and the server time */
+    function fetchFormulaValues (tree, callback) {
+        $.post('index.php?route=/server/status/monitor/chart', {
+            'ajax_request': true,
+            'requiredData': JSON.stringify({ 0: [MonitorFormula.getDataPoints(tree)] }),
+            'server': window.CommonParams.get('server')
+        }, function (data) {
+            if (typeof data === 'undefined' || data.success !== true) {
+                Functions.ajaxShowMessage(data.error, false);
+                return;
+            }
+            callback(MonitorFormula.getValues(data.message[0][0]), data.message.x);
+        });
+    }
+
+    $('#formulaInput').on('input', function () {
+        parseFormulaInput();
+    });
+
+    $('a[href="#previewFormula"]').on('click', function (event) {
+        event.preventDefault();
+        var tree = parseFormulaInput();
+        if (tree === null) {
+            return;
+        }
+
+        var showValue = function (value) {
+            $('#formulaPreview').text(Functions.sprintf(
+                window.Messages.strFormulaPreview,
+                value === undefined ? '-' : Math.round(value * 100) / 100
+            ));
+        };
+
+        $('#formulaPreview').text(window.Messages.strLoading);
+        fetchFormulaValues(tree, function (values, time) {
+            if (! MonitorFormula.needsPreviousValues(tree)) {
+                showValue(MonitorFormula.evaluate(tree, values, null, 0));
+                return;
+            }
+            // rate() and delta() need a second sample
+            setTimeout(function () {
+                fetchFormulaValues(tree, function (newValues, newTime) {
+                    showValue(MonitorFormula.evaluate(tree, newValues, values, (newTime - time) / 1000));
+                });
+            }, 1000);
+        });
+    });
+
+    $('a[href="#submitAddFormula"]').on('click', function (event) {
+        event.preventDefault();
+        var tree = parseFormulaInput();
+        if (tree === null) {
+            return;
+        }
+
+        if (newChart === null) {
+            $('#seriesPreview').html('');
+
+            newChart = {
+                title: $('input[name="chartTitle"]').val(),
+                nodes: [],
+                series: [],
+                maxYLabel: 0
+            };
+        }
+
+        var formula = $('#formulaInput').val().trim();
+        var newSeries = {
+            label: $('#formulaLabel').val() !== '' ? $('#formulaLabel').val() : formula
+        };
+        newChart.series.push(newSeries);
+        newChart.nodes.push({
+            dataPoints: MonitorFormula.getDataPoints(tree),
+            formula: formula,
+            display: ''
+        });
+        $('#seriesPreview').append('- ' + Functions.escapeHtml(newSeries.label + ' = ' + formula) + '<br>');
+
+        $('#formulaInput').val('');
+        $('#formulaLabel').val('');
+        parseFormulaInput();
+        $('#clearSeriesLink').show();
+    });
+
     /* Initializes the monitor, called only once */
     function initGrid () {
-        var i;
-
         /* Apply default values & config */
         if (window.Config.isStorageSupported('localStorage')) {
             if (typeof window.localStorage.monitorCharts !== 'undefined') {
@@ -1079,6 +1603,14 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
             monitorSettings = defaultMonitorSettings;
         }
 
+        buildGrid();
+        refreshChartGrid();
+    }
+
+    /* Adds the charts of runtime.charts to the grid, with the layout of monitorSettings */
+    function buildGrid () {
+        var i;
+
         $('select[name="gridChartRefresh"]').val(monitorSettings.gridRefresh / 1000);
         $('select[name="chartColumns"]').val(monitorSettings.columns);
 
@@ -1123,7 +1655,6 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
         $('#chartGrid').find('tr td').css('width', chartSize.width + 'px');
 
         buildRequiredDataList();
-        refreshChartGrid();
     }
 
     /* Calls destroyGrid() and initGrid(), but before doing so it saves the chart
@@ -1206,6 +1737,11 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
             },
             highlighter: {
                 show: true
+            },
+            // Threshold lines and alert bands
+            canvasOverlay: {
+                show: true,
+                objects: []
             }
         };
 
@@ -1497,128 +2033,165 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
             } else {
                 return serverResponseError();
             }
-            var value;
-            var i = 0;
-            var diff;
-            var total;
-
-            /* Update values in each graph */
-            $.each(runtime.charts, function (orderKey, elem) {
-                var key = elem.chartID;
-                // If newly added chart, we have no data for it yet
-                if (! chartData[key]) {
-                    return;
-                }
-                // Draw all series
-                total = 0;
-                for (var j = 0; j < elem.nodes.length; j++) {
-                    // Update x-axis
-                    if (i === 0 && j === 0) {
-                        if (oldChartData === null) {
-                            diff = chartData.x - runtime.xmax;
-                        } else {
-                            diff = parseInt(chartData.x - oldChartData.x, 10);
-                        }
 
-                        runtime.xmin += diff;
-                        runtime.xmax += diff;
-                    }
+            if (runtime.recording !== null) {
+                runtime.recording.frames.push({ data: chartData });
+                updateRecordingLink();
+            }
+            updateCharts(chartData);
 
-                    // elem.chart.xAxis[0].setExtremes(runtime.xmin, runtime.xmax, false);
-                    /* Calculate y value */
-
-                    // If transform function given, use it
-                    if (elem.nodes[j].transformFn) {
-                        value = chartValueTransform(
-                            elem.nodes[j].transformFn,
-                            chartData[key][j],
-                            // Check if first iteration (oldChartData==null), or if newly added chart oldChartData[key]==null
-                            (
-                                oldChartData === null ||
-                                oldChartData[key] === null ||
-                                oldChartData[key] === undefined ? null : oldChartData[key][j]
-                            )
-                        );
-
-                    // Otherwise use original value and apply differential and divisor if given,
-                    // in this case we have only one data point per series - located at chartData[key][j][0]
-                    } else {
-                        value = parseFloat(chartData[key][j][0].value);
-
-                        if (elem.nodes[j].display === 'differential') {
-                            if (oldChartData === null ||
-                                oldChartData[key] === null ||
-                                oldChartData[key] === undefined
-                            ) {
-                                continue;
-                            }
-                            value -= oldChartData[key][j][0].value;
-                        }
+            runtime.refreshTimeout = setTimeout(refreshChartGrid, monitorSettings.gridRefresh);
+        });
+    }
 
-                        if (elem.nodes[j].valueDivisor) {
-                            value = value / elem.nodes[j].valueDivisor;
-                        }
+    /* Adds the data points of a refresh, received from the server or replayed, to the charts */
+    function updateCharts (chartData) {
+        var value;
+        var previousValue;
+        var i = 0;
+        var diff;
+        var total;
+
+        // Server variables the thresholds are relative to
+        if (chartData.thresholds) {
+            $.each(chartData.thresholds, function (index, dataPoints) {
+                runtime.thresholdVariables[dataPoints[0].name] = parseFloat(dataPoints[0].value);
+            });
+        }
+
+        /* Update values in each graph */
+        $.each(runtime.charts, function (orderKey, elem) {
+            var key = elem.chartID;
+            // If newly added chart, we have no data for it yet
+            if (! chartData[key]) {
+                return;
+            }
+            // Draw all series
+            total = 0;
+            for (var j = 0; j < elem.nodes.length; j++) {
+                // Update x-axis
+                if (i === 0 && j === 0) {
+                    if (oldChartData === null) {
+                        diff = chartData.x - runtime.xmax;
+                    } else {
+                        diff = parseInt(chartData.x - oldChartData.x, 10);
                     }
 
-                    // Set y value, if defined
-                    if (value !== undefined) {
-                        elem.chart.series[j].data.push([chartData.x, value]);
-                        if (value > elem.maxYLabel) {
-                            elem.maxYLabel = value;
-                        } else if (elem.maxYLabel === 0) {
-                            elem.maxYLabel = 0.5;
-                        }
-                        // free old data point values and update maxYLabel
-                        if (elem.chart.series[j].data.length > runtime.gridMaxPoints &&
-                            elem.chart.series[j].data[0][0] < runtime.xmin
-                        ) {
-                            // check if the next freeable point is highest
-                            if (elem.maxYLabel <= elem.chart.series[j].data[0][1]) {
-                                elem.chart.series[j].data.splice(0, elem.chart.series[j].data.length - runtime.gridMaxPoints);
-                                elem.maxYLabel = getMaxYLabel(elem.chart.series[j].data);
-                            } else {
-                                elem.chart.series[j].data.splice(0, elem.chart.series[j].data.length - runtime.gridMaxPoints);
-                            }
-                        }
-                        if (elem.title === window.Messages.strSystemMemory ||
-                            elem.title === window.Messages.strSystemSwap
+                    runtime.xmin += diff;
+                    runtime.xmax += diff;
+                }
+
+                // elem.chart.xAxis[0].setExtremes(runtime.xmin, runtime.xmax, false);
+                /* Calculate y value */
+
+                // Derived metric defined by the user
+                if (elem.nodes[j].formula) {
+                    value = chartFormulaValue(
+                        elem.nodes[j].formula,
+                        chartData[key][j],
+                        (
+                            oldChartData === null ||
+                            oldChartData[key] === null ||
+                            oldChartData[key] === undefined ? null : oldChartData[key][j]
+                        ),
+                        oldChartData === null ? 0 : (chartData.x - oldChartData.x) / 1000
+                    );
+
+                // If transform function given, use it
+                } else if (elem.nodes[j].transformFn) {
+                    value = chartValueTransform(
+                        elem.nodes[j].transformFn,
+                        chartData[key][j],
+                        // Check if first iteration (oldChartData==null), or if newly added chart oldChartData[key]==null
+                        (
+                            oldChartData === null ||
+                            oldChartData[key] === null ||
+                            oldChartData[key] === undefined ? null : oldChartData[key][j]
+                        )
+                    );
+
+                // Otherwise use original value and apply differential and divisor if given,
+                // in this case we have only one data point per series - located at chartData[key][j][0]
+                } else {
+                    value = parseFloat(chartData[key][j][0].value);
+
+                    if (elem.nodes[j].display === 'differential') {
+                        if (oldChartData === null ||
+                            oldChartData[key] === null ||
+                            oldChartData[key] === undefined
                         ) {
-                            total += value;
+                            continue;
                         }
+                        value -= oldChartData[key][j][0].value;
                     }
-                }
 
-                // update chart options
-                // keep ticks number/positioning consistent while refreshrate changes
-                var tickInterval = (runtime.xmax - runtime.xmin) / 5;
-                elem.chart.axes.xaxis.ticks = [(runtime.xmax - tickInterval * 4),
-                    (runtime.xmax - tickInterval * 3), (runtime.xmax - tickInterval * 2),
-                    (runtime.xmax - tickInterval), runtime.xmax];
-
-                if (elem.title !== window.Messages.strSystemCPUUsage &&
-                    elem.title !== window.Messages.strQueryCacheEfficiency &&
-                    elem.title !== window.Messages.strSystemMemory &&
-                    elem.title !== window.Messages.strSystemSwap
-                ) {
-                    elem.chart.axes.yaxis.max = Math.ceil(elem.maxYLabel * 1.1);
-                    elem.chart.axes.yaxis.tickInterval = Math.ceil(elem.maxYLabel * 1.1 / 5);
-                } else if (elem.title === window.Messages.strSystemMemory ||
-                    elem.title === window.Messages.strSystemSwap
-                ) {
-                    elem.chart.axes.yaxis.max = Math.ceil(total * 1.1 / 100) * 100;
-                    elem.chart.axes.yaxis.tickInterval = Math.ceil(total * 1.1 / 5);
+                    if (elem.nodes[j].valueDivisor) {
+                        value = value / elem.nodes[j].valueDivisor;
+                    }
                 }
-                i++;
 
-                if (runtime.redrawCharts) {
-                    elem.chart.replot();
+                // Set y value, if defined
+                if (value !== undefined) {
+                    previousValue = elem.chart.series[j].data.length > 0
+                        ? elem.chart.series[j].data[elem.chart.series[j].data.length - 1][1]
+                        : null;
+                    elem.chart.series[j].data.push([chartData.x, value]);
+                    checkThresholds(elem, j, chartData.x, value, previousValue);
+                    if (value > elem.maxYLabel) {
+                        elem.maxYLabel = value;
+                    } else if (elem.maxYLabel === 0) {
+                        elem.maxYLabel = 0.5;
+                    }
+                    // free old data point values and update maxYLabel
+                    if (elem.chart.series[j].data.length > runtime.gridMaxPoints &&
+                        elem.chart.series[j].data[0][0] < runtime.xmin
+                    ) {
+                        // check if the next freeable point is highest
+                        if (elem.maxYLabel <= elem.chart.series[j].data[0][1]) {
+                            elem.chart.series[j].data.splice(0, elem.chart.series[j].data.length - runtime.gridMaxPoints);
+                            elem.maxYLabel = getMaxYLabel(elem.chart.series[j].data);
+                        } else {
+                            elem.chart.series[j].data.splice(0, elem.chart.series[j].data.length - runtime.gridMaxPoints);
+                        }
+                    }
+                    if (elem.title === window.Messages.strSystemMemory ||
+                        elem.title === window.Messages.strSystemSwap
+                    ) {
+                        total += value;
+                    }
                 }
-            });
+            }
 
-            oldChartData = chartData;
+            // update chart options
+            // keep ticks number/positioning consistent while refreshrate changes
+            var tickInterval = (runtime.xmax - runtime.xmin) / 5;
+            elem.chart.axes.xaxis.ticks = [(runtime.xmax - tickInterval * 4),
+                (runtime.xmax - tickInterval * 3), (runtime.xmax - tickInterval * 2),
+                (runtime.xmax - tickInterval), runtime.xmax];
+
+            if (elem.title !== window.Messages.strSystemCPUUsage &&
+                elem.title !== window.Messages.strQueryCacheEfficiency &&
+                elem.title !== window.Messages.strSystemMemory &&
+                elem.title !== window.Messages.strSystemSwap
+            ) {
+                elem.chart.axes.yaxis.max = Math.ceil(elem.maxYLabel * 1.1);
+                elem.chart.axes.yaxis.tickInterval = Math.ceil(elem.maxYLabel * 1.1 / 5);
+            } else if (elem.title === window.Messages.strSystemMemory ||
+                elem.title === window.Messages.strSystemSwap
+            ) {
+                elem.chart.axes.yaxis.max = Math.ceil(total * 1.1 / 100) * 100;
+                elem.chart.axes.yaxis.tickInterval = Math.ceil(total * 1.1 / 5);
+            }
+            i++;
 
-            runtime.refreshTimeout = setTimeout(refreshChartGrid, monitorSettings.gridRefresh);
+            if (runtime.redrawCharts) {
+                drawAlertOverlay(elem);
+                elem.chart.replot();
+                drawAlertMarkers(elem);
+            }
         });
+
+        oldChartData = chartData;
     }
 
     /* Function to get highest plotted point's y label, to scale the chart,
@@ -1673,6 +2246,25 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
         return undefined;
     }
 
+    /* Evaluates a derived metric formula with the data points of the current and previous refresh */
+    function chartFormulaValue (formula, cur, prev, seconds) {
+        if (! runtime.formulas[formula]) {
+            try {
+                runtime.formulas[formula] = MonitorFormula.parse(formula);
+            } catch (error) {
+                // Imported configurations may contain invalid formulas
+                return undefined;
+            }
+        }
+
+        return MonitorFormula.evaluate(
+            runtime.formulas[formula],
+            MonitorFormula.getValues(cur),
+            prev === null ? null : MonitorFormula.getValues(prev),
+            seconds
+        );
+    }
+
     /* Build list of nodes that need to be retrieved from server.
      * It creates something like a stripped down version of the runtime.charts object.
      */
@@ -1689,6 +2281,325 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
             runtime.charts[key].chartID = chartID;
             chartID++;
         });
+
+        // Server variables the thresholds are relative to, such as max_connections
+        var variables = [];
+        $.each(runtime.charts, function (key, chart) {
+            $.each(chart.thresholds || [], function (index, threshold) {
+                if (threshold.percentOf && $.inArray(threshold.percentOf, variables) === -1) {
+                    variables.push(threshold.percentOf);
+                }
+            });
+        });
+        if (variables.length > 0) {
+            runtime.dataList.thresholds = [];
+            $.each(variables, function (index, name) {
+                runtime.dataList.thresholds.push([{ type: 'servervar', name: name }]);
+            });
+        }
+
+        // The data points recorded from now on belong to the new chart arrangement
+        if (runtime.recording !== null) {
+            recordMonitorConfig();
+        }
+    }
+
+    /* Returns the value a threshold compares to, or null while it is not known yet */
+    function getThresholdLimit (threshold) {
+        if (! threshold.percentOf) {
+            return threshold.value;
+        }
+        var base = runtime.thresholdVariables[threshold.percentOf];
+        if (base === undefined || isNaN(base)) {
+            return null;
+        }
+
+        return base * threshold.value / 100;
+    }
+
+    /* Returns a human readable description of a threshold */
+    function describeThreshold (chartObj, threshold) {
+        var seriesLabel = chartObj.series[threshold.series] ? chartObj.series[threshold.series].label : '';
+        var limit = threshold.percentOf
+            ? Functions.sprintf(window.Messages.strPercentOf, threshold.value, threshold.percentOf)
+            : threshold.value;
+        var messages = {
+            above: window.Messages.strThresholdAbove,
+            below: window.Messages.strThresholdBelow,
+            jump: window.Messages.strThresholdJump
+        };
+
+        return Functions.sprintf(messages[threshold.condition], seriesLabel, limit);
+    }
+
+    /* Raises or ends the alerts of the thresholds of a series, with the new value of the series */
+    function checkThresholds (chartObj, seriesIndex, x, value, previousValue) {
+        if (! chartObj.thresholds) {
+            return;
+        }
+        if (! chartObj.activeAlerts) {
+            chartObj.activeAlerts = {};
+            chartObj.alerts = [];
+        }
+
+        $.each(chartObj.thresholds, function (index, threshold) {
+            if (threshold.series !== seriesIndex) {
+                return;
+            }
+            var limit = getThresholdLimit(threshold);
+            if (limit === null) {
+                return;
+            }
+
+            var isCrossed;
+            if (threshold.condition === 'below') {
+                isCrossed = value < limit;
+            } else if (threshold.condition === 'jump') {
+                isCrossed = previousValue !== null && value - previousValue > limit;
+            } else {
+                isCrossed = value > limit;
+            }
+
+            var alert = chartObj.activeAlerts[index];
+            if (isCrossed && ! alert) {
+                alert = {
+                    title: chartObj.title,
+                    message: describeThreshold(chartObj, threshold),
+                    limit: threshold.condition === 'jump' ? null : limit,
+                    start: x,
+                    end: null
+                };
+                chartObj.activeAlerts[index] = alert;
+                chartObj.alerts.push(alert);
+                logAlert(alert);
+                notifyAlert(alert);
+            } else if (! isCrossed && alert) {
+                alert.end = x;
+                delete chartObj.activeAlerts[index];
+                logAlert(alert);
+            }
+        });
+
+        // Forget the alerts which are out of the displayed time frame
+        chartObj.alerts = $.grep(chartObj.alerts, function (alert) {
+            return alert.end === null || alert.end >= runtime.xmin;
+        });
+    }
+
+    /* Adds an alert to the events panel, or updates its row when the alert ends */
+    function logAlert (alert) {
+        var $events = $('#monitorEvents');
+        var end = alert.end === null ? window.Messages.strAlertOngoing : new Date(alert.end).toLocaleTimeString();
+        if (! alert.$row) {
+            alert.$row = $('<tr></tr>')
+                .append($('<td></td>').text(new Date(alert.start).toLocaleTimeString()))
+                .append($('<td class="alertEnd"></td>'))
+                .append($('<td></td>').text(alert.title))
+                .append($('<td></td>').text(alert.message))
+                .append($('<td></td>').append(
+                    $('<a href="#analyseAlert"></a>').text(window.Messages.strAnalyseLogs)
+                ))
+                .data('alert', alert);
+            $events.find('tbody').prepend(alert.$row);
+            $events.show();
+        }
+        alert.$row.find('td.alertEnd').text(end);
+        alert.$row.toggleClass('table-danger', alert.end === null);
+    }
+
+    /* Shows a browser notification for an alert, if the user allowed it */
+    function notifyAlert (alert) {
+        if (runtime.replay !== null || ! ('Notification' in window) || window.Notification.permission !== 'granted') {
+            return;
+        }
+        // eslint-disable-next-line compat/compat
+        var notification = new window.Notification(window.Messages.strMonitorAlert, {
+            body: alert.title + ': ' + alert.message
+        });
+        notification.onclick = function () {
+            window.focus();
+        };
+    }
+
+    /* Opens the log analysis for the time window of an alert */
+    function analyseAlert (alert) {
+        var end = alert.end === null ? runtime.xmax : alert.end;
+        getLogAnalyseDialog(
+            new Date(alert.start - monitorSettings.gridRefresh),
+            new Date(end + monitorSettings.gridRefresh)
+        );
+    }
+
+    /* Draws the threshold lines and a band for each alert of a chart */
+    function drawAlertOverlay (chartObj) {
+        var overlay = chartObj.chart.plugins.canvasOverlay;
+        if (! overlay) {
+            return;
+        }
+        overlay.objects = [];
+        overlay.objectNames = [];
+
+        $.each(chartObj.thresholds || [], function (index, threshold) {
+            var limit = getThresholdLimit(threshold);
+            if (limit === null || threshold.condition === 'jump') {
+                return;
+            }
+            overlay.addDashedHorizontalLine({
+                y: limit,
+                color: 'rgba(204, 0, 0, 0.6)',
+                lineWidth: 1,
+                shadow: false,
+                xOffset: 0
+            });
+        });
+
+        $.each(chartObj.alerts || [], function (index, alert) {
+            overlay.addRectangle({
+                xmin: Math.max(alert.start, runtime.xmin),
+                xmax: alert.end === null ? runtime.xmax : alert.end,
+                color: 'rgba(204, 0, 0, 0.15)',
+                shadow: false
+            });
+        });
+    }
+
+    /* Adds a clickable marker on the time axis of a chart for each of its alerts */
+    function drawAlertMarkers (chartObj) {
+        var $target = chartObj.chart.target;
+        var xaxis = chartObj.chart.axes.xaxis;
+        // eslint-disable-next-line no-underscore-dangle
+        var offset = chartObj.chart._gridPadding.left;
+
+        $target.find('a.monitorAlertMarker').remove();
+        $.each(chartObj.alerts || [], function (index, alert) {
+            $('<a href="#analyseAlert" class="monitorAlertMarker"></a>')
+                .attr('title', alert.message)
+                .css('left', offset + xaxis.series_u2p(Math.max(alert.start, runtime.xmin)))
+                .data('alert', alert)
+                .html(Functions.getImage('s_attention'))
+                .appendTo($target);
+        });
+    }
+
+    /* Dialog to manage the alert thresholds of the charts */
+    function showThresholdsDialog () {
+        var $dialog = $('#emptyDialog');
+        var $list = $('<table class="table table-sm"></table>');
+        var $chartSelect = $('<select name="thresholdChart" class="form-select"></select>');
+        var $seriesSelect = $('<select name="thresholdSeries" class="form-select"></select>');
+        var $conditionSelect = $('<select name="thresholdCondition" class="form-select"></select>')
+            .append($('<option value="above"></option>').text(window.Messages.strIsAbove))
+            .append($('<option value="below"></option>').text(window.Messages.strIsBelow))
+            .append($('<option value="jump"></option>').text(window.Messages.strIncreasesByMoreThan));
+        var $valueInput = $('<input type="number" name="thresholdValue" step="any" class="form-control">');
+        var $percentOfInput = $('<input type="text" name="thresholdPercentOf" class="form-control"'
+            + ' placeholder="max_connections">');
+
+        var renderList = function () {
+            $list.empty();
+            $.each(runtime.charts, function (key, chartObj) {
+                $.each(chartObj.thresholds || [], function (index, threshold) {
+                    $list.append($('<tr></tr>')
+                        .append($('<td></td>').text(chartObj.title))
+                        .append($('<td></td>').text(describeThreshold(chartObj, threshold)))
+                        .append($('<td></td>').append(
+                            $('<a href="#removeThreshold"></a>')
+                                .text(window.Messages.strDelete)
+                                .on('click', function (event) {
+                                    event.preventDefault();
+                                    chartObj.thresholds.splice(index, 1);
+                                    chartObj.activeAlerts = {};
+                                    thresholdsChanged();
+                                    renderList();
+                                })
+                        ))
+                    );
+                });
+            });
+            if ($list.find('tr').length === 0) {
+                $list.append($('<tr></tr>').append($('<td></td>').text(window.Messages.strNoThresholds)));
+            }
+        };
+
+        $.each(runtime.charts, function (key, chartObj) {
+            $chartSelect.append($('<option></option>').val(key).text(chartObj.title));
+        });
+        $chartSelect.on('change', function () {
+            $seriesSelect.empty();
+            $.each(runtime.charts[$(this).val()].series, function (index, serie) {
+                $seriesSelect.append($('<option></option>').val(index).text(serie.label));
+            });
+        }).trigger('change');
+        $conditionSelect.on('change', function () {
+            $percentOfInput.prop('disabled', $(this).val() === 'jump');
+        });
+
+        renderList();
+        $dialog.empty()
+            .append($list)
+            .append($('<label></label>').text(window.Messages.strChart)).append($chartSelect)
+            .append($('<label></label>').text(window.Messages.strSeries)).append($seriesSelect)
+            .append($('<label></label>').text(window.Messages.strCondition)).append($conditionSelect)
+            .append($('<label></label>').text(window.Messages.strThresholdValue)).append($valueInput)
+            .append($('<label></label>').text(window.Messages.strPercentOfVariable)).append($percentOfInput);
+
+        var dlgBtns = {
+            [window.Messages.strAddThreshold]: {
+                text: window.Messages.strAddThreshold,
+                class: 'btn btn-primary',
+            },
+            [window.Messages.strClose]: {
+                text: window.Messages.strClose,
+                class: 'btn btn-secondary',
+            },
+        };
+
+        dlgBtns[window.Messages.strAddThreshold].click = function () {
+            var value = parseFloat($valueInput.val());
+            var condition = $conditionSelect.val();
+            var percentOf = condition === 'jump' ? '' : $percentOfInput.val().trim();
+            if (isNaN(value) || (percentOf !== '' && ! /^[a-zA-Z_]+$/.test(percentOf))) {
+                Functions.ajaxShowMessage(window.Messages.strInvalidThreshold, false);
+                return;
+            }
+            var chartObj = runtime.charts[$chartSelect.val()];
+            if (! chartObj.thresholds) {
+                chartObj.thresholds = [];
+            }
+            chartObj.thresholds.push({
+                series: parseInt($seriesSelect.val(), 10),
+                condition: condition,
+                value: value,
+                percentOf: percentOf
+            });
+            thresholdsChanged();
+            renderList();
+            $valueInput.val('');
+
+            if ('Notification' in window && window.Notification.permission === 'default') {
+                window.Notification.requestPermission();
+            }
+        };
+
+        dlgBtns[window.Messages.strClose].click = function () {
+            $(this).dialog('close');
+        };
+
+        $dialog.dialog({
+            classes: {
+                'ui-dialog-titlebar-close': 'btn-close'
+            },
+            title: window.Messages.strAlertThresholds,
+            width: 500,
+            height: 'auto',
+            buttons: dlgBtns
+        });
+    }
+
+    /* Saves the thresholds and fetches the server variables they need */
+    function thresholdsChanged () {
+        buildRequiredDataList();
+        saveMonitor();
     }
 
     /* Loads the log table data, generates the table and handles the filters */
@@ -2111,9 +3022,7 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
         var query = rowData.argument || rowData.sql_text;
 
         if (window.codeMirrorEditor) {
-            // TODO: somehow Functions.sqlPrettyPrint messes up the query, needs be fixed
-            // query = Functions.sqlPrettyPrint(query);
-            window.codeMirrorEditor.setValue(query);
+            window.codeMirrorEditor.setValue(Functions.sqlPrettyPrint(query));
             // Codemirror is bugged, it doesn't refresh properly sometimes.
             // Following lines seem to fix that
             setTimeout(function () {
@@ -2298,6 +3207,24 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
 
     /* Saves the monitor to localstorage */
     function saveMonitor () {
+        var config = getMonitorConfig();
+
+        if (window.Config.isStorageSupported('localStorage')) {
+            window.localStorage.monitorCharts = JSON.stringify(config.monitorCharts);
+            window.localStorage.monitorSettings = JSON.stringify(config.monitorSettings);
+            window.localStorage.monitorVersion = monitorProtocolVersion;
+        }
+
+        // Keep the displayed dashboard up to date, the published ones are only changed on purpose
+        if (dashboards.current !== null && ! dashboards.current.isShared) {
+            saveDashboard(dashboards.current.name);
+        }
+
+        $('a[href="#clearMonitorConfig"]').show();
+    }
+
+    /* Returns the chart arrangement and the settings of the monitor, as stored or exported */
+    function getMonitorConfig () {
         var gridCopy = {};
 
         $.each(runtime.charts, function (key, elem) {
@@ -2307,16 +3234,205 @@ window.AJAX.registerOnload('server/status/monitor.js', function () {
             gridCopy[key].title = elem.title;
             gridCopy[key].series = elem.series;
             gridCopy[key].maxYLabel = elem.maxYLabel;
+            gridCopy[key].thresholds = elem.thresholds;
+        });
+
+        return {
+            monitorCharts: gridCopy,
+            monitorSettings: monitorSettings
+        };
+    }
+
+    /* Displays an imported or saved monitor configuration, falls back to the default one if it is broken */
+    function applyMonitorConfig (config) {
+        try {
+            if (window.Config.isStorageSupported('localStorage')) {
+                window.localStorage.monitorCharts = JSON.stringify(config.monitorCharts);
+                window.localStorage.monitorSettings = JSON.stringify(config.monitorSettings);
+                window.localStorage.monitorVersion = monitorProtocolVersion;
+            }
+            rebuildGrid();
+        } catch (err) {
+            alert(window.Messages.strFailedBuildingGrid);
+            // If an exception is thrown, load default again
+            if (window.Config.isStorageSupported('localStorage')) {
+                window.localStorage.removeItem('monitorCharts');
+                window.localStorage.removeItem('monitorSettings');
+            }
+            rebuildGrid();
+        }
+    }
+
+    /* Sends a request about the dashboards stored in the configuration storage */
+    function postDashboardRequest (action, params, callback) {
+        var url = 'index.php?route=/server/status/monitor/dashboards' + (action === '' ? '' : '/' + action);
+        $.post(url, $.extend({
+            'ajax_request': true,
+            'server': window.CommonParams.get('server')
+        }, params), function (data) {
+            if (typeof data === 'undefined' || data.success !== true) {
+                Functions.ajaxShowMessage(
+                    typeof data === 'undefined' ? window.Messages.strErrorProcessingRequest : data.error || data.message,
+                    false
+                );
+                return;
+            }
+            if (action === '') {
+                callback(data);
+                return;
+            }
+            loadDashboards(callback);
+        });
+    }
+
+    /* Returns the dashboards saved in the local storage, when the configuration storage is not available */
+    function getLocalDashboards () {
+        if (! window.Config.isStorageSupported('localStorage')
+            || typeof window.localStorage.monitorDashboards === 'undefined'
+        ) {
+            return [];
+        }
+
+        return JSON.parse(window.localStorage.monitorDashboards);
+    }
+
+    /* Loads the list of the dashboards and updates the dashboard switcher */
+    function loadDashboards (callback) {
+        postDashboardRequest('', {}, function (data) {
+            dashboards.isStorageEnabled = data.isStorageEnabled;
+            dashboards.canPublish = data.isStorageEnabled && data.canPublish;
+            dashboards.list = data.isStorageEnabled ? data.dashboards : getLocalDashboards();
+            $('span.publishMonitorDashboard').toggle(dashboards.canPublish);
+            updateDashboardSwitcher();
+            if (typeof callback === 'function') {
+                callback();
+            }
         });
+    }
 
+    /* Saves the displayed chart arrangement as a dashboard of the current user */
+    function saveDashboard (name, callback) {
+        var data = JSON.stringify(getMonitorConfig());
+        if (dashboards.isStorageEnabled) {
+            postDashboardRequest('save', { name: name, data: data }, callback);
+            return;
+        }
+
+        var list = $.grep(getLocalDashboards(), function (dashboard) {
+            return dashboard.name !== name;
+        });
+        list.push({ name: name, data: data, isShared: false, isDefault: false });
+        list.sort(function (a, b) {
+            return a.name.localeCompare(b.name);
+        });
         if (window.Config.isStorageSupported('localStorage')) {
-            window.localStorage.monitorCharts = JSON.stringify(gridCopy);
-            window.localStorage.monitorSettings = JSON.stringify(monitorSettings);
-            window.localStorage.monitorVersion = monitorProtocolVersion;
+            window.localStorage.monitorDashboards = JSON.stringify(list);
+        }
+        dashboards.list = list;
+        updateDashboardSwitcher();
+        if (typeof callback === 'function') {
+            callback();
         }
+    }
 
-        $('a[href="#clearMonitorConfig"]').show();
+    /* Deletes a dashboard, a published one can only be deleted by a superuser */
+    function deleteDashboard (dashboard, callback) {
+        if (dashboards.isStorageEnabled) {
+            postDashboardRequest('delete', { dashboardId: dashboard.id }, callback);
+            return;
+        }
+
+        dashboards.list = $.grep(getLocalDashboards(), function (item) {
+            return item.name !== dashboard.name;
+        });
+        if (window.Config.isStorageSupported('localStorage')) {
+            window.localStorage.monitorDashboards = JSON.stringify(dashboards.list);
+        }
+        updateDashboardSwitcher();
+        callback();
+    }
+
+    /* Returns the dashboard matching a { name, isShared } reference, or null */
+    function findDashboard (reference) {
+        if (reference === null) {
+            return null;
+        }
+        var found = null;
+        $.each(dashboards.list, function (index, dashboard) {
+            if (dashboard.name === reference.name && dashboard.isShared === reference.isShared) {
+                found = dashboard;
+                return false;
+            }
+        });
+
+        return found;
+    }
+
+    /* Remembers which dashboard is displayed */
+    function setCurrentDashboard (reference) {
+        dashboards.current = reference;
+        if (window.Config.isStorageSupported('localStorage')) {
+            if (reference === null) {
+                window.localStorage.removeItem('monitorDashboard');
+            } else {
+                window.localStorage.monitorDashboard = JSON.stringify(reference);
+            }
+        }
+        updateDashboardSwitcher();
     }
+
+    /* Fills the dashboard switcher, the dashboards of the user are listed before the published ones */
+    function updateDashboardSwitcher () {
+        var $select = $('#monitorDashboard').empty();
+        var $own = $('<optgroup></optgroup>').attr('label', window.Messages.strMyDashboards);
+        var $shared = $('<optgroup></optgroup>').attr('label', window.Messages.strPublishedDashboards);
+        var current = findDashboard(dashboards.current);
+
+        $select.append($('<option></option>').val('').text(window.Messages.strUnsavedDashboard));
+        $.each(dashboards.list, function (index, dashboard) {
+            var label = dashboard.isDefault
+                ? Functions.sprintf(window.Messages.strDefaultDashboard, dashboard.name)
+                : dashboard.name;
+            var $option = $('<option></option>').val(index).text(label);
+            if (dashboard === current) {
+                $option.prop('selected', true);
+            }
+            (dashboard.isShared ? $shared : $own).append($option);
+        });
+        if ($own.children().length > 0) {
+            $select.append($own);
+        }
+        if ($shared.children().length > 0) {
+            $select.append($shared);
+        }
+    }
+
+    /* Restores the displayed dashboard, or shows the published default one on the first visit */
+    function initDashboards () {
+        if (window.Config.isStorageSupported('localStorage')
+            && typeof window.localStorage.monitorDashboard !== 'undefined'
+        ) {
+            dashboards.current = JSON.parse(window.localStorage.monitorDashboard);
+        }
+
+        loadDashboards(function () {
+            var hasLocalConfig = window.Config.isStorageSupported('localStorage')
+                && typeof window.localStorage.monitorCharts !== 'undefined';
+            if (hasLocalConfig || dashboards.current !== null) {
+                return;
+            }
+            $.each(dashboards.list, function (index, dashboard) {
+                if (! dashboard.isShared || ! dashboard.isDefault) {
+                    return;
+                }
+                applyMonitorConfig(JSON.parse(dashboard.data));
+                setCurrentDashboard({ name: dashboard.name, isShared: true });
+                return false;
+            });
+        });
+    }
+
+    initDashboards();
 });
 
 // Run the monitor once loaded
@@ -1,4 +1,5 @@
 import $ from 'jquery';
+import { PivotTable } from './modules/pivot-table.js';
 
 /**
  * @fileoverview    functions used wherever an sql query form is used
@@ -399,6 +400,114 @@ const insertValueQuery = function () {
     }
 };
 
+/**
+ * Reads the rows of a results table
+ *
+ * @param {JQuery} $table the results table
+ * @return {object} names of the columns and records of the rows, by column name
+ */
+Sql.getPivotRecords = function ($table) {
+    var names = $table.find('thead th.draggable').map(function () {
+        return $(this).attr('data-column');
+    }).get();
+    var records = $table.find('tbody tr').map(function () {
+        var record = {};
+        $(this).find('td.data').each(function (index) {
+            record[names[index]] = $(this).is('.null') ? null : String(Functions.getCellValue(this));
+        });
+
+        return record;
+    }).get();
+
+    return { names: names, records: records };
+};
+
+/**
+ * Reads the configuration of a pivot table from the columns dragged to its zones
+ *
+ * @param {JQuery} $panel the pivot table panel
+ * @return {object}
+ */
+Sql.getPivotConfig = function ($panel) {
+    var getColumns = function (zone) {
+        return $panel.find('.pivot-fields[data-zone="' + zone + '"] li').map(function () {
+            return $(this).attr('data-column');
+        }).get();
+    };
+
+    return {
+        'rows': getColumns('rows'),
+        'columns': getColumns('columns'),
+        'values': $panel.find('.pivot-fields[data-zone="values"] li').map(function () {
+            return { 'column': $(this).attr('data-column'), 'method': $(this).find('select').val() };
+        }).get()
+    };
+};
+
+/**
+ * Computes and displays a pivot table and updates its export links
+ *
+ * @param {JQuery} $panel the pivot table panel
+ * @return {void}
+ */
+Sql.drawPivotTable = function ($panel) {
+    var $table = $('.table_results[data-uniqueid="' + $panel.data('unique-id') + '"]');
+    var config = Sql.getPivotConfig($panel);
+    var $result = $panel.find('.jsPivotResult');
+    $panel.find('.jsPivotSqlForm').addClass('d-none');
+    $panel.removeData('pivot');
+    if (config.values.length === 0) {
+        $result.empty().append($('<div class="alert alert-info" role="alert"></div>').text(window.Messages.strPivotNoValues));
+        $panel.find('.jsPivotCsv, .jsPivotHtml').attr('href', '#');
+
+        return;
+    }
+
+    var pivot = PivotTable.compute(Sql.getPivotRecords($table).records, config, $panel.find('.jsPivotSubtotals').is(':checked'));
+    var texts = PivotTable.getTexts(config, pivot);
+    var rowColumnCount = Math.max(config.rows.length, 1);
+    $result.html(PivotTable.toHtml(texts, rowColumnCount, 'table table-sm table-striped w-auto pivot-table'));
+    $panel.find('.jsPivotCsv').attr('href', 'data:text/csv;charset=utf-8,' + encodeURIComponent(PivotTable.toCsv(texts)));
+    $panel.find('.jsPivotHtml').attr('href', 'data:text/html;charset=utf-8,' + encodeURIComponent(
+        PivotTable.toHtmlDocument(window.Messages.strPivotTable, PivotTable.toHtml(texts, rowColumnCount, 'pivot-table'))
+    ));
+    $panel.data('pivot', { config: config, columnKeys: pivot.columnKeys });
+};
+
+/**
+ * Fills the zones of a pivot table panel with the columns of the results the first
+ * time it is opened
+ *
+ * @param {JQuery} $panel the pivot table panel
+ * @return {void}
+ */
+Sql.initPivotTable = function ($panel) {
+    var $zones = $panel.find('.pivot-fields');
+    if ($zones.is('.ui-sortable')) {
+        return;
+    }
+
+    var $table = $('.table_results[data-uniqueid="' + $panel.data('unique-id') + '"]');
+    var $method = $panel.find('.jsPivotMethod');
+    var $fields = $zones.filter('[data-zone="fields"]');
+    Sql.getPivotRecords($table).names.forEach(function (name) {
+        $('<li class="pivot-field"></li>')
+            .attr('data-column', name)
+            .append($('<span></span>').text(name))
+            .append($method.clone().removeClass('d-none jsPivotMethod').addClass('pivot-method'))
+            .appendTo($fields);
+    });
+
+    $zones.sortable({
+        connectWith: $zones,
+        placeholder: 'pivot-placeholder',
+        tolerance: 'pointer',
+        stop: function () {
+            Sql.drawPivotTable($panel);
+        }
+    }).disableSelection();
+};
+
 /**
  * Unbind all event handlers before tearing down a page
  */
@@ -407,6 +516,7 @@ window.AJAX.registerTeardown('sql.js', function () {
     $(document).off('submit', '.bookmarkQueryForm');
     $('input#bkm_label').off('input');
     $(document).off('makegrid', '.sqlqueryresults');
+    $(document).off('.pmaGrid');
     $('#togglequerybox').off('click');
     $(document).off('click', '#button_submit_query');
     $(document).off('change', '#id_bookmark');
@@ -434,6 +544,9 @@ window.AJAX.registerTeardown('sql.js', function () {
     $(document).off('click', '#sqlquery');
     $(document).off('click', 'input.sqlbutton');
     $('#fieldsSelect').off('dblclick');
+    $(document).off('click', '.jsPivotButton');
+    $(document).off('change', '.jsPivotTable .pivot-method, .jsPivotTable .jsPivotSubtotals');
+    $(document).off('click', '.jsPivotSqlButton');
 });
 
 /**
@@ -619,6 +732,35 @@ window.AJAX.registerOnload('sql.js', function () {
         document.body.removeChild(textArea);
     }); // end of Copy to Clipboard action
 
+    /**
+     * Pivot table of the results
+     */
+    $(document).on('click', '.jsPivotButton', function () {
+        var $panel = $(this).closest('.card').nextAll('.jsPivotTable').first();
+        $panel.toggleClass('d-none');
+        if (! $panel.hasClass('d-none')) {
+            Sql.initPivotTable($panel);
+            Sql.drawPivotTable($panel);
+        }
+    });
+
+    $(document).on('change', '.jsPivotTable .pivot-method, .jsPivotTable .jsPivotSubtotals', function () {
+        Sql.drawPivotTable($(this).closest('.jsPivotTable'));
+    });
+
+    $(document).on('click', '.jsPivotSqlButton', function () {
+        var $panel = $(this).closest('.jsPivotTable');
+        var pivot = $panel.data('pivot');
+        if (! pivot) {
+            Functions.ajaxShowMessage(window.Messages.strPivotNoValues, false, 'error');
+
+            return;
+        }
+
+        $panel.find('.jsPivotSqlForm').removeClass('d-none')
+            .find('textarea').val(PivotTable.toSql($panel.attr('data-sql-query'), pivot.config, pivot.columnKeys));
+    });
+
     /**
      * Attach the {@link makegrid} function to a custom event, which will be
      * triggered manually everytime the table of results is reloaded
@@ -847,6 +989,11 @@ window.AJAX.registerOnload('sql.js', function () {
                 $('.sqlqueryresults').trigger('makegrid');
                 $('#togglequerybox').show();
 
+                if (data.open_chart) {
+                    // the bookmark was saved with a chart, displayed again
+                    $sqlqueryresultsouter.find('a.jsDisplayChart').first().trigger('click');
+                }
+
                 if (typeof data.action_bookmark === 'undefined') {
                     if ($('#sqlqueryform input[name="retain_query_box"]').is(':checked') !== true) {
                         if ($('#togglequerybox').siblings(':visible').length > 0) {
@@ -1,4 +1,5 @@
 import $ from 'jquery';
+import { ChartData } from '../modules/chart-data.js';
 
 /* global ColumnType, DataTable, JQPlotChartFactory */ // js/chart.js
 
@@ -31,6 +32,40 @@ function extractDate (dateString) {
     return null;
 }
 
+/**
+ * Groups and aggregates the rows, buckets their dates and computes the bins or the percentages
+ * which are drawn instead of the rows, depending on the settings
+ *
+ * @param {Array[]} rows
+ * @param {object} settings
+ *
+ * @return {Array[]}
+ */
+function shapeRows (rows, settings) {
+    var shaped = rows;
+    if (settings.aggregate) {
+        var getKey = null;
+        if (settings.type === 'timeline' && settings.dateBucket) {
+            getKey = function (date) {
+                return date === null ? null : ChartData.getBucket(date, settings.dateBucket);
+            };
+        }
+        shaped = ChartData.group(shaped, settings.aggregate, getKey);
+        if (settings.type === 'timeline') {
+            shaped.sort(function (a, b) {
+                return (a[0] === null ? 0 : a[0].getTime()) - (b[0] === null ? 0 : b[0].getTime());
+            });
+        }
+    }
+    if (settings.type === 'histogram') {
+        shaped = ChartData.histogram(shaped, settings.binCount || ChartData.getBinCount(shaped.length));
+    } else if (settings.percent) {
+        shaped = ChartData.toPercent(shaped);
+    }
+
+    return shaped;
+}
+
 function queryChart (data, columnNames, settings) {
     if ($('#querychart').length === 0) {
         return;
@@ -62,8 +97,14 @@ function queryChart (data, columnNames, settings) {
                 label : settings.yaxisLabel
             }
         },
-        stackSeries : settings.stackSeries
+        stackSeries : settings.stackSeries || settings.percent
     };
+    if (settings.percent) {
+        $.extend(true, plotSettings.axes[settings.type === 'bar' ? 'xaxis' : 'yaxis'], { min : 0, max : 100 });
+    }
+    if (settings.type === 'timeline' && settings.aggregate && settings.dateBucket === 'hour') {
+        plotSettings.axes.xaxis.tickOptions = { formatString: '%b %#d, %H:%M' };
+    }
 
     // create the chart
     var factory = new JQPlotChartFactory();
@@ -113,7 +154,7 @@ function queryChart (data, columnNames, settings) {
             }
             values.push(newRow);
         }
-        dataTable.setData(values);
+        dataTable.setData(shapeRows(values, settings));
     } else {
         var seriesNames = {};
         var seriesNumber = 1;
@@ -136,19 +177,26 @@ function queryChart (data, columnNames, settings) {
         var valueColumnName = columnNames[settings.valueColumn];
         for (i = 0; i < data.length; i++) {
             xValue = data[i][mainAxisName];
+            seriesNumber = seriesNames[data[i][seriesColumnName]];
+            if (settings.aggregate) {
+                // every row is kept, the values of a same X-axis value are aggregated later
+                value = [settings.type === 'timeline' ? extractDate(xValue) : xValue];
+                value[seriesNumber] = parseFloat(data[i][valueColumnName]);
+                values.push(value);
+                continue;
+            }
             value = valueMap[xValue];
             if (! value) {
                 value = [xValue];
                 valueMap[xValue] = value;
             }
-            seriesNumber = seriesNames[data[i][seriesColumnName]];
             value[seriesNumber] = parseFloat(data[i][valueColumnName]);
         }
 
         $.each(valueMap, function (index, value) {
             values.push(value);
         });
-        dataTable.setData(values);
+        dataTable.setData(shapeRows(values, settings));
     }
 
     // draw the chart and return the chart object
@@ -173,6 +221,8 @@ function drawChart () {
         currentChart = queryChart(chartData, columnNames, currentSettings);
         if (currentChart !== null) {
             $('#saveChart').attr('href', currentChart.toImageString());
+            $('#saveChartSvg').attr('href', 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(currentChart.toSvgString()));
+            $('#saveChartCsv').attr('href', 'data:text/csv;charset=utf-8,' + encodeURIComponent(currentChart.toCsvString()));
         }
     } catch (err) {
         Functions.ajaxShowMessage(err.message, false);
@@ -188,6 +238,44 @@ function getSelectedSeries () {
     return ret;
 }
 
+function onSeriesColumnChange () {
+    var $seriesColumn = $('#chartSeriesColumnSelect');
+    var $valueColumn  = $('#chartValueColumnSelect');
+    var $chartSeries  = $('#chartSeriesSelect');
+    if ($('#seriesColumnCheckbox').is(':checked')) {
+        $seriesColumn.prop('disabled', false);
+        $valueColumn.prop('disabled', false);
+        $chartSeries.prop('disabled', true);
+        currentSettings.seriesColumn = parseInt($seriesColumn.val(), 10);
+        currentSettings.valueColumn = parseInt($valueColumn.val(), 10);
+    } else {
+        $seriesColumn.prop('disabled', true);
+        $valueColumn.prop('disabled', true);
+        $chartSeries.prop('disabled', false);
+        currentSettings.seriesColumn = null;
+        currentSettings.valueColumn = null;
+    }
+}
+
+/**
+ * Shows the options of the selected chart type and resets the others
+ */
+function showChartTypeOptions () {
+    var type = currentSettings.type;
+    if (type === 'bar' || type === 'column' || type === 'area') {
+        document.getElementById('barStacked').classList.remove('d-none');
+        document.getElementById('barPercent').classList.remove('d-none');
+    } else {
+        $('#barStackedCheckbox').prop('checked', false);
+        $('#barPercentCheckbox').prop('checked', false);
+        $.extend(true, currentSettings, { stackSeries : false, percent : false });
+        document.getElementById('barStacked').classList.add('d-none');
+        document.getElementById('barPercent').classList.add('d-none');
+    }
+    document.getElementById('chartDateBucket').classList.toggle('d-none', type !== 'timeline');
+    document.getElementById('chartBins').classList.toggle('d-none', type !== 'histogram');
+}
+
 function onXAxisChange () {
     var $xAxisSelect = $('#chartXAxisSelect');
     currentSettings.mainAxis = parseInt($xAxisSelect.val(), 10);
@@ -209,6 +297,7 @@ function onXAxisChange () {
             currentSettings.type = 'line';
         }
     }
+    showChartTypeOptions();
     var xAxisTitle = $xAxisSelect.children('option:selected').text();
     $('#xAxisLabelInput').val(xAxisTitle);
     currentSettings.xaxisLabel = xAxisTitle;
@@ -229,16 +318,119 @@ function onDataSeriesChange () {
         }
         yAxisTitle = window.Messages.strYValues;
     }
+    showChartTypeOptions();
     $('#yAxisLabelInput').val(yAxisTitle);
     currentSettings.yaxisLabel = yAxisTitle;
 }
 
+/**
+ * Settings of the current chart, with the names of the columns instead of their positions
+ * so that they still apply when the columns of a bookmarked query are reordered
+ *
+ * @return {object}
+ */
+function getChartDefinition () {
+    var getName = function (index) {
+        return $('#chartXAxisSelect option[value="' + index + '"]').text();
+    };
+
+    return {
+        type: currentSettings.type,
+        xAxis: getName(currentSettings.mainAxis),
+        series: currentSettings.selectedSeries.map(getName),
+        seriesColumn: currentSettings.seriesColumn === null ? null : getName(currentSettings.seriesColumn),
+        valueColumn: currentSettings.seriesColumn === null ? null : getName(currentSettings.valueColumn),
+        title: currentSettings.title,
+        xaxisLabel: currentSettings.xaxisLabel,
+        yaxisLabel: currentSettings.yaxisLabel,
+        stackSeries: currentSettings.stackSeries,
+        percent: currentSettings.percent,
+        aggregate: currentSettings.aggregate,
+        dateBucket: currentSettings.dateBucket,
+        binCount: currentSettings.binCount
+    };
+}
+
+/**
+ * Restores the settings of a chart saved with a bookmark, ignoring the columns which no longer exist
+ *
+ * @param {object} definition
+ */
+function applyChartDefinition (definition) {
+    var getIndex = function (name) {
+        var $option = $('#chartXAxisSelect option').filter(function () {
+            return $(this).text() === name;
+        });
+        return $option.length > 0 ? $option.val() : null;
+    };
+
+    if (getIndex(definition.xAxis) !== null) {
+        $('#chartXAxisSelect').val(getIndex(definition.xAxis));
+    }
+    if (Array.isArray(definition.series)) {
+        $('#chartSeriesSelect').val(definition.series.map(getIndex));
+    }
+    onXAxisChange();
+    onDataSeriesChange();
+
+    var seriesColumn = getIndex(definition.seriesColumn);
+    var valueColumn = getIndex(definition.valueColumn);
+    if (seriesColumn !== null && valueColumn !== null) {
+        $('#seriesColumnCheckbox').prop('checked', true);
+        $('#chartSeriesColumnSelect').val(seriesColumn);
+        $('#chartValueColumnSelect').val(valueColumn);
+        onSeriesColumnChange();
+    }
+
+    var $typeRadio = $('input[name="chartType"]').filter(function () {
+        return $(this).val() === definition.type;
+    });
+    if ($typeRadio.length > 0 && ! $typeRadio.parent().hasClass('d-none')) {
+        $typeRadio.prop('checked', true);
+        currentSettings.type = definition.type;
+        showChartTypeOptions();
+    }
+    if (currentSettings.type === 'bar' || currentSettings.type === 'column' || currentSettings.type === 'area') {
+        currentSettings.stackSeries = definition.stackSeries === true;
+        currentSettings.percent = definition.percent === true;
+        $('#barStackedCheckbox').prop('checked', currentSettings.stackSeries);
+        $('#barPercentCheckbox').prop('checked', currentSettings.percent);
+    }
+
+    if ($('#chartAggregateSelect option[value="' + definition.aggregate + '"]').length > 0) {
+        currentSettings.aggregate = definition.aggregate;
+        $('#chartAggregateSelect').val(currentSettings.aggregate);
+        $('#chartDateBucketSelect').prop('disabled', currentSettings.aggregate === '');
+    }
+    if ($('#chartDateBucketSelect option[value="' + definition.dateBucket + '"]').length > 0) {
+        currentSettings.dateBucket = definition.dateBucket;
+        $('#chartDateBucketSelect').val(currentSettings.dateBucket);
+    }
+    if (definition.binCount > 0) {
+        currentSettings.binCount = parseInt(definition.binCount, 10);
+        $('#chartBinsInput').val(currentSettings.binCount);
+    }
+
+    $.each(['title', 'xaxisLabel', 'yaxisLabel'], function (index, setting) {
+        if (typeof definition[setting] === 'string') {
+            currentSettings[setting] = definition[setting];
+        }
+    });
+    $('#chartTitleInput').val(currentSettings.title);
+    $('#xAxisLabelInput').val(currentSettings.xaxisLabel);
+    $('#yAxisLabelInput').val(currentSettings.yaxisLabel);
+}
+
 /**
  * Unbind all event handlers before tearing down a page
  */
 window.AJAX.registerTeardown('table/chart.js', function () {
     $('input[name="chartType"]').off('click');
     $('#barStackedCheckbox').off('click');
+    $('#barPercentCheckbox').off('click');
+    $('#chartAggregateSelect').off('change');
+    $('#chartDateBucketSelect').off('change');
+    $('#chartBinsInput').off('change');
     $('#seriesColumnCheckbox').off('click');
     $('#chartTitleInput').off('focus').off('keyup').off('blur');
     $('#chartXAxisSelect').off('change');
@@ -249,6 +441,7 @@ window.AJAX.registerTeardown('table/chart.js', function () {
     $('#yAxisLabelInput').off('keyup');
     $('#resizer').off('resizestop');
     $('#tblchartform').off('submit');
+    $('#chartBookmarkForm').off('submit');
 });
 
 window.AJAX.registerOnload('table/chart.js', function () {
@@ -266,35 +459,14 @@ window.AJAX.registerOnload('table/chart.js', function () {
 
     // handle chart type changes
     $('input[name="chartType"]').on('click', function () {
-        var type = currentSettings.type = $(this).val();
-        if (type === 'bar' || type === 'column' || type === 'area') {
-            document.getElementById('barStacked').classList.remove('d-none');
-        } else {
-            $('#barStackedCheckbox').prop('checked', false);
-            $.extend(true, currentSettings, { stackSeries : false });
-            document.getElementById('barStacked').classList.add('d-none');
-        }
+        currentSettings.type = $(this).val();
+        showChartTypeOptions();
         drawChart();
     });
 
     // handle chosing alternative data format
     $('#seriesColumnCheckbox').on('click', function () {
-        var $seriesColumn = $('#chartSeriesColumnSelect');
-        var $valueColumn  = $('#chartValueColumnSelect');
-        var $chartSeries  = $('#chartSeriesSelect');
-        if ($(this).is(':checked')) {
-            $seriesColumn.prop('disabled', false);
-            $valueColumn.prop('disabled', false);
-            $chartSeries.prop('disabled', true);
-            currentSettings.seriesColumn = parseInt($seriesColumn.val(), 10);
-            currentSettings.valueColumn = parseInt($valueColumn.val(), 10);
-        } else {
-            $seriesColumn.prop('disabled', true);
-            $valueColumn.prop('disabled', true);
-            $chartSeries.prop('disabled', false);
-            currentSettings.seriesColumn = null;
-            currentSettings.valueColumn = null;
-        }
+        onSeriesColumnChange();
         drawChart();
     });
 
@@ -308,6 +480,32 @@ window.AJAX.registerOnload('table/chart.js', function () {
         drawChart();
     });
 
+    // handle drawing the values as percentages of the totals for bar, column and area charts
+    $('#barPercentCheckbox').on('click', function () {
+        currentSettings.percent = $(this).is(':checked');
+        drawChart();
+    });
+
+    // handle grouping the rows by the X-axis values
+    $('#chartAggregateSelect').on('change', function () {
+        currentSettings.aggregate = $(this).val();
+        $('#chartDateBucketSelect').prop('disabled', currentSettings.aggregate === '');
+        drawChart();
+    });
+
+    // handle grouping the dates of timeline charts
+    $('#chartDateBucketSelect').on('change', function () {
+        currentSettings.dateBucket = $(this).val();
+        drawChart();
+    });
+
+    // handle changing the number of bins of histograms
+    $('#chartBinsInput').on('change', function () {
+        var binCount = parseInt($(this).val(), 10);
+        currentSettings.binCount = binCount > 0 ? binCount : null;
+        drawChart();
+    });
+
     // handle changes in chart title
     $('#chartTitleInput')
         .on('focus', function () {
@@ -386,6 +584,28 @@ window.AJAX.registerOnload('table/chart.js', function () {
         return false;
     });
 
+    // bookmark the query with the settings of the chart
+    $('#chartBookmarkForm').on('submit', function (event) {
+        event.preventDefault();
+        if (Functions.emptyCheckTheField(this, 'bkm_fields[bkm_label]')) {
+            Functions.ajaxShowMessage(window.Messages.strFormEmpty, false);
+            return;
+        }
+
+        var sqlQuery = $('#tblchartform input[name="sql_query"]').val();
+        this.elements['bkm_fields[bkm_sql_query]'].value = ChartData.setDefinition(sqlQuery, getChartDefinition());
+
+        Functions.ajaxShowMessage();
+        var argsep = window.CommonParams.get('arg_separator');
+        $.post($(this).attr('action'), 'ajax_request=1' + argsep + $(this).serialize(), function (data) {
+            if (data.success) {
+                Functions.ajaxShowMessage(data.message);
+            } else {
+                Functions.ajaxShowMessage(data.error, false);
+            }
+        });
+    });
+
     // from jQuery UI
     $('#resizer').resizable({
         minHeight: 240,
@@ -402,6 +622,10 @@ window.AJAX.registerOnload('table/chart.js', function () {
         yaxisLabel : $('#yAxisLabelInput').val(),
         title : $('#chartTitleInput').val(),
         stackSeries : false,
+        percent : false,
+        aggregate : $('#chartAggregateSelect').val(),
+        dateBucket : $('#chartDateBucketSelect').val(),
+        binCount : null,
         mainAxis : parseInt($('#chartXAxisSelect').val(), 10),
         selectedSeries : getSelectedSeries(),
         seriesColumn : null
@@ -420,5 +644,10 @@ window.AJAX.registerOnload('table/chart.js', function () {
     onXAxisChange();
     onDataSeriesChange();
 
+    var definition = ChartData.getDefinition($('#tblchartform input[name="sql_query"]').val());
+    if (definition !== null) {
+        applyChartDefinition(definition);
+    }
+
     $('#tblchartform').trigger('submit');
 });
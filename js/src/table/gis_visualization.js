@@ -1,4 +1,5 @@
 import $ from 'jquery';
+import { GisExport } from '../modules/gis-export.js';
 
 /**
  * @fileoverview    functions used for visualizing GIS data
@@ -23,6 +24,8 @@ var scale = defaultScale;
 var gisSvg;
 /** @type {ol.Map|undefined} */
 var map;
+/** @type {Array<{attributes: object, geometries: object, edit_url: string}>} */
+var features = [];
 
 /**
  * Zooms and pans the visualization.
@@ -136,6 +139,88 @@ function initGISVisualization () {
     zoomAndPan();
 }
 
+/**
+ * @return {string[]} spatial columns of the shown layers
+ */
+function getShownLayers () {
+    var $layers = $('.jsGisLayer');
+    if ($layers.length === 0) {
+        return [$('#spatialColumn').val()];
+    }
+
+    return $layers.filter(':checked').map(function () {
+        return $(this).val();
+    }).get();
+}
+
+/**
+ * Shows or hides the layers of the visualizations and of the saved files as they are checked.
+ */
+function updateLayers () {
+    var shownLayers = getShownLayers();
+    $('g.gis-layer', gisSvg).each(function () {
+        $(this).attr('display', shownLayers.indexOf($(this).attr('data-layer')) === -1 ? 'none' : null);
+    });
+    if (typeof map === 'object') {
+        map.getLayers().forEach(function (layer) {
+            if (typeof layer.get('gisColumn') === 'string') {
+                layer.setVisible(shownLayers.indexOf(layer.get('gisColumn')) !== -1);
+            }
+        });
+    }
+
+    var otherLayers = $('.jsGisLayer').not(':disabled').filter(':checked').map(function () {
+        return $(this).val();
+    }).get();
+    var layersQuery = otherLayers.map(function (layer) {
+        return '&' + encodeURIComponent('visualizationSettings[layerColumns][]') + '=' + encodeURIComponent(layer);
+    }).join('');
+    $('.jsGisDownload').each(function () {
+        var href = $(this).attr('href').replace(/&visualizationSettings%5BlayerColumns%5D%5B[0-9]*%5D=[^&]*/g, '');
+        $(this).attr('href', href + layersQuery);
+    });
+}
+
+/**
+ * Shows the attributes of the row of a feature, with a link to edit the row.
+ *
+ * @param {number} row index of the row
+ */
+function showFeature (row) {
+    var feature = features[row];
+    if (typeof feature === 'undefined') {
+        return;
+    }
+
+    var $tbody = $('#gisFeatureInfo tbody').empty();
+    Object.keys(feature.attributes).forEach(function (column) {
+        var value = feature.attributes[column];
+        $('<tr>')
+            .append($('<th>').text(column))
+            .append(value === null ? $('<td>').append($('<em>').text('NULL')) : $('<td>').text(value))
+            .appendTo($tbody);
+    });
+    $('#gisFeatureEdit')
+        .attr('href', feature.edit_url || '#')
+        .toggleClass('d-none', ! feature.edit_url);
+    $('#gisFeatureInfo').removeClass('d-none');
+}
+
+/**
+ * @param {ol.MapBrowserEvent} event
+ */
+function onOpenLayersClick (event) {
+    var row = null;
+    map.forEachFeatureAtPixel(event.pixel, function (feature) {
+        row = feature.get('gisRow');
+
+        return true;
+    });
+    if (typeof row === 'number') {
+        showFeature(row);
+    }
+}
+
 function drawOpenLayerMap () {
     $('#placeholder').hide();
     $('#openlayersmap').show();
@@ -143,6 +228,10 @@ function drawOpenLayerMap () {
     if (typeof map !== 'object') {
         // Draws openStreetMap with openLayers
         map = drawOpenLayers();
+        if (typeof map === 'object') {
+            map.on('singleclick', onOpenLayersClick);
+            updateLayers();
+        }
     }
 }
 
@@ -184,6 +273,9 @@ function onGisMouseWheel (event) {
  * Zooming out on clicking the zoom out button.
  * Panning on clicking the arrow buttons.
  * Displaying tooltips for GIS objects.
+ * Displaying the attributes of the row of a GIS object on click.
+ * Showing or hiding the layers.
+ * Exporting the GIS objects as GeoJSON and KML.
  */
 
 /**
@@ -203,6 +295,10 @@ window.AJAX.registerTeardown('table/gis_visualization.js', function () {
     $(document).off('click', '#up_arrow');
     $(document).off('click', '#down_arrow');
     $('.vector').off('mousemove').off('mouseout');
+    $(document).off('click', '.vector');
+    $(document).off('click', '#gisFeatureInfoClose');
+    $(document).off('change', '.jsGisLayer');
+    $(document).off('click', '.jsGisExport');
     $('#placeholder').get(0).removeEventListener('wheel', onGisMouseWheel, { passive: false });
     if (map) {
         // Removes ol.Map's resize listener from window
@@ -217,6 +313,9 @@ window.AJAX.registerOnload('table/gis_visualization.js', function () {
         initGISVisualization();
     }
 
+    var featuresJson = $('#gisFeatures').text();
+    features = featuresJson === '' ? [] : JSON.parse(featuresJson);
+
     if ($('#choice').prop('checked') === true) {
         drawOpenLayerMap();
     }
@@ -358,4 +457,23 @@ window.AJAX.registerOnload('table/gis_visualization.js', function () {
     $('.vector').on('mouseout', function () {
         $('#tooltip').remove();
     });
+
+    $(document).on('click', '.vector', function () {
+        showFeature(Number($(this).closest('g.gis-feature').attr('data-row')));
+    });
+
+    $(document).on('click', '#gisFeatureInfoClose', function () {
+        $('#gisFeatureInfo').addClass('d-none');
+    });
+
+    $(document).on('change', '.jsGisLayer', updateLayers);
+
+    $(document).on('click', '.jsGisExport', function () {
+        var layers = getShownLayers();
+        var content = $(this).attr('data-format') === 'kml'
+            ? GisExport.toKml(features, layers, $('#labelColumn').val())
+            : GisExport.toGeoJson(features, layers);
+        var type = $(this).attr('data-format') === 'kml' ? 'application/vnd.google-earth.kml+xml' : 'application/geo+json';
+        $(this).attr('href', 'data:' + type + ';charset=utf-8,' + encodeURIComponent(content));
+    });
 });
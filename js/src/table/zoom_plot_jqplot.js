@@ -1,4 +1,5 @@
 import $ from 'jquery';
+import { ZoomSearch } from '../modules/zoom-search.js';
 
 // TODO: change the axis
 /**
@@ -114,7 +115,10 @@ window.AJAX.registerTeardown('table/zoom_plot_jqplot.js', function () {
     $(document).off('keydown', '#dataDisplay :input');
     $('button.button-reset').off('click');
     $('div#resizer').off('resizestop');
-    $('div#querychart').off('jqplotDataClick');
+    $('div#querychart').off('jqplotDataClick jqplotMouseDown jqplotPostReplot');
+    $(document).off('.zoomBrush');
+    $('input[name="zoomBrushMode"]').off('change');
+    $('#zoomBulkUpdate, #zoomBulkDelete, #zoomBulkExecute, #zoomSelectionClear').off('click');
 });
 
 window.AJAX.registerOnload('table/zoom_plot_jqplot.js', function () {
@@ -286,8 +290,7 @@ window.AJAX.registerOnload('table/zoom_plot_jqplot.js', function () {
         var newValues = {};// Stores the values changed from original
         var sqlTypes = {};
         var it = 0;
-        var xChange = false;
-        var yChange = false;
+        var plotChange = false;
         var key;
         var tempGetVal = function () {
             return $(this).val();
@@ -301,12 +304,10 @@ window.AJAX.registerOnload('table/zoom_plot_jqplot.js', function () {
             if (oldVal !== newVal) {
                 selectedRow[key] = newVal;
                 newValues[key] = newVal;
-                if (key === xLabel) {
-                    xChange = true;
-                    searchedData[searchedDataKey][xLabel] = newVal;
-                } else if (key === yLabel) {
-                    yChange = true;
-                    searchedData[searchedDataKey][yLabel] = newVal;
+                // the plotted columns: the axes, the label and the mapped column
+                if (typeof searchedData[searchedDataKey][key] !== 'undefined') {
+                    plotChange = true;
+                    searchedData[searchedDataKey][key] = newVal;
                 }
             }
             var $input = $('#edit_fieldID_' + it);
@@ -319,41 +320,8 @@ window.AJAX.registerOnload('table/zoom_plot_jqplot.js', function () {
         } // End data update
 
         // Update the chart series and replot
-        if (xChange || yChange) {
-            // Logic similar to plot generation, replot only if xAxis changes or yAxis changes.
-            // Code includes a lot of checks so as to replot only when necessary
-            if (xChange) {
-                xCord[searchedDataKey] = selectedRow[xLabel];
-                // [searchedDataKey][0] contains the x value
-                if (xType === 'numeric') {
-                    series[0][searchedDataKey][0] = selectedRow[xLabel];
-                } else if (xType === 'time') {
-                    series[0][searchedDataKey][0] =
-                        getTimeStamp(selectedRow[xLabel], $('#types_0').val());
-                } else {
-                    series[0][searchedDataKey][0] = '';
-                    // TODO: text values
-                }
-                currentChart.series[0].data = series[0];
-                // TODO: axis changing
-                currentChart.replot();
-            }
-            if (yChange) {
-                yCord[searchedDataKey] = selectedRow[yLabel];
-                // [searchedDataKey][1] contains the y value
-                if (yType === 'numeric') {
-                    series[0][searchedDataKey][1] = selectedRow[yLabel];
-                } else if (yType === 'time') {
-                    series[0][searchedDataKey][1] =
-                        getTimeStamp(selectedRow[yLabel], $('#types_1').val());
-                } else {
-                    series[0][searchedDataKey][1] = '';
-                    // TODO: text values
-                }
-                currentChart.series[0].data = series[0];
-                // TODO: axis changing
-                currentChart.replot();
-            }
+        if (plotChange) {
+            drawPlot();
         } // End plot update
 
         // Generate SQL query for update
@@ -442,18 +410,29 @@ window.AJAX.registerOnload('table/zoom_plot_jqplot.js', function () {
             .text(window.Messages.strShowSearchCriteria);
         $('#togglesearchformdiv').show();
         var selectedRow;
-        var series = [];
-        var xCord = [];
-        var yCord = [];
-        var xVal;
-        var yVal;
         var format;
+        var originalXType = $('#types_0').val();
+        var originalYType = $('#types_1').val();
+        // column whose values are mapped to the color or the size of the points
+        var dataMapColumn = $('#dataMapColumn').val();
+        var dataMapping = $('#dataMapping').val();
+        // keys in searchedData of the selected points
+        var selectedKeys = [];
+        // 'rectangle' or 'lasso' when dragging the mouse selects points instead of zooming
+        var brushMode = '';
+        // corners of the rectangle or of the lasso being drawn
+        var brush = null;
+        var hasBrushed = false;
+        // labels of the series of the current plot
+        var seriesLabels = null;
+        // query and success callback of the bulk edit being previewed
+        var bulkAction = null;
 
         var options = {
-            series: [
+            seriesDefaults: {
                 // for a scatter plot
-                { showLine: false }
-            ],
+                showLine: false
+            },
             grid: {
                 drawBorder: false,
                 shadow: false,
@@ -480,6 +459,11 @@ window.AJAX.registerOnload('table/zoom_plot_jqplot.js', function () {
                 show: true,
                 zoom: true,
                 showTooltip: false
+            },
+            legend: {
+                show: dataMapColumn !== '',
+                location: 'e',
+                placement: 'outsideGrid'
             }
         };
 
@@ -492,11 +476,7 @@ window.AJAX.registerOnload('table/zoom_plot_jqplot.js', function () {
         xType = getType(xType);
         yType = getType(yType);
 
-        // could have multiple series but we'll have just one
-        series[0] = [];
-
         if (xType === 'time') {
-            var originalXType = $('#types_0').val();
             if (originalXType === 'date') {
                 format = '%Y-%m-%d';
             }
@@ -514,7 +494,6 @@ window.AJAX.registerOnload('table/zoom_plot_jqplot.js', function () {
             });
         }
         if (yType === 'time') {
-            var originalYType = $('#types_1').val();
             if (originalYType === 'date') {
                 format = '%Y-%m-%d';
             }
@@ -526,7 +505,14 @@ window.AJAX.registerOnload('table/zoom_plot_jqplot.js', function () {
             });
         }
 
-        $.each(searchedData, function (key, value) {
+        /**
+         * @param {number} key key from searchedData
+         * @return {Array} the point of a row, its extra values used by the highlighter and on click
+         */
+        var getPoint = function (key) {
+            var value = searchedData[key];
+            var xVal;
+            var yVal;
             if (xType === 'numeric') {
                 xVal = parseFloat(value[xLabel]);
             }
@@ -539,7 +525,8 @@ window.AJAX.registerOnload('table/zoom_plot_jqplot.js', function () {
             if (yType === 'time') {
                 yVal = getTimeStamp(value[yLabel], originalYType);
             }
-            series[0].push([
+
+            return [
                 xVal,
                 yVal,
                 // extra Y values
@@ -548,14 +535,244 @@ window.AJAX.registerOnload('table/zoom_plot_jqplot.js', function () {
                 value.where_clause, // for click on point
                 key,               // key from searchedData
                 value.where_clause_sign
-            ]);
-        });
+            ];
+        };
+
+        /**
+         * @param {object|null} classes classes of the mapped column, see ZoomSearch.getClasses()
+         * @param {number} index index of the class
+         * @return {object} options of the series of the points of a class
+         */
+        var getSeriesOptions = function (classes, index) {
+            if (classes === null) {
+                return {};
+            }
+
+            var seriesOptions = { label: classes.labels[index], markerOptions: {} };
+            if (dataMapping === 'size') {
+                seriesOptions.color = $.jqplot.config.defaultColors[0];
+                seriesOptions.markerOptions.size = ZoomSearch.getMarkerSize(index, classes.labels.length);
+            } else if (index < classes.rangeCount) {
+                seriesOptions.color = ZoomSearch.getMarkerColor(index, classes.rangeCount);
+            } else if (classes.rangeCount > 0) {
+                // NULL values of a numeric column
+                seriesOptions.color = '#999';
+            }
+
+            return seriesOptions;
+        };
+
+        /**
+         * One series by class of the mapped column, followed by the series
+         * highlighting the selected points
+         *
+         * @return {object}
+         */
+        var getPlotData = function () {
+            var keys = [];
+            $.each(searchedData, function (key, value) {
+                if (value !== null) {
+                    keys.push(key);
+                }
+            });
+            var classes = dataMapColumn === '' ? null : ZoomSearch.getClasses(keys.map(function (key) {
+                return searchedData[key][dataMapColumn];
+            }));
+            var labels = classes === null ? [''] : classes.labels;
+            var series = labels.map(function () {
+                return [];
+            });
+            keys.forEach(function (key) {
+                series[classes === null ? 0 : classes.getClass(searchedData[key][dataMapColumn])].push(getPoint(key));
+            });
+
+            return {
+                labels: labels,
+                series: series.concat([selectedKeys.map(getPoint)]),
+                options: labels.map(function (label, index) {
+                    return getSeriesOptions(classes, index);
+                }).concat([{
+                    showLabel: false,
+                    markerOptions: { style: 'circle', size: ZoomSearch.maxMarkerSize + 4, color: '#d00' }
+                }])
+            };
+        };
+
+        /**
+         * Adds the canvas the brushes are drawn on, over the grid of the plot,
+         * and selects the action of the mouse
+         */
+        var initBrush = function () {
+            // eslint-disable-next-line no-underscore-dangle
+            var $eventCanvas = currentChart.eventCanvas._elem;
+            $('div#querychart').find('.jqplot-brush-canvas').remove();
+            var $brushCanvas = $('<canvas class="jqplot-brush-canvas"></canvas>')
+                .css({ position: 'absolute', left: $eventCanvas.css('left'), top: $eventCanvas.css('top') })
+                .insertBefore($eventCanvas);
+            $brushCanvas[0].width = $eventCanvas[0].width;
+            $brushCanvas[0].height = $eventCanvas[0].height;
+            currentChart.plugins.cursor.zoom = brushMode === '';
+        };
+
+        /**
+         * Draws the plot again after a change of the data or of the selection,
+         * keeping the zoom when the series are the same
+         */
+        var drawPlot = function () {
+            var plotData = getPlotData();
+            if (plotData.series[0].length === 0) {
+                // every point was deleted
+                if (currentChart !== null) {
+                    currentChart.destroy();
+                    currentChart = null;
+                }
+
+                return;
+            }
+
+            if (currentChart !== null && seriesLabels !== null && seriesLabels.join('\n') === plotData.labels.join('\n')) {
+                plotData.series.forEach(function (data, index) {
+                    currentChart.series[index].data = data;
+                });
+                currentChart.replot();
+
+                return;
+            }
+
+            if (currentChart !== null) {
+                currentChart.destroy();
+            }
+            seriesLabels = plotData.labels;
+            // under IE 8, the initial display is mangled; after a manual
+            // resizing, it's ok
+            // under IE 9, everything is fine
+            currentChart = $.jqplot('querychart', plotData.series, $.extend(true, {}, options, { series: plotData.options }));
+            currentChart.resetZoom();
+            initBrush();
+        };
+
+        /**
+         * @param {Event} event
+         * @return {object} position of the mouse on the grid of the plot
+         */
+        var getGridPosition = function (event) {
+            // eslint-disable-next-line no-underscore-dangle
+            var offset = currentChart.eventCanvas._elem.offset();
+
+            return { x: event.pageX - offset.left, y: event.pageY - offset.top };
+        };
 
-        // under IE 8, the initial display is mangled; after a manual
-        // resizing, it's ok
-        // under IE 9, everything is fine
-        currentChart = $.jqplot('querychart', series, options);
-        currentChart.resetZoom();
+        var drawBrush = function () {
+            var context = $('div#querychart').find('.jqplot-brush-canvas')[0].getContext('2d');
+            context.clearRect(0, 0, context.canvas.width, context.canvas.height);
+            if (brush === null) {
+                return;
+            }
+
+            context.beginPath();
+            if (brushMode === 'rectangle') {
+                context.rect(brush[0].x, brush[0].y, brush[1].x - brush[0].x, brush[1].y - brush[0].y);
+            } else {
+                brush.forEach(function (corner, index) {
+                    if (index === 0) {
+                        context.moveTo(corner.x, corner.y);
+                    } else {
+                        context.lineTo(corner.x, corner.y);
+                    }
+                });
+                context.closePath();
+            }
+            context.fillStyle = 'rgba(35, 90, 129, 0.15)';
+            context.strokeStyle = '#235a81';
+            context.fill();
+            context.stroke();
+        };
+
+        /**
+         * @return {number[]} keys from searchedData of the points inside the brush
+         */
+        var getBrushedKeys = function () {
+            var keys = [];
+            // the last series highlights the selected points
+            currentChart.series.slice(0, -1).forEach(function (series) {
+                series.gridData.forEach(function (position, index) {
+                    var point = { x: position[0], y: position[1] };
+                    var isInside = brushMode === 'rectangle'
+                        ? ZoomSearch.isInRectangle(point, brush[0], brush[1])
+                        : ZoomSearch.isInPolygon(point, brush);
+                    if (isInside) {
+                        keys.push(series.data[index][4]);
+                    }
+                });
+            });
+
+            return keys;
+        };
+
+        /**
+         * @return {string[]} unique conditions of the selected rows
+         */
+        var getSelectedWhereClauses = function () {
+            return selectedKeys.map(function (key) {
+                return searchedData[key].where_clause;
+            });
+        };
+
+        /**
+         * Displays the selected rows in a results grid below the plot
+         */
+        var loadSelectionResults = function () {
+            var $results = $('#zoomSelectionResults');
+            $.post('index.php?route=/sql', {
+                'server' : window.CommonParams.get('server'),
+                'db' : window.CommonParams.get('db'),
+                'table' : window.CommonParams.get('table'),
+                'ajax_request' : true,
+                'sql_query' : ZoomSearch.getSelectQuery(window.CommonParams.get('table'), getSelectedWhereClauses())
+            }, function (data) {
+                if (typeof data !== 'undefined' && data.success === true) {
+                    $results.html(data.message);
+                    Functions.highlightSql($results);
+                    $results.find('.sqlqueryresults').trigger('makegrid');
+                } else {
+                    $results.html(data.error);
+                }
+            });
+        };
+
+        /**
+         * @param {number[]} keys keys from searchedData of the points to select
+         */
+        var setSelection = function (keys) {
+            selectedKeys = keys.filter(function (key, index) {
+                return keys.indexOf(key) === index && searchedData[key] !== null;
+            });
+            drawPlot();
+            if (selectedKeys.length === 0) {
+                $('#zoomSelection').addClass('d-none');
+                $('#zoomSelectionResults').empty();
+
+                return;
+            }
+
+            $('#zoomSelectionCount').text(Functions.sprintf(window.Messages.strSelectedPoints, selectedKeys.length));
+            $('#zoomSelection').removeClass('d-none');
+            loadSelectionResults();
+        };
+
+        /**
+         * Previews the query of a bulk edit of the selected rows before executing it
+         *
+         * @param {string} query
+         * @param {Function} onSuccess
+         */
+        var previewBulkAction = function (query, onSuccess) {
+            bulkAction = { query: query, onSuccess: onSuccess };
+            $('#zoomBulkQuery').text(query);
+            $('#zoomBulkModal').modal('show');
+        };
+
+        drawPlot();
 
         $('button.button-reset').on('click', function (event) {
             event.preventDefault();
@@ -570,8 +787,104 @@ window.AJAX.registerOnload('table/zoom_plot_jqplot.js', function () {
             currentChart.replot({ resetAxes: true });
         });
 
+        // replotting removes the brush canvas and initializes the cursor again
+        $('div#querychart').on('jqplotPostReplot', function () {
+            initBrush();
+        });
+
+        $('input[name="zoomBrushMode"]').on('change', function () {
+            brushMode = $('input[name="zoomBrushMode"]:checked').val();
+            if (currentChart !== null) {
+                currentChart.plugins.cursor.zoom = brushMode === '';
+            }
+        });
+
+        $('div#querychart').on('jqplotMouseDown', function (event, gridpos) {
+            if (brushMode === '') {
+                return;
+            }
+
+            brush = brushMode === 'rectangle' ? [gridpos, gridpos] : [gridpos];
+            $(document).on('mousemove.zoomBrush', function (moveEvent) {
+                var position = getGridPosition(moveEvent);
+                if (brushMode === 'rectangle') {
+                    brush[1] = position;
+                } else {
+                    brush.push(position);
+                }
+                drawBrush();
+            });
+            $(document).one('mouseup.zoomBrush', function (upEvent) {
+                $(document).off('mousemove.zoomBrush');
+                // a click without dragging still shows the point
+                hasBrushed = brushMode === 'rectangle'
+                    ? Math.abs(brush[1].x - brush[0].x) > 2 || Math.abs(brush[1].y - brush[0].y) > 2
+                    : brush.length > 2;
+                var keys = hasBrushed ? getBrushedKeys() : [];
+                brush = null;
+                drawBrush();
+                if (hasBrushed) {
+                    setSelection(upEvent.shiftKey ? selectedKeys.concat(keys) : keys);
+                    setTimeout(function () {
+                        hasBrushed = false;
+                    }, 0);
+                }
+            });
+        });
+
+        $('#zoomSelectionClear').on('click', function () {
+            setSelection([]);
+        });
+
+        $('#zoomBulkUpdate').on('click', function () {
+            var column = $('#zoomBulkColumn').val();
+            var value = $('#zoomBulkNull').is(':checked') ? null : $('#zoomBulkValue').val();
+            var values = {};
+            values[column] = value;
+            previewBulkAction(
+                ZoomSearch.getUpdateQuery(window.CommonParams.get('table'), values, getSelectedWhereClauses()),
+                function () {
+                    // The unique conditions of the rows may include the updated column, they are built again
+                    $('#inputFormSubmitId').trigger('click');
+                }
+            );
+        });
+
+        $('#zoomBulkDelete').on('click', function () {
+            previewBulkAction(
+                ZoomSearch.getDeleteQuery(window.CommonParams.get('table'), getSelectedWhereClauses()),
+                function () {
+                    selectedKeys.forEach(function (key) {
+                        searchedData[key] = null;
+                    });
+                    setSelection([]);
+                }
+            );
+        });
+
+        $('#zoomBulkExecute').on('click', function () {
+            var action = bulkAction;
+            $.post('index.php?route=/sql', {
+                'server' : window.CommonParams.get('server'),
+                'db' : window.CommonParams.get('db'),
+                'ajax_request' : true,
+                'sql_query' : action.query
+            }, function (data) {
+                if (typeof data !== 'undefined' && data.success === true) {
+                    $('#sqlqueryresultsouter').html(data.sql_query);
+                    Functions.highlightSql($('#sqlqueryresultsouter'));
+                    action.onSuccess();
+                } else {
+                    Functions.ajaxShowMessage(data.error, false);
+                }
+            });
+        });
+
         $('div#querychart').on('jqplotDataClick',
             function (event, seriesIndex, pointIndex, data) {
+                if (hasBrushed) {
+                    return;
+                }
                 searchedDataKey = data[4]; // key from searchedData (global)
                 var fieldId = 0;
                 var postParams = {
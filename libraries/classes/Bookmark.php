@@ -12,6 +12,7 @@
 use PhpMyAdmin\Dbal\DatabaseName;
 
 use function count;
+use function preg_match;
 use function preg_match_all;
 use function preg_replace;
 use function str_replace;
@@ -158,6 +159,15 @@ public function getVariableCount(): int
         return count($matches);
     }
 
+    /**
+     * Returns whether the query was bookmarked from the chart page with the settings
+     * of the chart, which are kept in a comment at the end of the query
+     */
+    public function hasChart(): bool
+    {
+        return preg_match('@/\* phpMyAdmin chart \{.*\} \*/\s*$@', $this->query) === 1;
+    }
+
     /**
      * Replace the placeholders in the bookmark query with variables
      *
@@ -114,6 +114,10 @@ private static function getDescriptions(): array
                 . 'columns; [kbd]input[/kbd] - allows limiting of input length, '
                 . '[kbd]textarea[/kbd] - allows newlines in columns.'
             ),
+            'ChunkedUploadMaxSize_desc' => __(
+                'Maximum size in bytes of the import files uploaded in several parts, '
+                . '[kbd]0[/kbd] for no limit.'
+            ),
             'CodemirrorEnable_desc' => __(
                 'Use user-friendly editor for editing SQL queries '
                 . '(CodeMirror) with syntax highlighting and '
@@ -227,6 +231,10 @@ private static function getDescriptions(): array
             'Form_Server_auth_desc' => __('Authentication settings.'),
             'Form_Server_desc' => __('Enter server connection parameters.'),
             'Form_Sql_box_desc' => __('Customize links shown in SQL Query boxes.'),
+            'Form_Sql_formatter_desc' => __('Customize how the SQL editors format queries.'),
+            'Form_Sql_lint_desc' => __(
+                'Choose which rules the linter of the SQL editors checks in addition to the syntax, and their severity.'
+            ),
             'Form_Sql_desc' => __('Customize default options.'),
             'Form_Sql_queries_desc' => __('SQL queries settings.'),
             'Form_Startup_desc' => __('Customize startup page.'),
@@ -379,6 +387,10 @@ private static function getDescriptions(): array
             'Servers_export_templates_desc' => __(
                 'Leave blank for no export template support, suggested: [kbd]pma__export_templates[/kbd].'
             ),
+            'Servers_monitor_dashboards_desc' => __(
+                'Leave blank for no server monitor dashboards support, suggested: '
+                . '[kbd]pma__monitor_dashboards[/kbd].'
+            ),
             'Servers_central_columns_desc' => __(
                 'Leave blank for no central columns support, suggested: [kbd]pma__central_columns[/kbd].'
             ),
@@ -505,6 +517,27 @@ private static function getDescriptions(): array
             'SkipLockedTables_desc' => __(
                 'Mark used tables and make it possible to show databases with locked tables.'
             ),
+            'SqlFormatter_KeywordCase_desc' => __('Case of the SQL keywords in formatted queries.'),
+            'SqlFormatter_IndentWidth_desc' => __('Number of spaces used for each indentation level.'),
+            'SqlFormatter_CommaPosition_desc' => __(
+                'Whether the commas of a list are placed at the end of a line or at the start of the next one.'
+            ),
+            'SqlFormatter_BreakJoins_desc' => __('Put each JOIN on its own line.'),
+            'SqlFormatter_BreakConditions_desc' => __(
+                'Put each AND/OR condition of WHERE, HAVING and ON clauses on its own line.'
+            ),
+            'SqlFormatter_BreakCase_desc' => __('Put each WHEN, ELSE and END of CASE expressions on its own line.'),
+            'SqlLint_NoWhere_desc' => __('UPDATE and DELETE statements without a WHERE clause change every row.'),
+            'SqlLint_SelectStar_desc' => __(
+                'SELECT * in the queries saved as bookmarks or views, whose columns change with the tables.'
+            ),
+            'SqlLint_ImplicitCrossJoin_desc' => __(
+                'Tables separated by commas in the FROM clause, which are joined without a visible condition.'
+            ),
+            'SqlLint_NullComparison_desc' => __(
+                'Comparisons to NULL with =, != or <>, which are never true; IS NULL should be used.'
+            ),
+            'SqlLint_LeadingWildcard_desc' => __('LIKE patterns starting with a wildcard, which can not use an index.'),
             'SuhosinDisableWarning_desc' => __(
                 'Disable the default warning that is displayed on the main page if Suhosin is detected.'
             ),
@@ -629,6 +662,7 @@ private static function getNames(): array
             'MaxSizeForInputField_name' => __('Maximum size for input field'),
             'CharTextareaCols_name' => __('CHAR textarea columns'),
             'CharTextareaRows_name' => __('CHAR textarea rows'),
+            'ChunkedUploadMaxSize_name' => __('Maximum size of the uploads in chunks'),
             'CheckConfigurationPermissions_name' => __('Check config file permissions'),
             'CompressOnFly_name' => __('Compress on the fly'),
             'Confirm_name' => __('Confirm DROP queries'),
@@ -774,6 +808,8 @@ private static function getNames(): array
             'Form_Server_tracking_name' => __('Changes tracking'),
             'Form_Sql_name' => __('SQL'),
             'Form_Sql_box_name' => __('SQL Query box'),
+            'Form_Sql_formatter_name' => __('SQL formatter'),
+            'Form_Sql_lint_name' => __('SQL linter'),
             'Form_Sql_queries_name' => __('SQL queries'),
             'Form_Startup_name' => __('Startup'),
             'Form_DbStructure_name' => __('Database structure'),
@@ -791,6 +827,7 @@ private static function getNames(): array
             'Import_allow_interrupt_name' => __('Partial import: allow interrupt'),
             'Import_charset_name' => __('Character set of the file'),
             'Import_csv_col_names_name' => __('Lines terminated with'),
+            'Import_csv_empty_is_null_name' => __('Import empty values as NULL'),
             'Import_csv_enclosed_name' => __('Columns enclosed with'),
             'Import_csv_escaped_name' => __('Columns escaped with'),
             'Import_csv_ignore_name' => __('Do not abort on INSERT error'),
@@ -898,6 +935,7 @@ private static function getNames(): array
             'Servers_MaxTableUiprefs_name' => __('Maximal number of table preferences to store'),
             'Servers_savedsearches_name' => __('QBE saved searches table'),
             'Servers_export_templates_name' => __('Export templates table'),
+            'Servers_monitor_dashboards_name' => __('Server monitor dashboards table'),
             'Servers_central_columns_name' => __('Central columns table'),
             'Servers_only_db_name' => __('Show only listed databases'),
             'Servers_password_name' => __('Password for config auth'),
@@ -947,6 +985,17 @@ private static function getNames(): array
             'SQLQuery_Explain_name' => __('Explain SQL'),
             'SQLQuery_Refresh_name' => __('Refresh'),
             'SQLQuery_ShowAsPHP_name' => __('Create PHP code'),
+            'SqlFormatter_KeywordCase_name' => __('Keyword case'),
+            'SqlFormatter_IndentWidth_name' => __('Indentation width'),
+            'SqlFormatter_CommaPosition_name' => __('Comma position'),
+            'SqlFormatter_BreakJoins_name' => __('Line break before JOIN'),
+            'SqlFormatter_BreakConditions_name' => __('Line break before AND/OR'),
+            'SqlFormatter_BreakCase_name' => __('Line breaks in CASE'),
+            'SqlLint_NoWhere_name' => __('UPDATE or DELETE without WHERE'),
+            'SqlLint_SelectStar_name' => __('SELECT * in saved queries'),
+            'SqlLint_ImplicitCrossJoin_name' => __('Implicit cross join'),
+            'SqlLint_NullComparison_name' => __('Comparison to NULL'),
+            'SqlLint_LeadingWildcard_name' => __('Leading wildcard in LIKE'),
             'SuhosinDisableWarning_name' => __('Suhosin warning'),
             'LoginCookieValidityDisableWarning_name' => __('Login cookie validity warning'),
             'TextareaCols_name' => __('Textarea columns'),
@@ -30,6 +30,7 @@ public static function getForms()
         $result['Import_export'] = [
             'UploadDir',
             'SaveDir',
+            'ChunkedUploadMaxSize',
             'RecodingEngine' => ':group',
             'IconvExtraParams',
             ':group:end',
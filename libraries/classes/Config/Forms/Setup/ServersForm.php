@@ -91,6 +91,7 @@ public static function getForms()
                         'central_columns' => 'pma__central_columns',
                         'designer_settings' => 'pma__designer_settings',
                         'export_templates' => 'pma__export_templates',
+                        'monitor_dashboards' => 'pma__monitor_dashboards',
                         'MaxTableUiprefs' => 100,
                     ],
                 ],
@@ -39,6 +39,7 @@ public static function getForms()
                 'Import/csv_enclosed',
                 'Import/csv_escaped',
                 'Import/csv_col_names',
+                'Import/csv_empty_is_null',
                 ':group:end',
                 ':group:' . __('CSV using LOAD DATA'),
                 'Import/ldi_replace',
@@ -37,6 +37,21 @@ public static function getForms()
                 'SQLQuery/ShowAsPHP',
                 'SQLQuery/Refresh',
             ],
+            'Sql_formatter' => [
+                'SqlFormatter/KeywordCase',
+                'SqlFormatter/IndentWidth',
+                'SqlFormatter/CommaPosition',
+                'SqlFormatter/BreakJoins',
+                'SqlFormatter/BreakConditions',
+                'SqlFormatter/BreakCase',
+            ],
+            'Sql_lint' => [
+                'SqlLint/NoWhere',
+                'SqlLint/SelectStar',
+                'SqlLint/ImplicitCrossJoin',
+                'SqlLint/NullComparison',
+                'SqlLint/LeadingWildcard',
+            ],
         ];
     }
 
@@ -10,6 +10,8 @@
 use PhpMyAdmin\Config\Settings\Import;
 use PhpMyAdmin\Config\Settings\Schema;
 use PhpMyAdmin\Config\Settings\Server;
+use PhpMyAdmin\Config\Settings\SqlFormatter;
+use PhpMyAdmin\Config\Settings\SqlLint;
 use PhpMyAdmin\Config\Settings\SqlQueryBox;
 use PhpMyAdmin\Config\Settings\Transformations;
 
@@ -1376,6 +1378,22 @@ final class Settings
      */
     public $SQLQuery;
 
+    /**
+     * SQL formatter settings
+     * These are used by the "Format" action of the SQL editors
+     *
+     * @var SqlFormatter
+     */
+    public $SqlFormatter;
+
+    /**
+     * Severities of the rules of the SQL linter
+     * These rules run in the browser alongside the parser of the server
+     *
+     * @var SqlLint
+     */
+    public $SqlLint;
+
     /**
      * Enables autoComplete for table & column names in SQL queries
      *
@@ -1408,6 +1426,14 @@ final class Settings
      */
     public $TempDir;
 
+    /**
+     * Maximum size in bytes of the import files uploaded in chunks (0 for no limit)
+     *
+     * @var int
+     * @psalm-var 0|positive-int
+     */
+    public $ChunkedUploadMaxSize;
+
     /**
      * Is GD >= 2 available? Set to yes/no/auto. 'auto' does auto-detection,
      * which is the only safe way to determine GD version.
@@ -1744,10 +1770,13 @@ public function __construct(array $settings)
         $this->DefaultQueryTable = $this->setDefaultQueryTable($settings);
         $this->DefaultQueryDatabase = $this->setDefaultQueryDatabase($settings);
         $this->SQLQuery = $this->setSQLQuery($settings);
+        $this->SqlFormatter = $this->setSqlFormatter($settings);
+        $this->SqlLint = $this->setSqlLint($settings);
         $this->EnableAutocompleteForTablesAndColumns = $this->setEnableAutocompleteForTablesAndColumns($settings);
         $this->UploadDir = $this->setUploadDir($settings);
         $this->SaveDir = $this->setSaveDir($settings);
         $this->TempDir = $this->setTempDir($settings);
+        $this->ChunkedUploadMaxSize = $this->setChunkedUploadMaxSize($settings);
         $this->GD2Available = $this->setGD2Available($settings);
         $this->TrustedProxies = $this->setTrustedProxies($settings);
         $this->CheckConfigurationPermissions = $this->setCheckConfigurationPermissions($settings);
@@ -1778,6 +1807,8 @@ public function toArray(): array
         $settings['Console'] = get_object_vars($this->Console);
         $settings['DBG'] = get_object_vars($this->DBG);
         $settings['SQLQuery'] = get_object_vars($this->SQLQuery);
+        $settings['SqlFormatter'] = get_object_vars($this->SqlFormatter);
+        $settings['SqlLint'] = get_object_vars($this->SqlLint);
         $settings['Export'] = get_object_vars($this->Export);
         $settings['Import'] = get_object_vars($this->Import);
         $settings['Schema'] = get_object_vars($this->Schema);
@@ -4241,6 +4272,30 @@ private function setSQLQuery(array $settings): SqlQueryBox
         return new SqlQueryBox();
     }
 
+    /**
+     * @param array<int|string, mixed> $settings
+     */
+    private function setSqlFormatter(array $settings): SqlFormatter
+    {
+        if (isset($settings['SqlFormatter']) && is_array($settings['SqlFormatter'])) {
+            return new SqlFormatter($settings['SqlFormatter']);
+        }
+
+        return new SqlFormatter();
+    }
+
+    /**
+     * @param array<int|string, mixed> $settings
+     */
+    private function setSqlLint(array $settings): SqlLint
+    {
+        if (isset($settings['SqlLint']) && is_array($settings['SqlLint'])) {
+            return new SqlLint($settings['SqlLint']);
+        }
+
+        return new SqlLint();
+    }
+
     /**
      * @param array<int|string, mixed> $settings
      */
@@ -4294,6 +4349,22 @@ private function setTempDir(array $settings): string
         return (string) $settings['TempDir'];
     }
 
+    /**
+     * @param array<int|string, mixed> $settings
+     *
+     * @psalm-return 0|positive-int
+     */
+    private function setChunkedUploadMaxSize(array $settings): int
+    {
+        if (! isset($settings['ChunkedUploadMaxSize'])) {
+            return 1073741824;
+        }
+
+        $chunkedUploadMaxSize = (int) $settings['ChunkedUploadMaxSize'];
+
+        return $chunkedUploadMaxSize >= 0 ? $chunkedUploadMaxSize : 1073741824;
+    }
+
     /**
      * @param array<int|string, mixed> $settings
      *
@@ -4,7 +4,9 @@
 
 namespace PhpMyAdmin\Config\Settings;
 
+use function array_values;
 use function in_array;
+use function is_array;
 
 // phpcs:disable Squiz.NamingConventions.ValidVariableName.MemberNotCamelCaps
 
@@ -55,6 +57,13 @@ final class Console
      */
     public $Order;
 
+    /**
+     * Console tabs, with their database, query and history
+     *
+     * @var array<int, array<string, mixed>>
+     */
+    public $Tabs;
+
     /**
      * @param mixed[] $console
      */
@@ -70,6 +79,7 @@ public function __construct(array $console = [])
         $this->GroupQueries = $this->setGroupQueries($console);
         $this->OrderBy = $this->setOrderBy($console);
         $this->Order = $this->setOrder($console);
+        $this->Tabs = $this->setTabs($console);
     }
 
     /**
@@ -202,4 +212,28 @@ private function setOrder(array $console): string
 
         return 'asc';
     }
+
+    /**
+     * @param mixed[] $console
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    private function setTabs(array $console): array
+    {
+        if (! isset($console['Tabs']) || ! is_array($console['Tabs'])) {
+            return [];
+        }
+
+        $tabs = [];
+        /** @psalm-suppress MixedAssignment */
+        foreach ($console['Tabs'] as $tab) {
+            if (! is_array($tab)) {
+                continue;
+            }
+
+            $tabs[] = $tab;
+        }
+
+        return array_values($tabs);
+    }
 }
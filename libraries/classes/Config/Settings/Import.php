@@ -71,6 +71,9 @@ final class Import
     /** @var bool */
     public $csv_col_names;
 
+    /** @var bool */
+    public $csv_empty_is_null;
+
     /** @var bool */
     public $ldi_replace;
 
@@ -132,6 +135,7 @@ public function __construct(array $import = [])
         $this->csv_new_line = $this->setCsvNewLine($import);
         $this->csv_columns = $this->setCsvColumns($import);
         $this->csv_col_names = $this->setCsvColNames($import);
+        $this->csv_empty_is_null = $this->setCsvEmptyIsNull($import);
         $this->ldi_replace = $this->setLdiReplace($import);
         $this->ldi_ignore = $this->setLdiIgnore($import);
         $this->ldi_terminated = $this->setLdiTerminated($import);
@@ -340,6 +344,18 @@ private function setCsvColNames(array $import): bool
         return (bool) $import['csv_col_names'];
     }
 
+    /**
+     * @param array<int|string, mixed> $import
+     */
+    private function setCsvEmptyIsNull(array $import): bool
+    {
+        if (! isset($import['csv_empty_is_null'])) {
+            return false;
+        }
+
+        return (bool) $import['csv_empty_is_null'];
+    }
+
     /**
      * @param array<int|string, mixed> $import
      */
@@ -405,6 +405,15 @@ final class Server
      */
     public $export_templates;
 
+    /**
+     * table to store server monitor dashboards
+     *   - leave blank to disable the storage of server monitor dashboards
+     *     SUGGESTED: 'pma__monitor_dashboards'
+     *
+     * @var string|false
+     */
+    public $monitor_dashboards;
+
     /**
      * Maximum number of records saved in $cfg['Servers'][$i]['table_uiprefs'] table.
      *
@@ -561,6 +570,7 @@ public function __construct(array $server = [])
         $this->central_columns = $this->setCentralColumns($server);
         $this->designer_settings = $this->setDesignerSettings($server);
         $this->export_templates = $this->setExportTemplates($server);
+        $this->monitor_dashboards = $this->setMonitorDashboards($server);
         $this->MaxTableUiprefs = $this->setMaxTableUiprefs($server);
         $this->SessionTimeZone = $this->setSessionTimeZone($server);
         $this->AllowRoot = $this->setAllowRoot($server);
@@ -1241,6 +1251,22 @@ private function setExportTemplates(array $server)
         return '';
     }
 
+    /**
+     * @param array<int|string, mixed> $server
+     *
+     * @return false|string
+     */
+    private function setMonitorDashboards(array $server)
+    {
+        if (isset($server['monitor_dashboards'])) {
+            return $server['monitor_dashboards'] === false
+                ? false
+                : (string) $server['monitor_dashboards'];
+        }
+
+        return '';
+    }
+
     /**
      * @param array<int|string, mixed> $server
      *
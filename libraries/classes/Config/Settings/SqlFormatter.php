@@ -0,0 +1,145 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Config\Settings;
+
+use function in_array;
+
+// phpcs:disable Squiz.NamingConventions.ValidVariableName.MemberNotCamelCaps
+
+/**
+ * @psalm-immutable
+ */
+final class SqlFormatter
+{
+    /**
+     * Case of the SQL keywords: 'upper', 'lower' or 'preserve'
+     *
+     * @var string
+     * @psalm-var 'upper'|'lower'|'preserve'
+     */
+    public $KeywordCase;
+
+    /**
+     * Number of spaces used for each indentation level.
+     *
+     * @var int
+     * @psalm-var positive-int
+     */
+    public $IndentWidth;
+
+    /**
+     * Whether commas of lists are placed at the 'end' of the line or at the 'start' of the next one.
+     *
+     * @var string
+     * @psalm-var 'end'|'start'
+     */
+    public $CommaPosition;
+
+    /**
+     * Put each JOIN on its own line.
+     *
+     * @var bool
+     */
+    public $BreakJoins;
+
+    /**
+     * Put each AND/OR condition of WHERE, HAVING and ON clauses on its own line.
+     *
+     * @var bool
+     */
+    public $BreakConditions;
+
+    /**
+     * Put each WHEN, ELSE and END of CASE expressions on its own line.
+     *
+     * @var bool
+     */
+    public $BreakCase;
+
+    /**
+     * @param mixed[] $sqlFormatter
+     */
+    public function __construct(array $sqlFormatter = [])
+    {
+        $this->KeywordCase = $this->setKeywordCase($sqlFormatter);
+        $this->IndentWidth = $this->setIndentWidth($sqlFormatter);
+        $this->CommaPosition = $this->setCommaPosition($sqlFormatter);
+        $this->BreakJoins = $this->setBreakJoins($sqlFormatter);
+        $this->BreakConditions = $this->setBreakConditions($sqlFormatter);
+        $this->BreakCase = $this->setBreakCase($sqlFormatter);
+    }
+
+    /**
+     * @param mixed[] $sqlFormatter
+     *
+     * @psalm-return 'upper'|'lower'|'preserve'
+     */
+    private function setKeywordCase(array $sqlFormatter): string
+    {
+        if (
+            isset($sqlFormatter['KeywordCase'])
+            && in_array($sqlFormatter['KeywordCase'], ['lower', 'preserve'], true)
+        ) {
+            return $sqlFormatter['KeywordCase'];
+        }
+
+        return 'upper';
+    }
+
+    /**
+     * @param mixed[] $sqlFormatter
+     *
+     * @psalm-return positive-int
+     */
+    private function setIndentWidth(array $sqlFormatter): int
+    {
+        if (isset($sqlFormatter['IndentWidth'])) {
+            $indentWidth = (int) $sqlFormatter['IndentWidth'];
+            if ($indentWidth >= 1) {
+                return $indentWidth;
+            }
+        }
+
+        return 4;
+    }
+
+    /**
+     * @param mixed[] $sqlFormatter
+     *
+     * @psalm-return 'end'|'start'
+     */
+    private function setCommaPosition(array $sqlFormatter): string
+    {
+        if (isset($sqlFormatter['CommaPosition']) && $sqlFormatter['CommaPosition'] === 'start') {
+            return 'start';
+        }
+
+        return 'end';
+    }
+
+    /**
+     * @param mixed[] $sqlFormatter
+     */
+    private function setBreakJoins(array $sqlFormatter): bool
+    {
+        return ! isset($sqlFormatter['BreakJoins']) || $sqlFormatter['BreakJoins'];
+    }
+
+    /**
+     * @param mixed[] $sqlFormatter
+     */
+    private function setBreakConditions(array $sqlFormatter): bool
+    {
+        return ! isset($sqlFormatter['BreakConditions']) || $sqlFormatter['BreakConditions'];
+    }
+
+    /**
+     * @param mixed[] $sqlFormatter
+     */
+    private function setBreakCase(array $sqlFormatter): bool
+    {
+        return ! isset($sqlFormatter['BreakCase']) || $sqlFormatter['BreakCase'];
+    }
+}
@@ -0,0 +1,82 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Config\Settings;
+
+use function in_array;
+
+// phpcs:disable Squiz.NamingConventions.ValidVariableName.MemberNotCamelCaps
+
+/**
+ * @psalm-immutable
+ */
+final class SqlLint
+{
+    /**
+     * Severity of UPDATE and DELETE statements without a WHERE clause: 'error', 'warning' or 'off'
+     *
+     * @var string
+     * @psalm-var 'error'|'warning'|'off'
+     */
+    public $NoWhere;
+
+    /**
+     * Severity of SELECT * in the queries saved as bookmarks or views: 'error', 'warning' or 'off'
+     *
+     * @var string
+     * @psalm-var 'error'|'warning'|'off'
+     */
+    public $SelectStar;
+
+    /**
+     * Severity of tables separated by commas in the FROM clause: 'error', 'warning' or 'off'
+     *
+     * @var string
+     * @psalm-var 'error'|'warning'|'off'
+     */
+    public $ImplicitCrossJoin;
+
+    /**
+     * Severity of comparisons to NULL with =, != or <>: 'error', 'warning' or 'off'
+     *
+     * @var string
+     * @psalm-var 'error'|'warning'|'off'
+     */
+    public $NullComparison;
+
+    /**
+     * Severity of LIKE patterns starting with a wildcard: 'error', 'warning' or 'off'
+     *
+     * @var string
+     * @psalm-var 'error'|'warning'|'off'
+     */
+    public $LeadingWildcard;
+
+    /**
+     * @param mixed[] $sqlLint
+     */
+    public function __construct(array $sqlLint = [])
+    {
+        $this->NoWhere = $this->setSeverity($sqlLint, 'NoWhere', 'warning');
+        $this->SelectStar = $this->setSeverity($sqlLint, 'SelectStar', 'warning');
+        $this->ImplicitCrossJoin = $this->setSeverity($sqlLint, 'ImplicitCrossJoin', 'warning');
+        $this->NullComparison = $this->setSeverity($sqlLint, 'NullComparison', 'error');
+        $this->LeadingWildcard = $this->setSeverity($sqlLint, 'LeadingWildcard', 'warning');
+    }
+
+    /**
+     * @param mixed[] $sqlLint
+     * @psalm-param 'error'|'warning'|'off' $default
+     *
+     * @psalm-return 'error'|'warning'|'off'
+     */
+    private function setSeverity(array $sqlLint, string $rule, string $default): string
+    {
+        if (isset($sqlLint[$rule]) && in_array($sqlLint[$rule], ['error', 'warning', 'off'], true)) {
+            return $sqlLint[$rule];
+        }
+
+        return $default;
+    }
+}
@@ -0,0 +1,26 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\ConfigStorage\Features;
+
+use PhpMyAdmin\Dbal\DatabaseName;
+use PhpMyAdmin\Dbal\TableName;
+
+/**
+ * @psalm-immutable
+ */
+final class MonitorDashboardsFeature
+{
+    /** @var DatabaseName */
+    public $database;
+
+    /** @var TableName */
+    public $monitorDashboards;
+
+    public function __construct(DatabaseName $database, TableName $monitorDashboards)
+    {
+        $this->database = $database;
+        $this->monitorDashboards = $monitorDashboards;
+    }
+}
@@ -127,6 +127,7 @@ private function checkTableAccess(array $relationParams): array
 
         $settings = [
             'export_templates' => 'exporttemplateswork',
+            'monitor_dashboards' => 'monitordashboardswork',
             'designer_settings' => 'designersettingswork',
             'central_columns' => 'centralcolumnswork',
             'savedsearches' => 'savedsearcheswork',
@@ -209,6 +210,8 @@ private function fillRelationParamsWithTableNames(array $relationParams): ?array
                 $relationParams['designer_settings'] = (string) $currTable[0];
             } elseif ($currTable[0] == $GLOBALS['cfg']['Server']['export_templates']) {
                 $relationParams['export_templates'] = (string) $currTable[0];
+            } elseif ($currTable[0] == $GLOBALS['cfg']['Server']['monitor_dashboards']) {
+                $relationParams['monitor_dashboards'] = (string) $currTable[0];
             }
         }
 
@@ -255,6 +258,7 @@ private function checkRelationsParam(): array
             'centralcolumnswork' => 'central_columns',
             'designersettingswork' => 'designer_settings',
             'exporttemplateswork' => 'export_templates',
+            'monitordashboardswork' => 'monitor_dashboards',
         ];
 
         foreach (array_keys($workToTable) as $work) {
@@ -1584,6 +1588,7 @@ public function fixPmaTables($db, $create = true): void
             'pma__central_columns' => 'central_columns',
             'pma__designer_settings' => 'designer_settings',
             'pma__export_templates' => 'export_templates',
+            'pma__monitor_dashboards' => 'monitor_dashboards',
         ];
 
         $existingTables = $this->dbi->getTables($db, DatabaseInterface::CONNECT_CONTROL);
@@ -1731,7 +1736,8 @@ public function arePmadbTablesDefined(): bool
             || empty($GLOBALS['cfg']['Server']['savedsearches'])
             || empty($GLOBALS['cfg']['Server']['central_columns'])
             || empty($GLOBALS['cfg']['Server']['designer_settings'])
-            || empty($GLOBALS['cfg']['Server']['export_templates']));
+            || empty($GLOBALS['cfg']['Server']['export_templates'])
+            || empty($GLOBALS['cfg']['Server']['monitor_dashboards']));
     }
 
     /**
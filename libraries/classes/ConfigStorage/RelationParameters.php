@@ -13,6 +13,7 @@
 use PhpMyAdmin\ConfigStorage\Features\DisplayFeature;
 use PhpMyAdmin\ConfigStorage\Features\ExportTemplatesFeature;
 use PhpMyAdmin\ConfigStorage\Features\FavoriteTablesFeature;
+use PhpMyAdmin\ConfigStorage\Features\MonitorDashboardsFeature;
 use PhpMyAdmin\ConfigStorage\Features\NavigationItemsHidingFeature;
 use PhpMyAdmin\ConfigStorage\Features\PdfFeature;
 use PhpMyAdmin\ConfigStorage\Features\RecentlyUsedTablesFeature;
@@ -61,6 +62,8 @@ final class RelationParameters
     public $exportTemplatesFeature;
     /** @var FavoriteTablesFeature|null */
     public $favoriteTablesFeature;
+    /** @var MonitorDashboardsFeature|null */
+    public $monitorDashboardsFeature;
     /** @var NavigationItemsHidingFeature|null */
     public $navigationItemsHidingFeature;
     /** @var PdfFeature|null */
@@ -95,6 +98,7 @@ public function __construct(
         ?DisplayFeature $displayFeature = null,
         ?ExportTemplatesFeature $exportTemplatesFeature = null,
         ?FavoriteTablesFeature $favoriteTablesFeature = null,
+        ?MonitorDashboardsFeature $monitorDashboardsFeature = null,
         ?NavigationItemsHidingFeature $navigationItemsHidingFeature = null,
         ?PdfFeature $pdfFeature = null,
         ?RecentlyUsedTablesFeature $recentlyUsedTablesFeature = null,
@@ -116,6 +120,7 @@ public function __construct(
         $this->displayFeature = $displayFeature;
         $this->exportTemplatesFeature = $exportTemplatesFeature;
         $this->favoriteTablesFeature = $favoriteTablesFeature;
+        $this->monitorDashboardsFeature = $monitorDashboardsFeature;
         $this->navigationItemsHidingFeature = $navigationItemsHidingFeature;
         $this->pdfFeature = $pdfFeature;
         $this->recentlyUsedTablesFeature = $recentlyUsedTablesFeature;
@@ -212,6 +217,17 @@ public static function fromArray(array $params): self
             }
         }
 
+        $monitorDashboardsFeature = null;
+        if (
+            isset($params['monitordashboardswork'], $params['monitor_dashboards'])
+            && $params['monitordashboardswork']
+        ) {
+            $monitorDashboards = self::getTableName($params['monitor_dashboards']);
+            if ($monitorDashboards !== null) {
+                $monitorDashboardsFeature = new MonitorDashboardsFeature($db, $monitorDashboards);
+            }
+        }
+
         $navigationItemsHidingFeature = null;
         if (isset($params['navwork'], $params['navigationhiding']) && $params['navwork']) {
             $navigationHiding = self::getTableName($params['navigationhiding']);
@@ -294,6 +310,7 @@ public static function fromArray(array $params): self
             $displayFeature,
             $exportTemplatesFeature,
             $favoriteTablesFeature,
+            $monitorDashboardsFeature,
             $navigationItemsHidingFeature,
             $pdfFeature,
             $recentlyUsedTablesFeature,
@@ -319,6 +336,7 @@ public static function fromArray(array $params): self
      *   export_templates: (string|null),
      *   favorite: (string|null),
      *   history: (string|null),
+     *   monitor_dashboards: (string|null),
      *   navigationhiding: (string|null),
      *   pdf_pages: (string|null),
      *   recent: (string|null),
@@ -340,6 +358,7 @@ public static function fromArray(array $params): self
      *   displaywork: bool,
      *   exporttemplateswork: bool,
      *   favoritework: bool,
+     *   monitordashboardswork: bool,
      *   navwork: bool,
      *   pdfwork: bool,
      *   recentwork: bool,
@@ -387,6 +406,9 @@ public function toArray(): array
                 ? $this->favoriteTablesFeature->favorite->getName()
                 : null,
             'history' => $this->sqlHistoryFeature !== null ? $this->sqlHistoryFeature->history->getName() : null,
+            'monitor_dashboards' => $this->monitorDashboardsFeature !== null
+                ? $this->monitorDashboardsFeature->monitorDashboards->getName()
+                : null,
             'navigationhiding' => $this->navigationItemsHidingFeature !== null
                 ? $this->navigationItemsHidingFeature->navigationHiding->getName()
                 : null,
@@ -422,6 +444,7 @@ public function toArray(): array
             'displaywork' => $this->displayFeature !== null,
             'exporttemplateswork' => $this->exportTemplatesFeature !== null,
             'favoritework' => $this->favoriteTablesFeature !== null,
+            'monitordashboardswork' => $this->monitorDashboardsFeature !== null,
             'navwork' => $this->navigationItemsHidingFeature !== null,
             'pdfwork' => $this->pdfFeature !== null,
             'recentwork' => $this->recentlyUsedTablesFeature !== null,
@@ -446,6 +469,7 @@ public function hasAllFeatures(): bool
             && $this->displayFeature !== null
             && $this->exportTemplatesFeature !== null
             && $this->favoriteTablesFeature !== null
+            && $this->monitorDashboardsFeature !== null
             && $this->navigationItemsHidingFeature !== null
             && $this->pdfFeature !== null
             && $this->recentlyUsedTablesFeature !== null
@@ -0,0 +1,136 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Controllers\Console;
+
+use PhpMyAdmin\Controllers\AbstractController;
+use PhpMyAdmin\DatabaseInterface;
+use PhpMyAdmin\Http\ServerRequest;
+use PhpMyAdmin\Message;
+use PhpMyAdmin\ResponseRenderer;
+use PhpMyAdmin\SqlParser\Components\Limit;
+use PhpMyAdmin\SqlParser\Parser;
+use PhpMyAdmin\SqlParser\Statements\SelectStatement;
+use PhpMyAdmin\Template;
+
+use function __;
+use function bin2hex;
+use function count;
+use function end;
+use function is_string;
+use function microtime;
+use function round;
+
+/**
+ * Executes a SELECT query from the console and returns its first rows, to be displayed inside the console.
+ */
+final class QueryController extends AbstractController
+{
+    /**
+     * Number of rows returned to the console, the whole result is available in the browse view
+     */
+    public const MAX_ROWS = 500;
+
+    /** @var DatabaseInterface */
+    private $dbi;
+
+    public function __construct(ResponseRenderer $response, Template $template, DatabaseInterface $dbi)
+    {
+        parent::__construct($response, $template);
+        $this->dbi = $dbi;
+    }
+
+    public function __invoke(ServerRequest $request): void
+    {
+        $sqlQuery = $request->getParsedBodyParam('sql_query');
+        $db = $request->getParsedBodyParam('db', '');
+
+        if (! is_string($sqlQuery) || ! is_string($db)) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', Message::error(__('Incomplete params')));
+
+            return;
+        }
+
+        $parser = new Parser($sqlQuery);
+        $statement = $parser->statements[0] ?? null;
+        if (count($parser->statements) !== 1 || ! $statement instanceof SelectStatement) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON(
+                'message',
+                Message::error(__('Only single SELECT queries can be displayed in the console.'))
+            );
+
+            return;
+        }
+
+        if ($db !== '' && ! $this->dbi->selectDb($db)) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', Message::rawError($this->dbi->getError()));
+
+            return;
+        }
+
+        // Only one more row than displayed is fetched, to know whether the result was truncated
+        if (count($parser->errors) === 0) {
+            $lastStatement = $statement->union === [] ? $statement : end($statement->union)[1];
+            if ($lastStatement->limit === null || $lastStatement->limit->rowCount > self::MAX_ROWS + 1) {
+                $lastStatement->limit = new Limit(self::MAX_ROWS + 1, $lastStatement->limit->offset ?? 0);
+            }
+
+            $sqlQuery = $statement->build();
+        }
+
+        // Unbuffered, so that only the fetched rows are loaded when the query could not be limited
+        $start = microtime(true);
+        $result = $this->dbi->tryQuery($sqlQuery, DatabaseInterface::CONNECT_USER, DatabaseInterface::QUERY_UNBUFFERED);
+
+        if ($result === false) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', Message::rawError($this->dbi->getError()));
+
+            return;
+        }
+
+        $columns = [];
+        $binaryColumns = [];
+        foreach ($result->getFieldsMeta() as $index => $field) {
+            $columns[] = ['name' => $field->name, 'isNumeric' => $field->isNumeric()];
+            if (! $field->isBinary()) {
+                continue;
+            }
+
+            $binaryColumns[] = $index;
+        }
+
+        $rows = [];
+        $hasMoreRows = false;
+        while (($row = $result->fetchRow()) !== []) {
+            if (count($rows) === self::MAX_ROWS) {
+                $hasMoreRows = true;
+                break;
+            }
+
+            // Binary values can not be encoded as JSON
+            foreach ($binaryColumns as $index) {
+                if (! is_string($row[$index])) {
+                    continue;
+                }
+
+                $row[$index] = '0x' . bin2hex($row[$index]);
+            }
+
+            $rows[] = $row;
+        }
+
+        // The remaining rows are skipped when the result is freed
+        unset($result);
+        $time = microtime(true) - $start;
+
+        $this->response->addJSON('columns', $columns);
+        $this->response->addJSON('rows', $rows);
+        $this->response->addJSON('more', $hasMoreRows);
+        $this->response->addJSON('time', round($time, 4));
+    }
+}
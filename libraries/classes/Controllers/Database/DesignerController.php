@@ -153,6 +153,8 @@ public function __invoke(ServerRequest $request): void
                 );
                 $this->response->setRequestStatus($GLOBALS['success']);
                 $this->response->addJSON('message', $GLOBALS['message']);
+            } elseif ($_POST['operation'] === 'getPages') {
+                $this->response->addJSON('pages', $this->designerCommon->getPagesWithTablePositions($_POST['db']));
             } elseif ($_POST['operation'] === 'save_setting_value') {
                 $GLOBALS['success'] = $this->designerCommon->saveSetting($_POST['index'], $_POST['value']);
                 $this->response->setRequestStatus($GLOBALS['success']);
@@ -0,0 +1,124 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Controllers\Database\MultiTableQuery;
+
+use PhpMyAdmin\Controllers\AbstractController;
+use PhpMyAdmin\DatabaseInterface;
+use PhpMyAdmin\Http\ServerRequest;
+use PhpMyAdmin\Message;
+use PhpMyAdmin\ResponseRenderer;
+use PhpMyAdmin\SqlParser\Components\Limit;
+use PhpMyAdmin\SqlParser\Parser;
+use PhpMyAdmin\SqlParser\Statements\SelectStatement;
+use PhpMyAdmin\Template;
+
+use function __;
+use function count;
+use function in_array;
+use function round;
+
+/**
+ * Runs the query being built with a small limit to preview its results.
+ */
+final class PreviewController extends AbstractController
+{
+    /**
+     * Maximum number of rows of the preview
+     */
+    public const PREVIEW_ROWS = 10;
+
+    /** @var DatabaseInterface */
+    private $dbi;
+
+    public function __construct(ResponseRenderer $response, Template $template, DatabaseInterface $dbi)
+    {
+        parent::__construct($response, $template);
+        $this->dbi = $dbi;
+    }
+
+    public function __invoke(ServerRequest $request): void
+    {
+        /** @var string $sqlQuery */
+        $sqlQuery = $request->getParsedBodyParam('sql_query', '');
+        /** @var string $db */
+        $db = $request->getParsedBodyParam('db', '');
+
+        $parser = new Parser($sqlQuery);
+        $statement = $parser->statements[0] ?? null;
+        if (
+            count($parser->errors) > 0
+            || count($parser->statements) !== 1
+            || ! $statement instanceof SelectStatement
+            || $statement->into !== null
+        ) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', Message::error(__('Only a single SELECT query can be previewed.')));
+
+            return;
+        }
+
+        if (! $this->dbi->selectDb($db)) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', Message::rawError($this->dbi->getError()));
+
+            return;
+        }
+
+        $explain = $this->dbi->tryQuery('EXPLAIN ' . $statement->build());
+        if ($explain === false) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', Message::rawError($this->dbi->getError()));
+
+            return;
+        }
+
+        $rowsEstimate = $this->getRowsEstimate($explain->fetchAllAssoc());
+
+        if ($statement->limit === null || $statement->limit->rowCount > self::PREVIEW_ROWS) {
+            $statement->limit = new Limit(self::PREVIEW_ROWS, $statement->limit->offset ?? 0);
+        }
+
+        $result = $this->dbi->tryQuery($statement->build());
+        if ($result === false) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', Message::rawError($this->dbi->getError()));
+
+            return;
+        }
+
+        $rows = [];
+        while (($row = $result->fetchRow()) !== []) {
+            $rows[] = $row;
+        }
+
+        $this->response->addJSON('rowsEstimate', $rowsEstimate);
+        $this->response->addJSON('preview', $this->template->render('database/multi_table_query/preview', [
+            'columns' => $result->getFieldNames(),
+            'rows' => $rows,
+            'rows_estimate' => $rowsEstimate,
+            'max_rows' => self::PREVIEW_ROWS,
+        ]));
+    }
+
+    /**
+     * Estimated number of rows of the result, from the rows examined and filtered by each table of the join
+     *
+     * @param array<int, array<string, string|null>> $explain
+     */
+    private function getRowsEstimate(array $explain): ?int
+    {
+        $estimate = null;
+        foreach ($explain as $row) {
+            if (! in_array($row['select_type'] ?? '', ['SIMPLE', 'PRIMARY'], true) || ! isset($row['rows'])) {
+                continue;
+            }
+
+            $filtered = isset($row['filtered']) ? (float) $row['filtered'] / 100 : 1;
+            $estimate = ($estimate ?? 1) * (float) $row['rows'] * $filtered;
+        }
+
+        return $estimate === null ? null : (int) round($estimate);
+    }
+}
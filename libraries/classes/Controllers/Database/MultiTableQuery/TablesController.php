@@ -44,6 +44,12 @@ public function __invoke(ServerRequest $request): void
                 $tablesListForQuery
             )
         );
-        $this->response->addJSON(['foreignKeyConstrains' => $constrains]);
+        $databaseConstrains = $this->dbi->fetchResult(
+            QueryGenerator::getInformationSchemaDatabaseForeignKeyConstraintsRequest($this->dbi->escapeString($db))
+        );
+        $this->response->addJSON([
+            'foreignKeyConstrains' => $constrains,
+            'databaseForeignKeyConstrains' => $databaseConstrains,
+        ]);
     }
 }
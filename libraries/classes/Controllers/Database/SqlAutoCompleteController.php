@@ -5,8 +5,10 @@
 namespace PhpMyAdmin\Controllers\Database;
 
 use PhpMyAdmin\Controllers\AbstractController;
+use PhpMyAdmin\Database\Routines;
 use PhpMyAdmin\DatabaseInterface;
 use PhpMyAdmin\Http\ServerRequest;
+use PhpMyAdmin\Query\Generator as QueryGenerator;
 use PhpMyAdmin\ResponseRenderer;
 use PhpMyAdmin\Template;
 
@@ -27,16 +29,57 @@ public function __construct(ResponseRenderer $response, Template $template, Data
     public function __invoke(ServerRequest $request): void
     {
         $sqlAutocomplete = [];
+        $foreignKeys = [];
         if ($GLOBALS['cfg']['EnableAutocompleteForTablesAndColumns']) {
             $db = $request->getParam('db', $GLOBALS['db']);
+            if ($request->getParam('objects') === 'routines') {
+                $this->response->addJSON([
+                    'routines' => $db ? $this->getRoutines($db) : [],
+                    'databases' => $this->dbi->getDatabaseList()->getArrayCopy(),
+                ]);
+
+                return;
+            }
+
             if ($db) {
                 $tableNames = $this->dbi->getTables($db);
                 foreach ($tableNames as $tableName) {
-                    $sqlAutocomplete[$tableName] = $this->dbi->getColumns($db, $tableName);
+                    $sqlAutocomplete[$tableName] = [];
+                    foreach ($this->dbi->getColumns($db, $tableName, true) as $columnName => $column) {
+                        $sqlAutocomplete[$tableName][$columnName] = [
+                            'Type' => $column['Type'],
+                            'Key' => $column['Key'],
+                            'Comment' => $column['Comment'] ?? '',
+                        ];
+                    }
                 }
+
+                $foreignKeys = $this->dbi->fetchResult(
+                    QueryGenerator::getInformationSchemaDatabaseForeignKeyConstraintsRequest(
+                        $this->dbi->escapeString($db)
+                    )
+                );
             }
         }
 
-        $this->response->addJSON(['tables' => $sqlAutocomplete]);
+        $this->response->addJSON(['tables' => $sqlAutocomplete, 'foreignKeys' => $foreignKeys]);
+    }
+
+    /**
+     * @return array<int, array<string, string>>
+     * @psalm-return list<array{name: string, type: string, returns: string}>
+     */
+    private function getRoutines(string $db): array
+    {
+        $routines = [];
+        foreach (Routines::getDetails($this->dbi, $db) as $routine) {
+            $routines[] = [
+                'name' => $routine['name'],
+                'type' => $routine['type'],
+                'returns' => $routine['returns'],
+            ];
+        }
+
+        return $routines;
     }
 }
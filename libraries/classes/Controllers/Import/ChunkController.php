@@ -0,0 +1,108 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Controllers\Import;
+
+use PhpMyAdmin\Controllers\AbstractController;
+use PhpMyAdmin\Exceptions\ChunkedUploadException;
+use PhpMyAdmin\Http\ServerRequest;
+use PhpMyAdmin\Import\ChunkedUpload;
+use PhpMyAdmin\Message;
+
+use function __;
+use function file_get_contents;
+use function is_array;
+use function is_string;
+use function is_uploaded_file;
+
+/**
+ * Receives the chunks of the import files uploaded with pause and resume
+ */
+final class ChunkController extends AbstractController
+{
+    public function __invoke(ServerRequest $request): void
+    {
+        $uploadId = $request->getParsedBodyParam('upload_id');
+        $action = $request->getParsedBodyParam('upload_action');
+        if (! is_string($uploadId) || ! ChunkedUpload::isValidId($uploadId)) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', Message::error(__('Invalid upload identifier.')));
+
+            return;
+        }
+
+        $directory = $GLOBALS['config']->getUploadTempDir();
+        if ($directory === null) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', Message::error(__(
+                'Error moving the uploaded file, see [doc@faq1-11]FAQ 1.11[/doc].'
+            )));
+
+            return;
+        }
+
+        $upload = new ChunkedUpload(
+            $directory,
+            $_SESSION[' PMA_token '],
+            (int) $GLOBALS['cfg']['ChunkedUploadMaxSize']
+        );
+
+        if ($action === 'cancel') {
+            $upload->remove($uploadId);
+
+            return;
+        }
+
+        $upload->removeExpired();
+
+        if ($action !== 'chunk') {
+            // the limits are checked before the first chunk, so that the browser does not retry
+            try {
+                $upload->checkLimits($uploadId, (int) $request->getParsedBodyParam('file_size', 0));
+            } catch (ChunkedUploadException $exception) {
+                $this->response->setRequestStatus(false);
+                $this->response->addJSON('message', Message::error($exception->getMessage()));
+
+                return;
+            }
+
+            $this->response->addJSON('size', $upload->getSize($uploadId));
+
+            return;
+        }
+
+        $chunk = $_FILES['chunk'] ?? null;
+        $checksum = $request->getParsedBodyParam('checksum');
+        if (
+            ! is_array($chunk)
+            || ! isset($chunk['tmp_name'])
+            || ! is_string($chunk['tmp_name'])
+            || ! is_uploaded_file($chunk['tmp_name'])
+            || ! is_string($checksum)
+        ) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', Message::error(__('No data was received to import.')));
+            $this->response->addJSON('size', $upload->getSize($uploadId));
+
+            return;
+        }
+
+        try {
+            $size = $upload->append(
+                $uploadId,
+                (int) $request->getParsedBodyParam('offset', 0),
+                (string) file_get_contents($chunk['tmp_name']),
+                $checksum
+            );
+        } catch (ChunkedUploadException $exception) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', Message::error($exception->getMessage()));
+            $this->response->addJSON('size', $upload->getSize($uploadId));
+
+            return;
+        }
+
+        $this->response->addJSON('size', $size);
+    }
+}
@@ -15,6 +15,7 @@
 use PhpMyAdmin\Html\Generator;
 use PhpMyAdmin\Http\ServerRequest;
 use PhpMyAdmin\Import;
+use PhpMyAdmin\Import\ChunkedUpload;
 use PhpMyAdmin\Message;
 use PhpMyAdmin\ParseAnalyze;
 use PhpMyAdmin\Plugins;
@@ -29,6 +30,7 @@
 
 use function __;
 use function _ngettext;
+use function file_exists;
 use function in_array;
 use function ini_get;
 use function ini_set;
@@ -348,6 +350,11 @@ public function __invoke(ServerRequest $request): void
                         $GLOBALS['import_text'] = $bookmark->getQuery();
                     }
 
+                    // the chart saved with the bookmark is displayed with the results
+                    if ($bookmark->hasChart()) {
+                        $this->response->addJSON('open_chart', true);
+                    }
+
                     // refresh navigation and main panels
                     if (preg_match('/^(DROP)\s+(VIEW|TABLE|DATABASE|SCHEMA)\s+/i', $GLOBALS['import_text'])) {
                         $GLOBALS['reload'] = true;
@@ -461,6 +468,26 @@ public function __invoke(ServerRequest $request): void
             $GLOBALS['import_file_name'] = $_FILES['import_file']['name'];
         }
 
+        // file uploaded in chunks to /import/chunk
+        $chunkedUpload = null;
+        $chunkedUploadId = $_POST['chunked_upload_id'] ?? null;
+        if (
+            is_string($chunkedUploadId)
+            && ChunkedUpload::isValidId($chunkedUploadId)
+            && isset($_POST['import_file_name'])
+            && is_string($_POST['import_file_name'])
+        ) {
+            $uploadTempDir = $GLOBALS['config']->getUploadTempDir();
+            $GLOBALS['import_file'] = 'none';
+            if ($uploadTempDir !== null) {
+                $chunkedUpload = new ChunkedUpload($uploadTempDir, $_SESSION[' PMA_token ']);
+                $GLOBALS['import_file_name'] = $_POST['import_file_name'];
+                if (file_exists($chunkedUpload->getPath($chunkedUploadId))) {
+                    $GLOBALS['import_file'] = $chunkedUpload->getPath($chunkedUploadId);
+                }
+            }
+        }
+
         if (! empty($GLOBALS['local_import_file']) && ! empty($GLOBALS['cfg']['UploadDir'])) {
             // sanitize $local_import_file as it comes from a POST
             $GLOBALS['local_import_file'] = Core::securePath($GLOBALS['local_import_file']);
@@ -476,7 +503,10 @@ public function __invoke(ServerRequest $request): void
             if (@is_link($GLOBALS['import_file'])) {
                 $GLOBALS['import_file'] = 'none';
             }
-        } elseif (empty($GLOBALS['import_file']) || ! is_uploaded_file($GLOBALS['import_file'])) {
+        } elseif (
+            $chunkedUpload === null
+            && (empty($GLOBALS['import_file']) || ! is_uploaded_file($GLOBALS['import_file']))
+        ) {
             $GLOBALS['import_file'] = 'none';
         }
 
@@ -604,6 +634,10 @@ public function __invoke(ServerRequest $request): void
             $importHandle->close();
         }
 
+        if ($chunkedUpload !== null && is_string($chunkedUploadId)) {
+            $chunkedUpload->remove($chunkedUploadId);
+        }
+
         // Reset charset back, if we did some changes
         if ($GLOBALS['reset_charset']) {
             $this->dbi->query('SET CHARACTER SET ' . $GLOBALS['charset_connection']);
@@ -645,6 +679,8 @@ public function __invoke(ServerRequest $request): void
                     && is_string($_FILES['import_file']['name'])
                 ) {
                     $GLOBALS['message']->addText('(' . $_FILES['import_file']['name'] . ')');
+                } elseif ($chunkedUpload !== null) {
+                    $GLOBALS['message']->addText('(' . $GLOBALS['import_file_name'] . ')');
                 }
             }
         }
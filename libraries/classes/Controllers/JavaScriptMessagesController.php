@@ -141,9 +141,25 @@ private function setMessages(): array
             /* Charts */
             /* l10n: Default label for the y-Axis of Charts */
             'strYValues' => __('Y values'),
+            /* l10n: Tooltip of a box of a box plot chart */
+            'strBoxPlotValues' => __(
+                'minimum: %s, first quartile: %s, median: %s, third quartile: %s, maximum: %s'
+            ),
+
+            /* Pivot tables */
+            'strPivotTable' => __('Pivot table'),
+            /* l10n: Label of the total rows and columns of a pivot table */
+            'strPivotTotal' => __('Total'),
+            'strPivotGrandTotal' => __('Grand total'),
+            'strPivotNoValues' => __('Drag at least one column to the values of the pivot table.'),
 
             /* Database multi-table query */
             'strEmptyQuery' => __('Please enter the SQL query first.'),
+            'strNoJoinPath' => __('No foreign key path, the tables are not joined on a condition'),
+            'strCartesianProduct' => __(
+                'Not joined on any condition, every row is combined with every row of the other tables'
+                . ' (Cartesian product): %s'
+            ),
 
             /* For server/privileges.js */
             'strHostEmpty' => __('The host name is empty!'),
@@ -265,6 +281,38 @@ private function setMessages(): array
             'strDividedBy' => __('Divided by %s'),
             'strUnit' => __('Unit'),
 
+            'strAlertThresholds' => __('Alert thresholds'),
+            'strSeries' => __('Series'),
+            'strCondition' => __('Condition'),
+            'strIsAbove' => __('is above'),
+            'strIsBelow' => __('is below'),
+            'strIncreasesByMoreThan' => __('increases by more than'),
+            'strThresholdValue' => __('Value'),
+            'strPercentOfVariable' => __('Percentage of server variable (optional):'),
+            'strAddThreshold' => __('Add threshold'),
+            'strNoThresholds' => __('No thresholds are defined.'),
+            'strInvalidThreshold' => __('Please enter a numeric value and a valid server variable name.'),
+            'strThresholdAbove' => __('%s is above %s'),
+            'strThresholdBelow' => __('%s is below %s'),
+            'strThresholdJump' => __('%s increased by more than %s'),
+            'strPercentOf' => __('%s%% of %s'),
+            'strMonitorAlert' => __('Server monitor alert'),
+            'strAlertOngoing' => __('Ongoing'),
+            'strAnalyseLogs' => __('Analyse logs'),
+
+            'strInvalidFormula' => __('Invalid formula near character %d.'),
+            'strUnknownStatusVariable' => __('Unknown status variable: %s'),
+            'strFormulaVariables' => __('Uses: %s'),
+            'strFormulaPreview' => __('Current value: %s'),
+            'strRecordMonitor' => __('Record'),
+            'strStopRecording' => __('Stop recording (%d samples)'),
+            'strReplayDialogTitle' => __('Replay a recording'),
+            'strReplayDialogMessage' => __('Please select the monitor recording you want to replay.'),
+            'strFailedParsingRecording' => __('The selected file is not a monitor recording.'),
+            'strPlay' => __('Play'),
+            'strPause' => __('Pause'),
+            'strReplay' => __('Replay'),
+
             'strFromSlowLog' => __('From slow log'),
             'strFromGeneralLog' => __('From general log'),
             'strServerLogError' => __('The database name is not known for this query in the server\'s logs.'),
@@ -327,6 +375,25 @@ private function setMessages(): array
             'strImport' => __('Import'),
             'strImportDialogTitle' => __('Import monitor configuration'),
             'strImportDialogMessage' => __('Please select the file you want to import:'),
+            'strMonitorDashboard' => __('Dashboard'),
+            'strMonitorDashboardName' => __('Dashboard name:'),
+            'strUnsavedDashboard' => __('Current arrangement (not saved)'),
+            'strMyDashboards' => __('My dashboards'),
+            'strPublishedDashboards' => __('Published dashboards'),
+            'strDefaultDashboard' => __('%s (default)'),
+            'strSaveDashboard' => __('Save dashboard'),
+            'strDashboardSaved' => __('The dashboard has been saved.'),
+            'strDashboardPublished' => __('The dashboard has been published to all users.'),
+            'strSelectDashboardFirst' => __('Please select a dashboard first.'),
+            'strSelectPublishedDashboardFirst' => __('Please select a published dashboard first.'),
+            'strDeleteDashboardConfirm' => __('Do you really want to delete the dashboard "%s"?'),
+            'strPublishDashboardConfirm' => __(
+                'Do you really want to publish the dashboard "%s" as the default dashboard of all users?'
+            ),
+            'strUnpublishDashboardConfirm' => __(
+                'Do you really want to withdraw the dashboard "%s" from all users? It will be moved to your dashboards.'
+            ),
+            'strDashboardUnpublished' => __('The dashboard has been withdrawn from all users.'),
             'strTableNameDialogMessage' => __('Please enter a valid table name.'),
             'strDBNameDialogMessage' => __('Please enter a valid database name.'),
             'strNoImportFile' => __('No files available on server for import!'),
@@ -335,6 +402,22 @@ private function setMessages(): array
 
             /* For query editor */
             'strFormatting' => __('Formatting SQL…'),
+            'strFormatSql' => __('Format'),
+            'strFormatSqlShortcut' => __('Format the query (Shift+Alt+F)'),
+
+            /* For the rules of the SQL linter */
+            /* l10n: %d is a line number */
+            'strLintLine' => __('Line %d:'),
+            'strLintNoWhere' => __('This statement changes every row of the table, it has no WHERE clause.'),
+            'strLintSelectStar' => __('The columns of a saved query should be listed instead of using *.'),
+            'strLintFixSelectStar' => __('List the columns'),
+            'strLintImplicitCrossJoin' => __(
+                'Tables separated by commas are joined without a visible condition, use an explicit JOIN.'
+            ),
+            'strLintFixImplicitCrossJoin' => __('Use CROSS JOIN'),
+            'strLintNullComparison' => __('A comparison to NULL is never true, use IS NULL or IS NOT NULL.'),
+            'strLintFixNullComparison' => __('Fix the comparison'),
+            'strLintLeadingWildcard' => __('A LIKE pattern starting with a wildcard can not use an index.'),
             'strNoParam' => __('No parameters found!'),
 
             /* For inline query editing */
@@ -398,6 +481,12 @@ private function setMessages(): array
 
             /* For import.js */
             'strImportCSV' => __('Note: If the file contains multiple tables, they will be combined into one.'),
+            'strImportPause' => __('Pause'),
+            'strImportResume' => __('Resume'),
+            /* l10n: Uploaded size of the file, for example "1.5 MiB of 3 MiB" */
+            'strImportUploaded' => __('%s of %s'),
+            'strImportUploadInterrupted' => __('The upload was interrupted, you can resume it.'),
+            'strChunkedUploadReadError' => __('The file could not be read.'),
 
             /* For sql.js */
             'strHideQueryBox' => __('Hide query box'),
@@ -480,6 +569,13 @@ private function setMessages(): array
                 . __('Click a data point to view and possibly edit the data row.')
                 . '</li><li>'
                 . __('The plot can be resized by dragging it along the bottom right corner.')
+                . '</li><li>'
+                . __(
+                    'With the rectangle or the lasso selection, drag the mouse around points to select them;'
+                    . ' hold the Shift key to add them to the selection.'
+                )
+                . '</li><li>'
+                . __('The selected rows are displayed below the plot, where they can be updated or deleted together.')
                 . '</li></ul>',
             'strHelpTitle' => 'Zoom search instructions',
             'strInputNull' => '<strong>' . __('Select two columns') . '</strong>',
@@ -487,6 +583,10 @@ private function setMessages(): array
                 . __('Select two different columns')
                 . '</strong>',
             'strDataPointContent' => __('Data point content'),
+            /* l10n: Number of the points selected in the zoom search plot */
+            'strSelectedPoints' => __('Selected points: %s'),
+            /* l10n: Legend of the points whose values are not among the most frequent ones */
+            'strOtherValues' => __('Other values'),
 
             /* For table/change.js */
             'strIgnore' => __('Ignore'),
@@ -553,12 +653,68 @@ private function setMessages(): array
             'strSuccessfulPageDelete' => __('Successfully deleted the page'),
             'strExportRelationalSchema' => __('Export relational schema'),
             'strModificationSaved' => __('Modifications have been saved'),
+            'strAutoLayout' => __('Auto-arrange'),
+            'strLayout' => __('Layout'),
+            'strAutoLayoutHierarchical' => __('Hierarchical, following the foreign keys'),
+            'strAutoLayoutForce' => __('Force-directed'),
+            'strAutoLayoutGrid' => __('Grid grouped by table name prefix'),
+            'strAutoLayoutApplied' => __('The tables have been arranged.'),
+            'strUndoAutoLayout' => __('Undo the last arrangement'),
+            'strSyncPages' => __('Synchronize pages'),
+            'strSyncStatus' => __('Status'),
+            'strSyncAction' => __('Action'),
+            'strSyncBrowserOnly' => __('Only in this browser'),
+            'strSyncServerOnly' => __('Only in the configuration storage'),
+            'strSyncSame' => __('Up to date'),
+            'strSyncConflict' => __('The table positions differ'),
+            'strSyncPush' => __('Save in the configuration storage'),
+            'strSyncPull' => __('Save in this browser'),
+            'strSyncKeepBrowser' => __('Keep the version of this browser'),
+            'strSyncKeepServer' => __('Keep the version of the configuration storage'),
+            'strSyncSkip' => __('Do nothing'),
+            'strSyncTable' => __('Table'),
+            'strSyncBrowser' => __('This browser'),
+            'strSyncServer' => __('Configuration storage'),
+            'strSyncNotOnPage' => __('Not on the page'),
+            'strSyncNoPages' => __('There are no pages to synchronize.'),
+            'strSyncStorageUnavailable' => __(
+                'The phpMyAdmin configuration storage is not available,'
+                . ' the pages can only be exported and imported as files.'
+            ),
+            'strExportPagesJson' => __('Export the pages as a JSON file'),
+            'strImportPagesJson' => __('Import pages from a JSON file:'),
+            'strInvalidPagesFile' => __('This file does not contain designer pages.'),
+            'strPagesImported' => __('%d page(s) imported in this browser.'),
+            'strPagesSynchronized' => __('The pages have been synchronized.'),
+            'strOfflinePagesFound' => __('Designer pages are saved in this browser.'),
 
             /* Visual query builder (js/designer/move.js) */
             'strObjectsCreated' => __('%d object(s) created.'),
             'strColumnName' => __('Column name'),
             'strSubmit' => __('Submit'),
 
+            /* Saved queries of the visual query builder (js/designer/history.js) */
+            'strSavedQueries' => __('Saved queries'),
+            'strQueryName' => __('Query name'),
+            'strSaveQuery' => __('Save current query'),
+            'strQueryNameEmpty' => __('Please enter a name for the query.'),
+            'strNoSavedQueries' => __('There are no saved queries for this database.'),
+            'strQuerySaved' => __('The query "%s" has been saved as version %d.'),
+            'strQueryUnchanged' => __('The query has not changed since its last saved version.'),
+            'strQueryLoaded' => __('The query has been loaded.'),
+            'strQueryBookmarked' => __('The query has been bookmarked.'),
+            'strLastSaved' => __('Last saved'),
+            'strLoad' => __('Load'),
+            'strBookmarkQuery' => __('Bookmark'),
+            'strVersions' => __('Versions'),
+            'strVersion' => __('Version %d'),
+            'strDate' => __('Date'),
+            'strCompareFrom' => __('Compare from'),
+            'strCompareTo' => __('Compare to'),
+            'strSelectTwoVersions' => __('Please select two versions to compare.'),
+            'strDeleteSavedQuery' => __('Do you really want to delete the saved query "%s" and all its versions?'),
+            'strSavedQueriesUnavailable' => __('Saving queries needs the local storage of the browser.'),
+
             /* For makegrid.js (column reordering, show/hide column, grid editing) */
             'strCellEditHint' => __('Press escape to cancel editing.<br>- Shift+Enter for a newline.'),
             'strSaveCellWarning' => __(
@@ -585,15 +741,55 @@ private function setMessages(): array
                 'Do you really want to see all of the rows? For a big table this could crash the browser.'
             ),
             'strOriginalLength' => __('Original length'),
+            'strPasteCellsSkipped' => __(
+                '%d cell(s) could not be pasted because they are not editable or the value is not valid.'
+            ),
+            'strEditHistory' => __('Edit history'),
+            'strUndo' => __('Undo'),
+            'strRedo' => __('Redo'),
+            'strEditedRow' => __('Row'),
+            'strOldValue' => __('Old value'),
+            'strNewValue' => __('New value'),
+            'strEditPending' => __('Not saved'),
+            'strEditSaved' => __('Saved'),
+            'strEditUndone' => __('Undone'),
+            'strNothingToUndo' => __('There is nothing to undo.'),
+            'strNothingToRedo' => __('There is nothing to redo.'),
+            'strSaveOrUndoPendingEdits' => __(
+                'Please save or undo the edited data first, a saved change can only be reverted on its own.'
+            ),
+            'strUndoUnknownValue' => __(
+                'The previous value of this cell was truncated or transformed, so it cannot be restored.'
+            ),
+            'strUndoSavedEdit' => __('Revert saved change'),
+            'strRedoSavedEdit' => __('Apply change again'),
 
             /* Drag & Drop sql import messages */
             'dropImportMessageCancel' => __('cancel'),
+            'dropImportMessagePause' => __('pause'),
+            'dropImportMessageResume' => __('resume'),
             'dropImportMessageAborted' => __('Aborted'),
             'dropImportMessageFailed' => __('Failed'),
             'dropImportMessageSuccess' => __('Success'),
             'dropImportImportResultHeader' => __('Import status'),
             'dropImportDropFiles' => __('Drop files here'),
             'dropImportSelectDB' => __('Select database first'),
+            /* l10n: %s is a file name */
+            'dropImportUnreadableFile' => __('The file %s could not be read.'),
+            'dropImportFileColumn' => __('Column of the file'),
+            'dropImportSample' => __('Sample'),
+            'dropImportTableColumn' => __('Column of the table'),
+            'dropImportColumnName' => __('Column name'),
+            'dropImportColumnType' => __('Type'),
+            'dropImportSkipColumn' => __('Do not import'),
+            /* l10n: %d is a number of rows */
+            'dropImportRowCount' => __('%d rows to import'),
+            'dropImportPartialRowCount' => __('Preview of the first %d rows of the file'),
+            'dropImportNoColumn' => __('Select at least one column to import.'),
+            'dropImportNoTableName' => __('Enter the name of the new table.'),
+            'dropImportNoColumnName' => __('Enter the name of each new column.'),
+            /* l10n: %s is a column name */
+            'dropImportDuplicateColumn' => __('The column %s is used more than once.'),
 
             'strGoToLink' => __('Go to link:'),
 
@@ -665,6 +861,12 @@ private function setMessages(): array
             'strConsoleDebugShowArgs' => __('Show arguments'),
             'strConsoleDebugHideArgs' => __('Hide arguments'),
             'strConsoleDebugTimeTaken' => __('Time taken:'),
+            'strConsoleTabName' => __('Query %d'),
+            'strConsoleTabRename' => __('Tab name:'),
+            'strConsoleTabClose' => __('Close tab'),
+            'strConsoleResultRows' => __('%d rows, query took %s seconds.'),
+            'strConsoleResultLimited' => __('Showing the first %d rows, query took %s seconds.'),
+            'strConsoleResultPage' => __('Page %d of %d'),
             'strNoLocalStorage' => __(
                 'There was a problem accessing your browser storage, some features may not'
                 . ' work properly for you. It is likely that the browser doesn\'t support storage'
@@ -0,0 +1,73 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Controllers\Server\Status\Monitor\Dashboard;
+
+use PhpMyAdmin\ConfigStorage\Relation;
+use PhpMyAdmin\Controllers\AbstractController;
+use PhpMyAdmin\DatabaseInterface;
+use PhpMyAdmin\Http\ServerRequest;
+use PhpMyAdmin\ResponseRenderer;
+use PhpMyAdmin\Server\Status\Monitor\Dashboard;
+use PhpMyAdmin\Server\Status\Monitor\DashboardModel;
+use PhpMyAdmin\Template;
+
+use function array_map;
+use function is_array;
+
+final class ListController extends AbstractController
+{
+    /** @var DashboardModel */
+    private $model;
+
+    /** @var Relation */
+    private $relation;
+
+    /** @var DatabaseInterface */
+    private $dbi;
+
+    public function __construct(
+        ResponseRenderer $response,
+        Template $template,
+        DashboardModel $model,
+        Relation $relation,
+        DatabaseInterface $dbi
+    ) {
+        parent::__construct($response, $template);
+        $this->model = $model;
+        $this->relation = $relation;
+        $this->dbi = $dbi;
+    }
+
+    public function __invoke(ServerRequest $request): void
+    {
+        $monitorDashboardsFeature = $this->relation->getRelationParameters()->monitorDashboardsFeature;
+        if ($monitorDashboardsFeature === null) {
+            $this->response->addJSON(['isStorageEnabled' => false]);
+
+            return;
+        }
+
+        $dashboards = $this->model->getAll(
+            $monitorDashboardsFeature->database,
+            $monitorDashboardsFeature->monitorDashboards,
+            $GLOBALS['cfg']['Server']['user']
+        );
+
+        if (! is_array($dashboards)) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', $dashboards);
+
+            return;
+        }
+
+        $this->response->addJSON([
+            'isStorageEnabled' => true,
+            'canPublish' => $this->dbi->isSuperUser(),
+            'dashboards' => array_map(static function (Dashboard $dashboard): array {
+                return $dashboard->toArray();
+            }, $dashboards),
+        ]);
+    }
+}
@@ -0,0 +1,85 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Controllers\Server\Status\Monitor\Dashboard;
+
+use PhpMyAdmin\ConfigStorage\Relation;
+use PhpMyAdmin\Controllers\AbstractController;
+use PhpMyAdmin\DatabaseInterface;
+use PhpMyAdmin\Http\ServerRequest;
+use PhpMyAdmin\Message;
+use PhpMyAdmin\ResponseRenderer;
+use PhpMyAdmin\Server\Status\Monitor\DashboardModel;
+use PhpMyAdmin\Template;
+
+use function __;
+use function trim;
+
+final class PublishController extends AbstractController
+{
+    /** @var DashboardModel */
+    private $model;
+
+    /** @var Relation */
+    private $relation;
+
+    /** @var DatabaseInterface */
+    private $dbi;
+
+    public function __construct(
+        ResponseRenderer $response,
+        Template $template,
+        DashboardModel $model,
+        Relation $relation,
+        DatabaseInterface $dbi
+    ) {
+        parent::__construct($response, $template);
+        $this->model = $model;
+        $this->relation = $relation;
+        $this->dbi = $dbi;
+    }
+
+    public function __invoke(ServerRequest $request): void
+    {
+        /** @var string $name */
+        $name = $request->getParsedBodyParam('name', '');
+        /** @var string $data */
+        $data = $request->getParsedBodyParam('data', '');
+
+        $monitorDashboardsFeature = $this->relation->getRelationParameters()->monitorDashboardsFeature;
+        if ($monitorDashboardsFeature === null) {
+            return;
+        }
+
+        if (! $this->dbi->isSuperUser()) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', Message::error(__('Access denied!')));
+
+            return;
+        }
+
+        if (trim($name) === '') {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', Message::error(__('Please enter a name for the dashboard.')));
+
+            return;
+        }
+
+        $result = $this->model->publish(
+            $monitorDashboardsFeature->database,
+            $monitorDashboardsFeature->monitorDashboards,
+            trim($name),
+            $data
+        );
+
+        if ($result !== '') {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', $result);
+
+            return;
+        }
+
+        $this->response->setRequestStatus(true);
+    }
+}
@@ -0,0 +1,75 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Controllers\Server\Status\Monitor\Dashboard;
+
+use PhpMyAdmin\ConfigStorage\Relation;
+use PhpMyAdmin\Controllers\AbstractController;
+use PhpMyAdmin\DatabaseInterface;
+use PhpMyAdmin\Http\ServerRequest;
+use PhpMyAdmin\Message;
+use PhpMyAdmin\ResponseRenderer;
+use PhpMyAdmin\Server\Status\Monitor\DashboardModel;
+use PhpMyAdmin\Template;
+
+use function __;
+
+final class UnpublishController extends AbstractController
+{
+    /** @var DashboardModel */
+    private $model;
+
+    /** @var Relation */
+    private $relation;
+
+    /** @var DatabaseInterface */
+    private $dbi;
+
+    public function __construct(
+        ResponseRenderer $response,
+        Template $template,
+        DashboardModel $model,
+        Relation $relation,
+        DatabaseInterface $dbi
+    ) {
+        parent::__construct($response, $template);
+        $this->model = $model;
+        $this->relation = $relation;
+        $this->dbi = $dbi;
+    }
+
+    public function __invoke(ServerRequest $request): void
+    {
+        $dashboardId = (int) $request->getParsedBodyParam('dashboardId');
+
+        $monitorDashboardsFeature = $this->relation->getRelationParameters()->monitorDashboardsFeature;
+        if ($monitorDashboardsFeature === null) {
+            return;
+        }
+
+        // only the superusers can publish a dashboard, so only they can withdraw it
+        if (! $this->dbi->isSuperUser()) {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', Message::error(__('Access denied!')));
+
+            return;
+        }
+
+        $result = $this->model->unpublish(
+            $monitorDashboardsFeature->database,
+            $monitorDashboardsFeature->monitorDashboards,
+            $GLOBALS['cfg']['Server']['user'],
+            $dashboardId
+        );
+
+        if ($result !== '') {
+            $this->response->setRequestStatus(false);
+            $this->response->addJSON('message', $result);
+
+            return;
+        }
+
+        $this->response->setRequestStatus(true);
+    }
+}
@@ -45,6 +45,7 @@ public function __invoke(ServerRequest $request): void
             'vendor/jqplot/plugins/jqplot.dateAxisRenderer.js',
             'vendor/jqplot/plugins/jqplot.highlighter.js',
             'vendor/jqplot/plugins/jqplot.cursor.js',
+            'vendor/jqplot/plugins/jqplot.canvasOverlay.js',
             'jqplot/plugins/jqplot.byteFormatter.js',
             'server/status/monitor.js',
             'server/status/sorter.js',
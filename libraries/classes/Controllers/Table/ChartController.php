@@ -4,6 +4,7 @@
 
 namespace PhpMyAdmin\Controllers\Table;
 
+use PhpMyAdmin\ConfigStorage\Relation;
 use PhpMyAdmin\Controllers\AbstractController;
 use PhpMyAdmin\DatabaseInterface;
 use PhpMyAdmin\DbTableExists;
@@ -34,13 +35,18 @@ class ChartController extends AbstractController
     /** @var DatabaseInterface */
     private $dbi;
 
+    /** @var Relation */
+    private $relation;
+
     public function __construct(
         ResponseRenderer $response,
         Template $template,
-        DatabaseInterface $dbi
+        DatabaseInterface $dbi,
+        Relation $relation
     ) {
         parent::__construct($response, $template);
         $this->dbi = $dbi;
+        $this->relation = $relation;
     }
 
     public function __invoke(ServerRequest $request): void
@@ -76,6 +82,8 @@ public function __invoke(ServerRequest $request): void
             'vendor/jqplot/plugins/jqplot.pieRenderer.js',
             'vendor/jqplot/plugins/jqplot.enhancedPieLegendRenderer.js',
             'vendor/jqplot/plugins/jqplot.highlighter.js',
+            'vendor/jqplot/plugins/jqplot.ohlcRenderer.js',
+            'jqplot/plugins/jqplot.heatmapRenderer.js',
         ]);
 
         $url_params = [];
@@ -162,6 +170,9 @@ public function __invoke(ServerRequest $request): void
             'fields_meta' => $fields_meta,
             'table_has_a_numeric_column' => $numericColumnFound,
             'start_and_number_of_rows_fieldset' => $startAndNumberOfRowsFieldset,
+            'db' => $GLOBALS['db'],
+            'user' => $GLOBALS['cfg']['Server']['user'],
+            'has_bookmark_feature' => $this->relation->getRelationParameters()->bookmarkFeature !== null,
         ]);
     }
 
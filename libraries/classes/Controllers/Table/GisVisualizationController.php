@@ -17,8 +17,12 @@
 use PhpMyAdmin\Util;
 
 use function __;
+use function array_diff;
+use function array_intersect;
 use function array_merge;
+use function array_values;
 use function is_array;
+use function json_encode;
 
 /**
  * Handles creation of the GIS visualizations.
@@ -114,6 +118,23 @@ public function __invoke(ServerRequest $request): void
             $visualizationSettings['spatialColumn'] = $spatialCandidates[0];
         }
 
+        // The other geometric columns can be shown as layers above the spatial column
+        $otherSpatialColumns = array_values(array_diff($spatialCandidates, [$visualizationSettings['spatialColumn']]));
+        $shownLayers = [];
+        if (isset($visualizationSettings['layerColumns']) && is_array($visualizationSettings['layerColumns'])) {
+            $shownLayers = array_values(array_intersect($otherSpatialColumns, $visualizationSettings['layerColumns']));
+        }
+
+        // The page draws all the layers so that they can be shown or hidden, the files only the shown ones
+        if (isset($_GET['saveToFile'])) {
+            $visualizationSettings['layerColumns'] = $shownLayers;
+            $visualizationSettings['hiddenLayerColumns'] = [];
+        } else {
+            $visualizationSettings['layerColumns'] = $otherSpatialColumns;
+            $visualizationSettings['hiddenLayerColumns'] = array_values(array_diff($otherSpatialColumns, $shownLayers));
+            $visualizationSettings['attributeColumns'] = $labelCandidates;
+        }
+
         // Download as PNG/SVG/PDF use _GET and the normal form uses _POST
         // Convert geometric columns from bytes to text.
         $pos = (int) ($_POST['pos'] ?? $_GET['pos'] ?? $_SESSION['tmpval']['pos']);
@@ -172,9 +193,33 @@ public function __invoke(ServerRequest $request): void
                 'pos' => $pos,
                 'visualizationSettings[spatialColumn]' => $visualizationSettings['spatialColumn'],
                 'visualizationSettings[labelColumn]' => $visualizationSettings['labelColumn'] ?? null,
+                'visualizationSettings[colorByLabel]' => $visualizationSettings['colorByLabel'] ?? null,
+                'visualizationSettings[layerColumns]' => $shownLayers,
             ]
         ));
 
+        // The attributes of the features are shown on click and exported with their geometries
+        $features = [];
+        foreach ($this->visualization->getFeatures((string) ($GLOBALS['table'] ?? '')) as $feature) {
+            $editUrl = '';
+            if ($feature['where_clause'] !== '') {
+                $editUrl = Url::getFromRoute('/table/change', [
+                    'db' => $GLOBALS['db'],
+                    'table' => $GLOBALS['table'],
+                    'where_clause' => $feature['where_clause'],
+                    'clause_is_unique' => $feature['clause_is_unique'],
+                    'sql_query' => $sqlQuery,
+                    'goto' => Url::getFromRoute('/sql'),
+                ]);
+            }
+
+            $features[] = [
+                'attributes' => $feature['attributes'],
+                'geometries' => $feature['geometries'],
+                'edit_url' => $editUrl,
+            ];
+        }
+
         $startAndNumberOfRowsFieldset = Generator::getStartAndNumberOfRowsFieldsetData($sqlQuery);
 
         $html = $this->template->render('table/gis_visualization/gis_visualization', [
@@ -183,6 +228,9 @@ public function __invoke(ServerRequest $request): void
             'label_candidates' => $labelCandidates,
             'spatial_candidates' => $spatialCandidates,
             'visualization_settings' => $visualizationSettings,
+            'shown_layers' => $shownLayers,
+            'legend' => $this->visualization->getLegend(),
+            'features_json' => json_encode($features),
             'start_and_number_of_rows_fieldset' => $startAndNumberOfRowsFieldset,
             'visualization' => $this->visualization->toImage('svg'),
             'draw_ol' => $this->visualization->asOl(),
@@ -25,6 +25,7 @@
 use function intval;
 use function is_array;
 use function is_numeric;
+use function is_string;
 use function json_encode;
 use function mb_strtolower;
 use function md5;
@@ -256,6 +257,8 @@ public function displaySelectionFormAction($dataLabel = null): void
             'geom_column_flag' => $this->geomColumnFlag,
             'column_names' => $column_names,
             'data_label' => $dataLabel,
+            'data_map_column' => $this->getDataMapColumn(),
+            'data_mapping' => $_POST['dataMapping'] ?? 'color',
             'keys' => $keys,
             'criteria_column_names' => $criteria_column_names,
             'criteria_column_types' => $_POST['criteriaColumnTypes'] ?? null,
@@ -265,6 +268,19 @@ public function displaySelectionFormAction($dataLabel = null): void
         ]);
     }
 
+    /**
+     * Returns the column mapped to the color or the size of the points, if it is a column of the table
+     */
+    private function getDataMapColumn(): string
+    {
+        $dataMapColumn = $_POST['dataMapColumn'] ?? '';
+        if (! is_string($dataMapColumn) || ! in_array($dataMapColumn, $this->columnNames, true)) {
+            return '';
+        }
+
+        return $dataMapColumn;
+    }
+
     /**
      * Get data row action
      */
@@ -340,6 +356,7 @@ public function zoomSubmitAction($dataLabel, $goto): void
         //Query execution part
         $result = $this->dbi->query($sql_query . ';');
         $fields_meta = $this->dbi->getFieldsMeta($result);
+        $dataMapColumn = $this->getDataMapColumn();
         $data = [];
         while ($row = $result->fetchAssoc()) {
             //Need a row with indexes as 0,1,2 for the getUniqueCondition
@@ -364,6 +381,10 @@ public function zoomSubmitAction($dataLabel, $goto): void
                 'where_clause_sign' => Core::signSqlQuery($uniqueCondition[0]),
             ];
             $tmpData[$dataLabel] = $dataLabel ? $row[$dataLabel] : '';
+            if ($dataMapColumn !== '') {
+                $tmpData[$dataMapColumn] = $row[$dataMapColumn];
+            }
+
             $data[] = $tmpData;
         }
 
@@ -320,6 +320,54 @@ public function getPageName(int $pg)
         return $page_name[0] ?? null;
     }
 
+    /**
+     * Returns the pages of a database with the positions of their tables
+     *
+     * @param string $db database name
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    public function getPagesWithTablePositions(string $db): array
+    {
+        $pdfFeature = $this->relation->getRelationParameters()->pdfFeature;
+        if ($pdfFeature === null) {
+            return [];
+        }
+
+        $query = 'SELECT `page_nr`, `page_descr`'
+            . ' FROM ' . Util::backquote($pdfFeature->database)
+            . '.' . Util::backquote($pdfFeature->pdfPages)
+            . " WHERE `db_name` = '" . $this->dbi->escapeString($db) . "'"
+            . ' ORDER BY `page_descr`';
+        $pageNames = $this->dbi->fetchResult(
+            $query,
+            'page_nr',
+            'page_descr',
+            DatabaseInterface::CONNECT_CONTROL
+        );
+
+        $pages = [];
+        foreach ($pageNames as $pageNumber => $pageName) {
+            $tables = [];
+            foreach ($this->getTablePositions((int) $pageNumber) ?? [] as $position) {
+                $tables[] = [
+                    'dbName' => (string) $position['dbName'],
+                    'tableName' => (string) $position['tableName'],
+                    'x' => (int) $position['X'],
+                    'y' => (int) $position['Y'],
+                ];
+            }
+
+            $pages[] = [
+                'pgNr' => (int) $pageNumber,
+                'pageDescr' => (string) $pageName,
+                'tables' => $tables,
+            ];
+        }
+
+        return $pages;
+    }
+
     /**
      * Deletes a given pdf page and its corresponding coordinates
      *
@@ -482,7 +530,7 @@ public function saveTablePositions($pg): bool
 
         $this->dbi->queryAsControlUser($query);
 
-        foreach ($_POST['t_h'] as $key => $value) {
+        foreach ($_POST['t_h'] ?? [] as $key => $value) {
             $DB = $_POST['t_db'][$key];
             $TAB = $_POST['t_tbl'][$key];
             if (! $value) {
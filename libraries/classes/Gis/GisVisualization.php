@@ -8,17 +8,25 @@
 namespace PhpMyAdmin\Gis;
 
 use PhpMyAdmin\Core;
+use PhpMyAdmin\FieldMetadata;
 use PhpMyAdmin\Image\ImageWrapper;
 use PhpMyAdmin\Sanitize;
 use PhpMyAdmin\Util;
 use TCPDF;
 
 use function array_merge;
+use function array_slice;
+use function array_unique;
+use function array_values;
 use function base64_encode;
+use function bin2hex;
 use function count;
+use function htmlspecialchars;
+use function in_array;
 use function intval;
 use function is_numeric;
 use function is_string;
+use function json_encode;
 use function mb_strlen;
 use function mb_strpos;
 use function mb_strtolower;
@@ -40,6 +48,9 @@ class GisVisualization
     /** @var string */
     private $modifiedSql;
 
+    /** @var FieldMetadata[] Meta data of the columns of the raw data */
+    private $fieldsMeta = [];
+
     /** @var array   Set of default settings values are here. */
     private $settings = [
         // Array of colors to be used for GIS visualizations.
@@ -203,22 +214,40 @@ private function modifySqlQuery($sql_query, $rows, $pos)
             $axisOrder = ', \'axis-order=long-lat\'';
         }
 
+        // Add the columns of the attributes of the features, they come first for the unique conditions
+        $columns = $this->userSpecifiedSettings['attributeColumns'] ?? [];
+
         // If label column is chosen add it to the query
-        if (! empty($this->userSpecifiedSettings['labelColumn'])) {
-            $modified_query .= Util::backquote($this->userSpecifiedSettings['labelColumn'])
-            . ', ';
+        if (
+            ! empty($this->userSpecifiedSettings['labelColumn'])
+            && ! in_array($this->userSpecifiedSettings['labelColumn'], $columns, true)
+        ) {
+            $columns[] = $this->userSpecifiedSettings['labelColumn'];
         }
 
-        // Wrap the spatial column with 'ST_ASTEXT()' function and add it
-        $modified_query .= $spatialAsText . '('
-            . Util::backquote($this->userSpecifiedSettings['spatialColumn'])
-            . $axisOrder . ') AS ' . Util::backquote($this->userSpecifiedSettings['spatialColumn'])
-            . ', ';
+        foreach ($columns as $column) {
+            $modified_query .= Util::backquote($column) . ', ';
+        }
+
+        // Wrap the spatial columns with 'ST_ASTEXT()' function and add them
+        $layerColumns = $this->getLayerColumns($this->userSpecifiedSettings);
+        foreach ($layerColumns as $column) {
+            $modified_query .= $spatialAsText . '('
+                . Util::backquote($column)
+                . $axisOrder . ') AS ' . Util::backquote($column)
+                . ', ';
+        }
 
         // Get the SRID
         $modified_query .= $spatialSrid . '('
             . Util::backquote($this->userSpecifiedSettings['spatialColumn'])
-            . ') AS ' . Util::backquote('srid') . ' ';
+            . ') AS ' . Util::backquote('srid');
+        foreach (array_slice($layerColumns, 1) as $column) {
+            $modified_query .= ', ' . $spatialSrid . '(' . Util::backquote($column) . ') AS '
+                . Util::backquote('srid_' . $column);
+        }
+
+        $modified_query .= ' ';
 
         // Append the original query as the inner query
         $modified_query .= 'FROM (' . rtrim($sql_query, ';') . ') AS '
@@ -250,9 +279,142 @@ private function fetchRawData(): array
             return [];
         }
 
+        $this->fieldsMeta = $GLOBALS['dbi']->getFieldsMeta($modified_result);
+
         return $modified_result->fetchAllAssoc();
     }
 
+    /**
+     * Returns the spatial column followed by the other spatial columns drawn as layers.
+     *
+     * @param array $settings Visualization settings
+     *
+     * @return string[] the spatial columns
+     */
+    private function getLayerColumns(array $settings): array
+    {
+        return array_values(array_unique(array_merge(
+            [$settings['spatialColumn']],
+            $settings['layerColumns'] ?? []
+        )));
+    }
+
+    /**
+     * Returns the label of a row, an empty string if there is no label column.
+     *
+     * @param array $row Row data
+     */
+    private function getLabel(array $row): string
+    {
+        if (isset($this->settings['labelColumn'], $row[$this->settings['labelColumn']])) {
+            return (string) $row[$this->settings['labelColumn']];
+        }
+
+        return '';
+    }
+
+    /**
+     * Returns the index of the color of each label when the features are colored by label.
+     *
+     * @return array<string, int> the indexes of the colors by label, empty if the features are not colored by label
+     */
+    private function getLabelColorIndexes(): array
+    {
+        if (empty($this->settings['colorByLabel']) || empty($this->settings['labelColumn'])) {
+            return [];
+        }
+
+        $indexes = [];
+        foreach ($this->data as $row) {
+            $label = $this->getLabel($row);
+            if (isset($indexes[$label])) {
+                continue;
+            }
+
+            $indexes[$label] = count($indexes) % count($this->settings['colors']);
+        }
+
+        return $indexes;
+    }
+
+    /**
+     * Returns the color of each label when the features are colored by label.
+     *
+     * @return array<int, array{label: string, color: string}> the labels and their colors
+     */
+    public function getLegend(): array
+    {
+        $this->init();
+
+        $legend = [];
+        foreach ($this->getLabelColorIndexes() as $label => $index) {
+            $legend[] = [
+                'label' => (string) $label,
+                'color' => $this->settings['colors'][$index],
+            ];
+        }
+
+        return $legend;
+    }
+
+    /**
+     * Returns the attributes, the geometries and the unique condition of each row.
+     *
+     * @param string $table Table the unique conditions are restricted to, none if empty
+     *
+     * @return array<int, array{attributes: array, geometries: array, where_clause: string, clause_is_unique: bool}>
+     */
+    public function getFeatures(string $table): array
+    {
+        $this->init();
+
+        $attributeColumns = array_values($this->settings['attributeColumns'] ?? []);
+        $features = [];
+        foreach ($this->data as $row) {
+            $attributes = [];
+            foreach ($attributeColumns as $index => $column) {
+                $attributes[$column] = $row[$column] ?? null;
+                // Binary values are shown in hexadecimal, they are not valid in the JSON of the features
+                if (
+                    ! is_string($attributes[$column])
+                    || ! isset($this->fieldsMeta[$index])
+                    || ! $this->fieldsMeta[$index]->isBinary()
+                ) {
+                    continue;
+                }
+
+                $attributes[$column] = '0x' . bin2hex($attributes[$column]);
+            }
+
+            $geometries = [];
+            foreach ($this->getLayerColumns($this->settings) as $column) {
+                $geometries[$column] = $row[$column] ?? null;
+            }
+
+            $whereClause = '';
+            $clauseIsUnique = false;
+            // The attributes are the first columns of the raw data
+            if ($table !== '' && $attributeColumns !== [] && count($this->fieldsMeta) >= count($attributeColumns)) {
+                [$whereClause, $clauseIsUnique] = Util::getUniqueCondition(
+                    count($attributeColumns),
+                    $this->fieldsMeta,
+                    array_values($row),
+                    false,
+                    $table
+                );
+            }
+
+            $features[] = [
+                'attributes' => $attributes,
+                'geometries' => $geometries,
+                'where_clause' => $whereClause,
+                'clause_is_unique' => $clauseIsUnique,
+            ];
+        }
+
+        return $features;
+    }
+
     /**
      * A function which handles passed parameters. Useful if desired
      * chart needs to be a little bit different from the default one.
@@ -431,15 +593,11 @@ public function asOl()
             . 'if (typeof ol !== "undefined") {'
             . 'var olCss = "js/vendor/openlayers/theme/ol.css";'
             . '$(\'head\').append(\'<link rel="stylesheet" type="text/css" href=\'+olCss+\'>\');'
-            . 'var vectorLayer = new ol.source.Vector({});'
             . 'var map = new ol.Map({'
             . 'target: \'openlayersmap\','
             . 'layers: ['
             . 'new ol.layer.Tile({'
             . 'source: new ol.source.OSM()'
-            . '}),'
-            . 'new ol.layer.Vector({'
-            . 'source: vectorLayer'
             . '})'
             . '],'
             . 'view: new ol.View({'
@@ -552,49 +710,53 @@ private function scaleDataSet(array $data)
         $plot_width = $this->settings['width'] - 2 * $border;
         $plot_height = $this->settings['height'] - 2 * $border;
 
+        // All the layers are scaled the same way
+        $layerColumns = $this->getLayerColumns($this->settings);
         foreach ($data as $row) {
-            // Figure out the data type
-            $ref_data = $row[$this->settings['spatialColumn']];
-            if (! is_string($ref_data)) {
-                continue;
-            }
-
-            $type_pos = mb_strpos($ref_data, '(');
-            if ($type_pos === false) {
-                continue;
-            }
-
-            $type = mb_substr($ref_data, 0, $type_pos);
-
-            $gis_obj = GisFactory::factory($type);
-            if (! $gis_obj) {
-                continue;
-            }
-
-            $scale_data = $gis_obj->scaleRow($row[$this->settings['spatialColumn']]);
-
-            // Update minimum/maximum values for x and y coordinates.
-            $c_maxX = (float) $scale_data['maxX'];
-            if ($min_max['maxX'] === 0.0 || $c_maxX > $min_max['maxX']) {
-                $min_max['maxX'] = $c_maxX;
+            foreach ($layerColumns as $column) {
+                // Figure out the data type
+                $ref_data = $row[$column] ?? null;
+                if (! is_string($ref_data)) {
+                    continue;
+                }
+
+                $type_pos = mb_strpos($ref_data, '(');
+                if ($type_pos === false) {
+                    continue;
+                }
+
+                $type = mb_substr($ref_data, 0, $type_pos);
+
+                $gis_obj = GisFactory::factory($type);
+                if (! $gis_obj) {
+                    continue;
+                }
+
+                $scale_data = $gis_obj->scaleRow($ref_data);
+
+                // Update minimum/maximum values for x and y coordinates.
+                $c_maxX = (float) $scale_data['maxX'];
+                if ($min_max['maxX'] === 0.0 || $c_maxX > $min_max['maxX']) {
+                    $min_max['maxX'] = $c_maxX;
+                }
+
+                $c_minX = (float) $scale_data['minX'];
+                if ($min_max['minX'] === 0.0 || $c_minX < $min_max['minX']) {
+                    $min_max['minX'] = $c_minX;
+                }
+
+                $c_maxY = (float) $scale_data['maxY'];
+                if ($min_max['maxY'] === 0.0 || $c_maxY > $min_max['maxY']) {
+                    $min_max['maxY'] = $c_maxY;
+                }
+
+                $c_minY = (float) $scale_data['minY'];
+                if ($min_max['minY'] !== 0.0 && $c_minY >= $min_max['minY']) {
+                    continue;
+                }
+
+                $min_max['minY'] = $c_minY;
             }
-
-            $c_minX = (float) $scale_data['minX'];
-            if ($min_max['minX'] === 0.0 || $c_minX < $min_max['minX']) {
-                $min_max['minX'] = $c_minX;
-            }
-
-            $c_maxY = (float) $scale_data['maxY'];
-            if ($min_max['maxY'] === 0.0 || $c_maxY > $min_max['maxY']) {
-                $min_max['maxY'] = $c_maxY;
-            }
-
-            $c_minY = (float) $scale_data['minY'];
-            if ($min_max['minY'] !== 0.0 && $c_minY >= $min_max['minY']) {
-                continue;
-            }
-
-            $min_max['minY'] = $c_minY;
         }
 
         // scale the visualization
@@ -631,6 +793,11 @@ private function scaleDataSet(array $data)
     /**
      * Prepares and return the dataset as needed by the visualization.
      *
+     * Each spatial column is drawn as a layer. In the SVG, the layers and the
+     * features are groups holding the name of their column and the index of
+     * their row. With OpenLayers, they are vector layers and features holding
+     * the same values as properties.
+     *
      * @param array                           $data       Raw data
      * @param array                           $scale_data Data related to scaling
      * @param string                          $format     Format of the visualization
@@ -641,69 +808,98 @@ private function scaleDataSet(array $data)
      */
     private function prepareDataSet(array $data, array $scale_data, $format, $results)
     {
-        $color_number = 0;
-
-        // loop through the rows
-        foreach ($data as $row) {
-            $index = $color_number % count($this->settings['colors']);
+        $labelColorIndexes = $this->getLabelColorIndexes();
+        $hiddenLayerColumns = $this->settings['hiddenLayerColumns'] ?? [];
 
-            // Figure out the data type
-            $ref_data = $row[$this->settings['spatialColumn']];
-            if (! is_string($ref_data)) {
-                continue;
+        foreach ($this->getLayerColumns($this->settings) as $layer => $column) {
+            $isHidden = in_array($column, $hiddenLayerColumns, true);
+            if ($format === 'svg') {
+                $results .= '<g class="gis-layer" data-layer="' . htmlspecialchars($column) . '"'
+                    . ($isHidden ? ' display="none"' : '') . '>';
+            } elseif ($format === 'ol') {
+                $results .= 'var vectorLayer = new ol.source.Vector({});'
+                    . 'vectorLayer.on("addfeature", function (event) {'
+                    . 'event.feature.set("gisRow", event.target.get("gisRow"));'
+                    . '});'
+                    . 'var gisLayer = new ol.layer.Vector({source: vectorLayer, visible: '
+                    . ($isHidden ? 'false' : 'true') . '});'
+                    . 'gisLayer.set("gisColumn", ' . json_encode($column) . ');'
+                    . 'map.addLayer(gisLayer);';
             }
 
-            $type_pos = mb_strpos($ref_data, '(');
-            if ($type_pos === false) {
-                continue;
+            $color_number = 0;
+
+            // loop through the rows
+            foreach ($data as $rowIndex => $row) {
+                $index = $color_number % count($this->settings['colors']);
+
+                // Figure out the data type
+                $ref_data = $row[$column] ?? null;
+                if (! is_string($ref_data)) {
+                    continue;
+                }
+
+                $type_pos = mb_strpos($ref_data, '(');
+                if ($type_pos === false) {
+                    continue;
+                }
+
+                $type = mb_substr($ref_data, 0, $type_pos);
+
+                $gis_obj = GisFactory::factory($type);
+                if (! $gis_obj) {
+                    continue;
+                }
+
+                $label = $this->getLabel($row);
+                if (isset($labelColorIndexes[$label])) {
+                    $index = $labelColorIndexes[$label];
+                }
+
+                if ($format === 'svg') {
+                    $results .= '<g class="gis-feature" data-row="' . $rowIndex . '">'
+                        . $gis_obj->prepareRowAsSvg(
+                            $ref_data,
+                            $label,
+                            $this->settings['colors'][$index],
+                            $scale_data
+                        )
+                        . '</g>';
+                } elseif ($format === 'png') {
+                    $results = $gis_obj->prepareRowAsPng(
+                        $ref_data,
+                        $label,
+                        $this->settings['colors'][$index],
+                        $scale_data,
+                        $results
+                    );
+                } elseif ($format === 'pdf' && $results instanceof TCPDF) {
+                    $results = $gis_obj->prepareRowAsPdf(
+                        $ref_data,
+                        $label,
+                        $this->settings['colors'][$index],
+                        $scale_data,
+                        $results
+                    );
+                } elseif ($format === 'ol') {
+                    $results .= 'vectorLayer.set("gisRow", ' . $rowIndex . ');'
+                        . $gis_obj->prepareRowAsOl(
+                            $ref_data,
+                            (int) ($layer === 0 ? $row['srid'] : $row['srid_' . $column]),
+                            $label,
+                            $this->settings['colors_hex'][$index],
+                            $scale_data
+                        );
+                }
+
+                $color_number++;
             }
 
-            $type = mb_substr($ref_data, 0, $type_pos);
-
-            $gis_obj = GisFactory::factory($type);
-            if (! $gis_obj) {
+            if ($format !== 'svg') {
                 continue;
             }
 
-            $label = '';
-            if (isset($this->settings['labelColumn'], $row[$this->settings['labelColumn']])) {
-                $label = $row[$this->settings['labelColumn']];
-            }
-
-            if ($format === 'svg') {
-                $results .= $gis_obj->prepareRowAsSvg(
-                    $row[$this->settings['spatialColumn']],
-                    $label,
-                    $this->settings['colors'][$index],
-                    $scale_data
-                );
-            } elseif ($format === 'png') {
-                $results = $gis_obj->prepareRowAsPng(
-                    $row[$this->settings['spatialColumn']],
-                    $label,
-                    $this->settings['colors'][$index],
-                    $scale_data,
-                    $results
-                );
-            } elseif ($format === 'pdf' && $results instanceof TCPDF) {
-                $results = $gis_obj->prepareRowAsPdf(
-                    $row[$this->settings['spatialColumn']],
-                    $label,
-                    $this->settings['colors'][$index],
-                    $scale_data,
-                    $results
-                );
-            } elseif ($format === 'ol') {
-                $results .= $gis_obj->prepareRowAsOl(
-                    $row[$this->settings['spatialColumn']],
-                    (int) $row['srid'],
-                    $label,
-                    $this->settings['colors_hex'][$index],
-                    $scale_data
-                );
-            }
-
-            $color_number++;
+            $results .= '</g>';
         }
 
         return $results;
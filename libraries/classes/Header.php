@@ -184,6 +184,9 @@ public function getJsParams(): array
             'rootPath' => $GLOBALS['config']->getRootPath(),
             'arg_separator' => Url::getArgSeparator(),
             'version' => Version::VERSION,
+            'SqlFormatter' => $GLOBALS['cfg']['SqlFormatter'],
+            'SqlLint' => $GLOBALS['cfg']['SqlLint'],
+            'max_upload_size' => (int) $GLOBALS['config']->get('max_upload_size'),
         ];
         if (isset($GLOBALS['cfg']['Server'], $GLOBALS['cfg']['Server']['auth_type'])) {
             $params['auth_type'] = $GLOBALS['cfg']['Server']['auth_type'];
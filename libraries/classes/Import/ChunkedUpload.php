@@ -0,0 +1,211 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Import;
+
+use PhpMyAdmin\Exceptions\ChunkedUploadException;
+use PhpMyAdmin\Util;
+
+use function __;
+use function clearstatcache;
+use function count;
+use function fclose;
+use function file_exists;
+use function filemtime;
+use function filesize;
+use function flock;
+use function fopen;
+use function fstat;
+use function fwrite;
+use function glob;
+use function hash;
+use function is_array;
+use function preg_match;
+use function rtrim;
+use function sprintf;
+use function strlen;
+use function strtolower;
+use function time;
+use function unlink;
+
+use const DIRECTORY_SEPARATOR;
+use const LOCK_EX;
+use const LOCK_UN;
+
+/**
+ * Import files uploaded in several requests, each chunk being appended to a part file
+ * of the upload temporary directory until the import uses it.
+ */
+final class ChunkedUpload
+{
+    /**
+     * Delay in seconds after which the uploads which were not imported are removed
+     */
+    public const EXPIRATION = 86400;
+
+    /**
+     * Number of uploads a session can have in progress at the same time
+     */
+    public const MAX_UPLOADS = 5;
+
+    private const PREFIX = 'pma_chunked_';
+
+    /** @var string */
+    private $directory;
+
+    /** @var string */
+    private $owner;
+
+    /** @var int */
+    private $maxSize;
+
+    /**
+     * @param string $directory upload temporary directory
+     * @param string $owner     secret of the session, so that other users can not guess the part files
+     * @param int    $maxSize   maximum size of an upload in bytes, 0 for no limit
+     */
+    public function __construct(string $directory, string $owner, int $maxSize = 0)
+    {
+        $this->directory = rtrim($directory, DIRECTORY_SEPARATOR);
+        $this->owner = $owner;
+        $this->maxSize = $maxSize;
+    }
+
+    /**
+     * Upload identifiers are random hexadecimal strings generated by the browser
+     */
+    public static function isValidId(string $uploadId): bool
+    {
+        return preg_match('/^[0-9a-f]{32}$/', $uploadId) === 1;
+    }
+
+    public function getPath(string $uploadId): string
+    {
+        return $this->getOwnerPrefix() . hash('sha256', $this->owner . $uploadId) . '.part';
+    }
+
+    /**
+     * Beginning of the paths of the part files of the session, to count its uploads
+     */
+    private function getOwnerPrefix(): string
+    {
+        return $this->directory . DIRECTORY_SEPARATOR . self::PREFIX
+            . hash('sha256', $this->owner) . '_';
+    }
+
+    /**
+     * Number of bytes already received, where the next chunk starts
+     */
+    public function getSize(string $uploadId): int
+    {
+        $path = $this->getPath($uploadId);
+        clearstatcache(true, $path);
+
+        return file_exists($path) ? (int) filesize($path) : 0;
+    }
+
+    /**
+     * Checks that an upload can reach the given size, new uploads being refused
+     * when the session already has the maximum number of uploads in progress
+     *
+     * @param int $size size of the file, or of the upload with its next chunk
+     *
+     * @throws ChunkedUploadException
+     */
+    public function checkLimits(string $uploadId, int $size): void
+    {
+        if ($this->maxSize > 0 && $size > $this->maxSize) {
+            $maxSize = Util::formatByteDown($this->maxSize, 3, 1);
+
+            throw new ChunkedUploadException(sprintf(
+                __('The file is larger than the maximum size of %s for the uploads in chunks.'),
+                $maxSize !== null ? $maxSize[0] . ' ' . $maxSize[1] : $this->maxSize
+            ));
+        }
+
+        if (file_exists($this->getPath($uploadId))) {
+            return;
+        }
+
+        $paths = glob($this->getOwnerPrefix() . '*.part');
+        if (is_array($paths) && count($paths) >= self::MAX_UPLOADS) {
+            throw new ChunkedUploadException(
+                __('Too many uploads are in progress, please finish or cancel one of them first.')
+            );
+        }
+    }
+
+    /**
+     * Appends a chunk to the upload
+     *
+     * @param int    $offset   position of the chunk in the file
+     * @param string $checksum CRC32 of the chunk, as hexadecimal
+     *
+     * @return int size of the upload with the chunk
+     *
+     * @throws ChunkedUploadException
+     */
+    public function append(string $uploadId, int $offset, string $data, string $checksum): int
+    {
+        if (hash('crc32b', $data) !== strtolower($checksum)) {
+            throw new ChunkedUploadException(__('The chunk was corrupted during the upload.'));
+        }
+
+        $this->checkLimits($uploadId, $offset + strlen($data));
+
+        $handle = @fopen($this->getPath($uploadId), 'ab');
+        if ($handle === false) {
+            throw new ChunkedUploadException(__('The uploaded file could not be written.'));
+        }
+
+        flock($handle, LOCK_EX);
+        $stat = fstat($handle);
+        $size = is_array($stat) ? $stat['size'] : 0;
+        if ($size !== $offset) {
+            flock($handle, LOCK_UN);
+            fclose($handle);
+
+            throw new ChunkedUploadException(__('The chunk does not follow the uploaded part of the file.'));
+        }
+
+        $written = fwrite($handle, $data);
+        flock($handle, LOCK_UN);
+        fclose($handle);
+        if ($written !== strlen($data)) {
+            throw new ChunkedUploadException(__('The uploaded file could not be written.'));
+        }
+
+        return $size + $written;
+    }
+
+    public function remove(string $uploadId): void
+    {
+        $path = $this->getPath($uploadId);
+        if (! file_exists($path)) {
+            return;
+        }
+
+        @unlink($path);
+    }
+
+    /**
+     * Removes the part files of every user which were not modified since the expiration delay
+     */
+    public function removeExpired(?int $now = null): void
+    {
+        $limit = ($now ?? time()) - self::EXPIRATION;
+        $paths = glob($this->directory . DIRECTORY_SEPARATOR . self::PREFIX . '*.part');
+        if ($paths === false) {
+            return;
+        }
+
+        foreach ($paths as $path) {
+            if (@filemtime($path) >= $limit) {
+                continue;
+            }
+
+            @unlink($path);
+        }
+    }
+}
@@ -134,6 +134,12 @@ protected function setProperties(): ImportPluginProperties
                 __('Column names:') . ' ' . Generator::showHint($hint->getMessage())
             );
             $generalOptions->addProperty($leaf);
+
+            $leaf = new BoolPropertyItem(
+                'empty_is_null',
+                __('Import empty values as NULL')
+            );
+            $generalOptions->addProperty($leaf);
         }
 
         $leaf = new BoolPropertyItem(
@@ -191,7 +197,7 @@ public function doImport(?File $importHandle = null): array
             (string) $GLOBALS['errorUrl']
         );
 
-        [$sql_template, $required_fields, $fields] = $this->getSqlTemplateAndRequiredFields(
+        [$sql_template, $required_fields, $fields, $skippedColumns] = $this->getSqlTemplateAndRequiredFields(
             $GLOBALS['db'],
             $GLOBALS['table'],
             $GLOBALS['csv_columns']
@@ -512,6 +518,10 @@ public function doImport(?File $importHandle = null): array
                         unset($values[count($values) - 1]);
                     }
 
+                    foreach ($skippedColumns as $index) {
+                        unset($values[$index]);
+                    }
+
                     $first = true;
                     $sql = $sql_template;
                     foreach ($values as $val) {
@@ -519,7 +529,7 @@ public function doImport(?File $importHandle = null): array
                             $sql .= ', ';
                         }
 
-                        if ($val === null) {
+                        if ($val === null || ($val === '' && isset($_POST['csv_empty_is_null']))) {
                             $sql .= 'NULL';
                         } else {
                             $sql .= '\''
@@ -791,6 +801,7 @@ private function getSqlTemplateAndRequiredFields(
         $requiredFields = 0;
         $sqlTemplate = '';
         $fields = [];
+        $skippedColumns = [];
         if (! $this->getAnalyze() && $db !== null && $table !== null) {
             $sqlTemplate = 'INSERT';
             if (isset($_POST['csv_ignore'])) {
@@ -811,7 +822,13 @@ private function getSqlTemplateAndRequiredFields(
                     $tmp = [];
                 }
 
-                foreach ($tmp as $val) {
+                foreach ($tmp as $index => $val) {
+                    /* An empty name skips the column of the file */
+                    if (trim($val) === '') {
+                        $skippedColumns[] = $index;
+                        continue;
+                    }
+
                     if (count($fields) > 0) {
                         $sqlTemplate .= ', ';
                     }
@@ -849,12 +866,12 @@ private function getSqlTemplateAndRequiredFields(
                 $sqlTemplate .= ') ';
             }
 
-            $requiredFields = count($fields);
+            $requiredFields = count($fields) + count($skippedColumns);
 
             $sqlTemplate .= ' VALUES (';
         }
 
-        return [$sqlTemplate, $requiredFields, $fields];
+        return [$sqlTemplate, $requiredFields, $fields, $skippedColumns];
     }
 
     /**
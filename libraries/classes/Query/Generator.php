@@ -248,6 +248,19 @@ public static function getInformationSchemaForeignKeyConstraintsRequest(
             . ' AND REFERENCED_TABLE_NAME IN (' . $tablesListForQueryCsv . ');';
     }
 
+    public static function getInformationSchemaDatabaseForeignKeyConstraintsRequest(string $escapedDatabase): string
+    {
+        return 'SELECT'
+            . ' TABLE_NAME,'
+            . ' COLUMN_NAME,'
+            . ' REFERENCED_TABLE_NAME,'
+            . ' REFERENCED_COLUMN_NAME'
+            . ' FROM information_schema.key_column_usage'
+            . ' WHERE referenced_table_name IS NOT NULL'
+            . " AND TABLE_SCHEMA = '" . $escapedDatabase . "'"
+            . " AND REFERENCED_TABLE_SCHEMA = '" . $escapedDatabase . "';";
+    }
+
     public static function getInformationSchemaDatabasesFullRequest(
         bool $forceStats,
         string $sqlWhereSchema,
@@ -0,0 +1,90 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Server\Status\Monitor;
+
+/** @psalm-immutable */
+final class Dashboard
+{
+    /** @var int */
+    private $id;
+
+    /** @var string Empty for the dashboards published to all users */
+    private $username;
+
+    /** @var string */
+    private $name;
+
+    /** @var string JSON */
+    private $data;
+
+    /** @var bool */
+    private $isDefault;
+
+    private function __construct(int $id, string $username, string $name, string $data, bool $isDefault)
+    {
+        $this->id = $id;
+        $this->username = $username;
+        $this->name = $name;
+        $this->data = $data;
+        $this->isDefault = $isDefault;
+    }
+
+    /** @param array<string, mixed> $state */
+    public static function fromArray(array $state): self
+    {
+        return new self(
+            $state['id'] ?? 0,
+            $state['username'],
+            $state['name'] ?? '',
+            $state['data'],
+            $state['isDefault'] ?? false
+        );
+    }
+
+    public function getId(): int
+    {
+        return $this->id;
+    }
+
+    public function getUsername(): string
+    {
+        return $this->username;
+    }
+
+    public function getName(): string
+    {
+        return $this->name;
+    }
+
+    public function getData(): string
+    {
+        return $this->data;
+    }
+
+    public function isDefault(): bool
+    {
+        return $this->isDefault;
+    }
+
+    public function isShared(): bool
+    {
+        return $this->username === '';
+    }
+
+    /**
+     * @return array<string, int|string|bool>
+     * @psalm-return array{id: int, name: string, data: string, isShared: bool, isDefault: bool}
+     */
+    public function toArray(): array
+    {
+        return [
+            'id' => $this->id,
+            'name' => $this->name,
+            'data' => $this->data,
+            'isShared' => $this->isShared(),
+            'isDefault' => $this->isDefault,
+        ];
+    }
+}
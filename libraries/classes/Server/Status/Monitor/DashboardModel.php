@@ -0,0 +1,147 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Server\Status\Monitor;
+
+use PhpMyAdmin\DatabaseInterface;
+use PhpMyAdmin\Dbal\DatabaseName;
+use PhpMyAdmin\Dbal\TableName;
+use PhpMyAdmin\Util;
+
+use function sprintf;
+
+/**
+ * Stores the server monitor dashboards in the phpMyAdmin configuration storage.
+ * The dashboards published to all users are stored with an empty user name.
+ */
+final class DashboardModel
+{
+    /** @var DatabaseInterface */
+    private $dbi;
+
+    public function __construct(DatabaseInterface $dbi)
+    {
+        $this->dbi = $dbi;
+    }
+
+    /**
+     * Creates the dashboard or replaces the one of the same user having the same name.
+     */
+    public function save(DatabaseName $db, TableName $table, Dashboard $dashboard): string
+    {
+        $query = sprintf(
+            'INSERT INTO %s.%s (`username`, `dashboard_name`, `dashboard_data`, `is_default`)'
+                . ' VALUES (\'%s\', \'%s\', \'%s\', %d)'
+                . ' ON DUPLICATE KEY UPDATE `dashboard_data` = VALUES(`dashboard_data`),'
+                . ' `is_default` = VALUES(`is_default`);',
+            Util::backquote($db),
+            Util::backquote($table),
+            $this->dbi->escapeString($dashboard->getUsername()),
+            $this->dbi->escapeString($dashboard->getName()),
+            $this->dbi->escapeString($dashboard->getData()),
+            $dashboard->isDefault() ? 1 : 0
+        );
+        $result = $this->dbi->tryQueryAsControlUser($query);
+        if ($result !== false) {
+            return '';
+        }
+
+        return $this->dbi->getError(DatabaseInterface::CONNECT_CONTROL);
+    }
+
+    /**
+     * Publishes the dashboard to all users as their default dashboard.
+     */
+    public function publish(DatabaseName $db, TableName $table, string $name, string $data): string
+    {
+        $query = sprintf(
+            'UPDATE %s.%s SET `is_default` = 0 WHERE `username` = \'\';',
+            Util::backquote($db),
+            Util::backquote($table)
+        );
+        if ($this->dbi->tryQueryAsControlUser($query) === false) {
+            return $this->dbi->getError(DatabaseInterface::CONNECT_CONTROL);
+        }
+
+        return $this->save($db, $table, Dashboard::fromArray([
+            'username' => '',
+            'name' => $name,
+            'data' => $data,
+            'isDefault' => true,
+        ]));
+    }
+
+    /**
+     * Withdraws a published dashboard, it becomes a dashboard of the given user.
+     */
+    public function unpublish(DatabaseName $db, TableName $table, string $user, int $id): string
+    {
+        $query = sprintf(
+            'UPDATE %s.%s SET `username` = \'%s\', `is_default` = 0 WHERE `id` = %s AND `username` = \'\';',
+            Util::backquote($db),
+            Util::backquote($table),
+            $this->dbi->escapeString($user),
+            $id
+        );
+        $result = $this->dbi->tryQueryAsControlUser($query);
+        if ($result !== false) {
+            return '';
+        }
+
+        return $this->dbi->getError(DatabaseInterface::CONNECT_CONTROL);
+    }
+
+    /**
+     * @param string|null $user the owner of the dashboard, null to delete the dashboard of any user
+     */
+    public function delete(DatabaseName $db, TableName $table, ?string $user, int $id): string
+    {
+        $query = sprintf(
+            'DELETE FROM %s.%s WHERE `id` = %s%s;',
+            Util::backquote($db),
+            Util::backquote($table),
+            $id,
+            $user === null ? '' : ' AND `username` = \'' . $this->dbi->escapeString($user) . '\''
+        );
+        $result = $this->dbi->tryQueryAsControlUser($query);
+        if ($result !== false) {
+            return '';
+        }
+
+        return $this->dbi->getError(DatabaseInterface::CONNECT_CONTROL);
+    }
+
+    /**
+     * Returns the dashboards of the user followed by the ones published to all users.
+     *
+     * @return Dashboard[]|string
+     */
+    public function getAll(DatabaseName $db, TableName $table, string $user)
+    {
+        $query = sprintf(
+            'SELECT * FROM %s.%s WHERE `username` = \'%s\' OR `username` = \'\''
+                . ' ORDER BY `username` = \'\', `dashboard_name`;',
+            Util::backquote($db),
+            Util::backquote($table),
+            $this->dbi->escapeString($user)
+        );
+        $result = $this->dbi->tryQueryAsControlUser($query);
+        if ($result === false) {
+            return $this->dbi->getError(DatabaseInterface::CONNECT_CONTROL);
+        }
+
+        $dashboards = [];
+        while ($row = $result->fetchAssoc()) {
+            $dashboards[] = Dashboard::fromArray([
+                'id' => (int) $row['id'],
+                'username' => $row['username'],
+                'name' => $row['dashboard_name'],
+                'data' => $row['dashboard_data'],
+                'isDefault' => (bool) $row['is_default'],
+            ]);
+        }
+
+        return $dashboards;
+    }
+}
@@ -230,6 +230,7 @@ public function apply(array $config_data)
         $allowList['Server/hide_db'] = true;
         $allowList['Server/only_db'] = true;
         $allowList['2fa'] = true;
+        $allowList['Console/Tabs'] = true;
         foreach ($config_data as $path => $value) {
             if (! isset($allowList[$path]) || isset($excludeList[$path])) {
                 continue;
@@ -504,6 +504,15 @@
  */
 $cfg['Servers'][$i]['export_templates'] = '';
 
+/**
+ * table to store server monitor dashboards
+ *   - leave blank to disable the storage of server monitor dashboards
+ *     SUGGESTED: 'pma__monitor_dashboards'
+ *
+ * @global string $cfg['Servers'][$i]['monitor_dashboards']
+ */
+$cfg['Servers'][$i]['monitor_dashboards'] = '';
+
 /**
  * Maximum number of records saved in $cfg['Servers'][$i]['table_uiprefs'] table.
  *
@@ -2181,6 +2190,11 @@
  */
 $cfg['Import']['csv_col_names'] = false;
 
+/**
+ * @global boolean $cfg['Import']['csv_empty_is_null']
+ */
+$cfg['Import']['csv_empty_is_null'] = false;
+
 /**
  * @global boolean $cfg['Import']['ldi_replace']
  */
@@ -2783,6 +2797,100 @@
  */
 $cfg['SQLQuery']['Refresh'] = true;
 
+/*******************************************************************************
+ * SQL formatter settings
+ * These are used by the "Format" action of the SQL editors
+ *
+ * @global array $cfg['SqlFormatter']
+ */
+$cfg['SqlFormatter'] = [];
+
+/**
+ * Case of the SQL keywords: 'upper', 'lower' or 'preserve'
+ *
+ * @global string $cfg['SqlFormatter']['KeywordCase']
+ */
+$cfg['SqlFormatter']['KeywordCase'] = 'upper';
+
+/**
+ * Number of spaces used for each indentation level
+ *
+ * @global integer $cfg['SqlFormatter']['IndentWidth']
+ */
+$cfg['SqlFormatter']['IndentWidth'] = 4;
+
+/**
+ * Whether commas of lists are placed at the 'end' of the line or at the 'start' of the next one
+ *
+ * @global string $cfg['SqlFormatter']['CommaPosition']
+ */
+$cfg['SqlFormatter']['CommaPosition'] = 'end';
+
+/**
+ * Put each JOIN on its own line
+ *
+ * @global boolean $cfg['SqlFormatter']['BreakJoins']
+ */
+$cfg['SqlFormatter']['BreakJoins'] = true;
+
+/**
+ * Put each AND/OR condition of WHERE, HAVING and ON clauses on its own line
+ *
+ * @global boolean $cfg['SqlFormatter']['BreakConditions']
+ */
+$cfg['SqlFormatter']['BreakConditions'] = true;
+
+/**
+ * Put each WHEN, ELSE and END of CASE expressions on its own line
+ *
+ * @global boolean $cfg['SqlFormatter']['BreakCase']
+ */
+$cfg['SqlFormatter']['BreakCase'] = true;
+
+/*******************************************************************************
+ * SQL linter settings
+ * Severities of the rules checked in the browser alongside the parser of the
+ * server: 'error', 'warning' or 'off'
+ *
+ * @global array $cfg['SqlLint']
+ */
+$cfg['SqlLint'] = [];
+
+/**
+ * UPDATE and DELETE statements without a WHERE clause
+ *
+ * @global string $cfg['SqlLint']['NoWhere']
+ */
+$cfg['SqlLint']['NoWhere'] = 'warning';
+
+/**
+ * SELECT * in the queries saved as bookmarks or views
+ *
+ * @global string $cfg['SqlLint']['SelectStar']
+ */
+$cfg['SqlLint']['SelectStar'] = 'warning';
+
+/**
+ * Tables separated by commas in the FROM clause
+ *
+ * @global string $cfg['SqlLint']['ImplicitCrossJoin']
+ */
+$cfg['SqlLint']['ImplicitCrossJoin'] = 'warning';
+
+/**
+ * Comparisons to NULL with =, != or <>
+ *
+ * @global string $cfg['SqlLint']['NullComparison']
+ */
+$cfg['SqlLint']['NullComparison'] = 'error';
+
+/**
+ * LIKE patterns starting with a wildcard
+ *
+ * @global string $cfg['SqlLint']['LeadingWildcard']
+ */
+$cfg['SqlLint']['LeadingWildcard'] = 'warning';
+
 /**
  * Enables autoComplete for table & column names in SQL queries
  *
@@ -2824,6 +2932,13 @@
     $cfg['TempDir'] = ROOT_PATH . 'tmp' . DIRECTORY_SEPARATOR;
 }
 
+/**
+ * Maximum size in bytes of the import files uploaded in chunks (0 for no limit)
+ *
+ * @global integer $cfg['ChunkedUploadMaxSize']
+ */
+$cfg['ChunkedUploadMaxSize'] = 1073741824;
+
 /**
  * Misc. settings
  */
@@ -3007,6 +3122,7 @@
     'GroupQueries' => false,
     'OrderBy' => 'exec',
     'Order' => 'asc',
+    'Tabs' => [],
 ];
 
 
@@ -345,6 +345,46 @@
         'texytext_null' => 'short_string',
     ],
 
+    'SqlFormatter' => [
+        'KeywordCase' => [
+            'upper' => __('Upper case'),
+            'lower' => __('Lower case'),
+            'preserve' => __('Preserve case'),
+        ],
+        'CommaPosition' => [
+            'end' => __('End of line'),
+            'start' => __('Start of line'),
+        ],
+    ],
+
+    'SqlLint' => [
+        'NoWhere' => [
+            'error' => __('Error'),
+            'warning' => __('Warning'),
+            'off' => __('Disabled'),
+        ],
+        'SelectStar' => [
+            'error' => __('Error'),
+            'warning' => __('Warning'),
+            'off' => __('Disabled'),
+        ],
+        'ImplicitCrossJoin' => [
+            'error' => __('Error'),
+            'warning' => __('Warning'),
+            'off' => __('Disabled'),
+        ],
+        'NullComparison' => [
+            'error' => __('Error'),
+            'warning' => __('Warning'),
+            'off' => __('Disabled'),
+        ],
+        'LeadingWildcard' => [
+            'error' => __('Error'),
+            'warning' => __('Warning'),
+            'off' => __('Disabled'),
+        ],
+    ],
+
     'Console' => [
         'Mode' => [
             'info',
@@ -375,8 +415,10 @@
      */
     '_validators' => [
         'Console/Height' => 'validateNonNegativeNumber',
+        'SqlFormatter/IndentWidth' => 'validatePositiveNumber',
         'CharTextareaCols' => 'validatePositiveNumber',
         'CharTextareaRows' => 'validatePositiveNumber',
+        'ChunkedUploadMaxSize' => 'validateNonNegativeNumber',
         'ExecTimeLimit' => 'validateNonNegativeNumber',
         'Export/sql_max_query_size' => 'validatePositiveNumber',
         'FirstLevelNavigationItems' => 'validatePositiveNumber',
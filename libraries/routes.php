@@ -9,6 +9,7 @@
 use PhpMyAdmin\Controllers\CollationConnectionController;
 use PhpMyAdmin\Controllers\ColumnController;
 use PhpMyAdmin\Controllers\Config;
+use PhpMyAdmin\Controllers\Console;
 use PhpMyAdmin\Controllers\Console\Bookmark;
 use PhpMyAdmin\Controllers\Database;
 use PhpMyAdmin\Controllers\DatabaseController;
@@ -58,6 +59,7 @@
         $routes->post('/add', Bookmark\AddController::class);
         $routes->get('/refresh', Bookmark\RefreshController::class);
     });
+    $routes->post('/console/query', Console\QueryController::class);
     $routes->addGroup('/database', static function (RouteCollector $routes): void {
         $routes->addGroup('/central-columns', static function (RouteCollector $routes): void {
             $routes->addRoute(['GET', 'POST'], '', Database\CentralColumnsController::class);
@@ -71,6 +73,7 @@
         $routes->addGroup('/multi-table-query', static function (RouteCollector $routes): void {
             $routes->get('', Database\MultiTableQueryController::class);
             $routes->get('/tables', Database\MultiTableQuery\TablesController::class);
+            $routes->post('/preview', Database\MultiTableQuery\PreviewController::class);
             $routes->post('/query', Database\MultiTableQuery\QueryController::class);
         });
         $routes->addGroup('/operations', static function (RouteCollector $routes): void {
@@ -128,6 +131,7 @@
     $routes->addRoute(['GET', 'POST'], '/git-revision', GitInfoController::class);
     $routes->addGroup('/import', static function (RouteCollector $routes): void {
         $routes->addRoute(['GET', 'POST'], '', Import\ImportController::class);
+        $routes->post('/chunk', Import\ChunkController::class);
         $routes->post('/simulate-dml', Import\SimulateDmlController::class);
     });
     $routes->addRoute(['GET', 'POST'], '/import-status', Import\StatusController::class);
@@ -195,6 +199,13 @@
             $routes->addGroup('/monitor', static function (RouteCollector $routes): void {
                 $routes->get('', Server\Status\MonitorController::class);
                 $routes->post('/chart', Server\Status\Monitor\ChartingDataController::class);
+                $routes->addGroup('/dashboards', static function (RouteCollector $routes): void {
+                    $routes->post('', Server\Status\Monitor\Dashboard\ListController::class);
+                    $routes->post('/save', Server\Status\Monitor\Dashboard\SaveController::class);
+                    $routes->post('/delete', Server\Status\Monitor\Dashboard\DeleteController::class);
+                    $routes->post('/publish', Server\Status\Monitor\Dashboard\PublishController::class);
+                    $routes->post('/unpublish', Server\Status\Monitor\Dashboard\UnpublishController::class);
+                });
                 $routes->post('/slow-log', Server\Status\Monitor\SlowLogController::class);
                 $routes->post('/general-log', Server\Status\Monitor\GeneralLogController::class);
                 $routes->post('/log-vars', Server\Status\Monitor\LogVarsController::class);
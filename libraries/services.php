@@ -210,6 +210,10 @@
             'class' => PhpMyAdmin\Server\Status\Monitor::class,
             'arguments' => ['@dbi'],
         ],
+        'status_monitor_dashboard_model' => [
+            'class' => PhpMyAdmin\Server\Status\Monitor\DashboardModel::class,
+            'arguments' => ['@dbi'],
+        ],
         'status_processes' => [
             'class' => PhpMyAdmin\Server\Status\Processes::class,
             'arguments' => ['@dbi'],
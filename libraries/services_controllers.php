@@ -105,6 +105,10 @@
             'class' => Console\Bookmark\RefreshController::class,
             'arguments' => ['$response' => '@response', '$template' => '@template'],
         ],
+        Console\QueryController::class => [
+            'class' => Console\QueryController::class,
+            'arguments' => ['$response' => '@response', '$template' => '@template', '$dbi' => '@dbi'],
+        ],
         Database\CentralColumns\PopulateColumnsController::class => [
             'class' => Database\CentralColumns\PopulateColumnsController::class,
             'arguments' => [
@@ -166,6 +170,14 @@
                 '$dbi' => '@dbi',
             ],
         ],
+        Database\MultiTableQuery\PreviewController::class => [
+            'class' => Database\MultiTableQuery\PreviewController::class,
+            'arguments' => [
+                '$response' => '@response',
+                '$template' => '@template',
+                '$dbi' => '@dbi',
+            ],
+        ],
         Database\MultiTableQuery\QueryController::class => [
             'class' => Database\MultiTableQuery\QueryController::class,
             'arguments' => [
@@ -545,6 +557,10 @@
                 '$dbi' => '@dbi',
             ],
         ],
+        Import\ChunkController::class => [
+            'class' => Import\ChunkController::class,
+            'arguments' => ['$response' => '@response', '$template' => '@template'],
+        ],
         Import\ImportController::class => [
             'class' => Import\ImportController::class,
             'arguments' => [
@@ -983,6 +999,55 @@
                 '$dbi' => '@dbi',
             ],
         ],
+        Server\Status\Monitor\Dashboard\DeleteController::class => [
+            'class' => Server\Status\Monitor\Dashboard\DeleteController::class,
+            'arguments' => [
+                '$response' => '@response',
+                '$template' => '@template',
+                '$model' => '@status_monitor_dashboard_model',
+                '$relation' => '@relation',
+                '$dbi' => '@dbi',
+            ],
+        ],
+        Server\Status\Monitor\Dashboard\ListController::class => [
+            'class' => Server\Status\Monitor\Dashboard\ListController::class,
+            'arguments' => [
+                '$response' => '@response',
+                '$template' => '@template',
+                '$model' => '@status_monitor_dashboard_model',
+                '$relation' => '@relation',
+                '$dbi' => '@dbi',
+            ],
+        ],
+        Server\Status\Monitor\Dashboard\PublishController::class => [
+            'class' => Server\Status\Monitor\Dashboard\PublishController::class,
+            'arguments' => [
+                '$response' => '@response',
+                '$template' => '@template',
+                '$model' => '@status_monitor_dashboard_model',
+                '$relation' => '@relation',
+                '$dbi' => '@dbi',
+            ],
+        ],
+        Server\Status\Monitor\Dashboard\SaveController::class => [
+            'class' => Server\Status\Monitor\Dashboard\SaveController::class,
+            'arguments' => [
+                '$response' => '@response',
+                '$template' => '@template',
+                '$model' => '@status_monitor_dashboard_model',
+                '$relation' => '@relation',
+            ],
+        ],
+        Server\Status\Monitor\Dashboard\UnpublishController::class => [
+            'class' => Server\Status\Monitor\Dashboard\UnpublishController::class,
+            'arguments' => [
+                '$response' => '@response',
+                '$template' => '@template',
+                '$model' => '@status_monitor_dashboard_model',
+                '$relation' => '@relation',
+                '$dbi' => '@dbi',
+            ],
+        ],
         Server\Status\Monitor\GeneralLogController::class => [
             'class' => Server\Status\Monitor\GeneralLogController::class,
             'arguments' => [
@@ -1200,6 +1265,7 @@
                 '$response' => '@response',
                 '$template' => '@template',
                 '$dbi' => '@dbi',
+                '$relation' => '@relation',
             ],
         ],
         Table\CreateController::class => [
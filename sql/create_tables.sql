@@ -353,3 +353,21 @@ CREATE TABLE IF NOT EXISTS `pma__export_templates` (
 )
   COMMENT='Saved export templates'
   DEFAULT CHARACTER SET utf8 COLLATE utf8_bin;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `pma__monitor_dashboards`
+--
+
+CREATE TABLE IF NOT EXISTS `pma__monitor_dashboards` (
+  `id` int(5) unsigned NOT NULL AUTO_INCREMENT,
+  `username` varchar(64) NOT NULL COMMENT 'empty for the dashboards published to all users',
+  `dashboard_name` varchar(64) NOT NULL,
+  `dashboard_data` mediumtext NOT NULL,
+  `is_default` tinyint(1) NOT NULL DEFAULT '0',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `u_user_dashboard` (`username`,`dashboard_name`)
+)
+  COMMENT='Saved server monitor dashboards'
+  DEFAULT CHARACTER SET utf8 COLLATE utf8_bin;
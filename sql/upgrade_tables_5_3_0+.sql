@@ -0,0 +1,34 @@
+-- -------------------------------------------------------------
+-- SQL Commands to upgrade pmadb for normal phpMyAdmin operation
+-- with the tables added in phpMyAdmin 5.3.0
+--
+-- This file is meant for use with phpMyAdmin 4.7.0 and above!
+-- For older releases, please use create_tables.sql
+--
+-- Please don't forget to set up the table names in config.inc.php
+--
+
+-- --------------------------------------------------------
+
+--
+-- Database : `phpmyadmin`
+--
+USE `phpmyadmin`;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `pma__monitor_dashboards`
+--
+
+CREATE TABLE IF NOT EXISTS `pma__monitor_dashboards` (
+  `id` int(5) unsigned NOT NULL AUTO_INCREMENT,
+  `username` varchar(64) NOT NULL COMMENT 'empty for the dashboards published to all users',
+  `dashboard_name` varchar(64) NOT NULL,
+  `dashboard_data` mediumtext NOT NULL,
+  `is_default` tinyint(1) NOT NULL DEFAULT '0',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `u_user_dashboard` (`username`,`dashboard_name`)
+)
+  COMMENT='Saved server monitor dashboards'
+  DEFAULT CHARACTER SET utf8 COLLATE utf8_bin;
@@ -96,4 +96,28 @@ public function testSave(): void
         $this->assertFalse($bookmark->save());
         $this->dummyDbi->assertAllSelectsConsumed();
     }
+
+    /**
+     * Tests for Bookmark::hasChart()
+     */
+    public function testHasChart(): void
+    {
+        $bookmark = Bookmark::createBookmark($GLOBALS['dbi'], [
+            'bkm_database' => 'sakila',
+            'bkm_user' => 'root',
+            'bkm_sql_query' => "SELECT * FROM `payment`\n/* phpMyAdmin chart {\"type\":\"line\"} */",
+            'bkm_label' => 'payments',
+        ]);
+        $this->assertNotFalse($bookmark);
+        $this->assertTrue($bookmark->hasChart());
+
+        $bookmark = Bookmark::createBookmark($GLOBALS['dbi'], [
+            'bkm_database' => 'sakila',
+            'bkm_user' => 'root',
+            'bkm_sql_query' => 'SELECT * FROM `payment` /* phpMyAdmin chart */',
+            'bkm_label' => 'payments',
+        ]);
+        $this->assertNotFalse($bookmark);
+        $this->assertFalse($bookmark->hasChart());
+    }
 }
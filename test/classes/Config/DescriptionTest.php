@@ -115,6 +115,8 @@ public function testAll(): void
             'DBG',
             'DefaultTransformations',
             'SQLQuery',
+            'SqlFormatter',
+            'SqlLint',
         ];
 
         $settings = new Settings([]);
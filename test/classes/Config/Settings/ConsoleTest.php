@@ -15,7 +15,7 @@
  */
 class ConsoleTest extends TestCase
 {
-    /** @var array<string, bool|int|string> */
+    /** @var array<string, bool|int|string|mixed[]> */
     private $defaultValues = [
         'StartHistory' => false,
         'AlwaysExpand' => false,
@@ -27,6 +27,7 @@ class ConsoleTest extends TestCase
         'GroupQueries' => false,
         'OrderBy' => 'exec',
         'Order' => 'asc',
+        'Tabs' => [],
     ];
 
     /**
@@ -74,6 +75,7 @@ public function providerForTestConstructor(): array
                     ['GroupQueries', null, false],
                     ['OrderBy', null, 'exec'],
                     ['Order', null, 'asc'],
+                    ['Tabs', null, []],
                 ],
             ],
             'valid values' => [
@@ -88,6 +90,7 @@ public function providerForTestConstructor(): array
                     ['GroupQueries', false, false],
                     ['OrderBy', 'exec', 'exec'],
                     ['Order', 'asc', 'asc'],
+                    ['Tabs', [], []],
                 ],
             ],
             'valid values 2' => [
@@ -101,6 +104,7 @@ public function providerForTestConstructor(): array
                     ['GroupQueries', true, true],
                     ['OrderBy', 'time', 'time'],
                     ['Order', 'desc', 'desc'],
+                    ['Tabs', [['name' => 'Tab', 'db' => 'test']], [['name' => 'Tab', 'db' => 'test']]],
                 ],
             ],
             'valid values 3' => [
@@ -126,6 +130,7 @@ public function providerForTestConstructor(): array
                     ['Height', 0, 92],
                     ['OrderBy', 'invalid', 'exec'],
                     ['Order', 'invalid', 'asc'],
+                    ['Tabs', [['name' => 'Tab'], 'invalid'], [['name' => 'Tab']]],
                 ],
             ],
         ];
@@ -32,6 +32,7 @@ class ImportTest extends TestCase
         'csv_new_line' => 'auto',
         'csv_columns' => '',
         'csv_col_names' => false,
+        'csv_empty_is_null' => false,
         'ldi_replace' => false,
         'ldi_ignore' => false,
         'ldi_terminated' => ';',
@@ -96,6 +97,7 @@ public function providerForTestConstructor(): array
                     ['csv_new_line', null, 'auto'],
                     ['csv_columns', null, ''],
                     ['csv_col_names', null, false],
+                    ['csv_empty_is_null', null, false],
                     ['ldi_replace', null, false],
                     ['ldi_ignore', null, false],
                     ['ldi_terminated', null, ';'],
@@ -127,6 +129,7 @@ public function providerForTestConstructor(): array
                     ['csv_new_line', 'test', 'test'],
                     ['csv_columns', 'test', 'test'],
                     ['csv_col_names', false, false],
+                    ['csv_empty_is_null', false, false],
                     ['ldi_replace', false, false],
                     ['ldi_ignore', false, false],
                     ['ldi_terminated', 'test', 'test'],
@@ -152,6 +155,7 @@ public function providerForTestConstructor(): array
                     ['csv_replace', true, true],
                     ['csv_ignore', true, true],
                     ['csv_col_names', true, true],
+                    ['csv_empty_is_null', true, true],
                     ['ldi_replace', true, true],
                     ['ldi_ignore', true, true],
                     ['ldi_local_option', true, true],
@@ -195,6 +199,7 @@ public function providerForTestConstructor(): array
                     ['csv_new_line', 1234, '1234'],
                     ['csv_columns', 1234, '1234'],
                     ['csv_col_names', 1, true],
+                    ['csv_empty_is_null', 1, true],
                     ['ldi_replace', 1, true],
                     ['ldi_ignore', 1, true],
                     ['ldi_terminated', 1234, '1234'],
@@ -66,6 +66,7 @@ class ServerTest extends TestCase
         'central_columns' => '',
         'designer_settings' => '',
         'export_templates' => '',
+        'monitor_dashboards' => '',
         'MaxTableUiprefs' => 100,
         'SessionTimeZone' => '',
         'AllowRoot' => true,
@@ -162,6 +163,7 @@ public function providerForTestConstructor(): array
                     ['central_columns', null, ''],
                     ['designer_settings', null, ''],
                     ['export_templates', null, ''],
+                    ['monitor_dashboards', null, ''],
                     ['MaxTableUiprefs', null, 100],
                     ['SessionTimeZone', null, ''],
                     ['AllowRoot', null, true],
@@ -225,6 +227,7 @@ public function providerForTestConstructor(): array
                     ['central_columns', false, false],
                     ['designer_settings', false, false],
                     ['export_templates', false, false],
+                    ['monitor_dashboards', false, false],
                     ['MaxTableUiprefs', 1, 1],
                     ['SessionTimeZone', 'test', 'test'],
                     ['AllowRoot', true, true],
@@ -266,6 +269,7 @@ public function providerForTestConstructor(): array
                     ['central_columns', 'test', 'test'],
                     ['designer_settings', 'test', 'test'],
                     ['export_templates', 'test', 'test'],
+                    ['monitor_dashboards', 'test', 'test'],
                     ['AllowRoot', false, false],
                     ['AllowNoPassword', true, true],
                     ['AllowDeny', ['order' => 'deny,allow'], ['order' => 'deny,allow', 'rules' => []]],
@@ -339,6 +343,7 @@ public function providerForTestConstructor(): array
                     ['central_columns', true, '1'],
                     ['designer_settings', true, '1'],
                     ['export_templates', true, '1'],
+                    ['monitor_dashboards', true, '1'],
                     ['MaxTableUiprefs', '1', 1],
                     ['SessionTimeZone', 1234, '1234'],
                     ['AllowRoot', 0, false],
@@ -0,0 +1,113 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Tests\Config\Settings;
+
+use PhpMyAdmin\Config\Settings\SqlFormatter;
+use PHPUnit\Framework\TestCase;
+
+use function array_keys;
+use function array_merge;
+
+/**
+ * @covers \PhpMyAdmin\Config\Settings\SqlFormatter
+ */
+class SqlFormatterTest extends TestCase
+{
+    /** @var array<string, bool|int|string> */
+    private $defaultValues = [
+        'KeywordCase' => 'upper',
+        'IndentWidth' => 4,
+        'CommaPosition' => 'end',
+        'BreakJoins' => true,
+        'BreakConditions' => true,
+        'BreakCase' => true,
+    ];
+
+    /**
+     * @param mixed[][] $values
+     * @psalm-param (array{0: string, 1: mixed, 2: mixed})[] $values
+     *
+     * @dataProvider providerForTestConstructor
+     */
+    public function testConstructor(array $values): void
+    {
+        $actualValues = [];
+        $expectedValues = [];
+        /** @psalm-suppress MixedAssignment */
+        foreach ($values as $value) {
+            $actualValues[$value[0]] = $value[1];
+            $expectedValues[$value[0]] = $value[2];
+        }
+
+        $expected = array_merge($this->defaultValues, $expectedValues);
+        $settings = new SqlFormatter($actualValues);
+
+        foreach (array_keys($expectedValues) as $key) {
+            $this->assertSame($expected[$key], $settings->$key);
+        }
+    }
+
+    /**
+     * [setting key, actual value, expected value]
+     *
+     * @return mixed[][][][]
+     * @psalm-return (array{0: string, 1: mixed, 2: mixed})[][][]
+     */
+    public function providerForTestConstructor(): array
+    {
+        return [
+            'null values' => [
+                [
+                    ['KeywordCase', null, 'upper'],
+                    ['IndentWidth', null, 4],
+                    ['CommaPosition', null, 'end'],
+                    ['BreakJoins', null, true],
+                    ['BreakConditions', null, true],
+                    ['BreakCase', null, true],
+                ],
+            ],
+            'valid values' => [
+                [
+                    ['KeywordCase', 'upper', 'upper'],
+                    ['IndentWidth', 2, 2],
+                    ['CommaPosition', 'end', 'end'],
+                    ['BreakJoins', true, true],
+                    ['BreakConditions', true, true],
+                    ['BreakCase', true, true],
+                ],
+            ],
+            'valid values 2' => [
+                [
+                    ['KeywordCase', 'lower', 'lower'],
+                    ['IndentWidth', 1, 1],
+                    ['CommaPosition', 'start', 'start'],
+                    ['BreakJoins', false, false],
+                    ['BreakConditions', false, false],
+                    ['BreakCase', false, false],
+                ],
+            ],
+            'valid values 3' => [
+                [
+                    ['KeywordCase', 'preserve', 'preserve'],
+                ],
+            ],
+            'valid values with type coercion' => [
+                [
+                    ['IndentWidth', '8', 8],
+                    ['BreakJoins', 0, false],
+                    ['BreakConditions', 0, false],
+                    ['BreakCase', 0, false],
+                ],
+            ],
+            'invalid values' => [
+                [
+                    ['KeywordCase', 'invalid', 'upper'],
+                    ['IndentWidth', 0, 4],
+                    ['CommaPosition', 'invalid', 'end'],
+                ],
+            ],
+        ];
+    }
+}
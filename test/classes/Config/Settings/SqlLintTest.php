@@ -0,0 +1,98 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Tests\Config\Settings;
+
+use PhpMyAdmin\Config\Settings\SqlLint;
+use PHPUnit\Framework\TestCase;
+
+use function array_keys;
+use function array_merge;
+
+/**
+ * @covers \PhpMyAdmin\Config\Settings\SqlLint
+ */
+class SqlLintTest extends TestCase
+{
+    /** @var array<string, string> */
+    private $defaultValues = [
+        'NoWhere' => 'warning',
+        'SelectStar' => 'warning',
+        'ImplicitCrossJoin' => 'warning',
+        'NullComparison' => 'error',
+        'LeadingWildcard' => 'warning',
+    ];
+
+    /**
+     * @param mixed[][] $values
+     * @psalm-param (array{0: string, 1: mixed, 2: mixed})[] $values
+     *
+     * @dataProvider providerForTestConstructor
+     */
+    public function testConstructor(array $values): void
+    {
+        $actualValues = [];
+        $expectedValues = [];
+        /** @psalm-suppress MixedAssignment */
+        foreach ($values as $value) {
+            $actualValues[$value[0]] = $value[1];
+            $expectedValues[$value[0]] = $value[2];
+        }
+
+        $expected = array_merge($this->defaultValues, $expectedValues);
+        $settings = new SqlLint($actualValues);
+
+        foreach (array_keys($expectedValues) as $key) {
+            $this->assertSame($expected[$key], $settings->$key);
+        }
+    }
+
+    /**
+     * [setting key, actual value, expected value]
+     *
+     * @return mixed[][][][]
+     * @psalm-return (array{0: string, 1: mixed, 2: mixed})[][][]
+     */
+    public function providerForTestConstructor(): array
+    {
+        return [
+            'null values' => [
+                [
+                    ['NoWhere', null, 'warning'],
+                    ['SelectStar', null, 'warning'],
+                    ['ImplicitCrossJoin', null, 'warning'],
+                    ['NullComparison', null, 'error'],
+                    ['LeadingWildcard', null, 'warning'],
+                ],
+            ],
+            'valid values' => [
+                [
+                    ['NoWhere', 'error', 'error'],
+                    ['SelectStar', 'off', 'off'],
+                    ['ImplicitCrossJoin', 'error', 'error'],
+                    ['NullComparison', 'warning', 'warning'],
+                    ['LeadingWildcard', 'off', 'off'],
+                ],
+            ],
+            'valid values 2' => [
+                [
+                    ['NoWhere', 'off', 'off'],
+                    ['SelectStar', 'error', 'error'],
+                    ['ImplicitCrossJoin', 'off', 'off'],
+                    ['NullComparison', 'off', 'off'],
+                    ['LeadingWildcard', 'error', 'error'],
+                ],
+            ],
+            'invalid values' => [
+                [
+                    ['NoWhere', 'invalid', 'warning'],
+                    ['SelectStar', true, 'warning'],
+                    ['ImplicitCrossJoin', 'ERROR', 'warning'],
+                    ['NullComparison', 1, 'error'],
+                    ['LeadingWildcard', '', 'warning'],
+                ],
+            ],
+        ];
+    }
+}
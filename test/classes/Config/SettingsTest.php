@@ -11,6 +11,8 @@
 use PhpMyAdmin\Config\Settings\Import;
 use PhpMyAdmin\Config\Settings\Schema;
 use PhpMyAdmin\Config\Settings\Server;
+use PhpMyAdmin\Config\Settings\SqlFormatter;
+use PhpMyAdmin\Config\Settings\SqlLint;
 use PhpMyAdmin\Config\Settings\SqlQueryBox;
 use PhpMyAdmin\Config\Settings\Transformations;
 use PHPUnit\Framework\TestCase;
@@ -31,6 +33,8 @@
  * @covers \PhpMyAdmin\Config\Settings\Import
  * @covers \PhpMyAdmin\Config\Settings\Schema
  * @covers \PhpMyAdmin\Config\Settings\Server
+ * @covers \PhpMyAdmin\Config\Settings\SqlFormatter
+ * @covers \PhpMyAdmin\Config\Settings\SqlLint
  * @covers \PhpMyAdmin\Config\Settings\SqlQueryBox
  * @covers \PhpMyAdmin\Config\Settings\Transformations
  */
@@ -241,10 +245,13 @@ class SettingsTest extends TestCase
         'DefaultQueryTable' => 'SELECT * FROM @TABLE@ WHERE 1',
         'DefaultQueryDatabase' => '',
         'SQLQuery' => null,
+        'SqlFormatter' => null,
+        'SqlLint' => null,
         'EnableAutocompleteForTablesAndColumns' => true,
         'UploadDir' => '',
         'SaveDir' => '',
         'TempDir' => ROOT_PATH . 'tmp' . DIRECTORY_SEPARATOR,
+        'ChunkedUploadMaxSize' => 1073741824,
         'GD2Available' => 'auto',
         'TrustedProxies' => [],
         'CheckConfigurationPermissions' => true,
@@ -296,6 +303,8 @@ public function testToArray(): void
         $this->assertIsArray($config['Import']);
         $this->assertIsArray($config['Schema']);
         $this->assertIsArray($config['SQLQuery']);
+        $this->assertIsArray($config['SqlFormatter']);
+        $this->assertIsArray($config['SqlLint']);
         $this->assertIsArray($config['DefaultTransformations']);
         $this->assertIsArray($config['Servers']);
         $this->assertIsArray($config['Servers'][1]);
@@ -357,6 +366,16 @@ public function testConstructor(array $values): void
                 continue;
             }
 
+            if ($key === 'SqlFormatter') {
+                $this->assertInstanceOf(SqlFormatter::class, $settings->SqlFormatter);
+                continue;
+            }
+
+            if ($key === 'SqlLint') {
+                $this->assertInstanceOf(SqlLint::class, $settings->SqlLint);
+                continue;
+            }
+
             if ($key === 'DefaultTransformations') {
                 $this->assertInstanceOf(Transformations::class, $settings->DefaultTransformations);
                 continue;
@@ -545,10 +564,13 @@ public function providerForTestConstructor(): array
                     ['DefaultQueryTable', null, 'SELECT * FROM @TABLE@ WHERE 1'],
                     ['DefaultQueryDatabase', null, ''],
                     ['SQLQuery', null, null],
+                    ['SqlFormatter', null, null],
+                    ['SqlLint', null, null],
                     ['EnableAutocompleteForTablesAndColumns', null, true],
                     ['UploadDir', null, ''],
                     ['SaveDir', null, ''],
                     ['TempDir', null, ROOT_PATH . 'tmp' . DIRECTORY_SEPARATOR],
+                    ['ChunkedUploadMaxSize', null, 1073741824],
                     ['GD2Available', null, 'auto'],
                     ['TrustedProxies', null, []],
                     ['CheckConfigurationPermissions', null, true],
@@ -740,10 +762,13 @@ public function providerForTestConstructor(): array
                     ['DefaultQueryTable', 'test', 'test'],
                     ['DefaultQueryDatabase', 'test', 'test'],
                     ['SQLQuery', [], null],
+                    ['SqlFormatter', [], null],
+                    ['SqlLint', [], null],
                     ['EnableAutocompleteForTablesAndColumns', false, false],
                     ['UploadDir', 'test', 'test'],
                     ['SaveDir', 'test', 'test'],
                     ['TempDir', 'test', 'test'],
+                    ['ChunkedUploadMaxSize', 0, 0],
                     ['GD2Available', 'yes', 'yes'],
                     ['TrustedProxies', ['1.2.3.4' => 'HTTP_X_FORWARDED_FOR', 'key' => 'value'], ['1.2.3.4' => 'HTTP_X_FORWARDED_FOR', 'key' => 'value']],
                     ['CheckConfigurationPermissions', false, false],
@@ -1038,6 +1063,7 @@ public function providerForTestConstructor(): array
                     ['UploadDir', 1234, '1234'],
                     ['SaveDir', 1234, '1234'],
                     ['TempDir', 1234, '1234'],
+                    ['ChunkedUploadMaxSize', '1024', 1024],
                     ['TrustedProxies', ['test' => 1234], ['test' => '1234']],
                     ['CheckConfigurationPermissions', 0, false],
                     ['LinkLengthLimit', '1', 1],
@@ -1088,6 +1114,7 @@ public function providerForTestConstructor(): array
                     ['CharEditing', 'invalid', 'input'],
                     ['MinSizeForInputField', -1, 4],
                     ['MaxSizeForInputField', 0, 60],
+                    ['ChunkedUploadMaxSize', -1, 1073741824],
                     ['InsertRows', 0, 2],
                     ['ForeignKeyDropdownOrder', ['invalid'], ['content-id', 'id-content']],
                     ['ForeignKeyMaxLimit', 0, 100],
@@ -1116,6 +1143,8 @@ public function providerForTestConstructor(): array
                     ['InitialSlidersState', 'invalid', 'closed'],
                     ['UserprefsDisallow', 'invalid', []],
                     ['SQLQuery', 'invalid', null],
+                    ['SqlFormatter', 'invalid', null],
+                    ['SqlLint', 'invalid', null],
                     ['EnableAutocompleteForTablesAndColumns', null, true],
                     ['GD2Available', 'invalid', 'auto'],
                     ['TrustedProxies', 'invalid', []],
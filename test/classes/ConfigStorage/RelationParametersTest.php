@@ -124,6 +124,7 @@ public function testFeaturesHaveSameDatabase(): void
             'export_templates' => 'export_templates',
             'favorite' => 'favorite',
             'history' => 'history',
+            'monitor_dashboards' => 'monitor_dashboards',
             'navigationhiding' => 'navigationhiding',
             'pdf_pages' => 'pdf_pages',
             'recent' => 'recent',
@@ -145,6 +146,7 @@ public function testFeaturesHaveSameDatabase(): void
             'displaywork' => true,
             'exporttemplateswork' => true,
             'favoritework' => true,
+            'monitordashboardswork' => true,
             'navwork' => true,
             'pdfwork' => true,
             'recentwork' => true,
@@ -175,6 +177,8 @@ public function testFeaturesHaveSameDatabase(): void
         $this->assertSame($relationParameters->db, $relationParameters->exportTemplatesFeature->database);
         $this->assertNotNull($relationParameters->favoriteTablesFeature);
         $this->assertSame($relationParameters->db, $relationParameters->favoriteTablesFeature->database);
+        $this->assertNotNull($relationParameters->monitorDashboardsFeature);
+        $this->assertSame($relationParameters->db, $relationParameters->monitorDashboardsFeature->database);
         $this->assertNotNull($relationParameters->navigationItemsHidingFeature);
         $this->assertSame($relationParameters->db, $relationParameters->navigationItemsHidingFeature->database);
         $this->assertNotNull($relationParameters->pdfFeature);
@@ -206,6 +210,7 @@ public function testHasAllFeatures(): void
             'export_templates' => 'export_templates',
             'favorite' => 'favorite',
             'history' => 'history',
+            'monitor_dashboards' => 'monitor_dashboards',
             'navigationhiding' => 'navigationhiding',
             'pdf_pages' => 'pdf_pages',
             'recent' => 'recent',
@@ -227,6 +232,7 @@ public function testHasAllFeatures(): void
             'displaywork' => true,
             'exporttemplateswork' => true,
             'favoritework' => true,
+            'monitordashboardswork' => true,
             'navwork' => true,
             'pdfwork' => true,
             'recentwork' => true,
@@ -273,6 +279,7 @@ public function providerForTestToArray(): array
                     'export_templates' => null,
                     'favorite' => null,
                     'history' => null,
+                    'monitor_dashboards' => null,
                     'navigationhiding' => null,
                     'pdf_pages' => null,
                     'recent' => null,
@@ -294,6 +301,7 @@ public function providerForTestToArray(): array
                     'displaywork' => false,
                     'exporttemplateswork' => false,
                     'favoritework' => false,
+                    'monitordashboardswork' => false,
                     'navwork' => false,
                     'pdfwork' => false,
                     'recentwork' => false,
@@ -317,6 +325,7 @@ public function providerForTestToArray(): array
                     'historywork' => false,
                     'recentwork' => false,
                     'favoritework' => false,
+                    'monitordashboardswork' => false,
                     'uiprefswork' => false,
                     'trackingwork' => false,
                     'userconfigwork' => false,
@@ -336,6 +345,7 @@ public function providerForTestToArray(): array
                     'export_templates' => null,
                     'favorite' => null,
                     'history' => null,
+                    'monitor_dashboards' => null,
                     'navigationhiding' => null,
                     'pdf_pages' => null,
                     'recent' => null,
@@ -360,6 +370,7 @@ public function providerForTestToArray(): array
                     'export_templates' => null,
                     'favorite' => null,
                     'history' => null,
+                    'monitor_dashboards' => null,
                     'navigationhiding' => null,
                     'pdf_pages' => null,
                     'recent' => null,
@@ -381,6 +392,7 @@ public function providerForTestToArray(): array
                     'displaywork' => false,
                     'exporttemplateswork' => false,
                     'favoritework' => false,
+                    'monitordashboardswork' => false,
                     'navwork' => false,
                     'pdfwork' => false,
                     'recentwork' => false,
@@ -404,6 +416,7 @@ public function providerForTestToArray(): array
                     'historywork' => true,
                     'recentwork' => true,
                     'favoritework' => true,
+                    'monitordashboardswork' => true,
                     'uiprefswork' => true,
                     'trackingwork' => true,
                     'userconfigwork' => true,
@@ -423,6 +436,7 @@ public function providerForTestToArray(): array
                     'export_templates' => 'export_templates',
                     'favorite' => 'favorite',
                     'history' => 'history',
+                    'monitor_dashboards' => 'monitor_dashboards',
                     'navigationhiding' => 'navigationhiding',
                     'pdf_pages' => 'pdf_pages',
                     'recent' => 'recent',
@@ -447,6 +461,7 @@ public function providerForTestToArray(): array
                     'export_templates' => 'export_templates',
                     'favorite' => 'favorite',
                     'history' => 'history',
+                    'monitor_dashboards' => 'monitor_dashboards',
                     'navigationhiding' => 'navigationhiding',
                     'pdf_pages' => 'pdf_pages',
                     'recent' => 'recent',
@@ -468,6 +483,7 @@ public function providerForTestToArray(): array
                     'displaywork' => true,
                     'exporttemplateswork' => true,
                     'favoritework' => true,
+                    'monitordashboardswork' => true,
                     'navwork' => true,
                     'pdfwork' => true,
                     'recentwork' => true,
@@ -503,6 +519,7 @@ public function providerForTestToArray(): array
                     'export_templates' => null,
                     'favorite' => null,
                     'history' => null,
+                    'monitor_dashboards' => null,
                     'navigationhiding' => null,
                     'pdf_pages' => null,
                     'recent' => null,
@@ -524,6 +541,7 @@ public function providerForTestToArray(): array
                     'displaywork' => true,
                     'exporttemplateswork' => false,
                     'favoritework' => false,
+                    'monitordashboardswork' => false,
                     'navwork' => false,
                     'pdfwork' => false,
                     'recentwork' => false,
@@ -547,6 +565,7 @@ public function providerForTestToArray(): array
                     'historywork' => 1,
                     'recentwork' => 1,
                     'favoritework' => 1,
+                    'monitordashboardswork' => 1,
                     'uiprefswork' => 1,
                     'trackingwork' => 1,
                     'userconfigwork' => 1,
@@ -566,6 +585,7 @@ public function providerForTestToArray(): array
                     'export_templates' => 1,
                     'favorite' => 1,
                     'history' => 1,
+                    'monitor_dashboards' => 1,
                     'navigationhiding' => 1,
                     'pdf_pages' => 1,
                     'recent' => 1,
@@ -590,6 +610,7 @@ public function providerForTestToArray(): array
                     'export_templates' => null,
                     'favorite' => null,
                     'history' => null,
+                    'monitor_dashboards' => null,
                     'navigationhiding' => null,
                     'pdf_pages' => null,
                     'recent' => null,
@@ -611,6 +632,7 @@ public function providerForTestToArray(): array
                     'displaywork' => false,
                     'exporttemplateswork' => false,
                     'favoritework' => false,
+                    'monitordashboardswork' => false,
                     'navwork' => false,
                     'pdfwork' => false,
                     'recentwork' => false,
@@ -634,6 +656,7 @@ public function providerForTestToArray(): array
                     'export_templates' => '',
                     'favorite' => '',
                     'history' => '',
+                    'monitor_dashboards' => '',
                     'navigationhiding' => '',
                     'pdf_pages' => '',
                     'recent' => '',
@@ -658,6 +681,7 @@ public function providerForTestToArray(): array
                     'export_templates' => null,
                     'favorite' => null,
                     'history' => null,
+                    'monitor_dashboards' => null,
                     'navigationhiding' => null,
                     'pdf_pages' => null,
                     'recent' => null,
@@ -679,6 +703,7 @@ public function providerForTestToArray(): array
                     'displaywork' => false,
                     'exporttemplateswork' => false,
                     'favoritework' => false,
+                    'monitordashboardswork' => false,
                     'navwork' => false,
                     'pdfwork' => false,
                     'recentwork' => false,
@@ -709,6 +734,7 @@ public function providerForTestToArray(): array
                     'export_templates' => null,
                     'favorite' => null,
                     'history' => null,
+                    'monitor_dashboards' => null,
                     'navigationhiding' => null,
                     'pdf_pages' => null,
                     'recent' => null,
@@ -730,6 +756,7 @@ public function providerForTestToArray(): array
                     'displaywork' => false,
                     'exporttemplateswork' => false,
                     'favoritework' => false,
+                    'monitordashboardswork' => false,
                     'navwork' => false,
                     'pdfwork' => false,
                     'recentwork' => false,
@@ -758,6 +785,7 @@ public function providerForTestToArray(): array
                     'export_templates' => null,
                     'favorite' => null,
                     'history' => null,
+                    'monitor_dashboards' => null,
                     'navigationhiding' => null,
                     'pdf_pages' => null,
                     'recent' => null,
@@ -779,6 +807,7 @@ public function providerForTestToArray(): array
                     'displaywork' => false,
                     'exporttemplateswork' => false,
                     'favoritework' => false,
+                    'monitordashboardswork' => false,
                     'navwork' => false,
                     'pdfwork' => false,
                     'recentwork' => false,
@@ -228,6 +228,7 @@ public function testFixPmaTablesNormal(): void
         $GLOBALS['cfg']['Server']['central_columns'] = '';
         $GLOBALS['cfg']['Server']['designer_settings'] = '';
         $GLOBALS['cfg']['Server']['export_templates'] = '';
+        $GLOBALS['cfg']['Server']['monitor_dashboards'] = '';
 
         $dummyDbi = $this->createDbiDummy();
         $dbi = $this->createDatabaseInterface($dummyDbi);
@@ -300,6 +301,7 @@ public function testFixPmaTablesNormalFixTables(): void
         $GLOBALS['cfg']['Server']['central_columns'] = '';
         $GLOBALS['cfg']['Server']['designer_settings'] = '';
         $GLOBALS['cfg']['Server']['export_templates'] = '';
+        $GLOBALS['cfg']['Server']['monitor_dashboards'] = '';
 
         $dummyDbi = $this->createDbiDummy();
         $dbi = $this->createDatabaseInterface($dummyDbi);
@@ -534,6 +536,18 @@ public function testFixPmaTablesNormalFixTables(): void
                 . ' COMMENT=\'Saved export templates\' DEFAULT CHARACTER SET utf8 COLLATE utf8_bin;',
             []
         );
+        $dummyDbi->addResult(
+            '-- -------------------------------------------------------- -- --'
+            . ' Table structure for table `pma__monitor_dashboards`'
+            . ' -- CREATE TABLE IF NOT EXISTS `pma__monitor_dashboards` ( '
+                . '`id` int(5) unsigned NOT NULL AUTO_INCREMENT,'
+                . ' `username` varchar(64) NOT NULL COMMENT \'empty for the dashboards published to all users\','
+                . ' `dashboard_name` varchar(64) NOT NULL, `dashboard_data` mediumtext NOT NULL,'
+                . ' `is_default` tinyint(1) NOT NULL DEFAULT \'0\', PRIMARY KEY (`id`),'
+                . ' UNIQUE KEY `u_user_dashboard` (`username`,`dashboard_name`) )'
+                . ' COMMENT=\'Saved server monitor dashboards\' DEFAULT CHARACTER SET utf8 COLLATE utf8_bin;',
+            []
+        );
 
         $this->assertSame('', $GLOBALS['cfg']['Server']['pmadb']);
 
@@ -582,6 +596,7 @@ public function testFixPmaTablesNormalFixTablesWithCustomOverride(): void
         $GLOBALS['cfg']['Server']['central_columns'] = '';
         $GLOBALS['cfg']['Server']['designer_settings'] = '';
         $GLOBALS['cfg']['Server']['export_templates'] = '';
+        $GLOBALS['cfg']['Server']['monitor_dashboards'] = '';
 
         $dummyDbi = $this->createDbiDummy();
         $dbi = $this->createDatabaseInterface($dummyDbi);
@@ -820,6 +835,18 @@ public function testFixPmaTablesNormalFixTablesWithCustomOverride(): void
                 . ' COMMENT=\'Saved export templates\' DEFAULT CHARACTER SET utf8 COLLATE utf8_bin;',
             []
         );
+        $dummyDbi->addResult(
+            '-- -------------------------------------------------------- -- --'
+            . ' Table structure for table `pma__monitor_dashboards`'
+            . ' -- CREATE TABLE IF NOT EXISTS `pma__monitor_dashboards` ( '
+                . '`id` int(5) unsigned NOT NULL AUTO_INCREMENT,'
+                . ' `username` varchar(64) NOT NULL COMMENT \'empty for the dashboards published to all users\','
+                . ' `dashboard_name` varchar(64) NOT NULL, `dashboard_data` mediumtext NOT NULL,'
+                . ' `is_default` tinyint(1) NOT NULL DEFAULT \'0\', PRIMARY KEY (`id`),'
+                . ' UNIQUE KEY `u_user_dashboard` (`username`,`dashboard_name`) )'
+                . ' COMMENT=\'Saved server monitor dashboards\' DEFAULT CHARACTER SET utf8 COLLATE utf8_bin;',
+            []
+        );
 
         $this->assertSame('db_pma', $GLOBALS['cfg']['Server']['pmadb']);
 
@@ -870,6 +897,7 @@ public function testFixPmaTablesNormalFixTablesFails(): void
         $GLOBALS['cfg']['Server']['central_columns'] = '';
         $GLOBALS['cfg']['Server']['designer_settings'] = '';
         $GLOBALS['cfg']['Server']['export_templates'] = '';
+        $GLOBALS['cfg']['Server']['monitor_dashboards'] = '';
 
         $dummyDbi = $this->createDbiDummy();
         $dbi = $this->createDatabaseInterface($dummyDbi);
@@ -1399,6 +1427,27 @@ public function testGetDefaultPmaTableNames(): void
                 '  COMMENT=\'Saved export templates\'',
                 '  DEFAULT CHARACTER SET utf8 COLLATE utf8_bin;',
             ]),
+            'pma__monitor_dashboards' => implode("\n", [
+                '',
+                '',
+                '-- --------------------------------------------------------',
+                '',
+                '--',
+                '-- Table structure for table `pma__monitor_dashboards`',
+                '--',
+                '',
+                'CREATE TABLE IF NOT EXISTS `pma__monitor_dashboards` (',
+                '  `id` int(5) unsigned NOT NULL AUTO_INCREMENT,',
+                '  `username` varchar(64) NOT NULL COMMENT \'empty for the dashboards published to all users\',',
+                '  `dashboard_name` varchar(64) NOT NULL,',
+                '  `dashboard_data` mediumtext NOT NULL,',
+                '  `is_default` tinyint(1) NOT NULL DEFAULT \'0\',',
+                '  PRIMARY KEY (`id`),',
+                '  UNIQUE KEY `u_user_dashboard` (`username`,`dashboard_name`)',
+                ')',
+                '  COMMENT=\'Saved server monitor dashboards\'',
+                '  DEFAULT CHARACTER SET utf8 COLLATE utf8_bin;',
+            ]),
         ];
 
         $this->assertSame(
@@ -1515,6 +1564,7 @@ public function testInitRelationParamsCacheDefaultDbNameDbExistsFirstServer(): v
         $GLOBALS['cfg']['Server']['central_columns'] = '';
         $GLOBALS['cfg']['Server']['designer_settings'] = '';
         $GLOBALS['cfg']['Server']['export_templates'] = '';
+        $GLOBALS['cfg']['Server']['monitor_dashboards'] = '';
 
         $dummyDbi = $this->createDbiDummy();
         $dbi = $this->createDatabaseInterface($dummyDbi);
@@ -1585,6 +1635,7 @@ public function testInitRelationParamsCacheDefaultDbNameDbExistsFirstServer(): v
             'central_columns' => '',
             'designer_settings' => '',
             'export_templates' => '',
+            'monitor_dashboards' => '',
         ], $GLOBALS['cfg']['Server']);
 
         $dummyDbi->assertAllQueriesConsumed();
@@ -1616,6 +1667,7 @@ public function testInitRelationParamsCacheDefaultDbNameDbExistsFirstServerNotWo
         $GLOBALS['cfg']['Server']['central_columns'] = '';
         $GLOBALS['cfg']['Server']['designer_settings'] = '';
         $GLOBALS['cfg']['Server']['export_templates'] = '';
+        $GLOBALS['cfg']['Server']['monitor_dashboards'] = '';
 
         $dummyDbi = $this->createDbiDummy();
         $dbi = $this->createDatabaseInterface($dummyDbi);
@@ -1679,6 +1731,7 @@ public function testInitRelationParamsCacheDefaultDbNameDbExistsFirstServerNotWo
             'central_columns' => '',
             'designer_settings' => '',
             'export_templates' => '',
+            'monitor_dashboards' => '',
         ], $GLOBALS['cfg']['Server']);
 
         $dummyDbi->assertAllQueriesConsumed();
@@ -1710,6 +1763,7 @@ public function testInitRelationParamsCacheDefaultDbNameDbExistsFirstServerOverr
         $GLOBALS['cfg']['Server']['central_columns'] = '';
         $GLOBALS['cfg']['Server']['designer_settings'] = '';
         $GLOBALS['cfg']['Server']['export_templates'] = '';
+        $GLOBALS['cfg']['Server']['monitor_dashboards'] = '';
 
         $dummyDbi = $this->createDbiDummy();
         $dbi = $this->createDatabaseInterface($dummyDbi);
@@ -1816,6 +1870,7 @@ public function testInitRelationParamsCacheDefaultDbNameDbExistsFirstServerOverr
             'central_columns' => '',
             'designer_settings' => '',
             'export_templates' => '',
+            'monitor_dashboards' => '',
         ], $GLOBALS['cfg']['Server']);
 
         $dummyDbi->assertAllQueriesConsumed();
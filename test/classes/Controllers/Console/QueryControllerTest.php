@@ -0,0 +1,129 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Tests\Controllers\Console;
+
+use PhpMyAdmin\Controllers\Console\QueryController;
+use PhpMyAdmin\FieldMetadata;
+use PhpMyAdmin\Http\ServerRequest;
+use PhpMyAdmin\Template;
+use PhpMyAdmin\Tests\AbstractTestCase;
+use PhpMyAdmin\Tests\Stubs\ResponseRenderer;
+
+use function array_fill;
+
+use const MYSQLI_NOT_NULL_FLAG;
+use const MYSQLI_NUM_FLAG;
+use const MYSQLI_PRI_KEY_FLAG;
+use const MYSQLI_TYPE_LONG;
+use const MYSQLI_TYPE_STRING;
+
+/**
+ * @covers \PhpMyAdmin\Controllers\Console\QueryController
+ */
+class QueryControllerTest extends AbstractTestCase
+{
+    public function testWithInvalidParams(): void
+    {
+        $dbi = $this->createDatabaseInterface();
+        $GLOBALS['dbi'] = $dbi;
+        $response = new ResponseRenderer();
+        $request = $this->createStub(ServerRequest::class);
+        $request->method('getParsedBodyParam')->willReturnMap([
+            ['sql_query', null, null],
+            ['db', '', ''],
+        ]);
+        $controller = new QueryController($response, new Template(), $dbi);
+        $controller($request);
+        $this->assertFalse($response->hasSuccessState());
+        $this->assertStringContainsString('Incomplete params', $response->getJSONResult()['message']);
+    }
+
+    public function testWithoutSelectQuery(): void
+    {
+        $dbi = $this->createDatabaseInterface();
+        $GLOBALS['dbi'] = $dbi;
+        $response = new ResponseRenderer();
+        $request = $this->createStub(ServerRequest::class);
+        $request->method('getParsedBodyParam')->willReturnMap([
+            ['sql_query', null, 'DELETE FROM `test_table`'],
+            ['db', '', 'test_db'],
+        ]);
+        $controller = new QueryController($response, new Template(), $dbi);
+        $controller($request);
+        $this->assertFalse($response->hasSuccessState());
+        $this->assertStringContainsString(
+            'Only single SELECT queries can be displayed in the console.',
+            $response->getJSONResult()['message']
+        );
+    }
+
+    public function testWithSelectQuery(): void
+    {
+        $dummyDbi = $this->createDbiDummy();
+        $dummyDbi->addSelectDb('test_db');
+        $dummyDbi->addResult(
+            'SELECT `id`, `name` FROM `test_table` LIMIT 0, 501',
+            [['1', 'abcd'], ['2', 'foo']],
+            ['id', 'name'],
+            [
+                new FieldMetadata(
+                    MYSQLI_TYPE_LONG,
+                    MYSQLI_PRI_KEY_FLAG | MYSQLI_NUM_FLAG | MYSQLI_NOT_NULL_FLAG,
+                    (object) ['name' => 'id', 'table' => 'test_table']
+                ),
+                new FieldMetadata(MYSQLI_TYPE_STRING, 0, (object) ['name' => 'name', 'table' => 'test_table']),
+            ]
+        );
+        $dbi = $this->createDatabaseInterface($dummyDbi);
+        $GLOBALS['dbi'] = $dbi;
+        $response = new ResponseRenderer();
+        $request = $this->createStub(ServerRequest::class);
+        $request->method('getParsedBodyParam')->willReturnMap([
+            ['sql_query', null, 'SELECT `id`, `name` FROM `test_table`'],
+            ['db', '', 'test_db'],
+        ]);
+        $controller = new QueryController($response, new Template(), $dbi);
+        $controller($request);
+
+        $result = $response->getJSONResult();
+        $this->assertTrue($response->hasSuccessState());
+        $this->assertSame(
+            [['name' => 'id', 'isNumeric' => true], ['name' => 'name', 'isNumeric' => false]],
+            $result['columns']
+        );
+        $this->assertSame([['1', 'abcd'], ['2', 'foo']], $result['rows']);
+        $this->assertFalse($result['more']);
+        $this->assertIsFloat($result['time']);
+        $dummyDbi->assertAllSelectsConsumed();
+        $dummyDbi->assertAllQueriesConsumed();
+    }
+
+    public function testWithTruncatedResult(): void
+    {
+        $dummyDbi = $this->createDbiDummy();
+        $dummyDbi->addResult(
+            'SELECT `id` FROM `test_table` LIMIT 10, 501',
+            array_fill(0, 501, ['1']),
+            ['id'],
+            [new FieldMetadata(MYSQLI_TYPE_LONG, MYSQLI_NUM_FLAG, (object) ['name' => 'id', 'table' => 'test_table'])]
+        );
+        $dbi = $this->createDatabaseInterface($dummyDbi);
+        $GLOBALS['dbi'] = $dbi;
+        $response = new ResponseRenderer();
+        $request = $this->createStub(ServerRequest::class);
+        $request->method('getParsedBodyParam')->willReturnMap([
+            ['sql_query', null, 'SELECT `id` FROM `test_table` LIMIT 10, 1000'],
+            ['db', '', ''],
+        ]);
+        $controller = new QueryController($response, new Template(), $dbi);
+        $controller($request);
+
+        $result = $response->getJSONResult();
+        $this->assertTrue($response->hasSuccessState());
+        $this->assertCount(QueryController::MAX_ROWS, $result['rows']);
+        $this->assertTrue($result['more']);
+        $dummyDbi->assertAllQueriesConsumed();
+    }
+}
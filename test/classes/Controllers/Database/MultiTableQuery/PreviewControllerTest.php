@@ -0,0 +1,99 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Tests\Controllers\Database\MultiTableQuery;
+
+use PhpMyAdmin\Controllers\Database\MultiTableQuery\PreviewController;
+use PhpMyAdmin\DatabaseInterface;
+use PhpMyAdmin\Http\ServerRequest;
+use PhpMyAdmin\Message;
+use PhpMyAdmin\Template;
+use PhpMyAdmin\Tests\AbstractTestCase;
+use PhpMyAdmin\Tests\Stubs\ResponseRenderer;
+
+/**
+ * @covers \PhpMyAdmin\Controllers\Database\MultiTableQuery\PreviewController
+ */
+class PreviewControllerTest extends AbstractTestCase
+{
+    public function testPreview(): void
+    {
+        $dummyDbi = $this->createDbiDummy();
+        $dummyDbi->addSelectDb('test');
+        $dummyDbi->addResult(
+            'EXPLAIN SELECT * FROM `table1` JOIN `table2`',
+            [
+                ['1', 'SIMPLE', 'table1', '200', '100.00'],
+                ['1', 'SIMPLE', 'table2', '50', '10.00'],
+            ],
+            ['id', 'select_type', 'table', 'rows', 'filtered']
+        );
+        $dummyDbi->addResult(
+            'SELECT * FROM `table1` JOIN `table2` LIMIT 0, 10',
+            [['1', null]],
+            ['idtable1', 'idtable2']
+        );
+        $dbi = $this->createDatabaseInterface($dummyDbi);
+
+        $request = $this->createStub(ServerRequest::class);
+        $request->method('getParsedBodyParam')->willReturnMap([
+            ['sql_query', '', 'SELECT * FROM `table1` JOIN `table2`;'],
+            ['db', '', 'test'],
+        ]);
+
+        $response = new ResponseRenderer();
+        (new PreviewController($response, new Template(), $dbi))($request);
+
+        $this->assertTrue($response->hasSuccessState());
+        $json = $response->getJSONResult();
+        $this->assertSame(1000, $json['rowsEstimate']);
+        $this->assertStringContainsString('About 1,000 rows, estimated by EXPLAIN.', $json['preview']);
+        $this->assertStringContainsString('<th>idtable2</th>', $json['preview']);
+        $this->assertStringContainsString('<td><em>NULL</em></td>', $json['preview']);
+        $dummyDbi->assertAllQueriesConsumed();
+    }
+
+    public function testPreviewOnlySelect(): void
+    {
+        $request = $this->createStub(ServerRequest::class);
+        $request->method('getParsedBodyParam')->willReturnMap([
+            ['sql_query', '', 'DELETE FROM `table1`'],
+            ['db', '', 'test'],
+        ]);
+
+        $response = new ResponseRenderer();
+        (new PreviewController($response, new Template(), $this->createDatabaseInterface()))($request);
+
+        $this->assertFalse($response->hasSuccessState());
+        $this->assertEquals(
+            ['message' => Message::error('Only a single SELECT query can be previewed.')->getDisplay()],
+            $response->getJSONResult()
+        );
+    }
+
+    public function testPreviewWithUnknownDatabase(): void
+    {
+        $dbi = $this->getMockBuilder(DatabaseInterface::class)
+            ->disableOriginalConstructor()
+            ->getMock();
+        $dbi->expects($this->once())->method('selectDb')->with('unknown')->willReturn(false);
+        $dbi->method('getError')->willReturn('#1049 - Unknown database \'unknown\'');
+        $dbi->expects($this->never())->method('tryQuery');
+
+        $request = $this->createStub(ServerRequest::class);
+        $request->method('getParsedBodyParam')->willReturnMap([
+            ['sql_query', '', 'SELECT * FROM `table1`'],
+            ['db', '', 'unknown'],
+        ]);
+
+        $response = new ResponseRenderer();
+        (new PreviewController($response, new Template(), $dbi))($request);
+
+        $this->assertFalse($response->hasSuccessState());
+        $this->assertEquals(
+            ['message' => Message::rawError('#1049 - Unknown database \'unknown\'')->getDisplay()],
+            $response->getJSONResult()
+        );
+    }
+}
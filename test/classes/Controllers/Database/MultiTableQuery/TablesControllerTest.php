@@ -58,6 +58,20 @@ public function testGetForeignKeyConstrainsForTable(): void
                         'REFERENCED_COLUMN_NAME' => 'idtable1',
                     ],
                 ],
+                'databaseForeignKeyConstrains' => [
+                    [
+                        'TABLE_NAME' => 'table2',
+                        'COLUMN_NAME' => 'idtable2',
+                        'REFERENCED_TABLE_NAME' => 'table1',
+                        'REFERENCED_COLUMN_NAME' => 'idtable1',
+                    ],
+                    [
+                        'TABLE_NAME' => 'table3',
+                        'COLUMN_NAME' => 'idtable2',
+                        'REFERENCED_TABLE_NAME' => 'table2',
+                        'REFERENCED_COLUMN_NAME' => 'idtable2',
+                    ],
+                ],
             ],
             $this->getResponseJsonResult()
         );
@@ -0,0 +1,62 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Tests\Controllers\Database;
+
+use PhpMyAdmin\Controllers\Database\SqlAutoCompleteController;
+use PhpMyAdmin\Http\ServerRequest;
+use PhpMyAdmin\Template;
+use PhpMyAdmin\Tests\AbstractTestCase;
+use PhpMyAdmin\Tests\Stubs\ResponseRenderer;
+
+/**
+ * @covers \PhpMyAdmin\Controllers\Database\SqlAutoCompleteController
+ */
+class SqlAutoCompleteControllerTest extends AbstractTestCase
+{
+    public function testTablesAndForeignKeys(): void
+    {
+        $GLOBALS['db'] = '';
+        $GLOBALS['cfg']['EnableAutocompleteForTablesAndColumns'] = true;
+
+        $dummyDbi = $this->createDbiDummy();
+        $dummyDbi->addResult('SHOW TABLES FROM `test_db`;', [['test_table']], ['Tables_in_test_db']);
+        $dummyDbi->addResult(
+            'SELECT TABLE_NAME, COLUMN_NAME, REFERENCED_TABLE_NAME, REFERENCED_COLUMN_NAME'
+            . ' FROM information_schema.key_column_usage WHERE referenced_table_name IS NOT NULL'
+            . " AND TABLE_SCHEMA = 'test_db' AND REFERENCED_TABLE_SCHEMA = 'test_db';",
+            [['test_table', 'name', 'other_table', 'name']],
+            ['TABLE_NAME', 'COLUMN_NAME', 'REFERENCED_TABLE_NAME', 'REFERENCED_COLUMN_NAME']
+        );
+        $dbi = $this->createDatabaseInterface($dummyDbi);
+        $GLOBALS['dbi'] = $dbi;
+
+        $request = $this->createStub(ServerRequest::class);
+        $request->method('getParam')->willReturnMap([
+            ['db', '', 'test_db'],
+            ['objects', null, null],
+        ]);
+
+        $response = new ResponseRenderer();
+        (new SqlAutoCompleteController($response, new Template(), $dbi))($request);
+
+        $this->assertSame([
+            'tables' => [
+                'test_table' => [
+                    'id' => ['Type' => 'int(11)', 'Key' => 'PRI', 'Comment' => ''],
+                    'name' => ['Type' => 'varchar(20)', 'Key' => '', 'Comment' => ''],
+                    'datetimefield' => ['Type' => 'datetime', 'Key' => '', 'Comment' => ''],
+                ],
+            ],
+            'foreignKeys' => [
+                [
+                    'TABLE_NAME' => 'test_table',
+                    'COLUMN_NAME' => 'name',
+                    'REFERENCED_TABLE_NAME' => 'other_table',
+                    'REFERENCED_COLUMN_NAME' => 'name',
+                ],
+            ],
+        ], $response->getJSONResult());
+    }
+}
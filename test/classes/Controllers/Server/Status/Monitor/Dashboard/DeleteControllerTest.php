@@ -0,0 +1,88 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Tests\Controllers\Server\Status\Monitor\Dashboard;
+
+use PhpMyAdmin\ConfigStorage\Relation;
+use PhpMyAdmin\ConfigStorage\RelationParameters;
+use PhpMyAdmin\Controllers\Server\Status\Monitor\Dashboard\DeleteController;
+use PhpMyAdmin\DatabaseInterface;
+use PhpMyAdmin\Http\ServerRequest;
+use PhpMyAdmin\Server\Status\Monitor\DashboardModel;
+use PhpMyAdmin\Template;
+use PhpMyAdmin\Tests\AbstractTestCase;
+use PhpMyAdmin\Tests\Stubs\DbiDummy;
+use PhpMyAdmin\Tests\Stubs\ResponseRenderer;
+use PhpMyAdmin\Utils\SessionCache;
+
+/**
+ * @covers \PhpMyAdmin\Controllers\Server\Status\Monitor\Dashboard\DeleteController
+ * @covers \PhpMyAdmin\Server\Status\Monitor\DashboardModel
+ */
+class DeleteControllerTest extends AbstractTestCase
+{
+    /** @var DatabaseInterface */
+    protected $dbi;
+
+    /** @var DbiDummy */
+    protected $dummyDbi;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->dummyDbi = $this->createDbiDummy();
+        $this->dbi = $this->createDatabaseInterface($this->dummyDbi);
+        $GLOBALS['dbi'] = $this->dbi;
+
+        $GLOBALS['server'] = 1;
+        $GLOBALS['cfg']['Server']['user'] = 'user';
+        $_SESSION['relation'] = [];
+        $_SESSION['relation'][$GLOBALS['server']] = RelationParameters::fromArray([
+            'monitordashboardswork' => true,
+            'db' => 'db',
+            'monitor_dashboards' => 'table',
+        ])->toArray();
+    }
+
+    public function testDeleteOwnDashboard(): void
+    {
+        SessionCache::set('is_superuser', false);
+        $this->dummyDbi->addResult('DELETE FROM `db`.`table` WHERE `id` = 3 AND `username` = \'user\';', true);
+
+        $response = $this->deleteDashboard(3);
+
+        $this->assertTrue($response->hasSuccessState());
+        $this->dummyDbi->assertAllQueriesConsumed();
+    }
+
+    public function testSuperUserDeletesAnyDashboard(): void
+    {
+        SessionCache::set('is_superuser', true);
+        $this->dummyDbi->addResult('DELETE FROM `db`.`table` WHERE `id` = 3;', true);
+
+        $response = $this->deleteDashboard(3);
+
+        $this->assertTrue($response->hasSuccessState());
+        $this->dummyDbi->assertAllQueriesConsumed();
+    }
+
+    private function deleteDashboard(int $dashboardId): ResponseRenderer
+    {
+        $response = new ResponseRenderer();
+        $request = $this->createStub(ServerRequest::class);
+        $request->method('getParsedBodyParam')->willReturnMap([
+            ['dashboardId', null, (string) $dashboardId],
+        ]);
+
+        (new DeleteController(
+            $response,
+            new Template(),
+            new DashboardModel($this->dbi),
+            new Relation($this->dbi),
+            $this->dbi
+        ))($request);
+
+        return $response;
+    }
+}
@@ -0,0 +1,94 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Tests\Controllers\Server\Status\Monitor\Dashboard;
+
+use PhpMyAdmin\ConfigStorage\Relation;
+use PhpMyAdmin\ConfigStorage\RelationParameters;
+use PhpMyAdmin\Controllers\Server\Status\Monitor\Dashboard\UnpublishController;
+use PhpMyAdmin\DatabaseInterface;
+use PhpMyAdmin\Http\ServerRequest;
+use PhpMyAdmin\Message;
+use PhpMyAdmin\Server\Status\Monitor\DashboardModel;
+use PhpMyAdmin\Template;
+use PhpMyAdmin\Tests\AbstractTestCase;
+use PhpMyAdmin\Tests\Stubs\DbiDummy;
+use PhpMyAdmin\Tests\Stubs\ResponseRenderer;
+use PhpMyAdmin\Utils\SessionCache;
+
+/**
+ * @covers \PhpMyAdmin\Controllers\Server\Status\Monitor\Dashboard\UnpublishController
+ * @covers \PhpMyAdmin\Server\Status\Monitor\DashboardModel
+ */
+class UnpublishControllerTest extends AbstractTestCase
+{
+    /** @var DatabaseInterface */
+    protected $dbi;
+
+    /** @var DbiDummy */
+    protected $dummyDbi;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->dummyDbi = $this->createDbiDummy();
+        $this->dbi = $this->createDatabaseInterface($this->dummyDbi);
+        $GLOBALS['dbi'] = $this->dbi;
+
+        $GLOBALS['server'] = 1;
+        $GLOBALS['cfg']['Server']['user'] = 'root';
+        $_SESSION['relation'] = [];
+        $_SESSION['relation'][$GLOBALS['server']] = RelationParameters::fromArray([
+            'monitordashboardswork' => true,
+            'db' => 'db',
+            'monitor_dashboards' => 'table',
+        ])->toArray();
+    }
+
+    public function testUnpublish(): void
+    {
+        SessionCache::set('is_superuser', true);
+        $this->dummyDbi->addResult(
+            'UPDATE `db`.`table` SET `username` = \'root\', `is_default` = 0 WHERE `id` = 2 AND `username` = \'\';',
+            true
+        );
+
+        $response = $this->unpublishDashboard(2);
+
+        $this->assertTrue($response->hasSuccessState());
+        $this->dummyDbi->assertAllQueriesConsumed();
+    }
+
+    public function testUnpublishWithoutPrivileges(): void
+    {
+        SessionCache::set('is_superuser', false);
+
+        $response = $this->unpublishDashboard(2);
+
+        $this->assertFalse($response->hasSuccessState());
+        $this->assertEquals(
+            ['message' => Message::error('Access denied!')->getDisplay()],
+            $response->getJSONResult()
+        );
+    }
+
+    private function unpublishDashboard(int $dashboardId): ResponseRenderer
+    {
+        $response = new ResponseRenderer();
+        $request = $this->createStub(ServerRequest::class);
+        $request->method('getParsedBodyParam')->willReturnMap([
+            ['dashboardId', null, (string) $dashboardId],
+        ]);
+
+        (new UnpublishController(
+            $response,
+            new Template(),
+            new DashboardModel($this->dbi),
+            new Relation($this->dbi),
+            $this->dbi
+        ))($request);
+
+        return $response;
+    }
+}
@@ -4,6 +4,7 @@
 
 namespace PhpMyAdmin\Tests\Controllers\Table;
 
+use PhpMyAdmin\ConfigStorage\Relation;
 use PhpMyAdmin\Controllers\Table\ChartController;
 use PhpMyAdmin\FieldMetadata;
 use PhpMyAdmin\Http\ServerRequest;
@@ -93,9 +94,14 @@ public function testChartController(): void
                 'rows' => 25,
                 'sql_query' => 'SELECT * FROM `test_db`.`table_for_chart`;',
             ],
+            'db' => 'test_db',
+            'user' => $GLOBALS['cfg']['Server']['user'],
+            'has_bookmark_feature' => false,
         ]);
 
-        (new ChartController($response, $template, $dbi))($this->createStub(ServerRequest::class));
+        (new ChartController($response, $template, $dbi, new Relation($dbi)))(
+            $this->createStub(ServerRequest::class)
+        );
         $this->assertSame($expected, $response->getHTMLResult());
     }
 }
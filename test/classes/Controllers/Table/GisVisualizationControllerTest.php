@@ -14,6 +14,7 @@
 use PhpMyAdmin\Url;
 
 use function array_merge;
+use function json_encode;
 
 use const MYSQLI_TYPE_GEOMETRY;
 use const MYSQLI_TYPE_VAR_STRING;
@@ -49,10 +50,10 @@ public function testGisVisualizationController(): void
             ]
         );
         $dummyDbi->addResult(
-            'SELECT ST_ASTEXT(`shape`) AS `shape`, ST_SRID(`shape`) AS `srid`'
+            'SELECT `name`, ST_ASTEXT(`shape`) AS `shape`, ST_SRID(`shape`) AS `srid`'
             . ' FROM (SELECT * FROM `gis_all`) AS `temp_gis` LIMIT 0, 25',
-            [['POINT(100 250)', '0']],
-            ['shape', 'srid']
+            [['POINT', 'POINT(100 250)', '0']],
+            ['name', 'shape', 'srid']
         );
         $dbi = $this->createDatabaseInterface($dummyDbi);
         $GLOBALS['dbi'] = $dbi;
@@ -83,6 +84,15 @@ public function testGisVisualizationController(): void
                 'width' => '600',
                 'height' => '450',
             ],
+            'shown_layers' => [],
+            'legend' => [],
+            'features_json' => json_encode([
+                [
+                    'attributes' => ['name' => 'POINT'],
+                    'geometries' => ['shape' => 'POINT(100 250)'],
+                    'edit_url' => '',
+                ],
+            ]),
             'start_and_number_of_rows_fieldset' => [
                 'pos' => 0,
                 'unlim_num_rows' => 0,
@@ -91,17 +101,23 @@ public function testGisVisualizationController(): void
             ],
             'visualization' => '<?xml version="1.0" encoding="UTF-8" standalone="no"?>' . "\n"
                 . '<svg version="1.1" xmlns:svg="http://www.w3.org/2000/svg" xmlns="http://www.w3.org/2000/svg"'
-                . ' width="600" height="450"><g id="groupPanel"><circle cx="15" cy="240" r="3" name=""'
-                . ' id="1234567890" class="point vector" fill="white" stroke="#B02EE0" stroke-width="2"/></g></svg>',
+                . ' width="600" height="450"><g id="groupPanel"><g class="gis-layer" data-layer="shape">'
+                . '<g class="gis-feature" data-row="0"><circle cx="15" cy="240" r="3" name=""'
+                . ' id="1234567890" class="point vector" fill="white" stroke="#B02EE0" stroke-width="2"/>'
+                . '</g></g></g></svg>',
             'draw_ol' => 'function drawOpenLayers() {if (typeof ol !== "undefined") {var olCss ='
                 . ' "js/vendor/openlayers/theme/ol.css";$(\'head\').append(\'<link rel="stylesheet" type="text/css"'
-                . ' href=\'+olCss+\'>\');var vectorLayer = new ol.source.Vector({});var map = new ol.Map({target:'
-                . ' \'openlayersmap\',layers: [new ol.layer.Tile({source: new ol.source.OSM()}),new ol.layer.'
-                . 'Vector({source: vectorLayer})],view: new ol.View({center: ol.proj.fromLonLat([37.41, 8.82]),'
+                . ' href=\'+olCss+\'>\');var map = new ol.Map({target:'
+                . ' \'openlayersmap\',layers: [new ol.layer.Tile({source: new ol.source.OSM()})],'
+                . 'view: new ol.View({center: ol.proj.fromLonLat([37.41, 8.82]),'
                 . 'zoom: 4}),controls: [new ol.control.MousePosition({coordinateFormat: ol.coordinate.'
                 . 'createStringXY(4),projection: \'EPSG:4326\'}),new ol.control.Zoom,new ol.control.Attribution'
-                . ']});var fill = new ol.style.Fill({"color":"white"});var stroke = new ol.style.Stroke({"color"'
-                . ':[176,46,224],"width":2});var style = new ol.style.Style({image: new ol.style.Circle({fill:'
+                . ']});var vectorLayer = new ol.source.Vector({});vectorLayer.on("addfeature", function (event) {'
+                . 'event.feature.set("gisRow", event.target.get("gisRow"));});var gisLayer = new ol.layer.Vector({'
+                . 'source: vectorLayer, visible: true});gisLayer.set("gisColumn", "shape");map.addLayer(gisLayer);'
+                . 'vectorLayer.set("gisRow", 0);var fill = new ol.style.Fill({"color":"white"});'
+                . 'var stroke = new ol.style.Stroke({"color":[176,46,224],"width":2});'
+                . 'var style = new ol.style.Style({image: new ol.style.Circle({fill:'
                 . ' fill,stroke: stroke,radius: 3}),fill: fill,stroke: stroke});var minLoc = [100, 250];var'
                 . ' maxLoc = [100, 250];var ext = ol.extent.boundingExtent([minLoc, maxLoc]);ext = ol.proj.'
                 . 'transformExtent(ext, ol.proj.get("EPSG:4326"), ol.proj.get(\'EPSG:3857\'));map.getView().'
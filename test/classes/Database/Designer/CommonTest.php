@@ -88,6 +88,56 @@ public function testGetTablePositions(): void
         $this->designerCommon->getTablePositions($pg);
     }
 
+    /**
+     * Test for getPagesWithTablePositions()
+     */
+    public function testGetPagesWithTablePositions(): void
+    {
+        $dbi = $this->getMockBuilder(DatabaseInterface::class)
+            ->disableOriginalConstructor()
+            ->getMock();
+        $dbi->expects($this->any())->method('escapeString')
+            ->will($this->returnArgument(0));
+
+        $dbi->expects($this->exactly(2))
+            ->method('fetchResult')
+            ->willReturnOnConsecutiveCalls(
+                [3 => 'orders'],
+                [
+                    'db.customers' => [
+                        'name' => 'db.customers',
+                        'dbName' => 'db',
+                        'tableName' => 'customers',
+                        'X' => '120',
+                        'Y' => '40',
+                        'V' => '1',
+                        'H' => '1',
+                    ],
+                ]
+            );
+        $GLOBALS['dbi'] = $dbi;
+
+        $this->designerCommon = new Common($GLOBALS['dbi'], new Relation($dbi));
+
+        $this->assertSame(
+            [
+                [
+                    'pgNr' => 3,
+                    'pageDescr' => 'orders',
+                    'tables' => [
+                        [
+                            'dbName' => 'db',
+                            'tableName' => 'customers',
+                            'x' => 120,
+                            'y' => 40,
+                        ],
+                    ],
+                ],
+            ],
+            $this->designerCommon->getPagesWithTablePositions('db')
+        );
+    }
+
     /**
      * Test for getPageName()
      */
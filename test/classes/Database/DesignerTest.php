@@ -182,6 +182,9 @@ public function testGetHtmlForSchemaExport(): void
         $result = $this->designer->getHtmlForSchemaExport($db, $page);
         // export type
         $this->assertStringContainsString('<select id="plugins" name="export_type">', $result);
+        $this->assertStringContainsString('<option value="diagram_svg">SVG</option>', $result);
+        $this->assertStringContainsString('<option value="diagram_mermaid">Mermaid</option>', $result);
+        $this->assertStringContainsString('id="diagram_png_scale"', $result);
 
         // hidden field
         $this->assertStringContainsString('<input type="hidden" name="page_number" value="' . $page . '">', $result);
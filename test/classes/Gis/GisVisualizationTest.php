@@ -4,9 +4,17 @@
 
 namespace PhpMyAdmin\Tests\Gis;
 
+use PhpMyAdmin\FieldMetadata;
 use PhpMyAdmin\Gis\GisVisualization;
 use PhpMyAdmin\Tests\AbstractTestCase;
 
+use function hex2bin;
+use function json_encode;
+
+use const MYSQLI_TYPE_GEOMETRY;
+use const MYSQLI_TYPE_LONG;
+use const MYSQLI_TYPE_STRING;
+
 /**
  * @covers \PhpMyAdmin\Gis\GisVisualization
  */
@@ -282,4 +290,117 @@ public function testModifyQueryMariaDB(): void
             $queryString
         );
     }
+
+    /**
+     * Modify the query for an MySQL 8.0 version with the attributes and other layers
+     */
+    public function testModifyQueryAttributeAndLayerColumns(): void
+    {
+        $queryString = $this->callFunction(
+            GisVisualization::getByData([], [
+                'mysqlVersion' => 80000,
+                'spatialColumn' => 'country_geom',
+                'labelColumn' => 'country name',
+                'attributeColumns' => ['id', 'country name'],
+                'layerColumns' => ['capital'],
+                'isMariaDB' => false,
+            ]),
+            GisVisualization::class,
+            'modifySqlQuery',
+            [
+                '',
+                0,
+                0,
+            ]
+        );
+
+        $this->assertEquals(
+            'SELECT `id`, `country name`, ST_ASTEXT(`country_geom`) AS `country_geom`,'
+            . ' ST_ASTEXT(`capital`) AS `capital`, ST_SRID(`country_geom`) AS `srid`,'
+            . ' ST_SRID(`capital`) AS `srid_capital` FROM () AS `temp_gis`',
+            $queryString
+        );
+    }
+
+    /**
+     * Colors of the labels and features of the rows
+     */
+    public function testGetLegendAndFeatures(): void
+    {
+        $gis = GisVisualization::getByData([
+            ['name' => 'A', 'geom' => 'POINT(1 2)'],
+            ['name' => 'B', 'geom' => null],
+            ['name' => 'A', 'geom' => 'POINT(3 4)'],
+        ], [
+            'mysqlVersion' => 80000,
+            'spatialColumn' => 'geom',
+            'labelColumn' => 'name',
+            'colorByLabel' => '1',
+            'attributeColumns' => ['name'],
+            'isMariaDB' => false,
+        ]);
+
+        $this->assertSame([
+            ['label' => 'A', 'color' => '#B02EE0'],
+            ['label' => 'B', 'color' => '#E0642E'],
+        ], $gis->getLegend());
+
+        $this->assertSame([
+            [
+                'attributes' => ['name' => 'A'],
+                'geometries' => ['geom' => 'POINT(1 2)'],
+                'where_clause' => '',
+                'clause_is_unique' => false,
+            ],
+            [
+                'attributes' => ['name' => 'B'],
+                'geometries' => ['geom' => null],
+                'where_clause' => '',
+                'clause_is_unique' => false,
+            ],
+            [
+                'attributes' => ['name' => 'A'],
+                'geometries' => ['geom' => 'POINT(3 4)'],
+                'where_clause' => '',
+                'clause_is_unique' => false,
+            ],
+        ], $gis->getFeatures(''));
+    }
+
+    /**
+     * Binary attributes are encoded so that the features can be sent as JSON
+     */
+    public function testGetFeaturesWithBinaryColumn(): void
+    {
+        $dummyDbi = $this->createDbiDummy();
+        $GLOBALS['dbi'] = $this->createDatabaseInterface($dummyDbi);
+        $uuid = (string) hex2bin('11ed8f1c0242ac12a0b2c3d4e5f60718');
+        $dummyDbi->addResult(
+            'SELECT `uuid`, `name`, ST_ASTEXT(`geom`) AS `geom`, ST_SRID(`geom`) AS `srid`'
+                . ' FROM (SELECT * FROM `places`) AS `temp_gis`',
+            [[$uuid, 'A', 'POINT(1 2)', '0']],
+            ['uuid', 'name', 'geom', 'srid'],
+            [
+                new FieldMetadata(MYSQLI_TYPE_STRING, 0, (object) ['charsetnr' => 63]),
+                new FieldMetadata(MYSQLI_TYPE_STRING, 0, (object) ['charsetnr' => 33]),
+                new FieldMetadata(MYSQLI_TYPE_GEOMETRY, 0, (object) ['charsetnr' => 63]),
+                new FieldMetadata(MYSQLI_TYPE_LONG, 0, (object) []),
+            ]
+        );
+
+        $gis = GisVisualization::get('SELECT * FROM `places`', [
+            'mysqlVersion' => 80000,
+            'spatialColumn' => 'geom',
+            'attributeColumns' => ['uuid', 'name'],
+            'isMariaDB' => false,
+        ], 0, 0);
+        $features = $gis->getFeatures('');
+
+        $this->assertSame(
+            ['uuid' => '0x11ed8f1c0242ac12a0b2c3d4e5f60718', 'name' => 'A'],
+            $features[0]['attributes']
+        );
+        $this->assertNotFalse(json_encode($features));
+        $dummyDbi->assertAllQueriesConsumed();
+    }
 }
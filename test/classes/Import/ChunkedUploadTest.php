@@ -0,0 +1,158 @@
+<?php
+
+declare(strict_types=1);
+
+namespace PhpMyAdmin\Tests\Import;
+
+use PhpMyAdmin\Exceptions\ChunkedUploadException;
+use PhpMyAdmin\Import\ChunkedUpload;
+use PhpMyAdmin\Tests\AbstractTestCase;
+
+use function file_get_contents;
+use function file_put_contents;
+use function glob;
+use function hash;
+use function is_file;
+use function mkdir;
+use function mt_getrandmax;
+use function random_int;
+use function rmdir;
+use function str_repeat;
+use function sys_get_temp_dir;
+use function time;
+use function touch;
+use function unlink;
+
+use const DIRECTORY_SEPARATOR;
+
+/**
+ * @covers \PhpMyAdmin\Import\ChunkedUpload
+ */
+class ChunkedUploadTest extends AbstractTestCase
+{
+    private const UPLOAD_ID = '0123456789abcdef0123456789abcdef';
+
+    /** @var string */
+    private $directory;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->directory = sys_get_temp_dir() . DIRECTORY_SEPARATOR . 'chunked_' . random_int(0, mt_getrandmax());
+        mkdir($this->directory);
+    }
+
+    protected function tearDown(): void
+    {
+        foreach ((array) glob($this->directory . DIRECTORY_SEPARATOR . '*') as $path) {
+            unlink((string) $path);
+        }
+
+        rmdir($this->directory);
+        parent::tearDown();
+    }
+
+    public function testIsValidId(): void
+    {
+        $this->assertTrue(ChunkedUpload::isValidId(self::UPLOAD_ID));
+        $this->assertFalse(ChunkedUpload::isValidId('0123456789ABCDEF0123456789ABCDEF'));
+        $this->assertFalse(ChunkedUpload::isValidId('../' . self::UPLOAD_ID));
+        $this->assertFalse(ChunkedUpload::isValidId(''));
+    }
+
+    public function testAppend(): void
+    {
+        $upload = new ChunkedUpload($this->directory, 'token');
+        $this->assertSame(0, $upload->getSize(self::UPLOAD_ID));
+
+        $this->assertSame(7, $upload->append(self::UPLOAD_ID, 0, 'SELECT ', hash('crc32b', 'SELECT ')));
+        $this->assertSame(9, $upload->append(self::UPLOAD_ID, 7, '1;', '368FFC69'));
+        $this->assertSame(9, $upload->getSize(self::UPLOAD_ID));
+        $this->assertSame('SELECT 1;', file_get_contents($upload->getPath(self::UPLOAD_ID)));
+
+        $other = new ChunkedUpload($this->directory, 'other token');
+        $this->assertNotSame($upload->getPath(self::UPLOAD_ID), $other->getPath(self::UPLOAD_ID));
+        $this->assertSame(0, $other->getSize(self::UPLOAD_ID));
+
+        $upload->remove(self::UPLOAD_ID);
+        $this->assertFalse(is_file($upload->getPath(self::UPLOAD_ID)));
+    }
+
+    public function testAppendWithWrongChecksum(): void
+    {
+        $upload = new ChunkedUpload($this->directory, 'token');
+
+        $this->expectException(ChunkedUploadException::class);
+        $this->expectExceptionMessage('The chunk was corrupted during the upload.');
+        $upload->append(self::UPLOAD_ID, 0, 'SELECT 1;', hash('crc32b', 'SELECT 2;'));
+    }
+
+    public function testAppendWithWrongOffset(): void
+    {
+        $upload = new ChunkedUpload($this->directory, 'token');
+        $upload->append(self::UPLOAD_ID, 0, 'SELECT ', hash('crc32b', 'SELECT '));
+
+        try {
+            $upload->append(self::UPLOAD_ID, 3, '1;', hash('crc32b', '1;'));
+            $this->fail('The chunk was appended at a wrong offset.');
+        } catch (ChunkedUploadException $exception) {
+            $this->assertSame('The chunk does not follow the uploaded part of the file.', $exception->getMessage());
+        }
+
+        $this->assertSame(7, $upload->getSize(self::UPLOAD_ID));
+    }
+
+    public function testAppendAboveMaxSize(): void
+    {
+        $upload = new ChunkedUpload($this->directory, 'token', 8);
+        $upload->checkLimits(self::UPLOAD_ID, 8);
+        $upload->append(self::UPLOAD_ID, 0, 'SELECT ', hash('crc32b', 'SELECT '));
+
+        $this->expectException(ChunkedUploadException::class);
+        $this->expectExceptionMessage('The file is larger than the maximum size of 8 B for the uploads in chunks.');
+        $upload->append(self::UPLOAD_ID, 7, '1;', hash('crc32b', '1;'));
+    }
+
+    public function testTooManyUploads(): void
+    {
+        $upload = new ChunkedUpload($this->directory, 'token');
+        for ($i = 0; $i < ChunkedUpload::MAX_UPLOADS; $i++) {
+            $upload->append(str_repeat((string) $i, 32), 0, 'data', hash('crc32b', 'data'));
+        }
+
+        // the uploads in progress continue and other sessions can start new ones
+        $upload->append(str_repeat('0', 32), 4, 'data', hash('crc32b', 'data'));
+        (new ChunkedUpload($this->directory, 'other token'))->checkLimits(self::UPLOAD_ID, 4);
+
+        try {
+            $upload->checkLimits(self::UPLOAD_ID, 4);
+            $this->fail('A new upload was started while too many uploads are in progress.');
+        } catch (ChunkedUploadException $exception) {
+            $this->assertSame(
+                'Too many uploads are in progress, please finish or cancel one of them first.',
+                $exception->getMessage()
+            );
+        }
+
+        $upload->remove(str_repeat('0', 32));
+        $this->assertSame(4, $upload->append(self::UPLOAD_ID, 0, 'data', hash('crc32b', 'data')));
+    }
+
+    public function testRemoveExpired(): void
+    {
+        $upload = new ChunkedUpload($this->directory, 'token');
+        $oldId = 'ffffffffffffffffffffffffffffffff';
+        $upload->append($oldId, 0, 'old', hash('crc32b', 'old'));
+        touch($upload->getPath($oldId), time() - ChunkedUpload::EXPIRATION - 10);
+        $upload->append(self::UPLOAD_ID, 0, 'new', hash('crc32b', 'new'));
+        $otherFile = $this->directory . DIRECTORY_SEPARATOR . 'other.part';
+        file_put_contents($otherFile, 'other');
+        touch($otherFile, time() - ChunkedUpload::EXPIRATION - 10);
+
+        $upload->removeExpired();
+
+        $this->assertFalse(is_file($upload->getPath($oldId)));
+        $this->assertTrue(is_file($upload->getPath(self::UPLOAD_ID)));
+        $this->assertTrue(is_file($otherFile));
+    }
+}
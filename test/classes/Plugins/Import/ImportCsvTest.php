@@ -322,4 +322,44 @@ public function testDoImportSkipHeaders(): void
         $this->assertEquals(true, $GLOBALS['finished']);
         $this->dummyDbi->assertAllQueriesConsumed();
     }
+
+    /**
+     * Test for doImport into a table, skipping a column and importing empty values as NULL
+     *
+     * @group medium
+     */
+    public function testDoImportIntoTable(): void
+    {
+        $GLOBALS['plugin_param'] = 'table';
+        $this->object = new ImportCsv();
+
+        $GLOBALS['sql_query_disabled'] = false;
+        $GLOBALS['import_type'] = 'query';
+        $GLOBALS['import_file'] = 'none';
+        $GLOBALS['db'] = 'test_db';
+        $GLOBALS['table'] = 'test_table';
+        $GLOBALS['csv_terminated'] = ',';
+        $GLOBALS['csv_columns'] = 'id,,name';
+        $GLOBALS['skip_queries'] = 1;
+        $GLOBALS['import_text'] = 'id,note,name' . "\n" . '1,x,' . "\n" . '2,y,Bob';
+
+        $_POST['csv_empty_is_null'] = 'something';
+
+        $GLOBALS['dbi']->expects($this->once())
+            ->method('getColumns')
+            ->with('test_db', 'test_table')
+            ->willReturn([['Field' => 'id'], ['Field' => 'name'], ['Field' => 'note']]);
+        $GLOBALS['dbi']->method('escapeString')->willReturnArgument(0);
+
+        $this->object->doImport();
+
+        $this->assertFalse($GLOBALS['error']);
+        $this->assertSame(
+            'INSERT INTO `test_table` (`id`, `name`)  VALUES (\'1\', NULL);'
+            . 'INSERT INTO `test_table` (`id`, `name`)  VALUES (\'2\', \'Bob\');',
+            $GLOBALS['sql_query']
+        );
+
+        unset($_POST['csv_empty_is_null']);
+    }
 }
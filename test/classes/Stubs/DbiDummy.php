@@ -2100,6 +2100,26 @@ private function init(): void
                     ],
                 ],
             ],
+            [
+                'query' => 'SELECT TABLE_NAME, COLUMN_NAME, REFERENCED_TABLE_NAME,'
+                    . ' REFERENCED_COLUMN_NAME FROM information_schema.key_column_usage'
+                    . " WHERE referenced_table_name IS NOT NULL AND TABLE_SCHEMA = 'test'"
+                    . " AND REFERENCED_TABLE_SCHEMA = 'test';",
+                'result' => [
+                    [
+                        'TABLE_NAME' => 'table2',
+                        'COLUMN_NAME' => 'idtable2',
+                        'REFERENCED_TABLE_NAME' => 'table1',
+                        'REFERENCED_COLUMN_NAME' => 'idtable1',
+                    ],
+                    [
+                        'TABLE_NAME' => 'table3',
+                        'COLUMN_NAME' => 'idtable2',
+                        'REFERENCED_TABLE_NAME' => 'table2',
+                        'REFERENCED_COLUMN_NAME' => 'idtable2',
+                    ],
+                ],
+            ],
             [
                 'query' => 'SELECT `item_name`, `item_type` FROM `pmadb`.`navigationhiding`'
                     . " WHERE `username`='user' AND `db_name`='db' AND `table_name`=''",
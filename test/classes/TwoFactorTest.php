@@ -76,6 +76,7 @@ private function initStorageConfigAndData(): void
         $GLOBALS['cfg']['Server']['central_columns'] = '';
         $GLOBALS['cfg']['Server']['designer_settings'] = '';
         $GLOBALS['cfg']['Server']['export_templates'] = '';
+        $GLOBALS['cfg']['Server']['monitor_dashboards'] = '';
 
         $this->dummyDbi = $this->createDbiDummy();
         $this->dbi = $this->createDatabaseInterface($this->dummyDbi);
@@ -0,0 +1,126 @@
+/* eslint-env node, jest */
+
+import { ChartData } from 'phpmyadmin/modules/chart-data';
+
+describe('ChartData', () => {
+    test('test aggregating values', () => {
+        const values = [4, null, 1, NaN, 7];
+        expect(ChartData.aggregate(values, 'sum')).toBe(12);
+        expect(ChartData.aggregate(values, 'avg')).toBe(4);
+        expect(ChartData.aggregate(values, 'count')).toBe(3);
+        expect(ChartData.aggregate(values, 'min')).toBe(1);
+        expect(ChartData.aggregate(values, 'max')).toBe(7);
+        expect(ChartData.aggregate([null], 'sum')).toBeNull();
+        expect(ChartData.aggregate([], 'count')).toBe(0);
+    });
+
+    test('test grouping rows', () => {
+        const rows = [
+            ['b', 1, 10],
+            ['a', 2, null],
+            ['b', 3, 30],
+        ];
+        expect(ChartData.group(rows, 'sum')).toEqual([
+            ['b', 4, 40],
+            ['a', 2, null],
+        ]);
+        expect(ChartData.group(rows, 'count', value => value === 'a' ? 'a' : 'other')).toEqual([
+            ['other', 2, 2],
+            ['a', 1, 0],
+        ]);
+    });
+
+    test('test date buckets', () => {
+        // Wednesday
+        const date = new Date(2022, 5, 15, 13, 45, 12);
+        expect(ChartData.getBucket(date, 'hour')).toEqual(new Date(2022, 5, 15, 13));
+        expect(ChartData.getBucket(date, 'day')).toEqual(new Date(2022, 5, 15));
+        expect(ChartData.getBucket(date, 'week')).toEqual(new Date(2022, 5, 13));
+        expect(ChartData.getBucket(new Date(2022, 5, 12, 8), 'week')).toEqual(new Date(2022, 5, 6));
+        expect(ChartData.getBucket(date, 'month')).toEqual(new Date(2022, 5, 1));
+
+        const rows = [
+            [new Date(2022, 5, 15, 8), 1],
+            [new Date(2022, 5, 16, 9), 2],
+            [new Date(2022, 6, 2, 10), 5],
+        ];
+        expect(ChartData.group(rows, 'sum', date => ChartData.getBucket(date, 'month'))).toEqual([
+            [new Date(2022, 5, 1), 3],
+            [new Date(2022, 6, 1), 5],
+        ]);
+    });
+
+    test('test percentages', () => {
+        expect(ChartData.toPercent([
+            ['a', 1, 3, null],
+            ['b', 0, 0, 0],
+        ])).toEqual([
+            ['a', 25, 75, null],
+            ['b', 0, 0, 0],
+        ]);
+    });
+
+    test('test histograms', () => {
+        expect(ChartData.getBinCount(0)).toBe(1);
+        expect(ChartData.getBinCount(8)).toBe(4);
+        expect(ChartData.getBinCount(100)).toBe(8);
+
+        const rows = [
+            ['a', 0, 5],
+            ['b', 2.5, null],
+            ['c', 9, 10],
+        ];
+        expect(ChartData.histogram(rows, 2)).toEqual([
+            ['0 – 5', 2, 0],
+            ['5 – 10', 1, 2],
+        ]);
+        expect(ChartData.histogram([['a', 3], ['b', 3]], 4)).toEqual([
+            ['3 – 3', 2],
+        ]);
+        expect(ChartData.histogram([['a', null]], 4)).toEqual([]);
+        expect(ChartData.formatNumber(1 / 3)).toBe('0.3333');
+    });
+
+    test('test box plots', () => {
+        expect(ChartData.boxPlot([7, 1, null, 3, 5, 9])).toEqual({
+            min: 1,
+            q1: 3,
+            median: 5,
+            q3: 7,
+            max: 9,
+        });
+        expect(ChartData.boxPlot([1, 2, 3, 4])).toEqual({
+            min: 1,
+            q1: 1.75,
+            median: 2.5,
+            q3: 3.25,
+            max: 4,
+        });
+        expect(ChartData.boxPlot([NaN])).toBeNull();
+    });
+
+    test('test CSV and SVG files', () => {
+        expect(ChartData.toCsv(['name', 'amount &amp; tax'], [
+            ['a &quot;b&quot;', 1.5],
+            [new Date(2022, 0, 2, 3, 4, 5), null],
+        ])).toBe('name,amount & tax\r\n"a ""b""",1.5\r\n2022-01-02 03:04:05,\r\n');
+        expect(ChartData.toSvg('data:image/png;base64,AAAA', 300, 200)).toBe(
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"' +
+            ' width="300" height="200" viewBox="0 0 300 200">\n' +
+            '  <image width="300" height="200" xlink:href="data:image/png;base64,AAAA"/>\n' +
+            '</svg>\n'
+        );
+    });
+
+    test('test chart definitions of bookmarks', () => {
+        const definition = { type: 'column', title: 'Comments */ and more' };
+        const query = ChartData.setDefinition('SELECT * FROM `payment`;\n', definition);
+        expect(query).toBe('SELECT * FROM `payment`\n/* phpMyAdmin chart {"type":"column","title":"Comments *\\/ and more"} */');
+        expect(ChartData.getDefinition(query)).toEqual(definition);
+        expect(ChartData.setDefinition(query, { type: 'line' }))
+            .toBe('SELECT * FROM `payment`\n/* phpMyAdmin chart {"type":"line"} */');
+        expect(ChartData.getDefinition('SELECT 1 /* phpMyAdmin chart {"type": */')).toBeNull();
+        expect(ChartData.getDefinition('SELECT 1')).toBeNull();
+    });
+});
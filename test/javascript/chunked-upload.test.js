@@ -0,0 +1,94 @@
+/* eslint-env node, jest */
+
+import $ from 'jquery';
+import { webcrypto } from 'crypto';
+import { ChunkedUpload } from 'phpmyadmin/modules/chunked-upload';
+
+const params = { server: 1, token: 'token', 'max_upload_size': 10 };
+
+/**
+ * @param {string} text
+ * @return {Uint8Array}
+ */
+const toBytes = text => new Uint8Array(Array.from(text).map(character => character.charCodeAt(0)));
+
+describe('ChunkedUpload', () => {
+    const ajax = $.ajax;
+    let requests;
+    let received;
+
+    beforeAll(() => {
+        Object.defineProperty(window, 'crypto', { value: webcrypto });
+    });
+
+    beforeEach(() => {
+        window.CommonParams = { get: name => params[name] };
+        window.localStorage.clear();
+        requests = [];
+        // The server already received the beginning of the file before a reload of the page
+        received = 'SEL';
+        $.ajax = options => {
+            const data = options.data instanceof FormData ? Object.fromEntries(options.data.entries()) : options.data;
+            requests.push(data);
+            if (data.upload_action === 'status') {
+                options.success({ success: true, size: received.length });
+            } else if (data.upload_action === 'chunk') {
+                const reader = new FileReader();
+                reader.onload = () => {
+                    received += reader.result;
+                    options.success({ success: true, size: received.length });
+                };
+                reader.readAsText(data.chunk);
+            }
+
+            return { abort: () => {} };
+        };
+    });
+
+    afterEach(() => {
+        $.ajax = ajax;
+    });
+
+    test('test checksums and identifiers', () => {
+        expect(ChunkedUpload.crc32(toBytes('123456789'))).toBe('cbf43926');
+        expect(ChunkedUpload.crc32(toBytes('SELECT 1;'))).toBe('04b2335c');
+        expect(ChunkedUpload.crc32(new Uint8Array(0))).toBe('00000000');
+        expect(ChunkedUpload.createId()).toMatch(/^[0-9a-f]{32}$/);
+        expect(ChunkedUpload.createId()).not.toBe(ChunkedUpload.createId());
+    });
+
+    test('test chunk sizes', () => {
+        expect(ChunkedUpload.getChunkSize(2 * 1024 * 1024)).toBe(1024 * 1024);
+        expect(ChunkedUpload.getChunkSize(64 * 1024 * 1024)).toBe(8 * 1024 * 1024);
+        expect(ChunkedUpload.getChunkSize(0)).toBe(8 * 1024 * 1024);
+        expect(ChunkedUpload.isNeeded(new Blob(['SELE']))).toBe(false);
+        expect(ChunkedUpload.isNeeded(new Blob(['SELECT']))).toBe(true);
+        expect(ChunkedUpload.getStorageKey(new File(['SELECT 1;'], 'dump.sql', { lastModified: 1000 })))
+            .toBe('chunkedUpload:1:dump.sql:9:1000');
+    });
+
+    test('test resuming an upload', done => {
+        const file = new File(['SELECT 1, 2, 3;'], 'dump.sql', { lastModified: 1000 });
+        const progress = [];
+        window.localStorage.setItem(ChunkedUpload.getStorageKey(file), '0123456789abcdef0123456789abcdef');
+        ChunkedUpload.start(file, {
+            onProgress: loaded => progress.push(loaded),
+            onPause: () => done('paused'),
+            onError: message => done(message),
+            onComplete: uploadId => {
+                expect(uploadId).toBe('0123456789abcdef0123456789abcdef');
+                expect(received).toBe('SELECT 1, 2, 3;');
+                expect(requests.map(data => data.upload_action + ' ' + (data.offset || ''))).toEqual([
+                    'status ',
+                    'chunk 3',
+                    'chunk 8',
+                    'chunk 13',
+                ]);
+                expect(requests[1].checksum).toBe(ChunkedUpload.crc32(toBytes('ECT 1')));
+                expect(progress).toEqual([3, 8, 13, 15]);
+                expect(window.localStorage.getItem(ChunkedUpload.getStorageKey(file))).toBeNull();
+                done();
+            }
+        });
+    });
+});
@@ -0,0 +1,117 @@
+/* eslint-env node, jest */
+
+import { DesignerExport } from 'phpmyadmin/modules/designer-export';
+
+const diagram = {
+    width: 420,
+    height: 200,
+    tables: [
+        {
+            id: 'shop.orders',
+            name: 'orders',
+            displayField: null,
+            x: 20,
+            y: 20,
+            width: 150,
+            height: 70,
+            headerHeight: 24,
+            columns: [
+                { name: 'id', type: 'int(11)', y: 44, height: 23 },
+                { name: 'customer_id', type: 'int(10) unsigned', y: 67, height: 23 },
+            ],
+        },
+        {
+            id: 'shop.customers',
+            name: 'customers',
+            displayField: 'full name',
+            x: 250,
+            y: 40,
+            width: 150,
+            height: 24,
+            headerHeight: 24,
+            columns: [
+                { name: 'id', type: 'int(10) unsigned' },
+                { name: 'full name', type: 'varchar(100)' },
+            ],
+        },
+    ],
+    relations: [
+        { from: 'shop.orders', fromColumn: 'customer_id', to: 'shop.customers', toColumn: 'id' },
+        { from: 'shop.orders', fromColumn: 'id', to: 'shop.hidden', toColumn: 'id' },
+    ],
+    shapes: [
+        { type: 'circle', x: 170, y: 74, r: 3, width: 3, color: 'rgba(0,0,200,1)' },
+        { type: 'line', x1: 170, y1: 74, x2: 180.004, y2: 74, color: 'rgba(0,0,200,1)' },
+        { type: 'rect', x: 249, y: 45, width: 4, height: 4, color: 'rgba(0,0,200,1)' },
+    ],
+};
+
+describe('DesignerExport', () => {
+    test('test SVG', () => {
+        const svg = DesignerExport.toSvg(diagram);
+        expect(svg).toContain('<svg xmlns="http://www.w3.org/2000/svg" width="420" height="200" viewBox="0 0 420 200"');
+        expect(svg).toContain('<rect x="20" y="20" width="150" height="70" fill="#fff" stroke="#888"/>');
+        expect(svg).toContain('font-weight="bold">orders</text>');
+        expect(svg).toContain('<text x="26" y="78.5" dominant-baseline="central">customer_id : int(10) unsigned</text>');
+        // Columns of collapsed tables are not drawn
+        expect(svg).not.toContain('full name');
+        expect(svg).toContain('<circle cx="170" cy="74" r="3" fill="none" stroke="rgba(0,0,200,1)" stroke-width="3"/>');
+        expect(svg).toContain('<line x1="170" y1="74" x2="180" y2="74" stroke="rgba(0,0,200,1)" stroke-width="1"/>');
+        expect(svg).toContain('<rect x="249" y="45" width="4" height="4" fill="rgba(0,0,200,1)"/>');
+    });
+    test('test SVG escaping', () => {
+        const svg = DesignerExport.toSvg({
+            width: 100,
+            height: 100,
+            tables: [{
+                id: 'a', name: '<b>&"', displayField: null, x: 0, y: 0, width: 10, height: 10, headerHeight: 10, columns: [],
+            }],
+            relations: [],
+            shapes: [],
+        });
+        expect(svg).toContain('>&lt;b&gt;&amp;&quot;</text>');
+        expect(svg).not.toContain('class="relations"');
+    });
+    test('test Mermaid', () => {
+        expect(DesignerExport.toMermaid(diagram)).toEqual(
+            'erDiagram\n' +
+            '    orders {\n' +
+            '        int(11) id\n' +
+            '        int(10)_unsigned customer_id FK\n' +
+            '    }\n' +
+            '    customers {\n' +
+            '        int(10)_unsigned id\n' +
+            '        varchar(100) full_name "display field"\n' +
+            '    }\n' +
+            '    customers ||--o{ orders : "customer_id"\n'
+        );
+    });
+    test('test PlantUML', () => {
+        expect(DesignerExport.toPlantUml(diagram)).toEqual(
+            '@startuml\n' +
+            'entity "orders" as orders {\n' +
+            '  id : int(11)\n' +
+            '  customer_id : int(10) unsigned <<FK>>\n' +
+            '}\n' +
+            'entity "customers" as customers {\n' +
+            '  id : int(10) unsigned\n' +
+            '  full name : varchar(100) <<display>>\n' +
+            '}\n' +
+            'orders }o--|| customers : customer_id\n' +
+            '@enduml\n'
+        );
+    });
+    test('test DBML', () => {
+        expect(DesignerExport.toDbml(diagram)).toEqual(
+            'Table orders {\n' +
+            '  id int(11)\n' +
+            '  customer_id "int(10) unsigned"\n' +
+            '}\n\n' +
+            'Table customers {\n' +
+            '  id "int(10) unsigned"\n' +
+            '  "full name" varchar(100) [note: \'display field\']\n' +
+            '}\n\n' +
+            'Ref: orders.customer_id > customers.id\n'
+        );
+    });
+});
@@ -0,0 +1,93 @@
+/* eslint-env node, jest */
+
+import { DesignerLayout } from 'phpmyadmin/modules/designer-layout';
+
+/**
+ * @param {string[]} names
+ * @return {object[]}
+ */
+const makeTables = (names) => names.map(name => ({ id: 'db.' + name, name: name, width: 100, height: 60 }));
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @return {object}
+ */
+const relation = (from, to) => ({ from: 'db.' + from, to: 'db.' + to });
+
+/**
+ * @param {object[]} tables
+ * @param {object} positions
+ * @return {boolean}
+ */
+const hasOverlaps = (tables, positions) => tables.some((a, i) => tables.slice(i + 1).some(b => {
+    const pa = positions[a.id];
+    const pb = positions[b.id];
+
+    return pa.x < pb.x + b.width && pb.x < pa.x + a.width && pa.y < pb.y + b.height && pb.y < pa.y + a.height;
+}));
+
+describe('DesignerLayout', () => {
+    const tables = makeTables(['orders', 'customers', 'products', 'order_items', 'suppliers', 'logs']);
+    const relations = [
+        relation('orders', 'customers'),
+        relation('order_items', 'orders'),
+        relation('order_items', 'products'),
+        relation('products', 'suppliers'),
+        relation('orders', 'customers'),
+        relation('logs', 'logs'),
+    ];
+
+    test('test crossings', () => {
+        const square = makeTables(['a', 'b', 'c', 'd']);
+        const crossing = {
+            'db.a': { x: 0, y: 0 },
+            'db.b': { x: 200, y: 200 },
+            'db.c': { x: 200, y: 0 },
+            'db.d': { x: 0, y: 200 },
+        };
+        expect(DesignerLayout.countCrossings(square, [relation('a', 'b'), relation('c', 'd')], crossing)).toBe(1);
+        // Lines sharing a table do not cross
+        expect(DesignerLayout.countCrossings(square, [relation('a', 'b'), relation('a', 'c')], crossing)).toBe(0);
+    });
+    test('test hierarchical', () => {
+        const positions = DesignerLayout.hierarchical(tables, relations);
+        expect(Object.keys(positions).sort()).toEqual(tables.map(table => table.id).sort());
+        expect(hasOverlaps(tables, positions)).toBe(false);
+        // Referenced tables are above the referencing ones
+        expect(positions['db.customers'].y).toBeLessThan(positions['db.orders'].y);
+        expect(positions['db.orders'].y).toBeLessThan(positions['db.order_items'].y);
+        expect(positions['db.suppliers'].y).toBeLessThan(positions['db.products'].y);
+        // Tables without relations are placed below the others
+        expect(positions['db.logs'].y).toBeGreaterThan(positions['db.order_items'].y);
+        expect(DesignerLayout.countCrossings(tables, relations, positions)).toBe(0);
+    });
+    test('test hierarchical with a cycle', () => {
+        const cycle = makeTables(['a', 'b', 'c']);
+        const positions = DesignerLayout.hierarchical(cycle, [relation('a', 'b'), relation('b', 'c'), relation('c', 'a')]);
+        expect(hasOverlaps(cycle, positions)).toBe(false);
+        expect(new Set(cycle.map(table => positions[table.id].y)).size).toBe(3);
+    });
+    test('test force-directed', () => {
+        const positions = DesignerLayout.force(tables, relations);
+        expect(Object.keys(positions).sort()).toEqual(tables.map(table => table.id).sort());
+        expect(hasOverlaps(tables, positions)).toBe(false);
+        expect(DesignerLayout.countCrossings(tables, relations, positions)).toBe(0);
+        expect(DesignerLayout.force(tables, relations)).toEqual(positions);
+    });
+    test('test grid by prefix', () => {
+        const prefixed = makeTables(['wp_posts', 'wp_users', 'shop_orders', 'shop_items', 'shop_customers']);
+        const positions = DesignerLayout.grid(prefixed, [relation('shop_orders', 'shop_customers')]);
+        expect(hasOverlaps(prefixed, positions)).toBe(false);
+        const box = ids => ({
+            left: Math.min.apply(null, ids.map(id => positions['db.' + id].x)),
+            right: Math.max.apply(null, ids.map(id => positions['db.' + id].x + 100)),
+            top: Math.min.apply(null, ids.map(id => positions['db.' + id].y)),
+            bottom: Math.max.apply(null, ids.map(id => positions['db.' + id].y + 60)),
+        });
+        // The tables of a prefix form a block apart from the other blocks
+        const shop = box(['shop_orders', 'shop_items', 'shop_customers']);
+        const wp = box(['wp_posts', 'wp_users']);
+        expect(shop.right <= wp.left || shop.bottom <= wp.top).toBe(true);
+    });
+});
@@ -0,0 +1,41 @@
+/* eslint-env node, jest */
+
+import { DesignerQueries } from 'phpmyadmin/modules/designer-queries';
+
+describe('DesignerQueries', () => {
+    test('test versions', () => {
+        const queries = [];
+        const state = { history: [], selectFields: ['`orders`.`id`'] };
+        expect(DesignerQueries.addVersion(queries, 'orders', 'SELECT 1', state, '2024-01-01T00:00:00.000Z')).toBe(1);
+        expect(DesignerQueries.addVersion(queries, 'customers', 'SELECT 2', state, '2024-01-01T00:00:00.000Z')).toBe(1);
+        // The same query is not saved twice
+        expect(DesignerQueries.addVersion(queries, 'orders', 'SELECT 1', state, '2024-01-02T00:00:00.000Z')).toBeNull();
+        expect(DesignerQueries.addVersion(queries, 'orders', 'SELECT 3', state, '2024-01-03T00:00:00.000Z')).toBe(2);
+        expect(queries.map(query => query.name)).toEqual(['customers', 'orders']);
+        expect(DesignerQueries.get(queries, 'orders').versions.map(version => version.sql)).toEqual(['SELECT 1', 'SELECT 3']);
+        expect(DesignerQueries.get(queries, 'unknown')).toBeNull();
+        expect(DesignerQueries.remove(queries, 'orders').map(query => query.name)).toEqual(['customers']);
+    });
+    test('test the oldest versions are dropped', () => {
+        const queries = [];
+        for (let i = 1; i <= 25; i++) {
+            DesignerQueries.addVersion(queries, 'orders', 'SELECT ' + i, {}, '2024-01-01T00:00:00.000Z');
+        }
+        const versions = DesignerQueries.get(queries, 'orders').versions;
+        expect(versions).toHaveLength(20);
+        expect(versions[0].sql).toBe('SELECT 6');
+    });
+    test('test diff', () => {
+        expect(DesignerQueries.diffLines(
+            'SELECT *\nFROM `orders`\nWHERE (`id` > 1)',
+            'SELECT *\nFROM `orders`\nLEFT JOIN `customers`\nWHERE (`id` > 2)'
+        )).toEqual([
+            { type: 'same', line: 'SELECT *' },
+            { type: 'same', line: 'FROM `orders`' },
+            { type: 'removed', line: 'WHERE (`id` > 1)' },
+            { type: 'added', line: 'LEFT JOIN `customers`' },
+            { type: 'added', line: 'WHERE (`id` > 2)' },
+        ]);
+        expect(DesignerQueries.diffLines('a', 'a')).toEqual([{ type: 'same', line: 'a' }]);
+    });
+});
@@ -0,0 +1,60 @@
+/* eslint-env node, jest */
+
+import { DesignerSync } from 'phpmyadmin/modules/designer-sync';
+
+const table = (tableName, x, y) => ({ dbName: 'shop', tableName: tableName, x: x, y: y });
+
+describe('DesignerSync', () => {
+    test('test comparing pages', () => {
+        const local = [
+            { pgNr: 1, pageDescr: 'orders', tables: [table('orders', 10, 20), table('customers', 200, 20)] },
+            { pgNr: 2, pageDescr: 'drafts', tables: [table('orders', 0, 0)] },
+            { pgNr: 3, pageDescr: 'same', tables: [table('orders', 5, 5)] },
+        ];
+        const server = [
+            { pgNr: 7, pageDescr: 'orders', tables: [table('orders', 10, 20), table('customers', 220, 20), table('items', 0, 90)] },
+            { pgNr: 8, pageDescr: 'archive', tables: [] },
+            { pgNr: 9, pageDescr: 'same', tables: [table('orders', 5, 5)] },
+        ];
+        const comparisons = DesignerSync.comparePages(local, server);
+        expect(comparisons.map(comparison => [comparison.name, comparison.status])).toEqual([
+            ['archive', 'server'],
+            ['drafts', 'local'],
+            ['orders', 'conflict'],
+            ['same', 'same'],
+        ]);
+        expect(comparisons[2].local.pgNr).toBe(1);
+        expect(comparisons[2].server.pgNr).toBe(7);
+        expect(comparisons[2].diff).toEqual([
+            { table: 'shop.customers', local: { x: 200, y: 20 }, server: { x: 220, y: 20 } },
+            { table: 'shop.items', local: null, server: { x: 0, y: 90 } },
+        ]);
+    });
+    test('test JSON files', () => {
+        const pages = [{ pgNr: 4, pageDescr: 'orders', tables: [table('orders', 10, 20)] }];
+        const json = DesignerSync.toJson('shop', pages);
+        expect(JSON.parse(json)).toEqual({
+            format: 'phpmyadmin-designer-pages',
+            version: 1,
+            db: 'shop',
+            pages: [{ pageDescr: 'orders', tables: [table('orders', 10, 20)] }],
+        });
+        expect(DesignerSync.fromJson(json)).toEqual([{ pageDescr: 'orders', tables: [table('orders', 10, 20)] }]);
+    });
+    test('test invalid JSON files', () => {
+        expect(DesignerSync.fromJson('{')).toBeNull();
+        expect(DesignerSync.fromJson('null')).toBeNull();
+        expect(DesignerSync.fromJson('{"pages": []}')).toBeNull();
+        expect(DesignerSync.fromJson(JSON.stringify({
+            format: 'phpmyadmin-designer-pages',
+            pages: [{ pageDescr: 'orders', tables: [{ dbName: 'shop', tableName: 'orders', x: '1', y: 2 }] }],
+        }))).toBeNull();
+        expect(DesignerSync.fromJson(JSON.stringify({
+            format: 'phpmyadmin-designer-pages',
+            pages: [{ pageDescr: '', tables: [] }],
+        }))).toBeNull();
+    });
+    test('test URL encoding', () => {
+        expect(DesignerSync.urlEncode('my table (old)!')).toBe('my%20table%20%28old%29%21');
+    });
+});
@@ -0,0 +1,70 @@
+/* eslint-env node, jest */
+
+import { GisExport } from 'phpmyadmin/modules/gis-export';
+
+const features = [
+    {
+        attributes: { name: 'Paris & co', population: '2148000' },
+        geometries: { location: 'POINT(2.35 48.85)', area: 'POLYGON((0 0,4 0,4 4,0 0),(1 1,2 1,2 2,1 1))' },
+    },
+    {
+        attributes: { name: null, population: '1' },
+        geometries: { location: null, area: 'MULTIPOINT((1 2),(3 4))' },
+    },
+];
+
+describe('GisExport', () => {
+    test('test parsing WKT', () => {
+        expect(GisExport.parseWkt('POINT(1 2)')).toEqual({ type: 'Point', coordinates: [1, 2] });
+        expect(GisExport.parseWkt('LINESTRING(1 2,3 4.5)')).toEqual({ type: 'LineString', coordinates: [[1, 2], [3, 4.5]] });
+        expect(GisExport.parseWkt('MULTIPOINT(1 2, 3 4)')).toEqual({ type: 'MultiPoint', coordinates: [[1, 2], [3, 4]] });
+        expect(GisExport.parseWkt('MULTIPOLYGON(((0 0,1 0,1 1,0 0)),((5 5,6 5,6 6,5 5)))')).toEqual({
+            type: 'MultiPolygon',
+            coordinates: [[[[0, 0], [1, 0], [1, 1], [0, 0]]], [[[5, 5], [6, 5], [6, 6], [5, 5]]]],
+        });
+        expect(GisExport.parseWkt('GEOMETRYCOLLECTION(POINT(1 2),LINESTRING(0 0,1 1))')).toEqual({
+            type: 'GeometryCollection',
+            geometries: [
+                { type: 'Point', coordinates: [1, 2] },
+                { type: 'LineString', coordinates: [[0, 0], [1, 1]] },
+            ],
+        });
+        expect(GisExport.parseWkt('GEOMETRYCOLLECTION EMPTY')).toEqual({ type: 'GeometryCollection', geometries: [] });
+        expect(GisExport.parseWkt('CIRCLE(1 2)')).toBe(null);
+    });
+
+    test('test exporting as GeoJSON', () => {
+        const collection = JSON.parse(GisExport.toGeoJson(features, ['location']));
+        expect(collection).toEqual({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [2.35, 48.85] },
+                properties: { name: 'Paris & co', population: '2148000' },
+            }],
+        });
+        expect(JSON.parse(GisExport.toGeoJson(features, ['location', 'area'])).features.length).toBe(3);
+    });
+
+    test('test exporting as KML', () => {
+        expect(GisExport.toKml(features, ['area'], 'name')).toBe([
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '<Document>',
+            '<Folder><name>area</name>',
+            '<Placemark><name>Paris &amp; co</name><ExtendedData>' +
+                '<Data name="name"><value>Paris &amp; co</value></Data>' +
+                '<Data name="population"><value>2148000</value></Data></ExtendedData>' +
+                '<Polygon><outerBoundaryIs><LinearRing><coordinates>0,0 4,0 4,4 0,0</coordinates></LinearRing></outerBoundaryIs>' +
+                '<innerBoundaryIs><LinearRing><coordinates>1,1 2,1 2,2 1,1</coordinates></LinearRing></innerBoundaryIs>' +
+                '</Polygon></Placemark>',
+            '<Placemark><ExtendedData><Data name="name"><value></value></Data>' +
+                '<Data name="population"><value>1</value></Data></ExtendedData>' +
+                '<MultiGeometry><Point><coordinates>1,2</coordinates></Point><Point><coordinates>3,4</coordinates></Point>' +
+                '</MultiGeometry></Placemark>',
+            '</Folder>',
+            '</Document>',
+            '</kml>',
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,133 @@
+/* eslint-env node, jest */
+
+import { ImportPreview } from 'phpmyadmin/modules/import-preview';
+
+/**
+ * ZIP archive with stored (not compressed) entries
+ *
+ * @param {object} files { name: content } with ASCII names and contents
+ * @return {Uint8Array}
+ */
+const createZip = files => {
+    const bytes = [];
+    const central = [];
+    const pushUint = (target, value, size) => {
+        for (let i = 0; i < size; i++) {
+            target.push((value >> (8 * i)) & 0xff);
+        }
+    };
+    const pushText = (target, text) => {
+        for (let i = 0; i < text.length; i++) {
+            target.push(text.charCodeAt(i));
+        }
+    };
+    Object.keys(files).forEach(name => {
+        const offset = bytes.length;
+        pushUint(bytes, 0x04034b50, 4);
+        pushUint(bytes, 0, 22);
+        pushUint(bytes, name.length, 2);
+        pushUint(bytes, 0, 2);
+        pushText(bytes, name);
+        pushText(bytes, files[name]);
+
+        pushUint(central, 0x02014b50, 4);
+        pushUint(central, 0, 16);
+        pushUint(central, files[name].length, 4);
+        pushUint(central, files[name].length, 4);
+        pushUint(central, name.length, 2);
+        pushUint(central, 0, 12);
+        pushUint(central, offset, 4);
+        pushText(central, name);
+    });
+    const centralOffset = bytes.length;
+    bytes.push(...central);
+    pushUint(bytes, 0x06054b50, 4);
+    pushUint(bytes, 0, 6);
+    pushUint(bytes, Object.keys(files).length, 2);
+    pushUint(bytes, central.length, 4);
+    pushUint(bytes, centralOffset, 4);
+    pushUint(bytes, 0, 2);
+
+    return new Uint8Array(bytes);
+};
+
+describe('ImportPreview', () => {
+    test('test formats', () => {
+        expect(ImportPreview.getFormat('orders.CSV')).toBe('csv');
+        expect(ImportPreview.getFormat('orders.tsv')).toBe('csv');
+        expect(ImportPreview.getFormat('orders.json')).toBe('json');
+        expect(ImportPreview.getFormat('orders.xlsx')).toBe('xlsx');
+        expect(ImportPreview.getFormat('orders.sql')).toBeNull();
+    });
+    test('test CSV files', () => {
+        expect(ImportPreview.detectDelimiter('a;b,c;d\n1;2,5;3\n')).toBe(';');
+        expect(ImportPreview.detectDelimiter('a\tb\n1\t2')).toBe('\t');
+        expect(ImportPreview.detectDelimiter('single')).toBe(',');
+        expect(ImportPreview.parseCsv('\uFEFFid,name\r\n1,"Smith, ""Jo"""\n2,"two\nlines"\n3,', ',')).toEqual([
+            ['id', 'name'],
+            ['1', 'Smith, "Jo"'],
+            ['2', 'two\nlines'],
+            ['3', ''],
+        ]);
+    });
+    test('test JSON files', () => {
+        expect(ImportPreview.parseJson('[{"id": 1, "tags": ["a"]}, {"id": 2, "paid": true, "note": null}]')).toEqual({
+            header: ['id', 'tags', 'paid', 'note'],
+            rows: [['1', '["a"]', null, null], ['2', null, '1', null]],
+        });
+        expect(ImportPreview.parseJson('{"data": [[1, "a"], [2, "b"]]}')).toEqual({
+            header: null,
+            rows: [['1', 'a'], ['2', 'b']],
+        });
+        expect(ImportPreview.parseJson('{')).toBeNull();
+        expect(ImportPreview.parseJson('[1, 2]')).toBeNull();
+        expect(ImportPreview.parseJson('[]')).toBeNull();
+    });
+    test('test XLSX files', () => {
+        const sheet = '<worksheet><sheetData>' +
+            '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>total</t></is></c></row>' +
+            '<row r="3"><c r="A3"><v>12</v></c><c r="B3" t="s"><v>1</v></c><c r="C3"><v>4.5</v></c></row>' +
+            '</sheetData></worksheet>';
+        const strings = '<sst><si><t>id</t></si><si><r><t>rich </t></r><r><t>text</t></r></si></sst>';
+        const entries = ImportPreview.readZip(createZip({
+            'xl/worksheets/sheet2.xml': '<worksheet/>',
+            'xl/worksheets/sheet1.xml': sheet,
+            'xl/sharedStrings.xml': strings,
+        }));
+        expect(Object.keys(entries)).toEqual(['xl/worksheets/sheet2.xml', 'xl/worksheets/sheet1.xml', 'xl/sharedStrings.xml']);
+        expect(entries['xl/sharedStrings.xml'].method).toBe(0);
+        expect(String.fromCharCode.apply(null, entries['xl/sharedStrings.xml'].data)).toBe(strings);
+        expect(ImportPreview.getFirstSheet(entries)).toBe('xl/worksheets/sheet1.xml');
+        expect(ImportPreview.readZip(new Uint8Array(30))).toBeNull();
+
+        expect(ImportPreview.parseXlsx(strings, sheet)).toEqual([
+            ['id', null, 'total'],
+            [],
+            ['12', 'rich text', '4.5'],
+        ]);
+    });
+    test('test column types', () => {
+        expect(ImportPreview.inferType(['1', '-20', '', null])).toBe('INT');
+        expect(ImportPreview.inferType(['1', '3000000000'])).toBe('BIGINT');
+        expect(ImportPreview.inferType(['1', '-12.5', '.125'])).toBe('DECIMAL(5,3)');
+        expect(ImportPreview.inferType(['2024-02-29', ''])).toBe('DATE');
+        expect(ImportPreview.inferType(['2024-02-29 10:00', '2024-03-01T11:30:00'])).toBe('DATETIME');
+        expect(ImportPreview.inferType(['abc', '12'])).toBe('VARCHAR(3)');
+        expect(ImportPreview.inferType(['x'.repeat(300)])).toBe('TEXT');
+        expect(ImportPreview.inferType(['', null])).toBe('VARCHAR(255)');
+
+        expect(ImportPreview.hasHeader([['id', 'name'], ['1', 'a']])).toBe(true);
+        expect(ImportPreview.hasHeader([['1', 'a'], ['2', 'b']])).toBe(false);
+        expect(ImportPreview.hasHeader([['a', 'a'], ['2', 'b']])).toBe(false);
+        expect(ImportPreview.getColumns(['id', ' '], [['1', 'a', '2.5']])).toEqual([
+            { name: 'id', type: 'INT' },
+            { name: 'COL 2', type: 'VARCHAR(1)' },
+            { name: 'COL 3', type: 'DECIMAL(2,1)' },
+        ]);
+    });
+    test('test CSV output', () => {
+        expect(ImportPreview.toCsv([['1', 'a "b"', ''], ['2', null]], [2, 0, 1], true))
+            .toBe('NULL,"1","a ""b"""\nNULL,"2",NULL\n');
+        expect(ImportPreview.toCsv([['1', '']], [1], false)).toBe('""\n');
+    });
+});
@@ -0,0 +1,60 @@
+/* eslint-env node, jest */
+
+import { MonitorFormula } from 'phpmyadmin/modules/monitor-formula';
+
+describe('MonitorFormula', () => {
+    test('test data points', () => {
+        const tree = MonitorFormula.parse('Innodb_buffer_pool_reads / Innodb_buffer_pool_read_requests * 100');
+        expect(MonitorFormula.getDataPoints(tree)).toEqual([
+            { type: 'statusvar', name: 'Innodb_buffer_pool_reads' },
+            { type: 'statusvar', name: 'Innodb_buffer_pool_read_requests' },
+        ]);
+        expect(MonitorFormula.needsPreviousValues(tree)).toBe(false);
+        expect(MonitorFormula.evaluate(tree, {
+            'Innodb_buffer_pool_reads': 5,
+            'Innodb_buffer_pool_read_requests': 200,
+        }, null, 0)).toEqual(2.5);
+    });
+    test('test operator precedence and server variables', () => {
+        const tree = MonitorFormula.parse('-(Threads_connected + 1) * 2 - -@@max_connections / 4');
+        expect(MonitorFormula.getDataPoints(tree)).toEqual([
+            { type: 'statusvar', name: 'Threads_connected' },
+            { type: 'servervar', name: 'max_connections' },
+        ]);
+        expect(MonitorFormula.evaluate(tree, MonitorFormula.getValues([
+            { type: 'statusvar', name: 'Threads_connected', value: '9' },
+            { type: 'servervar', name: 'max_connections', value: '100' },
+        ]), null, 0)).toEqual(5);
+    });
+    test('test rate and delta', () => {
+        const tree = MonitorFormula.parse('rate(Innodb_rows_read) + delta(Questions) + max(abs(-1), 0.5)');
+        expect(MonitorFormula.needsPreviousValues(tree)).toBe(true);
+        const current = { 'Innodb_rows_read': 500, 'Questions': 30 };
+        expect(MonitorFormula.evaluate(tree, current, null, 0)).toBeUndefined();
+        expect(MonitorFormula.evaluate(tree, current, { 'Innodb_rows_read': 100, 'Questions': 20 }, 2)).toEqual(211);
+    });
+    test('test division by zero', () => {
+        const tree = MonitorFormula.parse('Qcache_hits / Com_select');
+        expect(MonitorFormula.evaluate(tree, { 'Qcache_hits': 3, 'Com_select': 0 }, null, 0)).toEqual(0);
+    });
+    test('test invalid formulas', () => {
+        const errors = [
+            ['', 0],
+            ['Questions +', 11],
+            ['Questions $ 2', 10],
+            ['(Questions', 10],
+            ['eval(Questions)', 0],
+            ['rate(@@max_connections)', 0],
+            ['min(Questions)', 0],
+            ['Questions Connections', 10],
+        ];
+        errors.forEach(([formula, position]) => {
+            expect(() => MonitorFormula.parse(formula)).toThrow(MonitorFormula.FormulaError);
+            try {
+                MonitorFormula.parse(formula);
+            } catch (error) {
+                expect(error.position).toEqual(position);
+            }
+        });
+    });
+});
@@ -0,0 +1,110 @@
+/* eslint-env node, jest */
+
+import { PivotTable } from 'phpmyadmin/modules/pivot-table';
+
+const records = [
+    { country: 'FR', city: 'Paris', year: '2022', amount: '10' },
+    { country: 'FR', city: 'Lyon', year: '2021', amount: '5' },
+    { country: 'FR', city: 'Paris', year: '2021', amount: null },
+    { country: 'DE', city: 'Berlin', year: '2022', amount: '7.5' },
+    { country: 'DE', city: 'Berlin', year: null, amount: '2' },
+];
+
+describe('PivotTable', () => {
+    beforeEach(() => {
+        window.Messages = {
+            strPivotTotal: 'Total',
+            strPivotGrandTotal: 'Grand total',
+        };
+    });
+
+    test('test computing pivot tables', () => {
+        const config = {
+            rows: ['country', 'city'],
+            columns: ['year'],
+            values: [{ column: 'amount', method: 'sum' }],
+        };
+        const pivot = PivotTable.compute(records, config, true);
+        expect(pivot.columnKeys).toEqual([[null], ['2021'], ['2022']]);
+        expect(pivot.rows).toEqual([
+            { key: ['DE', 'Berlin'], total: false, cells: [2, null, 7.5, 9.5] },
+            { key: ['DE'], total: true, cells: [2, null, 7.5, 9.5] },
+            { key: ['FR', 'Lyon'], total: false, cells: [null, 5, null, 5] },
+            { key: ['FR', 'Paris'], total: false, cells: [null, null, 10, 10] },
+            { key: ['FR'], total: true, cells: [null, 5, 10, 15] },
+            { key: [], total: true, cells: [2, 5, 17.5, 24.5] },
+        ]);
+
+        expect(PivotTable.compute(records, config, false).rows.map(row => row.key)).toEqual([
+            ['DE', 'Berlin'],
+            ['FR', 'Lyon'],
+            ['FR', 'Paris'],
+            [],
+        ]);
+
+        expect(PivotTable.compute(records, {
+            rows: [],
+            columns: [],
+            values: [{ column: 'amount', method: 'count' }, { column: 'amount', method: 'max' }],
+        }, true).rows).toEqual([
+            { key: [], total: true, cells: [4, 10] },
+        ]);
+    });
+
+    test('test exporting pivot tables', () => {
+        const config = {
+            rows: ['country'],
+            columns: ['year'],
+            values: [{ column: 'amount', method: 'avg' }, { column: 'city', method: 'count' }],
+        };
+        const texts = PivotTable.getTexts(config, PivotTable.compute(records.slice(0, 3), config, true));
+        expect(texts.header).toEqual([
+            'country',
+            '2021: AVG(amount)',
+            '2021: COUNT(city)',
+            '2022: AVG(amount)',
+            '2022: COUNT(city)',
+            'Total: AVG(amount)',
+            'Total: COUNT(city)',
+        ]);
+        expect(PivotTable.toCsv(texts)).toBe(
+            'country,2021: AVG(amount),2021: COUNT(city),2022: AVG(amount),2022: COUNT(city),' +
+            'Total: AVG(amount),Total: COUNT(city)\r\n' +
+            'FR,5,2,10,1,7.5,3\r\n' +
+            'Grand total,5,2,10,1,7.5,3\r\n'
+        );
+
+        const html = PivotTable.toHtml({
+            header: ['name', 'SUM(amount)'],
+            rows: [{ total: false, texts: ['<a>', '1'] }, { total: true, texts: ['Grand total', '1'] }],
+        }, 1, 'table');
+        expect(html).toBe('<table class="table">\n<thead>\n<tr><th>name</th><th class="text-end">SUM(amount)</th></tr>\n' +
+            '</thead>\n<tbody>\n<tr><td>&lt;a&gt;</td><td class="text-end">1</td></tr>\n' +
+            '<tr class="fw-bold"><td>Grand total</td><td class="text-end">1</td></tr>\n</tbody>\n</table>\n');
+        expect(PivotTable.toHtmlDocument('Pivot & co', html)).toContain('<title>Pivot &amp; co</title>');
+    });
+
+    test('test generating the query of pivot tables', () => {
+        const config = {
+            rows: ['country'],
+            columns: ['year', 'city'],
+            values: [{ column: 'amount', method: 'sum' }],
+        };
+        expect(PivotTable.toSql('SELECT * FROM `sales`;', config, [[null, 'Berlin'], ['2021', 'O\'Hare']])).toBe(
+            'SELECT\n' +
+            '    `country`,\n' +
+            '    SUM(CASE WHEN `year` IS NULL AND `city` = \'Berlin\' THEN `amount` END) AS `NULL / Berlin`,\n' +
+            '    SUM(CASE WHEN `year` = \'2021\' AND `city` = \'O\'\'Hare\' THEN `amount` END) AS `2021 / O\'Hare`,\n' +
+            '    SUM(`amount`) AS `Total`\n' +
+            'FROM (\n' +
+            'SELECT * FROM `sales`\n' +
+            ') AS `pivot_source`\n' +
+            'GROUP BY `country` WITH ROLLUP'
+        );
+        expect(PivotTable.toSql('SELECT 1', {
+            rows: [],
+            columns: [],
+            values: [{ column: 'a`b', method: 'count' }],
+        }, [[]])).toBe('SELECT\n    COUNT(`a``b`) AS `COUNT(a``b)`\nFROM (\nSELECT 1\n) AS `pivot_source`');
+    });
+});
@@ -0,0 +1,89 @@
+/* eslint-env node, jest */
+
+import 'phpmyadmin/database/query_generator';
+
+const fk = (table, column, referencedTable, referencedColumn) => ({
+    TABLE_NAME: table,
+    COLUMN_NAME: column,
+    REFERENCED_TABLE_NAME: referencedTable,
+    REFERENCED_COLUMN_NAME: referencedColumn,
+});
+
+const foreignKeys = [
+    fk('orders', 'customer_id', 'customers', 'id'),
+    fk('orders', 'billing_customer_id', 'customers', 'id'),
+    fk('order_items', 'order_id', 'orders', 'id'),
+    fk('order_items', 'product_id', 'products', 'id'),
+    fk('products', 'supplier_id', 'suppliers', 'id'),
+];
+
+describe('Query generator', () => {
+    beforeAll(() => {
+        global.Functions = { escapeBacktick: value => value.replace(/`/g, '``') };
+    });
+
+    test('test direct join paths', () => {
+        const paths = window.findJoinPaths(['orders'], 'customers', foreignKeys);
+        expect(paths.map(window.describeJoinPath)).toEqual([
+            'orders.customer_id = customers.id',
+            'orders.billing_customer_id = customers.id',
+        ]);
+    });
+    test('test shortest multi-hop join paths', () => {
+        const paths = window.findJoinPaths(['customers'], 'suppliers', foreignKeys);
+        expect(paths.map(path => path.map(step => step.table))).toEqual([
+            ['orders', 'order_items', 'products', 'suppliers'],
+            ['orders', 'order_items', 'products', 'suppliers'],
+        ]);
+        expect(window.findJoinPaths(['customers'], 'logs', foreignKeys)).toEqual([]);
+        expect(window.findJoinPaths(['customers'], 'suppliers', foreignKeys, 1)).toHaveLength(1);
+    });
+    test('test default FROM block', () => {
+        expect(window.generateFromBlock({ orders: [''], customers: ['c'], logs: [''] }, foreignKeys)).toEqual(
+            '`orders` \n\tLEFT JOIN `customers` AS `c` ON `orders`.`customer_id` = `c`.`id`\n\t, `logs`'
+        );
+    });
+    test('test join types and chosen paths', () => {
+        const joinOptions = {
+            customers: { type: 'INNER', path: 'orders.billing_customer_id = customers.id' },
+            suppliers: { type: 'RIGHT', path: '' },
+            logs: { type: 'CROSS', path: '' },
+        };
+        expect(window.generateFromBlock({ orders: [''], customers: [''], suppliers: [''], logs: [''] }, foreignKeys, joinOptions)).toEqual(
+            '`orders`' +
+            ' \n\tINNER JOIN `customers` ON `orders`.`billing_customer_id` = `customers`.`id`' +
+            ' \n\tRIGHT JOIN `order_items` ON `order_items`.`order_id` = `orders`.`id`' +
+            ' \n\tRIGHT JOIN `products` ON `order_items`.`product_id` = `products`.`id`' +
+            ' \n\tRIGHT JOIN `suppliers` ON `products`.`supplier_id` = `suppliers`.`id`' +
+            ' \n\tCROSS JOIN `logs`'
+        );
+    });
+    test('test tables joined as intermediate tables', () => {
+        const plan = window.planJoins(['customers', 'products', 'orders'], foreignKeys, {});
+        expect(plan.map(join => join.table)).toEqual(['customers', 'products']);
+        expect(plan[1].path.map(step => step.table)).toEqual(['orders', 'order_items', 'products']);
+    });
+    test('test derived tables', () => {
+        const derivedTables = [
+            { alias: 'totals', query: 'SELECT order_id, SUM(price) AS total FROM order_items GROUP BY order_id;', type: 'LEFT', condition: '`totals`.`order_id` = `orders`.`id`' },
+            { alias: 'today', query: 'SELECT CURDATE() AS d', type: 'INNER', condition: '' },
+        ];
+        expect(window.generateFromBlock({ orders: [''] }, foreignKeys, {}, derivedTables)).toEqual(
+            '`orders`' +
+            ' \n\tLEFT JOIN (SELECT order_id, SUM(price) AS total FROM order_items GROUP BY order_id) AS `totals`' +
+            ' ON `totals`.`order_id` = `orders`.`id`' +
+            ' \n\tCROSS JOIN (SELECT CURDATE() AS d) AS `today`'
+        );
+        expect(window.generateFromBlock({}, [], {}, [derivedTables[1]])).toEqual('(SELECT CURDATE() AS d) AS `today`');
+    });
+    test('test Cartesian products', () => {
+        const plan = window.planJoins(['orders', 'customers', 'logs', 'suppliers'], foreignKeys, {});
+        expect(window.findCartesianProducts(plan, [], [])).toEqual(['logs']);
+        expect(window.findCartesianProducts(plan, [], [['logs', 'customers']])).toEqual([]);
+        const derivedTables = [
+            { alias: 'totals', type: 'LEFT', condition: '`totals`.`order_id` = `orders`.`id`' },
+            { alias: 'today', type: 'INNER', condition: '' },
+        ];
+        expect(window.findCartesianProducts(plan, derivedTables, [['logs', 'orders']])).toEqual(['today']);
+    });
+});
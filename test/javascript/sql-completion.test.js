@@ -0,0 +1,93 @@
+/* eslint-env node, jest */
+
+import { SqlCompletion } from 'phpmyadmin/modules/sql-completion';
+
+const schema = {
+    db: 'shop',
+    tables: {
+        orders: {
+            id: { Type: 'int(11)', Key: 'PRI', Comment: '' },
+            'customer_id': { Type: 'int(11)', Key: 'MUL', Comment: 'buyer' },
+        },
+        customers: {
+            id: { Type: 'int(11)', Key: 'PRI', Comment: '' },
+            'full name': { Type: 'varchar(100)', Key: '', Comment: '' },
+        },
+    },
+    foreignKeys: [
+        { TABLE_NAME: 'orders', COLUMN_NAME: 'customer_id', REFERENCED_TABLE_NAME: 'customers', REFERENCED_COLUMN_NAME: 'id' },
+    ],
+    routines: [{ name: 'order_total', type: 'FUNCTION', returns: 'decimal(10,2)' }],
+    databases: ['shop', 'archive'],
+    otherTables: { archive: { 'old_orders': {} } },
+};
+
+/**
+ * @param {string} text the query, with | at the cursor
+ * @return {object[]}
+ */
+const complete = text => {
+    const offset = text.indexOf('|');
+    const query = text.replace('|', '');
+    const statement = SqlCompletion.getStatementAt(query, offset);
+    const context = SqlCompletion.getContext(statement.text.substring(0, statement.offset));
+
+    return SqlCompletion.getCompletions(schema, statement.text, context);
+};
+
+describe('SqlCompletion', () => {
+    test('test statements', () => {
+        expect(SqlCompletion.getStatementAt('SELECT 1; SELECT \';\' FROM t; SELECT 3', 15)).toEqual({
+            text: ' SELECT \';\' FROM t',
+            offset: 6,
+        });
+        expect(SqlCompletion.getStatementAt('SELECT 1', 8)).toEqual({ text: 'SELECT 1', offset: 8 });
+    });
+    test('test table references', () => {
+        expect(SqlCompletion.getTableReferences(
+            'SELECT * FROM orders o, `shop`.`customers` AS c LEFT JOIN items ON 1 ' +
+            'JOIN (SELECT 1) AS d WHERE o.id = 1 -- FROM comments'
+        )).toEqual([
+            { db: null, table: 'orders', alias: 'o' },
+            { db: 'shop', table: 'customers', alias: 'c' },
+            { db: null, table: 'items', alias: null },
+            { db: null, table: null, alias: 'd' },
+        ]);
+        expect(SqlCompletion.getTableReferences('UPDATE orders SET id = 1')).toEqual([
+            { db: null, table: 'orders', alias: null },
+        ]);
+    });
+    test('test context', () => {
+        expect(SqlCompletion.getContext('SELECT o.cu')).toEqual({ word: 'cu', qualifier: 'o', keyword: 'SELECT' });
+        expect(SqlCompletion.getContext('SELECT * FROM `my db`.')).toEqual({ word: '', qualifier: 'my db', keyword: 'FROM' });
+    });
+    test('test columns of aliases', () => {
+        expect(complete('SELECT o.| FROM orders AS o').map(completion => [completion.text, completion.hint])).toEqual([
+            ['id', 'int(11)'],
+            ['customer_id', 'int(11) | buyer'],
+        ]);
+        expect(complete('SELECT c.f| FROM orders o JOIN customers c').map(completion => completion.text)).toEqual([
+            '`full name`',
+        ]);
+    });
+    test('test columns of joined tables', () => {
+        const completions = complete('SELECT i| FROM orders o JOIN customers c ON o.customer_id = c.id');
+        expect(completions.map(completion => [completion.kind, completion.name, completion.hint])).toEqual([
+            ['column', 'id', 'o | int(11)'],
+        ]);
+        expect(complete('SELECT o| FROM orders').map(completion => completion.kind + ':' + completion.name)).toEqual([
+            'table:orders',
+            'routine:order_total',
+        ]);
+    });
+    test('test join conditions', () => {
+        const completions = complete('SELECT * FROM orders o JOIN customers c ON |');
+        expect(completions[0]).toEqual({ text: 'c.id = o.customer_id', name: 'c.id = o.customer_id', hint: 'FOREIGN KEY', kind: 'join' });
+    });
+    test('test tables and databases', () => {
+        expect(complete('SELECT * FROM |').map(completion => completion.name)).toEqual([
+            'orders', 'customers', 'shop', 'archive',
+        ]);
+        expect(complete('SELECT * FROM archive.|').map(completion => completion.name)).toEqual(['old_orders']);
+    });
+});
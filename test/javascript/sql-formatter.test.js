@@ -0,0 +1,143 @@
+/* eslint-env node, jest */
+
+import { SqlFormatter } from 'phpmyadmin/modules/sql-formatter';
+
+describe('SqlFormatter', () => {
+    test('test clauses, joins and conditions', () => {
+        const query = 'select a, count(*) from t1 left join t2 on t1.id = t2.id and t2.x > 1 ' +
+            'where a between 1 and 5 and (b = 2 or c = 3) group by a order by a desc limit 10';
+        expect(SqlFormatter.format(query)).toEqual(
+            'SELECT\n' +
+            '    a,\n' +
+            '    count(*)\n' +
+            'FROM\n' +
+            '    t1\n' +
+            '    LEFT JOIN t2 ON t1.id = t2.id\n' +
+            '        AND t2.x > 1\n' +
+            'WHERE\n' +
+            '    a BETWEEN 1 AND 5\n' +
+            '    AND (b = 2 OR c = 3)\n' +
+            'GROUP BY\n' +
+            '    a\n' +
+            'ORDER BY\n' +
+            '    a DESC\n' +
+            'LIMIT\n' +
+            '    10'
+        );
+    });
+    test('test style options', () => {
+        const query = 'SELECT a, b FROM t1 JOIN t2 USING (id) WHERE a = 1 AND b = -2';
+        expect(SqlFormatter.format(query, {
+            keywordCase: 'lower',
+            indentWidth: 2,
+            commaPosition: 'start',
+            breakJoins: false,
+            breakConditions: false,
+        })).toEqual(
+            'select\n' +
+            '  a\n' +
+            '  , b\n' +
+            'from\n' +
+            '  t1 join t2 using (id)\n' +
+            'where\n' +
+            '  a = 1 and b = -2'
+        );
+        expect(SqlFormatter.format('select `from`, "select" from t', { keywordCase: 'preserve' })).toEqual(
+            'select\n    `from`,\n    "select"\nfrom\n    t'
+        );
+    });
+    test('test CASE expressions and subqueries', () => {
+        const query = 'SELECT CASE WHEN a = 1 THEN \'one\' ELSE \'other\' END AS label ' +
+            'FROM t WHERE id IN (SELECT id FROM u)';
+        expect(SqlFormatter.format(query)).toEqual(
+            'SELECT\n' +
+            '    CASE\n' +
+            '        WHEN a = 1 THEN \'one\'\n' +
+            '        ELSE \'other\'\n' +
+            '    END AS label\n' +
+            'FROM\n' +
+            '    t\n' +
+            'WHERE\n' +
+            '    id IN (\n' +
+            '        SELECT\n' +
+            '            id\n' +
+            '        FROM\n' +
+            '            u\n' +
+            '    )'
+        );
+        expect(SqlFormatter.format(query, { breakCase: false })).toContain(
+            'CASE WHEN a = 1 THEN \'one\' ELSE \'other\' END AS label'
+        );
+    });
+    test('test modification statements', () => {
+        expect(SqlFormatter.format(
+            'insert into t (a, b) values (1, \'a;b\'), (2, \'c\') on duplicate key update b = values(b); ' +
+            'update t set a = 1, b = 2 where id = 3'
+        )).toEqual(
+            'INSERT INTO\n' +
+            '    t (a, b)\n' +
+            'VALUES\n' +
+            '    (1, \'a;b\'),\n' +
+            '    (2, \'c\')\n' +
+            'ON DUPLICATE KEY UPDATE\n' +
+            '    b = VALUES(b);\n' +
+            'UPDATE\n' +
+            '    t\n' +
+            'SET\n' +
+            '    a = 1,\n' +
+            '    b = 2\n' +
+            'WHERE\n' +
+            '    id = 3'
+        );
+    });
+    test('test stored program blocks', () => {
+        const body = 'BEGIN DECLARE x INT DEFAULT 0; IF x > 1 THEN SET x = 2; ELSE SET x = 3; END IF; ' +
+            'lbl: LOOP LEAVE lbl; END LOOP; END';
+        expect(SqlFormatter.format(body)).toEqual(
+            'BEGIN\n' +
+            '    DECLARE x INT DEFAULT 0;\n' +
+            '    IF x > 1 THEN\n' +
+            '        SET x = 2;\n' +
+            '    ELSE\n' +
+            '        SET x = 3;\n' +
+            '    END IF;\n' +
+            '    lbl: LOOP\n' +
+            '        LEAVE lbl;\n' +
+            '    END LOOP;\n' +
+            'END'
+        );
+    });
+    test('test DELIMITER commands', () => {
+        const trigger = 'DELIMITER $$\nCREATE TRIGGER t_bi BEFORE INSERT ON t FOR EACH ROW BEGIN ' +
+            'IF NEW.a < 0 THEN SET NEW.a = 0; END IF; END $$\nDELIMITER ;\nselect 1;';
+        expect(SqlFormatter.format(trigger)).toEqual(
+            'DELIMITER $$\n' +
+            'CREATE TRIGGER t_bi BEFORE INSERT ON t FOR EACH ROW BEGIN\n' +
+            '    IF NEW.a < 0 THEN\n' +
+            '        SET NEW.a = 0;\n' +
+            '    END IF;\n' +
+            'END $$\n' +
+            'DELIMITER ;\n' +
+            'SELECT\n' +
+            '    1;'
+        );
+        expect(SqlFormatter.format('delimiter //\nselect \'//\' from t//')).toEqual(
+            'delimiter //\nSELECT\n    \'//\'\nFROM\n    t//'
+        );
+    });
+    test('test comments and empty queries', () => {
+        expect(SqlFormatter.format('select a -- first column\nfrom t /* table */')).toEqual(
+            'SELECT\n    a -- first column\nFROM\n    t /* table */'
+        );
+        expect(SqlFormatter.format('  ')).toEqual('  ');
+    });
+
+    test('test single SELECT statements', () => {
+        expect(SqlFormatter.isSingleSelect('select * from t;')).toBe(true);
+        expect(SqlFormatter.isSingleSelect('/* count */ SELECT 1 -- one\n;;')).toBe(true);
+        expect(SqlFormatter.isSingleSelect('SELECT \';\' FROM t')).toBe(true);
+        expect(SqlFormatter.isSingleSelect('SELECT 1; UPDATE t SET a = 1')).toBe(false);
+        expect(SqlFormatter.isSingleSelect('UPDATE t SET a = 1')).toBe(false);
+        expect(SqlFormatter.isSingleSelect('selection')).toBe(false);
+    });
+});
@@ -0,0 +1,79 @@
+/* eslint-env node, jest */
+
+import { SqlLintRules } from 'phpmyadmin/modules/sql-lint-rules';
+
+const columns = {
+    orders: ['id', 'customer id'],
+};
+const context = {
+    savedQuery: true,
+    getColumns: (db, table) => columns[table] || null,
+};
+
+/**
+ * @param {string} text
+ * @param {object} severities
+ * @return {string[]} the rules and the text of their issues
+ */
+const check = (text, severities) => SqlLintRules.check(text, severities, context).map(issue =>
+    issue.rule + ': ' + text.substring(issue.from, issue.to)
+);
+
+/**
+ * @param {string} text
+ * @param {string} rule
+ * @return {string} the text with the fix of the first issue of the rule applied
+ */
+const fix = (text, rule) => {
+    const issue = SqlLintRules.check(text, {}, context).find(issue => issue.rule === rule);
+
+    return text.substring(0, issue.fix.from) + issue.fix.text + text.substring(issue.fix.to);
+};
+
+describe('SqlLintRules', () => {
+    test('test UPDATE and DELETE without WHERE', () => {
+        expect(check('DELETE FROM orders')).toEqual(['NoWhere: DELETE']);
+        expect(check('UPDATE orders SET total = (SELECT 1 FROM t WHERE a = 1)')).toEqual(['NoWhere: UPDATE']);
+        expect(check('UPDATE orders SET total = 0 WHERE id = 1; DELETE FROM orders WHERE id = 2')).toEqual([]);
+        expect(check('SELECT 1; delete from orders')).toEqual(['NoWhere: delete']);
+    });
+    test('test SELECT * in saved queries', () => {
+        expect(check('SELECT * FROM orders WHERE id = 2 * 3')).toEqual(['SelectStar: *']);
+        expect(SqlLintRules.check('SELECT * FROM orders', {}, {})).toEqual([]);
+        expect(fix('SELECT * FROM orders', 'SelectStar')).toBe('SELECT id, `customer id` FROM orders');
+        expect(fix('SELECT o.*, c.name FROM orders o JOIN customers c ON c.id = o.id', 'SelectStar'))
+            .toBe('SELECT o.id, o.`customer id`, c.name FROM orders o JOIN customers c ON c.id = o.id');
+        expect(SqlLintRules.check('SELECT * FROM customers', {}, context)[0].fix).toBeNull();
+    });
+    test('test implicit cross joins', () => {
+        expect(check('SELECT a.id FROM orders a, customers b WHERE b.id IN (1, 2)')).toEqual(['ImplicitCrossJoin: ,']);
+        expect(fix('SELECT a.id FROM orders a, customers b', 'ImplicitCrossJoin'))
+            .toBe('SELECT a.id FROM orders a CROSS JOIN customers b');
+        expect(check('SELECT a, b FROM orders JOIN customers USING (id, code)')).toEqual([]);
+    });
+    test('test comparisons to NULL', () => {
+        expect(check('SELECT id FROM orders WHERE note = NULL OR NULL <> note')).toEqual([
+            'NullComparison: = NULL',
+            'NullComparison: NULL <>',
+        ]);
+        expect(fix('SELECT id FROM orders WHERE note != null', 'NullComparison')).toBe('SELECT id FROM orders WHERE note IS NOT NULL');
+        expect(fix('SELECT id FROM orders WHERE note = NULL', 'NullComparison')).toBe('SELECT id FROM orders WHERE note IS NULL');
+        expect(check('UPDATE orders SET note = NULL WHERE id = 1')).toEqual([]);
+        expect(check('INSERT INTO orders (note) VALUES (NULL) ON DUPLICATE KEY UPDATE note = NULL')).toEqual([]);
+    });
+    test('test LIKE patterns starting with a wildcard', () => {
+        expect(check('SELECT id FROM orders WHERE note LIKE \'%paid\' OR note NOT LIKE "_x" OR note LIKE \'x%\''))
+            .toEqual(['LeadingWildcard: \'%paid\'', 'LeadingWildcard: "_x"']);
+    });
+    test('test severities', () => {
+        const issues = SqlLintRules.check('DELETE FROM orders; SELECT id FROM orders WHERE note = NULL', {
+            'NoWhere': 'error',
+            'NullComparison': 'off',
+        }, context);
+        expect(issues.map(issue => [issue.rule, issue.severity])).toEqual([['NoWhere', 'error']]);
+        expect(SqlLintRules.getRuleNames()).toEqual(['NoWhere', 'SelectStar', 'ImplicitCrossJoin', 'NullComparison', 'LeadingWildcard']);
+    });
+    test('test strings and comments', () => {
+        expect(check('SELECT \'a = NULL; DELETE FROM t\' FROM orders -- , = NULL\nWHERE id = 1 /* DELETE FROM t */')).toEqual([]);
+    });
+});
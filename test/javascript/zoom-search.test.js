@@ -0,0 +1,62 @@
+/* eslint-env node, jest */
+
+import { ZoomSearch } from 'phpmyadmin/modules/zoom-search';
+
+describe('ZoomSearch', () => {
+    beforeEach(() => {
+        window.Messages = {
+            strOtherValues: 'Other values',
+        };
+    });
+
+    test('test brushing points', () => {
+        expect(ZoomSearch.isInRectangle({ x: 5, y: 5 }, { x: 10, y: 0 }, { x: 0, y: 10 })).toBe(true);
+        expect(ZoomSearch.isInRectangle({ x: 11, y: 5 }, { x: 10, y: 0 }, { x: 0, y: 10 })).toBe(false);
+
+        // a lasso shaped like a U
+        const lasso = [{ x: 0, y: 0 }, { x: 3, y: 0 }, { x: 3, y: 2 }, { x: 6, y: 2 }, { x: 6, y: 0 },
+            { x: 9, y: 0 }, { x: 9, y: 9 }, { x: 0, y: 9 }];
+        expect(ZoomSearch.isInPolygon({ x: 1, y: 1 }, lasso)).toBe(true);
+        expect(ZoomSearch.isInPolygon({ x: 4.5, y: 1 }, lasso)).toBe(false);
+        expect(ZoomSearch.isInPolygon({ x: 4.5, y: 5 }, lasso)).toBe(true);
+        expect(ZoomSearch.isInPolygon({ x: 10, y: 5 }, lasso)).toBe(false);
+    });
+
+    test('test classes of the mapped column', () => {
+        const numbers = ZoomSearch.getClasses(['0', '10', null, '2.5', '7']);
+        expect(numbers.labels).toEqual(['0 – 2', '2 – 4', '4 – 6', '6 – 8', '8 – 10', 'NULL']);
+        expect(numbers.rangeCount).toBe(5);
+        expect(['0', '10', null, '2.5', '7'].map(numbers.getClass)).toEqual([0, 4, 5, 1, 3]);
+
+        const single = ZoomSearch.getClasses(['3', '3']);
+        expect(single.labels).toEqual(['3 – 3']);
+        expect(single.getClass('3')).toBe(0);
+
+        const texts = ZoomSearch.getClasses(['a', 'b', 'a', null]);
+        expect(texts.labels).toEqual(['a', 'b', 'NULL']);
+        expect(texts.rangeCount).toBe(0);
+        expect(texts.getClass(null)).toBe(2);
+
+        const many = ZoomSearch.getClasses(['a', 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i']);
+        expect(many.labels).toEqual(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'Other values']);
+        expect(many.getClass('i')).toBe(7);
+    });
+
+    test('test markers of the classes', () => {
+        expect(ZoomSearch.getMarkerSize(0, 3)).toBe(5);
+        expect(ZoomSearch.getMarkerSize(1, 3)).toBe(11);
+        expect(ZoomSearch.getMarkerSize(2, 3)).toBe(16);
+        expect(ZoomSearch.getMarkerColor(0, 5)).toBe('#c6dbef');
+        expect(ZoomSearch.getMarkerColor(4, 5)).toBe('#08306b');
+    });
+
+    test('test queries on the selected rows', () => {
+        const whereClauses = ['`id` = 1', '`id` = 2'];
+        expect(ZoomSearch.getSelectQuery('my`table', whereClauses))
+            .toBe('SELECT * FROM `my``table` WHERE (`id` = 1) OR (`id` = 2)');
+        expect(ZoomSearch.getUpdateQuery('t', { name: 'it\'s', note: null }, whereClauses))
+            .toBe('UPDATE `t` SET `name` = \'it\'\'s\', `note` = NULL WHERE (`id` = 1) OR (`id` = 2)');
+        expect(ZoomSearch.getDeleteQuery('t', whereClauses))
+            .toBe('DELETE FROM `t` WHERE (`id` = 1) OR (`id` = 2)');
+    });
+});
@@ -46,6 +46,7 @@ module.exports = [
             'import': './js/src/import.js',
             'indexes': './js/src/indexes.js',
             'jqplot/plugins/jqplot.byteFormatter': './js/src/jqplot/plugins/jqplot.byteFormatter.js',
+            'jqplot/plugins/jqplot.heatmapRenderer': './js/src/jqplot/plugins/jqplot.heatmapRenderer.js',
             'jquery.sortable-table': './js/src/jquery.sortable-table.js',
             'keyhandler': './js/src/keyhandler.js',
             'main': './js/src/main.js',
@@ -152,6 +153,7 @@ module.exports = [
                     { from: path.resolve(__dirname, 'node_modules/locutus.sprintf/src/php/strings/sprintf.browser.js'), to: path.resolve(__dirname, 'js/vendor/sprintf.js') },
                     { from: path.resolve(__dirname, 'node_modules/updated-jqplot/build/plugins/jqplot.pieRenderer.js'), to: path.resolve(__dirname, 'js/vendor/jqplot/plugins/jqplot.pieRenderer.js') },
                     { from: path.resolve(__dirname, 'node_modules/updated-jqplot/build/plugins/jqplot.barRenderer.js'), to: path.resolve(__dirname, 'js/vendor/jqplot/plugins/jqplot.barRenderer.js') },
+                    { from: path.resolve(__dirname, 'node_modules/updated-jqplot/build/plugins/jqplot.ohlcRenderer.js'), to: path.resolve(__dirname, 'js/vendor/jqplot/plugins/jqplot.ohlcRenderer.js') },
                     { from: path.resolve(__dirname, 'node_modules/updated-jqplot/build/plugins/jqplot.pointLabels.js'), to: path.resolve(__dirname, 'js/vendor/jqplot/plugins/jqplot.pointLabels.js') },
                     { from: path.resolve(__dirname, 'node_modules/updated-jqplot/build/plugins/jqplot.enhancedPieLegendRenderer.js'), to: path.resolve(__dirname, 'js/vendor/jqplot/plugins/jqplot.enhancedPieLegendRenderer.js') },
                     { from: path.resolve(__dirname, 'node_modules/updated-jqplot/build/plugins/jqplot.dateAxisRenderer.js'), to: path.resolve(__dirname, 'js/vendor/jqplot/plugins/jqplot.dateAxisRenderer.js') },
@@ -159,6 +161,7 @@ module.exports = [
                     { from: path.resolve(__dirname, 'node_modules/updated-jqplot/build/plugins/jqplot.canvasTextRenderer.js'), to: path.resolve(__dirname, 'js/vendor/jqplot/plugins/jqplot.canvasTextRenderer.js') },
                     { from: path.resolve(__dirname, 'node_modules/updated-jqplot/build/plugins/jqplot.canvasAxisLabelRenderer.js'), to: path.resolve(__dirname, 'js/vendor/jqplot/plugins/jqplot.canvasAxisLabelRenderer.js') },
                     { from: path.resolve(__dirname, 'node_modules/updated-jqplot/build/plugins/jqplot.cursor.js'), to: path.resolve(__dirname, 'js/vendor/jqplot/plugins/jqplot.cursor.js') },
+                    { from: path.resolve(__dirname, 'node_modules/updated-jqplot/build/plugins/jqplot.canvasOverlay.js'), to: path.resolve(__dirname, 'js/vendor/jqplot/plugins/jqplot.canvasOverlay.js') },
                     { from: path.resolve(__dirname, 'node_modules/updated-jqplot/build/plugins/jqplot.highlighter.js'), to: path.resolve(__dirname, 'js/vendor/jqplot/plugins/jqplot.highlighter.js') },
                 ],
             }),